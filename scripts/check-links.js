@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+/**
+ * Check Knowledge Graph Link Integrity
+ *
+ * Reports every reference in the dataset that resolves to no entity
+ * (see src/api/linkIntegrity.ts) as JSON: the number of links checked,
+ * dangling links per property and the dangling links themselves. Relations
+ * stored on both ends that don't agree (see src/api/inverseIndex.ts) are
+ * reported under `symmetry`.
+ *
+ * Usage: vite-node scripts/check-links.js -- [--data <dir>] [--out <file>] [--strict]
+ *
+ *   --data    data-herbapedia checkout (default: ../data-herbapedia or ./data-herbapedia)
+ *   --out     write the report to a file instead of stdout
+ *   --strict  exit with status 1 when any link is dangling or asymmetric
+ */
+
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { DATASET_SCHEMAS } from '../src/api/schemaValidation'
+import { checkLinkIntegrity } from '../src/api/linkIntegrity'
+import { checkSymmetry } from '../src/api/inverseIndex'
+import { loadDataset, defaultDataDir } from './lib/dataset.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+const projectRoot = path.resolve(__dirname, '..')
+
+function option(name) {
+  const index = process.argv.indexOf(name)
+  return index >= 0 ? process.argv[index + 1] : undefined
+}
+
+const dataDir = option('--data') ? path.resolve(option('--data')) : defaultDataDir(projectRoot)
+const outFile = option('--out')
+const strict = process.argv.includes('--strict')
+
+if (!fs.existsSync(dataDir)) {
+  console.error(`Data directory not found: ${dataDir}`)
+  process.exit(2)
+}
+
+const dataset = loadDataset(dataDir, DATASET_SCHEMAS)
+const report = {
+  timestamp: new Date().toISOString(),
+  dataDir,
+  ...checkLinkIntegrity(dataset),
+  symmetry: checkSymmetry(dataset)
+}
+
+const json = JSON.stringify(report, null, 2) + '\n'
+if (outFile) {
+  fs.writeFileSync(outFile, json)
+} else {
+  process.stdout.write(json)
+}
+
+console.error(`Checked ${report.checkedLinks} links: ${report.danglingCount} dangling`)
+for (const [property, count] of Object.entries(report.byProperty)) {
+  console.error(`  ${property}: ${count}`)
+}
+
+console.error(`Checked ${report.symmetry.checkedRelations} inverse relations: ${report.symmetry.asymmetricCount} asymmetric`)
+for (const [property, count] of Object.entries(report.symmetry.byProperty)) {
+  console.error(`  ${property}: ${count}`)
+}
+
+if (strict && (report.danglingCount > 0 || report.symmetry.asymmetricCount > 0)) process.exit(1)
@@ -0,0 +1,139 @@
+/**
+ * Dataset Loader (Node)
+ *
+ * Reads the collections described by DATASET_SCHEMAS
+ * (src/api/schemaValidation.ts) from a data-herbapedia checkout, for the
+ * checks in scripts/ and src/tests/.
+ */
+
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { DATASET_SCHEMAS } from '../../src/api/schemaValidation'
+import { contextUrl, CONTEXT_BASE } from '../../src/api/linkedData'
+
+/** The fixture dataset checked in for the tests in src/tests/ */
+export const FIXTURE_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../src/tests/fixtures/data-herbapedia')
+
+// Helper to parse JSON-LD
+function parseJsonLd(filePath) {
+  try {
+    const content = fs.readFileSync(filePath, 'utf8')
+    return JSON.parse(content)
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Entities of one collection as { directory, file, entity }. `directory` is
+ * the entity's own directory in one-entity-per-directory collections;
+ * `entity` is null for files that don't parse. Entities listed in a
+ * single-file collection also carry the document's `context`.
+ */
+export function loadCollection(root, collection) {
+  const [before, after] = collection.path.split('*')
+  if (after === undefined) {
+    const file = path.join(root, collection.path)
+    if (!fs.existsSync(file)) return []
+    const document = parseJsonLd(file)
+    if (!document) return [{ file, entity: null }]
+    const items = document[collection.container || '@graph']
+    return (Array.isArray(items) ? items : []).map(entity => ({ file, entity, context: document['@context'] }))
+  }
+
+  const parent = path.join(root, before)
+  if (!fs.existsSync(parent)) return []
+  return fs.readdirSync(parent, { withFileTypes: true })
+    .filter(dirent => dirent.isDirectory())
+    .map(dirent => ({ directory: dirent.name, file: path.join(parent, dirent.name, after) }))
+    .filter(({ file }) => fs.existsSync(file))
+    .map(entry => ({ ...entry, entity: parseJsonLd(entry.file) }))
+}
+
+/**
+ * Parsed entities of every collection, keyed by collection name
+ */
+export function loadDataset(root, collections) {
+  return Object.fromEntries(collections.map(collection => [
+    collection.name,
+    loadCollection(root, collection).map(({ entity }) => entity).filter(Boolean)
+  ]))
+}
+
+/**
+ * Parsed entities of every DATASET_SCHEMAS collection of the fixture
+ * dataset, keyed by collection name
+ */
+export function loadFixtureDataset() {
+  return loadDataset(FIXTURE_DIR, DATASET_SCHEMAS)
+}
+
+// ============================================================================
+// JSON-LD Contexts
+// ============================================================================
+
+const ABSOLUTE_IRI = /^[a-z][a-z0-9+.-]*:/i
+
+/**
+ * A data file's @context with the context documents it names by relative
+ * path given by their published URL (see contextUrl() in
+ * src/api/linkedData.ts)
+ */
+export function resolveDataContext(root, file, context) {
+  if (Array.isArray(context)) return context.map(item => resolveDataContext(root, file, item))
+  if (typeof context !== 'string' || ABSOLUTE_IRI.test(context)) return context
+  const target = path.relative(root, path.resolve(path.dirname(file), context))
+  return target.startsWith('..') ? context : contextUrl(target.split(path.sep).join('/'))
+}
+
+/**
+ * The entity with its @context (or `context`, that of the document listing
+ * it) resolved by resolveDataContext(); entities without one are returned
+ * as they are
+ */
+export function withDataContext(root, file, entity, context = entity?.['@context']) {
+  if (!entity || context === undefined || context === null) return entity
+  return { ...entity, '@context': resolveDataContext(root, file, context) }
+}
+
+/**
+ * Entities of every collection as loadDataset() returns them, read with
+ * withDataContext(), for expansion into RDF
+ */
+export function loadLinkedDataset(root, collections) {
+  return Object.fromEntries(collections.map(collection => [
+    collection.name,
+    loadCollection(root, collection)
+      .filter(({ entity }) => entity)
+      .map(({ file, entity, context }) => withDataContext(root, file, entity, entity['@context'] ?? context))
+  ]))
+}
+
+/**
+ * jsonld.js document loader for the context documents published under
+ * CONTEXT_BASE, read from the data directory; nothing else is fetched.
+ * `documents` holds every document it served, by URL path.
+ */
+export function createContextLoader(root) {
+  const documents = new Map()
+  const loader = async url => {
+    const dataPath = url.startsWith(contextUrl('')) ? url.slice(contextUrl('').length) : null
+    const file = dataPath && path.resolve(root, dataPath)
+    const document = file && !path.relative(root, file).startsWith('..') ? parseJsonLd(file) : null
+    if (!document) throw new Error(`Context document not found in the data: ${url}`)
+    documents.set(`${CONTEXT_BASE}/${dataPath}`, document)
+    return { contextUrl: null, documentUrl: url, document }
+  }
+  loader.documents = documents
+  return loader
+}
+
+/**
+ * data-herbapedia next to the site checkout, or inside it (as in CI)
+ */
+export function defaultDataDir(projectRoot) {
+  const localDataDir = path.resolve(projectRoot, '../data-herbapedia')
+  const ciDataDir = path.resolve(projectRoot, './data-herbapedia')
+  return fs.existsSync(localDataDir) ? localDataDir : ciDataDir
+}
@@ -0,0 +1,129 @@
+/**
+ * SPARQL Store (Node)
+ *
+ * Loads the collections described by DATASET_SCHEMAS into an in-memory
+ * oxigraph store, expanded into RDF by src/api/linkedData.ts with each
+ * entity's own context (the triples the site's .ttl/.nt files hold), and
+ * answers SPARQL 1.1 queries over it for scripts/sparql.js.
+ */
+
+import oxigraph from 'oxigraph'
+import { buildContext, contextPrefixes, toTriples, serializeNTriples, serializeTurtle } from '../../src/api/linkedData'
+
+/**
+ * Store holding every entity of a dataset, as returned by
+ * loadLinkedDataset(), read with the context documents `documentLoader`
+ * serves (see createContextLoader())
+ */
+export async function createSparqlStore(dataset, documentLoader) {
+  const entities = Object.values(dataset).flat()
+  const store = new oxigraph.Store()
+  const context = buildContext(entities, await contextPrefixes(entities, documentLoader))
+  const triples = await toTriples(entities, context, documentLoader)
+  store.load(serializeNTriples(triples), { format: 'application/n-triples' })
+  return store
+}
+
+// oxigraph term -> linkedData.ts RdfTerm
+function toRdfTerm(term) {
+  if (term.termType !== 'Literal') return { termType: term.termType, value: term.value }
+  return term.language
+    ? { termType: 'Literal', value: term.value, language: term.language }
+    : { termType: 'Literal', value: term.value, datatype: term.datatype.value }
+}
+
+// RdfTerm -> SPARQL 1.1 Query Results JSON term
+function toJsonTerm(term) {
+  if (term.termType === 'NamedNode') return { type: 'uri', value: term.value }
+  if (term.termType === 'BlankNode') return { type: 'bnode', value: term.value }
+  const json = { type: 'literal', value: term.value }
+  if (term.language) json['xml:lang'] = term.language
+  else if (term.datatype && !term.datatype.endsWith('#string')) json.datatype = term.datatype
+  return json
+}
+
+// SPARQL JSON results term -> RdfTerm
+function fromJsonTerm(term) {
+  if (term.type === 'uri') return { termType: 'NamedNode', value: term.value }
+  if (term.type === 'bnode') return { termType: 'BlankNode', value: term.value }
+  if (term['xml:lang']) return { termType: 'Literal', value: term.value, language: term['xml:lang'] }
+  return { termType: 'Literal', value: term.value, datatype: term.datatype || 'http://www.w3.org/2001/XMLSchema#string' }
+}
+
+/**
+ * Run a SELECT, ASK, CONSTRUCT or DESCRIBE query. Updates are rejected by
+ * the parser. Returns one of
+ *
+ *   { form: 'bindings', variables, bindings }  bindings: { [variable]: RdfTerm }[]
+ *   { form: 'boolean', boolean }
+ *   { form: 'graph', triples }                 triples: linkedData.ts Triple[]
+ */
+export function runSparql(store, query) {
+  let json
+  try {
+    json = JSON.parse(store.query(query, { results_format: 'application/sparql-results+json' }))
+  } catch {
+    // Graph queries have no results format; anything else rethrows here
+    return {
+      form: 'graph',
+      triples: store.query(query).map(quad => ({
+        subject: toRdfTerm(quad.subject),
+        predicate: toRdfTerm(quad.predicate),
+        object: toRdfTerm(quad.object)
+      }))
+    }
+  }
+
+  if (typeof json.boolean === 'boolean') return { form: 'boolean', boolean: json.boolean }
+  return {
+    form: 'bindings',
+    variables: json.head.vars,
+    bindings: json.results.bindings.map(binding => Object.fromEntries(
+      Object.entries(binding).map(([variable, term]) => [variable, fromJsonTerm(term)])
+    ))
+  }
+}
+
+/**
+ * A query result as the SPARQL protocol returns it: SPARQL JSON results
+ * for SELECT and ASK, Turtle for CONSTRUCT and DESCRIBE
+ */
+export function serializeSparqlResult(result) {
+  if (result.form === 'graph') {
+    return { contentType: 'text/turtle; charset=utf-8', body: serializeTurtle(result.triples) }
+  }
+  const json = result.form === 'boolean'
+    ? { head: {}, boolean: result.boolean }
+    : {
+        head: { vars: result.variables },
+        results: {
+          bindings: result.bindings.map(binding => Object.fromEntries(
+            Object.entries(binding).map(([variable, term]) => [variable, toJsonTerm(term)])
+          ))
+        }
+      }
+  return { contentType: 'application/sparql-results+json; charset=utf-8', body: JSON.stringify(json) }
+}
+
+/**
+ * Plain-text table of a SELECT result, for the terminal
+ */
+export function formatSparqlTable(result) {
+  if (result.form !== 'bindings') return serializeSparqlResult(result).body
+  const cell = term => {
+    if (!term) return ''
+    if (term.termType === 'NamedNode') return `<${term.value}>`
+    if (term.termType === 'BlankNode') return `_:${term.value}`
+    return term.language ? `${term.value} @${term.language}` : term.value
+  }
+  const rows = result.bindings.map(binding => result.variables.map(variable => cell(binding[variable])))
+  const widths = result.variables.map((variable, index) =>
+    Math.max(variable.length + 1, ...rows.map(row => row[index].length)))
+  const line = values => values.map((value, index) => value.padEnd(widths[index])).join(' | ').trimEnd()
+  return [
+    line(result.variables.map(variable => `?${variable}`)),
+    widths.map(width => '-'.repeat(width)).join('-+-'),
+    ...rows.map(line),
+    `(${rows.length} ${rows.length === 1 ? 'row' : 'rows'})`
+  ].join('\n')
+}
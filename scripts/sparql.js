@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+/**
+ * SPARQL Endpoint over the Knowledge Graph
+ *
+ * Loads the dataset into an in-memory RDF store (see scripts/lib/sparql.js)
+ * and either answers one query on the command line or serves the SPARQL 1.1
+ * protocol over HTTP for the site's query page (/sparql) and other clients.
+ *
+ * Usage: vite-node scripts/sparql.js -- [--data <dir>] <query>
+ *        vite-node scripts/sparql.js -- [--data <dir>] --serve [--port <port>] [--host <host>]
+ *
+ *   <query>    a .rq file, the name of an example in src/queries/, or --query '<SPARQL>'
+ *   --data     data-herbapedia checkout (default: ../data-herbapedia or ./data-herbapedia)
+ *   --json     print SELECT/ASK results as SPARQL JSON instead of a table
+ *   --serve    answer GET/POST /sparql on http://<host>:<port> (default 3030)
+ *   --host     interface to listen on (default 127.0.0.1, this machine only)
+ *
+ * SELECT and ASK results are SPARQL JSON, CONSTRUCT and DESCRIBE results
+ * Turtle. The endpoint is read-only and allows cross-origin requests.
+ */
+
+import fs from 'fs'
+import http from 'http'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { DATASET_SCHEMAS } from '../src/api/schemaValidation'
+import { loadLinkedDataset, createContextLoader, defaultDataDir } from './lib/dataset.js'
+import { createSparqlStore, runSparql, serializeSparqlResult, formatSparqlTable } from './lib/sparql.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+const projectRoot = path.resolve(__dirname, '..')
+const examplesDir = path.join(projectRoot, 'src/queries')
+
+const DEFAULT_PORT = 3030
+const DEFAULT_HOST = '127.0.0.1'
+const MAX_QUERY_BYTES = 100_000
+
+function option(name) {
+  const index = process.argv.indexOf(name)
+  return index >= 0 ? process.argv[index + 1] : undefined
+}
+
+// Last argument that is neither a flag nor a flag's value
+function positional() {
+  const args = process.argv.slice(2).filter(arg => arg !== '--')
+  const valued = new Set(['--data', '--port', '--host', '--query'])
+  return args.filter((arg, index) => !arg.startsWith('--') && !valued.has(args[index - 1])).pop()
+}
+
+function readQuery() {
+  if (option('--query')) return option('--query')
+  const name = positional()
+  if (!name) return null
+  if (fs.existsSync(name)) return fs.readFileSync(name, 'utf8')
+  const example = path.join(examplesDir, `${name.replace(/\.rq$/, '')}.rq`)
+  if (fs.existsSync(example)) return fs.readFileSync(example, 'utf8')
+  console.error(`No query file or example named ${name}`)
+  process.exit(2)
+}
+
+const dataDir = option('--data') ? path.resolve(option('--data')) : defaultDataDir(projectRoot)
+
+if (!fs.existsSync(dataDir)) {
+  console.error(`Data directory not found: ${dataDir}`)
+  process.exit(2)
+}
+
+const store = await createSparqlStore(loadLinkedDataset(dataDir, DATASET_SCHEMAS), createContextLoader(dataDir))
+console.error(`Loaded ${store.size} triples from ${dataDir}`)
+
+// ============================================================================
+// Server
+// ============================================================================
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = ''
+    req.setEncoding('utf8')
+    req.on('data', function collect(chunk) {
+      body += chunk
+      if (body.length <= MAX_QUERY_BYTES) return
+      // Stop reading and drop the connection rather than buffer the rest
+      req.off('data', collect)
+      req.destroy()
+      reject(new Error('Query too large'))
+    })
+    req.on('end', () => resolve(body))
+    req.on('error', reject)
+  })
+}
+
+// The query of a SPARQL protocol request: ?query=, a form field or a
+// application/sparql-query body
+async function requestQuery(req, url) {
+  if (req.method === 'GET') return url.searchParams.get('query')
+  const body = await readBody(req)
+  if ((req.headers['content-type'] || '').startsWith('application/sparql-query')) return body
+  return new URLSearchParams(body).get('query')
+}
+
+function serve(port, host) {
+  const server = http.createServer(async (req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*')
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept')
+    if (req.method === 'OPTIONS') return res.writeHead(204).end()
+
+    try {
+      // A fixed base: the Host header is the client's to set
+      const url = new URL(req.url, 'http://localhost')
+      if (url.pathname !== '/sparql' || !['GET', 'POST'].includes(req.method)) {
+        return res.writeHead(404, { 'Content-Type': 'text/plain' }).end('Not found: use GET or POST /sparql\n')
+      }
+
+      const query = await requestQuery(req, url)
+      if (!query) {
+        return res.writeHead(400, { 'Content-Type': 'text/plain' }).end('Missing query\n')
+      }
+      const { contentType, body } = serializeSparqlResult(runSparql(store, query))
+      res.writeHead(200, { 'Content-Type': contentType }).end(body)
+    } catch (error) {
+      res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' }).end(`${error.message || error}\n`)
+    }
+  })
+
+  server.listen(port, host, () => {
+    console.error(`SPARQL endpoint: http://${host}:${port}/sparql`)
+  })
+}
+
+// ============================================================================
+// Main
+// ============================================================================
+
+if (process.argv.includes('--serve')) {
+  serve(Number(option('--port')) || DEFAULT_PORT, option('--host') || DEFAULT_HOST)
+} else {
+  const query = readQuery()
+  if (!query) {
+    console.error('Usage: vite-node scripts/sparql.js -- [--data <dir>] (<query file or example> | --query <SPARQL> | --serve)')
+    process.exit(2)
+  }
+
+  try {
+    const result = runSparql(store, query)
+    const output = process.argv.includes('--json') ? serializeSparqlResult(result).body : formatSparqlTable(result)
+    process.stdout.write(output.endsWith('\n') ? output : `${output}\n`)
+  } catch (error) {
+    console.error(error.message || error)
+    process.exit(1)
+  }
+}
@@ -0,0 +1,192 @@
+/**
+ * Entity Catalogue - Where each entity type lives in data-herbapedia
+ *
+ * Shared between the GraphBrowserAdapter (browser, via import.meta.glob) and
+ * the SSG route generation in vite.config.js (Node, via fs) so that
+ * pre-rendered routes cover exactly the entities the adapter loads.
+ * Paths are relative to the data-herbapedia root and must stay in sync with
+ * the import.meta.glob patterns in graphBrowser.ts.
+ *
+ * This module, like every module under src/api, must stay free of browser-
+ * and Node-only imports.
+ */
+
+// ============================================================================
+// Site
+// ============================================================================
+
+/** Public origin the pre-rendered site is served from (canonical URLs, sitemaps) */
+export const SITE_URL = 'https://www.herbapedia.org'
+
+// ============================================================================
+// Type Definitions
+// ============================================================================
+
+export type SpeciesType = 'plant' | 'fungi' | 'algae'
+
+export interface EntityCollection {
+  /** Directory holding one sub-directory per entity */
+  dir: string
+  /** File name inside each entity directory */
+  file: string
+  /** Route pattern(s) the entity is rendered under (without locale prefix) */
+  routes: string[]
+  /** Optional per-entity route selection (e.g. botanical species by kingdom) */
+  routesFor?: (entity: { '@type'?: string | string[] }) => string[]
+}
+
+export interface ProfileCollection {
+  system: string
+  /** Directory holding one sub-directory per profile */
+  dir: string
+  file: string
+  /** Preparation property linking to profiles of this system */
+  linkProperty: string
+}
+
+export interface ReferenceCollection {
+  system: string
+  refType: string
+  /** JSON-LD file holding the vocabulary */
+  file: string
+  /** Container key holding the items */
+  container: '@graph' | 'members'
+}
+
+// ============================================================================
+// Species Classification
+// ============================================================================
+
+/**
+ * Decide whether a botanical species belongs to the plant, fungi or algae
+ * listing, based on its @type values. Used by the adapter's species queries.
+ */
+export function isSpeciesOfType(species: { '@type'?: string | string[] }, type: SpeciesType): boolean {
+  const types = Array.isArray(species['@type']) ? species['@type'] : [species['@type']]
+  const typeStr = types.join(' ').toLowerCase()
+
+  switch (type) {
+    case 'plant':
+      return typeStr.includes('plantspecies') ||
+             (typeStr.includes('botany') && !typeStr.includes('fungal') && !typeStr.includes('algal'))
+    case 'fungi':
+      return typeStr.includes('fungal') || typeStr.includes('fungi') || typeStr.includes('mycology')
+    case 'algae':
+      return typeStr.includes('algal') || typeStr.includes('algae') || typeStr.includes('phycology')
+    default:
+      return false
+  }
+}
+
+// ============================================================================
+// Catalogue
+// ============================================================================
+
+const SPECIES_ROUTES: Record<SpeciesType, string> = {
+  plant: '/sources/botanical/:slug',
+  fungi: '/sources/fungi/:slug',
+  algae: '/sources/algae/:slug'
+}
+
+export const ENTITY_COLLECTIONS: EntityCollection[] = [
+  { dir: 'entities/preparations', file: 'entity.jsonld', routes: ['/preparations/:slug'] },
+  {
+    dir: 'entities/botanical/species',
+    file: 'entity.jsonld',
+    routes: Object.values(SPECIES_ROUTES),
+    routesFor: (entity) => (Object.keys(SPECIES_ROUTES) as SpeciesType[])
+      .filter(type => isSpeciesOfType(entity, type))
+      .map(type => SPECIES_ROUTES[type])
+  },
+  { dir: 'entities/botanical/parts', file: 'entity.jsonld', routes: ['/sources/parts/:slug'] },
+  { dir: 'entities/botanical/barcodes', file: 'entity.jsonld', routes: ['/sources/barcodes/:slug'] },
+  { dir: 'entities/botanical/chemicals', file: 'entity.jsonld', routes: ['/compounds/:slug'] },
+  { dir: 'entities/sources/zoological', file: 'entity.jsonld', routes: ['/sources/zoological/:slug'] },
+  { dir: 'entities/sources/mineral', file: 'entity.jsonld', routes: ['/sources/mineral/:slug'] },
+  { dir: 'entities/sources/chemical', file: 'entity.jsonld', routes: ['/sources/chemical/:slug'] },
+  { dir: 'entities/formulas', file: 'entity.jsonld', routes: ['/formulas/:slug'] }
+]
+
+export const PROFILE_COLLECTIONS: ProfileCollection[] = [
+  { system: 'tcm', dir: 'profiles/tcm', file: 'profile.jsonld', linkProperty: 'hasTCMProfile' },
+  { system: 'western', dir: 'profiles/western', file: 'profile.jsonld', linkProperty: 'hasWesternProfile' },
+  { system: 'ayurveda', dir: 'profiles/ayurveda', file: 'profile.jsonld', linkProperty: 'hasAyurvedaProfile' },
+  { system: 'unani', dir: 'profiles/unani', file: 'profile.jsonld', linkProperty: 'hasUnaniProfile' },
+  { system: 'mongolian', dir: 'profiles/mongolian', file: 'profile.jsonld', linkProperty: 'hasMongolianProfile' }
+]
+
+export const SYSTEM_SLUGS = ['tcm', 'western', 'ayurveda', 'unani', 'mongolian', 'modern']
+
+export const REFERENCE_COLLECTIONS: ReferenceCollection[] = [
+  // TCM
+  { system: 'tcm', refType: 'natures', file: 'systems/tcm/reference/natures.jsonld', container: '@graph' },
+  { system: 'tcm', refType: 'flavors', file: 'systems/tcm/flavors.jsonld', container: '@graph' },
+  { system: 'tcm', refType: 'meridians', file: 'systems/tcm/reference/meridians.jsonld', container: '@graph' },
+  { system: 'tcm', refType: 'categories', file: 'systems/tcm/reference/categories.jsonld', container: '@graph' },
+  { system: 'tcm', refType: 'tcm-actions', file: 'systems/tcm/reference/actions.jsonld', container: '@graph' },
+  // Western
+  { system: 'western', refType: 'actions', file: 'systems/western/reference/actions.jsonld', container: '@graph' },
+  { system: 'western', refType: 'organs', file: 'systems/western/reference/organs.jsonld', container: '@graph' },
+  { system: 'western', refType: 'systems', file: 'systems/western/reference/systems.jsonld', container: '@graph' },
+  // Ayurveda
+  { system: 'ayurveda', refType: 'rasa', file: 'systems/ayurveda/rasas.jsonld', container: '@graph' },
+  { system: 'ayurveda', refType: 'guna', file: 'systems/ayurveda/gunas.jsonld', container: '@graph' },
+  { system: 'ayurveda', refType: 'virya', file: 'systems/ayurveda/viryas.jsonld', container: '@graph' },
+  { system: 'ayurveda', refType: 'vipaka', file: 'systems/ayurveda/vipakas.jsonld', container: '@graph' },
+  { system: 'ayurveda', refType: 'doshas', file: 'systems/ayurveda/doshas.jsonld', container: '@graph' },
+  { system: 'ayurveda', refType: 'karmas', file: 'systems/ayurveda/reference/karmas.jsonld', container: '@graph' },
+  { system: 'ayurveda', refType: 'mahabhutas', file: 'systems/ayurveda/reference/mahabhutas.jsonld', container: '@graph' },
+  { system: 'ayurveda', refType: 'ayurveda-categories', file: 'systems/ayurveda/reference/categories.jsonld', container: '@graph' },
+  { system: 'ayurveda', refType: 'prabhavas', file: 'systems/ayurveda/reference/prabhavas.jsonld', container: '@graph' },
+  // Unani
+  { system: 'unani', refType: 'temperaments', file: 'systems/unani/reference/temperaments.jsonld', container: '@graph' },
+  { system: 'unani', refType: 'unani-elements', file: 'systems/unani/reference/elements.jsonld', container: '@graph' },
+  { system: 'unani', refType: 'degrees', file: 'systems/unani/reference/degrees.jsonld', container: '@graph' },
+  // Mongolian
+  { system: 'mongolian', refType: 'elements', file: 'systems/mongolian/reference/elements.jsonld', container: '@graph' },
+  { system: 'mongolian', refType: 'tastes', file: 'systems/mongolian/reference/tastes.jsonld', container: '@graph' },
+  { system: 'mongolian', refType: 'roots', file: 'systems/mongolian/reference/roots.jsonld', container: '@graph' },
+  { system: 'mongolian', refType: 'potencies', file: 'systems/mongolian/reference/potencies.jsonld', container: '@graph' },
+  // Herbal vocabulary
+  { system: 'herbal', refType: 'forms', file: 'schema/vocab/herbal/forms.jsonld', container: 'members' },
+  { system: 'herbal', refType: 'methods', file: 'schema/vocab/herbal/methods.jsonld', container: 'members' }
+]
+
+// ============================================================================
+// Entity Files
+// ============================================================================
+
+/**
+ * File of each per-entity collection of DATASET_SCHEMAS, by collection
+ * name, with `*` for the entity's directory (its slug). The async graph
+ * API (graphLoader.ts) keys its import.meta.glob results by these.
+ */
+export const ENTITY_FILE_PATHS: Record<string, string> = {
+  preparations: 'entities/preparations/*/entity.jsonld',
+  species: 'entities/botanical/species/*/entity.jsonld',
+  parts: 'entities/botanical/parts/*/entity.jsonld',
+  chemicals: 'entities/botanical/chemicals/*/entity.jsonld',
+  'chemical-profiles': 'entities/botanical/profiles/*/entity.jsonld',
+  barcodes: 'entities/botanical/barcodes/*/entity.jsonld',
+  'zoological-sources': 'entities/sources/zoological/*/entity.jsonld',
+  'mineral-sources': 'entities/sources/mineral/*/entity.jsonld',
+  'chemical-sources': 'entities/sources/chemical/*/entity.jsonld',
+  formulas: 'entities/formulas/*/entity.jsonld',
+  'tcm-profiles': 'profiles/tcm/*/profile.jsonld',
+  'western-profiles': 'profiles/western/*/profile.jsonld',
+  'ayurveda-profiles': 'profiles/ayurveda/*/profile.jsonld',
+  'unani-profiles': 'profiles/unani/*/profile.jsonld',
+  'mongolian-profiles': 'profiles/mongolian/*/profile.jsonld',
+  'modern-profiles': 'systems/modern/substances/*/profiles.jsonld'
+}
+
+// ============================================================================
+// Lazily Loaded Collections
+// ============================================================================
+
+/**
+ * DATASET_SCHEMAS collections only the async graph API (graphLoader.ts)
+ * serves: the GraphBrowserAdapter leaves them out and the build keeps one
+ * chunk per entity, so a page fetches just the compounds or barcodes it shows
+ */
+export const GRAPH_ONLY_COLLECTIONS = ['chemicals', 'chemical-profiles', 'barcodes']
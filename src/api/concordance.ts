@@ -0,0 +1,225 @@
+/**
+ * Concordance - Cross-system agreement of thermal and taste properties
+ *
+ * Each system names thermal character and taste in its own vocabulary
+ * (TCM nature "warm", Ayurveda virya "ushna", Unani temperament "hot-dry",
+ * Mongolian potency "hot"). To compare them, every reference value is folded
+ * onto a shared axis by the words in its slug:
+ * - thermal: warming / neutral / cooling
+ * - taste: sweet / sour / salty / pungent / bitter / astringent / bland
+ * Values that carry no thermal or taste meaning (e.g. the Mongolian potency
+ * "heavy") fold to nothing and count as unclassified.
+ *
+ * tabulateConcordance() takes one record per preparation and builds, for
+ * every pair of properties on the same axis, a co-occurrence matrix plus how
+ * many preparations agree (share a folded value) or disagree (both folded,
+ * nothing shared).
+ *
+ * @example
+ * const { pairs } = tabulateConcordance(records, 'thermal')
+ * // pairs[0]: { a: tcm.hasNature, b: ayurveda.hasVirya, agreements: 12, disagreements: 3, ... }
+ */
+
+// ============================================================================
+// Type Definitions
+// ============================================================================
+
+export type ConcordanceDimension = 'thermal' | 'taste'
+
+export interface ConcordanceProperty {
+  system: string
+  property: string
+}
+
+/** Values of one preparation, keyed by `${system}.${property}` (see propertyKey) */
+export interface ConcordanceRecord {
+  preparation: string
+  values: Record<string, string[]>
+}
+
+export interface ConcordanceCell {
+  a: string
+  b: string
+  preparations: string[]
+  /** Whether the two values fold to the same class; null when either is unclassified */
+  agrees: boolean | null
+}
+
+export interface ConcordancePreparation {
+  preparation: string
+  a: string[]
+  b: string[]
+  agrees: boolean | null
+}
+
+export interface ConcordancePair {
+  a: ConcordanceProperty
+  b: ConcordanceProperty
+  /** Distinct values seen on each side, in first-seen order */
+  rows: string[]
+  columns: string[]
+  cells: ConcordanceCell[]
+  preparations: ConcordancePreparation[]
+  agreements: number
+  disagreements: number
+  unclassified: number
+}
+
+export interface ConcordanceResult {
+  dimension: ConcordanceDimension
+  /** Preparations with profiles in two or more systems */
+  preparationCount: number
+  pairs: ConcordancePair[]
+}
+
+// ============================================================================
+// Axes
+// ============================================================================
+
+export const CONCORDANCE_PROPERTIES: Record<ConcordanceDimension, ConcordanceProperty[]> = {
+  thermal: [
+    { system: 'tcm', property: 'hasNature' },
+    { system: 'ayurveda', property: 'hasVirya' },
+    { system: 'unani', property: 'hasTemperament' },
+    { system: 'mongolian', property: 'hasPotency' }
+  ],
+  taste: [
+    { system: 'tcm', property: 'hasFlavor' },
+    { system: 'ayurveda', property: 'hasRasa' },
+    { system: 'mongolian', property: 'hasTaste' }
+  ]
+}
+
+// Slug words per class, in English, Sanskrit transliteration and pinyin
+const CLASS_WORDS: Record<ConcordanceDimension, Record<string, string[]>> = {
+  thermal: {
+    warming: ['hot', 'warm', 'heating', 'warming', 'ushna', 're', 'wen'],
+    neutral: ['neutral', 'balanced', 'temperate', 'moderate', 'ping'],
+    cooling: ['cold', 'cool', 'cooling', 'shita', 'sheeta', 'han', 'liang']
+  },
+  taste: {
+    sweet: ['sweet', 'madhura', 'gan'],
+    sour: ['sour', 'amla', 'suan'],
+    salty: ['salty', 'salt', 'lavana', 'xian'],
+    pungent: ['pungent', 'acrid', 'spicy', 'katu', 'xin'],
+    bitter: ['bitter', 'tikta', 'ku'],
+    astringent: ['astringent', 'kashaya', 'se'],
+    bland: ['bland', 'dan']
+  }
+}
+
+export const CONCORDANCE_CLASSES: Record<ConcordanceDimension, string[]> = {
+  thermal: Object.keys(CLASS_WORDS.thermal),
+  taste: Object.keys(CLASS_WORDS.taste)
+}
+
+export function propertyKey(property: ConcordanceProperty): string {
+  return `${property.system}.${property.property}`
+}
+
+/**
+ * Fold a reference value (IRI or slug) onto the dimension's shared axis
+ */
+export function classifyValue(dimension: ConcordanceDimension, value: string): string | null {
+  const slug = value.replace(/[#?].*$/, '').split('/').filter(Boolean).pop() || ''
+  const words = slug.toLowerCase().split(/[-_\s]+/)
+  for (const [cls, synonyms] of Object.entries(CLASS_WORDS[dimension])) {
+    if (words.some(word => synonyms.includes(word))) return cls
+  }
+  return null
+}
+
+// ============================================================================
+// Tabulation
+// ============================================================================
+
+function classesOf(dimension: ConcordanceDimension, values: string[]): Set<string> {
+  const classes = new Set<string>()
+  for (const value of values) {
+    const cls = classifyValue(dimension, value)
+    if (cls) classes.add(cls)
+  }
+  return classes
+}
+
+// Agree when the two sides share a class; unknown when either side has none
+function compareSides(dimension: ConcordanceDimension, a: string[], b: string[]): boolean | null {
+  const classesA = classesOf(dimension, a)
+  const classesB = classesOf(dimension, b)
+  if (classesA.size === 0 || classesB.size === 0) return null
+  return [...classesA].some(cls => classesB.has(cls))
+}
+
+function tabulatePair(
+  dimension: ConcordanceDimension,
+  a: ConcordanceProperty,
+  b: ConcordanceProperty,
+  records: ConcordanceRecord[]
+): ConcordancePair {
+  const keyA = propertyKey(a)
+  const keyB = propertyKey(b)
+  const rows: string[] = []
+  const columns: string[] = []
+  const cells = new Map<string, ConcordanceCell>()
+  const preparations: ConcordancePreparation[] = []
+
+  for (const record of records) {
+    const valuesA = record.values[keyA] || []
+    const valuesB = record.values[keyB] || []
+    if (valuesA.length === 0 || valuesB.length === 0) continue
+
+    for (const valueA of valuesA) {
+      if (!rows.includes(valueA)) rows.push(valueA)
+      for (const valueB of valuesB) {
+        if (!columns.includes(valueB)) columns.push(valueB)
+        const cellKey = `${valueA}\n${valueB}`
+        let cell = cells.get(cellKey)
+        if (!cell) {
+          cell = { a: valueA, b: valueB, preparations: [], agrees: compareSides(dimension, [valueA], [valueB]) }
+          cells.set(cellKey, cell)
+        }
+        cell.preparations.push(record.preparation)
+      }
+    }
+
+    preparations.push({
+      preparation: record.preparation,
+      a: valuesA,
+      b: valuesB,
+      agrees: compareSides(dimension, valuesA, valuesB)
+    })
+  }
+
+  return {
+    a,
+    b,
+    rows,
+    columns,
+    cells: Array.from(cells.values()),
+    preparations,
+    agreements: preparations.filter(p => p.agrees === true).length,
+    disagreements: preparations.filter(p => p.agrees === false).length,
+    unclassified: preparations.filter(p => p.agrees === null).length
+  }
+}
+
+/**
+ * Build co-occurrence tables for every pair of properties on one axis.
+ * Pairs no preparation has values for on both sides are left out.
+ */
+export function tabulateConcordance(
+  records: ConcordanceRecord[],
+  dimension: ConcordanceDimension
+): ConcordanceResult {
+  const properties = CONCORDANCE_PROPERTIES[dimension]
+  const pairs: ConcordancePair[] = []
+
+  for (let i = 0; i < properties.length; i++) {
+    for (let j = i + 1; j < properties.length; j++) {
+      const pair = tabulatePair(dimension, properties[i], properties[j], records)
+      if (pair.preparations.length > 0) pairs.push(pair)
+    }
+  }
+
+  return { dimension, preparationCount: records.length, pairs }
+}
@@ -0,0 +1,273 @@
+/**
+ * Formula Checks - Safety warnings for a drafted formula
+ *
+ * checkFormula() looks at the ingredients of a draft together and reports:
+ * - the classical "eighteen incompatibilities" (十八反) and "nineteen
+ *   antagonisms" (十九畏) pairs, matched by pinyin or hanzi name
+ * - pairs named in an ingredient's TCM profile `incompatibilities` text
+ * - pregnancy cautions from `safetyInfo.pregnancySafety`
+ * - doses above the range in the TCM profile `dosage` text ("3–9 g")
+ *
+ * Herb groups cover the processed forms and species that classical texts
+ * treat as one herb (烏頭 covers 川烏, 草烏 and 附子; 芍藥 covers 白芍 and 赤芍).
+ *
+ * @example
+ * const issues = checkFormula([gancao, gansui])
+ * // [{ kind: 'eighteen', severity: 'danger', ingredients: ['licorice-root', 'kansui-root'], ... }]
+ */
+
+import type { LanguageMap } from '@herbapedia/data/types'
+import { normalizeSearchText, pinyinSyllables } from './searchText'
+
+// ============================================================================
+// Type Definitions
+// ============================================================================
+
+export interface CheckIngredient {
+  slug: string
+  pinyin?: string
+  hanzi?: string[]
+  /** Names in any language, for matching incompatibility text */
+  names?: string[]
+  /** Drafted dose in grams */
+  dose?: number
+  dosage?: LanguageMap | string
+  incompatibilities?: LanguageMap | string
+  pregnancySafety?: LanguageMap | string
+}
+
+export type FormulaIssueKind = 'eighteen' | 'nineteen' | 'incompatibility' | 'pregnancy' | 'dosage'
+
+export type FormulaIssueSeverity = 'danger' | 'caution'
+
+export interface FormulaIssue {
+  kind: FormulaIssueKind
+  severity: FormulaIssueSeverity
+  /** Slugs of the ingredients involved */
+  ingredients: string[]
+  /** Classical herb groups of a pair rule, e.g. ['甘草', '甘遂'] */
+  herbs?: [string, string]
+  /** The profile text the issue comes from */
+  detail?: LanguageMap | string
+  range?: DoseRange
+}
+
+export interface DoseRange {
+  min: number
+  max: number
+}
+
+interface HerbGroup {
+  name: string
+  pinyin: string[]
+  hanzi: string[]
+}
+
+// ============================================================================
+// Classical Pairs
+// ============================================================================
+
+const HERBS: Record<string, HerbGroup> = {
+  gancao: { name: '甘草', pinyin: ['gancao', 'zhigancao'], hanzi: ['甘草', '炙甘草'] },
+  gansui: { name: '甘遂', pinyin: ['gansui'], hanzi: ['甘遂'] },
+  daji: { name: '大戟', pinyin: ['daji', 'jingdaji', 'hongdaji'], hanzi: ['大戟', '京大戟', '紅大戟', '红大戟'] },
+  haizao: { name: '海藻', pinyin: ['haizao'], hanzi: ['海藻'] },
+  yuanhua: { name: '芫花', pinyin: ['yuanhua'], hanzi: ['芫花'] },
+  wutou: {
+    name: '烏頭',
+    pinyin: ['wutou', 'chuanwu', 'caowu', 'zhichuanwu', 'zhicaowu', 'fuzi', 'zhifuzi'],
+    hanzi: ['烏頭', '乌头', '川烏', '川乌', '草烏', '草乌', '製川烏', '制川乌', '製草烏', '制草乌', '附子', '製附子', '制附子']
+  },
+  beimu: {
+    name: '貝母',
+    pinyin: ['beimu', 'chuanbeimu', 'zhebeimu', 'pingbeimu', 'yibeimu'],
+    hanzi: ['貝母', '贝母', '川貝母', '川贝母', '浙貝母', '浙贝母', '平貝母', '平贝母', '伊貝母', '伊贝母']
+  },
+  gualou: {
+    name: '瓜蔞',
+    pinyin: ['gualou', 'quangualou', 'gualoupi', 'gualouzi', 'gualouren', 'tianhuafen'],
+    hanzi: ['瓜蔞', '瓜蒌', '全瓜蔞', '全瓜蒌', '瓜蔞皮', '瓜蒌皮', '瓜蔞子', '瓜蒌子', '瓜蔞仁', '瓜蒌仁', '天花粉']
+  },
+  banxia: {
+    name: '半夏',
+    pinyin: ['banxia', 'fabanxia', 'jiangbanxia', 'qingbanxia'],
+    hanzi: ['半夏', '法半夏', '薑半夏', '姜半夏', '清半夏']
+  },
+  bailian: { name: '白蘞', pinyin: ['bailian'], hanzi: ['白蘞', '白蔹'] },
+  baiji: { name: '白及', pinyin: ['baiji'], hanzi: ['白及', '白芨'] },
+  lilu: { name: '藜蘆', pinyin: ['lilu'], hanzi: ['藜蘆', '藜芦'] },
+  renshen: {
+    name: '人參',
+    pinyin: ['renshen', 'hongshen', 'shengshaishen'],
+    hanzi: ['人參', '人参', '紅參', '红参', '生曬參', '生晒参']
+  },
+  shashen: {
+    name: '沙參',
+    pinyin: ['shashen', 'nanshashen', 'beishashen'],
+    hanzi: ['沙參', '沙参', '南沙參', '南沙参', '北沙參', '北沙参']
+  },
+  danshen: { name: '丹參', pinyin: ['danshen'], hanzi: ['丹參', '丹参'] },
+  xuanshen: { name: '玄參', pinyin: ['xuanshen'], hanzi: ['玄參', '玄参'] },
+  kushen: { name: '苦參', pinyin: ['kushen'], hanzi: ['苦參', '苦参'] },
+  xixin: { name: '細辛', pinyin: ['xixin'], hanzi: ['細辛', '细辛'] },
+  shaoyao: { name: '芍藥', pinyin: ['shaoyao', 'baishao', 'chishao'], hanzi: ['芍藥', '芍药', '白芍', '赤芍'] },
+  liuhuang: { name: '硫黃', pinyin: ['liuhuang'], hanzi: ['硫黃', '硫黄'] },
+  poxiao: { name: '朴硝', pinyin: ['poxiao', 'mangxiao', 'xuanmingfen'], hanzi: ['朴硝', '芒硝', '玄明粉'] },
+  shuiyin: { name: '水銀', pinyin: ['shuiyin'], hanzi: ['水銀', '水银'] },
+  pishuang: { name: '砒霜', pinyin: ['pishuang', 'pishi'], hanzi: ['砒霜', '砒石'] },
+  langdu: { name: '狼毒', pinyin: ['langdu'], hanzi: ['狼毒'] },
+  mituoseng: { name: '密陀僧', pinyin: ['mituoseng'], hanzi: ['密陀僧'] },
+  badou: { name: '巴豆', pinyin: ['badou', 'badoushuang'], hanzi: ['巴豆', '巴豆霜'] },
+  qianniu: {
+    name: '牽牛',
+    pinyin: ['qianniu', 'qianniuzi', 'heichou', 'baichou'],
+    hanzi: ['牽牛', '牵牛', '牽牛子', '牵牛子', '黑丑', '白丑']
+  },
+  dingxiang: { name: '丁香', pinyin: ['dingxiang', 'gongdingxiang', 'mudingxiang'], hanzi: ['丁香', '公丁香', '母丁香'] },
+  yujin: { name: '鬱金', pinyin: ['yujin'], hanzi: ['鬱金', '郁金'] },
+  chuanwu: {
+    name: '川烏',
+    pinyin: ['wutou', 'chuanwu', 'caowu', 'zhichuanwu', 'zhicaowu'],
+    hanzi: ['烏頭', '乌头', '川烏', '川乌', '草烏', '草乌', '製川烏', '制川乌', '製草烏', '制草乌']
+  },
+  xijiao: { name: '犀角', pinyin: ['xijiao'], hanzi: ['犀角'] },
+  yaxiao: { name: '牙硝', pinyin: ['yaxiao', 'mangxiao'], hanzi: ['牙硝', '芒硝'] },
+  sanleng: { name: '三稜', pinyin: ['sanleng'], hanzi: ['三稜', '三棱'] },
+  guangui: { name: '官桂', pinyin: ['guangui', 'rougui'], hanzi: ['官桂', '肉桂'] },
+  chishizhi: { name: '赤石脂', pinyin: ['chishizhi'], hanzi: ['赤石脂'] },
+  wulingzhi: { name: '五靈脂', pinyin: ['wulingzhi'], hanzi: ['五靈脂', '五灵脂'] }
+}
+
+// 十八反: the first herb of each rule clashes with each of the others
+const EIGHTEEN_INCOMPATIBILITIES: Array<[string, string[]]> = [
+  ['gancao', ['gansui', 'daji', 'haizao', 'yuanhua']],
+  ['wutou', ['beimu', 'gualou', 'banxia', 'bailian', 'baiji']],
+  ['lilu', ['renshen', 'shashen', 'danshen', 'xuanshen', 'kushen', 'xixin', 'shaoyao']]
+]
+
+// 十九畏
+const NINETEEN_ANTAGONISMS: Array<[string, string]> = [
+  ['liuhuang', 'poxiao'],
+  ['shuiyin', 'pishuang'],
+  ['langdu', 'mituoseng'],
+  ['badou', 'qianniu'],
+  ['dingxiang', 'yujin'],
+  ['chuanwu', 'xijiao'],
+  ['yaxiao', 'sanleng'],
+  ['guangui', 'chishizhi'],
+  ['renshen', 'wulingzhi']
+]
+
+export const CLASSICAL_PAIRS: Array<{ kind: 'eighteen' | 'nineteen'; herbs: [string, string] }> = [
+  ...EIGHTEEN_INCOMPATIBILITIES.flatMap(([herb, others]) =>
+    others.map(other => ({ kind: 'eighteen' as const, herbs: [herb, other] as [string, string] }))
+  ),
+  ...NINETEEN_ANTAGONISMS.map(herbs => ({ kind: 'nineteen' as const, herbs }))
+]
+
+function compactPinyin(pinyin: string | undefined): string | null {
+  if (!pinyin) return null
+  return pinyinSyllables(pinyin)?.join('') || null
+}
+
+function isHerb(ingredient: CheckIngredient, herb: HerbGroup): boolean {
+  const pinyin = compactPinyin(ingredient.pinyin)
+  if (pinyin && herb.pinyin.includes(pinyin)) return true
+  return (ingredient.hanzi || []).some(name => herb.hanzi.includes(name.trim()))
+}
+
+// ============================================================================
+// Profile Text
+// ============================================================================
+
+function texts(value: LanguageMap | string | undefined): string[] {
+  if (!value) return []
+  if (typeof value === 'string') return [value]
+  return Object.values(value).filter((text): text is string => typeof text === 'string' && text.length > 0)
+}
+
+/**
+ * Dose range in grams from profile dosage text: "3–9 g", "3-9g", "3～9克",
+ * or an upper limit alone ("up to 6 g")
+ */
+export function parseDoseRange(dosage: LanguageMap | string | undefined): DoseRange | null {
+  for (const text of texts(dosage)) {
+    const range = text.match(/(\d+(?:\.\d+)?)\s*(?:g|克)?\s*(?:-|–|—|~|～|至|到|to)\s*(\d+(?:\.\d+)?)\s*(?:g\b|grams?|克)/i)
+    if (range) return { min: Number(range[1]), max: Number(range[2]) }
+    const single = text.match(/(\d+(?:\.\d+)?)\s*(?:g\b|grams?|克)/i)
+    if (single) return { min: 0, max: Number(single[1]) }
+  }
+  return null
+}
+
+// Does an incompatibility text name the other ingredient?
+function mentions(text: string, other: CheckIngredient): boolean {
+  const normalized = normalizeSearchText(text)
+  if ((other.hanzi || []).some(name => name.length >= 2 && text.includes(name))) return true
+  const pinyin = other.pinyin ? pinyinSyllables(other.pinyin)?.join(' ') : null
+  if (pinyin && normalized.includes(pinyin)) return true
+  return (other.names || []).some(name => name.length >= 4 && normalized.includes(normalizeSearchText(name)))
+}
+
+const CONTRAINDICATED = /contraindicat|avoid|do not use|not be used|unsafe|禁|忌/i
+const SAFE = /^\s*(generally |likely |considered )?safe\b|^\s*(無|无)/i
+
+// ============================================================================
+// Checks
+// ============================================================================
+
+export function checkFormula(ingredients: CheckIngredient[]): FormulaIssue[] {
+  const issues: FormulaIssue[] = []
+
+  // Classical pairs
+  for (const rule of CLASSICAL_PAIRS) {
+    const [herbA, herbB] = rule.herbs.map(id => HERBS[id])
+    const withA = ingredients.filter(i => isHerb(i, herbA))
+    const withB = ingredients.filter(i => isHerb(i, herbB))
+    for (const a of withA) {
+      for (const b of withB) {
+        if (a.slug === b.slug) continue
+        issues.push({ kind: rule.kind, severity: 'danger', ingredients: [a.slug, b.slug], herbs: [herbA.name, herbB.name] })
+      }
+    }
+  }
+
+  // Profile incompatibilities naming another ingredient
+  for (const ingredient of ingredients) {
+    const profileTexts = texts(ingredient.incompatibilities)
+    for (const other of ingredients) {
+      if (other.slug === ingredient.slug) continue
+      if (profileTexts.some(text => mentions(text, other))) {
+        issues.push({
+          kind: 'incompatibility',
+          severity: 'danger',
+          ingredients: [ingredient.slug, other.slug],
+          detail: ingredient.incompatibilities
+        })
+      }
+    }
+  }
+
+  // Pregnancy
+  for (const ingredient of ingredients) {
+    const statements = texts(ingredient.pregnancySafety)
+    if (statements.length === 0 || statements.every(text => SAFE.test(text))) continue
+    issues.push({
+      kind: 'pregnancy',
+      severity: statements.some(text => CONTRAINDICATED.test(text)) ? 'danger' : 'caution',
+      ingredients: [ingredient.slug],
+      detail: ingredient.pregnancySafety
+    })
+  }
+
+  // Doses over the profile range
+  for (const ingredient of ingredients) {
+    if (!ingredient.dose) continue
+    const range = parseDoseRange(ingredient.dosage)
+    if (range && ingredient.dose > range.max) {
+      issues.push({ kind: 'dosage', severity: 'caution', ingredients: [ingredient.slug], detail: ingredient.dosage, range })
+    }
+  }
+
+  return issues
+}
@@ -0,0 +1,186 @@
+/**
+ * Formula Composition - Formula-level summary of the ingredients' TCM profiles
+ *
+ * summarizeComposition() takes the resolved ingredients of a formula and
+ * tallies the natures, flavors and meridians of their TCM profiles, and
+ * collects every ingredient's contraindications and safety warnings.
+ *
+ * Ingredient references in formula JSON-LD may carry a role in the
+ * monarch/minister/assistant/envoy (君臣佐使) hierarchy and a dosage:
+ *
+ *   { "@id": ".../preparation/ginseng-root", "role": "monarch",
+ *     "dosage": { "value": 9, "unitText": "g" } }
+ *
+ * normalizeRole() and normalizeDosage() accept the spellings found in the
+ * data (English, pinyin, hanzi, role IRIs; plain strings, numbers,
+ * language maps and QuantitativeValue-style objects).
+ *
+ * @example
+ * const summary = summarizeComposition(ingredients)
+ * // summary.natures: [{ id: '.../nature/warm', count: 3, ingredients: [...] }, ...]
+ */
+
+import type { LanguageMap } from '@herbapedia/data/types'
+
+// ============================================================================
+// Type Definitions
+// ============================================================================
+
+export type IngredientRole = 'monarch' | 'minister' | 'assistant' | 'envoy'
+
+export interface IngredientDosage {
+  value?: number
+  /** Upper bound of a range such as "3-9 g" */
+  maxValue?: number
+  unit?: string
+  /** Free-text dosage when it isn't a plain quantity */
+  text?: LanguageMap | string
+}
+
+export interface CompositionIngredient {
+  slug: string
+  role: IngredientRole | null
+  dosage: IngredientDosage | null
+  /** Reference item IRIs from the ingredient's TCM profile */
+  nature: string | null
+  flavors: string[]
+  meridians: string[]
+  contraindications: Array<LanguageMap | string>
+  warnings: Array<LanguageMap | string>
+}
+
+export interface CompositionTally {
+  id: string
+  count: number
+  /** Slugs of the ingredients contributing the value */
+  ingredients: string[]
+}
+
+export interface CompositionNote {
+  slug: string
+  text: LanguageMap | string
+}
+
+export interface CompositionSummary {
+  ingredientCount: number
+  /** Ingredients with a TCM profile, the denominator of the distributions */
+  profiledCount: number
+  natures: CompositionTally[]
+  flavors: CompositionTally[]
+  meridians: CompositionTally[]
+  contraindications: CompositionNote[]
+  warnings: CompositionNote[]
+  roles: Record<IngredientRole, string[]>
+}
+
+// ============================================================================
+// Roles and Dosage
+// ============================================================================
+
+export const INGREDIENT_ROLES: IngredientRole[] = ['monarch', 'minister', 'assistant', 'envoy']
+
+const ROLE_ALIASES: Record<IngredientRole, string[]> = {
+  monarch: ['monarch', 'sovereign', 'king', 'emperor', 'chief', 'jun', '君', '君藥', '君药'],
+  minister: ['minister', 'deputy', 'chen', '臣', '臣藥', '臣药'],
+  assistant: ['assistant', 'adjuvant', 'zuo', '佐', '佐藥', '佐药'],
+  envoy: ['envoy', 'courier', 'guide', 'messenger', 'shi', '使', '使藥', '使药']
+}
+
+/**
+ * Role of an ingredient from a string, an IRI or an IRI reference
+ */
+export function normalizeRole(role: unknown): IngredientRole | null {
+  const raw = typeof role === 'object' && role !== null ? (role as { '@id'?: string })['@id'] : role
+  if (typeof raw !== 'string') return null
+  const name = (raw.split('/').pop() || '').trim().toLowerCase()
+  for (const cls of INGREDIENT_ROLES) {
+    if (ROLE_ALIASES[cls].includes(name)) return cls
+  }
+  return null
+}
+
+/**
+ * Dosage of an ingredient. Strings like "9 g" or "3-9g" are parsed into a
+ * quantity; anything else is kept as text.
+ */
+export function normalizeDosage(dosage: unknown, unit?: string): IngredientDosage | null {
+  if (dosage === null || dosage === undefined || dosage === '') return null
+
+  if (typeof dosage === 'number') return { value: dosage, unit }
+
+  if (typeof dosage === 'string') {
+    const match = dosage.trim().match(/^(\d+(?:\.\d+)?)(?:\s*[-–~]\s*(\d+(?:\.\d+)?))?\s*([^\d\s].*)?$/)
+    if (!match) return { text: dosage }
+    return {
+      value: Number(match[1]),
+      maxValue: match[2] ? Number(match[2]) : undefined,
+      unit: match[3]?.trim() || unit
+    }
+  }
+
+  if (typeof dosage === 'object') {
+    const quantity = dosage as Record<string, unknown>
+    if (typeof quantity.value === 'number' || typeof quantity.minValue === 'number') {
+      return {
+        value: (quantity.value ?? quantity.minValue) as number,
+        maxValue: typeof quantity.maxValue === 'number' ? quantity.maxValue : undefined,
+        unit: (quantity.unitText || quantity.unit || unit) as string | undefined
+      }
+    }
+    return { text: dosage as LanguageMap }
+  }
+
+  return null
+}
+
+// ============================================================================
+// Summary
+// ============================================================================
+
+function tally(ingredients: CompositionIngredient[], values: (i: CompositionIngredient) => string[]): CompositionTally[] {
+  const tallies = new Map<string, CompositionTally>()
+  for (const ingredient of ingredients) {
+    for (const id of new Set(values(ingredient))) {
+      const entry = tallies.get(id) || { id, count: 0, ingredients: [] }
+      entry.count++
+      entry.ingredients.push(ingredient.slug)
+      tallies.set(id, entry)
+    }
+  }
+  // Most frequent first; ties keep first-seen order
+  return Array.from(tallies.values()).sort((a, b) => b.count - a.count)
+}
+
+function notes(ingredients: CompositionIngredient[], texts: (i: CompositionIngredient) => Array<LanguageMap | string>): CompositionNote[] {
+  return ingredients.flatMap(ingredient => texts(ingredient).map(text => ({ slug: ingredient.slug, text })))
+}
+
+/**
+ * Order ingredients monarch → minister → assistant → envoy, keeping the
+ * formula's own order within a role; ingredients without a role go last
+ */
+export function sortByRole<T extends { role: IngredientRole | null }>(ingredients: T[]): T[] {
+  const rank = (role: IngredientRole | null) => role ? INGREDIENT_ROLES.indexOf(role) : INGREDIENT_ROLES.length
+  return ingredients
+    .map((ingredient, index) => ({ ingredient, index }))
+    .sort((a, b) => rank(a.ingredient.role) - rank(b.ingredient.role) || a.index - b.index)
+    .map(entry => entry.ingredient)
+}
+
+export function summarizeComposition(ingredients: CompositionIngredient[]): CompositionSummary {
+  const roles = Object.fromEntries(INGREDIENT_ROLES.map(role => [role, [] as string[]])) as Record<IngredientRole, string[]>
+  for (const ingredient of ingredients) {
+    if (ingredient.role) roles[ingredient.role].push(ingredient.slug)
+  }
+
+  return {
+    ingredientCount: ingredients.length,
+    profiledCount: ingredients.filter(i => i.nature || i.flavors.length > 0 || i.meridians.length > 0).length,
+    natures: tally(ingredients, i => i.nature ? [i.nature] : []),
+    flavors: tally(ingredients, i => i.flavors),
+    meridians: tally(ingredients, i => i.meridians),
+    contraindications: notes(ingredients, i => i.contraindications),
+    warnings: notes(ingredients, i => i.warnings),
+    roles
+  }
+}
@@ -4,12 +4,55 @@
  * Replaces the old HerbapediaDatasetBrowser with the new Graph API.
  * Architecture: PlantSpecies -> PlantPart -> HerbalPreparation -> System Profiles
  *
+ * Queries are synchronous over data fetched by load(), which the router
+ * awaits before rendering a page that reads the dataset. Compounds,
+ * chemical profiles and DNA barcodes are not loaded here; pages fetch them
+ * one at a time through the async graph API (graphLoader.ts).
+ *
  * @example
  * import { dataset } from '@/api/graphBrowser'
+ * await dataset.load()
  * const prep = dataset.getPreparation('dried-ginger-rhizome')
  */
 
 import type { LanguageMap, IRIReference } from '@herbapedia/data/types'
+import { isSpeciesOfType } from './catalog'
+import { extractSlugFromIRI } from './iri'
+import { graph } from './graphLoader'
+import { buildHanziVariants, hanziVariantPairs, type HanziVariants } from './searchText'
+import { searchTaxa, type TaxonSearchResult } from './taxonSearch'
+import {
+  CONCORDANCE_PROPERTIES,
+  propertyKey,
+  tabulateConcordance,
+  type ConcordanceDimension,
+  type ConcordanceProperty,
+  type ConcordanceRecord,
+  type ConcordanceResult
+} from './concordance'
+import {
+  normalizeDosage,
+  normalizeRole,
+  summarizeComposition,
+  type CompositionIngredient,
+  type CompositionSummary
+} from './formulaComposition'
+import { checkFormula, type FormulaIssue } from './formulaChecks'
+import { summarizeSafety, SAFETY_CATEGORIES, type SafetyCategory, type SafetyNote, type SafetySummary } from './safety'
+import { referencesTo, type GraphReference } from './inverseIndex'
+import { createQueryGraph, runQuery, type GraphQuery, type QueryGraph, type QueryResult } from './graphQuery'
+import {
+  checkDrug,
+  createDrugResolver,
+  highestSeverity,
+  interactionMatches,
+  interactionsFromText,
+  iriOf,
+  type CheckedDrug,
+  type Drug,
+  type DrugInteraction,
+  type InteractionSeverity
+} from './interactions'
 
 // ============================================================================
 // Type Definitions
@@ -23,6 +66,9 @@ export interface Entity {
 
 export interface PlantSpecies extends Entity {
   scientificName?: string
+  // Taxonomic synonyms (older combinations / genus names) and the basionym
+  synonyms?: string[]
+  basionym?: string
   name?: LanguageMap
   commonName?: LanguageMap
   family?: string
@@ -58,6 +104,7 @@ export interface HerbalPreparation extends Entity {
   hasAyurvedaProfile?: IRIReference[]
   hasUnaniProfile?: IRIReference[]
   hasMongolianProfile?: IRIReference[]
+  hasModernProfile?: IRIReference[]
   relatedPreparations?: IRIReference[]
   safetyInfo?: {
     allergens?: string[]
@@ -84,6 +131,7 @@ export interface TCMProfile extends Entity {
   tcmHistory?: LanguageMap
   indications?: string[]
   contraindications?: LanguageMap
+  incompatibilities?: LanguageMap
   dosage?: LanguageMap
 }
 
@@ -263,16 +311,32 @@ export interface DNABarcode extends Entity {
   }
 }
 
+export interface FormulaIngredient extends IRIReference {
+  // Monarch/minister/assistant/envoy, as a name or role IRI (see formulaComposition.ts)
+  role?: string | IRIReference
+  dosage?: string | number | LanguageMap | { value?: number; minValue?: number; maxValue?: number; unitText?: string }
+  unitText?: string
+}
+
 export interface Formula extends Entity {
   name?: LanguageMap
   scientificName?: string
   description?: LanguageMap
   sourceType?: string
   sourceSubType?: string
-  ingredients?: IRIReference[]
+  ingredients?: FormulaIngredient[]
   image?: string
 }
 
+export interface ResolvedIngredient extends CompositionIngredient {
+  preparation: HerbalPreparation
+}
+
+export interface FormulaComposition {
+  ingredients: ResolvedIngredient[]
+  summary: CompositionSummary
+}
+
 export interface MedicalSystem {
   '@id': string
   '@type': string[]
@@ -316,50 +380,9 @@ export interface SourceMaterial extends Entity {
 }
 
 // ============================================================================
-// IRI Extraction Utilities (supports both OLD and NEW patterns)
+// IRI Extraction Utilities (slugs: see iri.ts)
 // ============================================================================
 
-/**
- * Extract slug from IRI, supporting both old and new patterns.
- *
- * OLD: https://www.herbapedia.org/entity/preparation/dried-ginger-rhizome
- * NEW: https://www.herbapedia.org/graph/preparation/dried-ginger-rhizome
- *
- * OLD: https://www.herbapedia.org/system/tcm/nature/hot
- * NEW: https://www.herbapedia.org/graph/vocab/tcm/nature/hot
- */
-function extractSlugFromIRI(iri: string): string {
-  if (!iri) return ''
-
-  // Skip external IRIs (wikidata, etc.)
-  if (!iri.includes('herbapedia.org')) {
-    return iri.split('/').pop() || ''
-  }
-
-  // NEW graph pattern: .../graph/{type}/{slug}
-  const graphMatch = iri.match(/\/graph\/[^/]+\/(.+)$/)
-  if (graphMatch) return graphMatch[1]
-
-  // NEW vocab pattern: .../graph/vocab/{system}/{type}/{value}
-  const vocabMatch = iri.match(/\/graph\/vocab\/[^/]+\/[^/]+\/(.+)$/)
-  if (vocabMatch) return vocabMatch[1]
-
-  // OLD entity pattern: .../entity/{category}/{type}/{slug}
-  const entityMatch = iri.match(/\/entity\/[^/]+\/[^/]+\/(.+)$/)
-  if (entityMatch) return entityMatch[1]
-
-  // OLD entity simple: .../entity/preparation/{slug}
-  const prepMatch = iri.match(/\/entity\/[^/]+\/(.+)$/)
-  if (prepMatch) return prepMatch[1]
-
-  // OLD system pattern: .../system/{system}/{type}/{value}
-  const systemMatch = iri.match(/\/system\/[^/]+\/[^/]+\/(.+)$/)
-  if (systemMatch) return systemMatch[1]
-
-  // Fallback: last segment
-  return iri.split('/').pop() || ''
-}
-
 /**
  * Extract vocabulary value from IRI.
  *
@@ -372,206 +395,212 @@ function extractVocabValue(iri: string): string {
 }
 
 // ============================================================================
-// Data Loading (Vite import.meta.glob)
+// Data Loading (Vite import.meta.glob, lazy)
 // ============================================================================
 
+// Nothing is imported until load(); the build groups these files into one
+// chunk per collection (see dataChunkName in vite.config.js). Compounds,
+// chemical profiles and DNA barcodes are left to graphLoader.ts, which
+// fetches them one entity at a time.
+
+type ReferenceDocument = { '@graph'?: ReferenceItem[]; members?: ReferenceItem[] }
+
 // Preparations - CENTRAL ENTITIES
-const preparationModules = import.meta.glob('@herbapedia/data/entities/preparations/*/entity.jsonld', {
-  eager: true
-}) as Record<string, { default: HerbalPreparation }>
+const preparationModules = import.meta.glob<HerbalPreparation>('@herbapedia/data/entities/preparations/*/entity.jsonld', {
+  import: 'default'
+})
 
 // Botanical entities
-const plantModules = import.meta.glob('@herbapedia/data/entities/botanical/species/*/entity.jsonld', {
-  eager: true
-}) as Record<string, { default: PlantSpecies }>
+const plantModules = import.meta.glob<PlantSpecies>('@herbapedia/data/entities/botanical/species/*/entity.jsonld', {
+  import: 'default'
+})
 
-const plantPartModules = import.meta.glob('@herbapedia/data/entities/botanical/parts/*/entity.jsonld', {
-  eager: true
-}) as Record<string, { default: PlantPart }>
+const plantPartModules = import.meta.glob<PlantPart>('@herbapedia/data/entities/botanical/parts/*/entity.jsonld', {
+  import: 'default'
+})
 
 // System profiles - ALL 6 SYSTEMS
-const tcmModules = import.meta.glob('@herbapedia/data/profiles/tcm/*/profile.jsonld', {
-  eager: true
-}) as Record<string, { default: TCMProfile }>
+const tcmModules = import.meta.glob<TCMProfile>('@herbapedia/data/profiles/tcm/*/profile.jsonld', {
+  import: 'default'
+})
 
-const westernModules = import.meta.glob('@herbapedia/data/profiles/western/*/profile.jsonld', {
-  eager: true
-}) as Record<string, { default: WesternHerbalProfile }>
+const westernModules = import.meta.glob<WesternHerbalProfile>('@herbapedia/data/profiles/western/*/profile.jsonld', {
+  import: 'default'
+})
 
-const ayurvedaModules = import.meta.glob('@herbapedia/data/profiles/ayurveda/*/profile.jsonld', {
-  eager: true
-}) as Record<string, { default: AyurvedaProfile }>
+const ayurvedaModules = import.meta.glob<AyurvedaProfile>('@herbapedia/data/profiles/ayurveda/*/profile.jsonld', {
+  import: 'default'
+})
 
-const unaniModules = import.meta.glob('@herbapedia/data/profiles/unani/*/profile.jsonld', {
-  eager: true
-}) as Record<string, { default: UnaniProfile }>
+const unaniModules = import.meta.glob<UnaniProfile>('@herbapedia/data/profiles/unani/*/profile.jsonld', {
+  import: 'default'
+})
 
-const mongolianModules = import.meta.glob('@herbapedia/data/profiles/mongolian/*/profile.jsonld', {
-  eager: true
-}) as Record<string, { default: MongolianProfile }>
+const mongolianModules = import.meta.glob<MongolianProfile>('@herbapedia/data/profiles/mongolian/*/profile.jsonld', {
+  import: 'default'
+})
 
-const modernModules = import.meta.glob('@herbapedia/data/systems/modern/substances/*/profiles.jsonld', {
-  eager: true
-}) as Record<string, { default: ModernSubstanceProfile }>
+const modernModules = import.meta.glob<ModernSubstanceProfile>('@herbapedia/data/systems/modern/substances/*/profiles.jsonld', {
+  import: 'default'
+})
 
 // Reference data - TCM
-const meridianModules = import.meta.glob('@herbapedia/data/systems/tcm/reference/meridians.jsonld', {
-  eager: true
-}) as Record<string, { default: { '@graph': ReferenceItem[] } }>
+const meridianModules = import.meta.glob<ReferenceDocument>('@herbapedia/data/systems/tcm/reference/meridians.jsonld', {
+  import: 'default'
+})
 
-const natureModules = import.meta.glob('@herbapedia/data/systems/tcm/reference/natures.jsonld', {
-  eager: true
-}) as Record<string, { default: { '@graph': ReferenceItem[] } }>
+const natureModules = import.meta.glob<ReferenceDocument>('@herbapedia/data/systems/tcm/reference/natures.jsonld', {
+  import: 'default'
+})
 
-const flavorModules = import.meta.glob('@herbapedia/data/systems/tcm/flavors.jsonld', {
-  eager: true
-}) as Record<string, { default: { '@graph': ReferenceItem[] } }>
+const flavorModules = import.meta.glob<ReferenceDocument>('@herbapedia/data/systems/tcm/flavors.jsonld', {
+  import: 'default'
+})
 
-const categoryModules = import.meta.glob('@herbapedia/data/systems/tcm/reference/categories.jsonld', {
-  eager: true
-}) as Record<string, { default: { '@graph': ReferenceItem[] } }>
+const categoryModules = import.meta.glob<ReferenceDocument>('@herbapedia/data/systems/tcm/reference/categories.jsonld', {
+  import: 'default'
+})
 
 // Reference data - Western
-const westernActionModules = import.meta.glob('@herbapedia/data/systems/western/reference/actions.jsonld', {
-  eager: true
-}) as Record<string, { default: { '@graph': ReferenceItem[] } }>
+const westernActionModules = import.meta.glob<ReferenceDocument>('@herbapedia/data/systems/western/reference/actions.jsonld', {
+  import: 'default'
+})
 
-const westernOrganModules = import.meta.glob('@herbapedia/data/systems/western/reference/organs.jsonld', {
-  eager: true
-}) as Record<string, { default: { '@graph': ReferenceItem[] } }>
+const westernOrganModules = import.meta.glob<ReferenceDocument>('@herbapedia/data/systems/western/reference/organs.jsonld', {
+  import: 'default'
+})
 
 // Reference data - Ayurveda
-const rasaModules = import.meta.glob('@herbapedia/data/systems/ayurveda/rasas.jsonld', {
-  eager: true
-}) as Record<string, { default: { '@graph': ReferenceItem[] } }>
+const rasaModules = import.meta.glob<ReferenceDocument>('@herbapedia/data/systems/ayurveda/rasas.jsonld', {
+  import: 'default'
+})
 
-const gunaModules = import.meta.glob('@herbapedia/data/systems/ayurveda/gunas.jsonld', {
-  eager: true
-}) as Record<string, { default: { '@graph': ReferenceItem[] } }>
+const gunaModules = import.meta.glob<ReferenceDocument>('@herbapedia/data/systems/ayurveda/gunas.jsonld', {
+  import: 'default'
+})
 
-const viryaModules = import.meta.glob('@herbapedia/data/systems/ayurveda/viryas.jsonld', {
-  eager: true
-}) as Record<string, { default: { '@graph': ReferenceItem[] } }>
+const viryaModules = import.meta.glob<ReferenceDocument>('@herbapedia/data/systems/ayurveda/viryas.jsonld', {
+  import: 'default'
+})
 
-const vipakaModules = import.meta.glob('@herbapedia/data/systems/ayurveda/vipakas.jsonld', {
-  eager: true
-}) as Record<string, { default: { '@graph': ReferenceItem[] } }>
+const vipakaModules = import.meta.glob<ReferenceDocument>('@herbapedia/data/systems/ayurveda/vipakas.jsonld', {
+  import: 'default'
+})
 
-const doshaModules = import.meta.glob('@herbapedia/data/systems/ayurveda/doshas.jsonld', {
-  eager: true
-}) as Record<string, { default: { '@graph': ReferenceItem[] } }>
+const doshaModules = import.meta.glob<ReferenceDocument>('@herbapedia/data/systems/ayurveda/doshas.jsonld', {
+  import: 'default'
+})
 
-const karmaModules = import.meta.glob('@herbapedia/data/systems/ayurveda/reference/karmas.jsonld', {
-  eager: true
-}) as Record<string, { default: { '@graph': ReferenceItem[] } }>
+const karmaModules = import.meta.glob<ReferenceDocument>('@herbapedia/data/systems/ayurveda/reference/karmas.jsonld', {
+  import: 'default'
+})
 
-const mahabhutaModules = import.meta.glob('@herbapedia/data/systems/ayurveda/reference/mahabhutas.jsonld', {
-  eager: true
-}) as Record<string, { default: { '@graph': ReferenceItem[] } }>
+const mahabhutaModules = import.meta.glob<ReferenceDocument>('@herbapedia/data/systems/ayurveda/reference/mahabhutas.jsonld', {
+  import: 'default'
+})
 
-const ayurvedaCategoryModules = import.meta.glob('@herbapedia/data/systems/ayurveda/reference/categories.jsonld', {
-  eager: true
-}) as Record<string, { default: { '@graph': ReferenceItem[] } }>
+const ayurvedaCategoryModules = import.meta.glob<ReferenceDocument>('@herbapedia/data/systems/ayurveda/reference/categories.jsonld', {
+  import: 'default'
+})
 
-const prabhavaModules = import.meta.glob('@herbapedia/data/systems/ayurveda/reference/prabhavas.jsonld', {
-  eager: true
-}) as Record<string, { default: { '@graph': ReferenceItem[] } }>
+const prabhavaModules = import.meta.glob<ReferenceDocument>('@herbapedia/data/systems/ayurveda/reference/prabhavas.jsonld', {
+  import: 'default'
+})
 
 // Reference data - Unani
-const temperamentModules = import.meta.glob('@herbapedia/data/systems/unani/reference/temperaments.jsonld', {
-  eager: true
-}) as Record<string, { default: { '@graph': ReferenceItem[] } }>
+const temperamentModules = import.meta.glob<ReferenceDocument>('@herbapedia/data/systems/unani/reference/temperaments.jsonld', {
+  import: 'default'
+})
 
-const unaniElementModules = import.meta.glob('@herbapedia/data/systems/unani/reference/elements.jsonld', {
-  eager: true
-}) as Record<string, { default: { '@graph': ReferenceItem[] } }>
+const unaniElementModules = import.meta.glob<ReferenceDocument>('@herbapedia/data/systems/unani/reference/elements.jsonld', {
+  import: 'default'
+})
 
-const unaniDegreeModules = import.meta.glob('@herbapedia/data/systems/unani/reference/degrees.jsonld', {
-  eager: true
-}) as Record<string, { default: { '@graph': ReferenceItem[] } }>
+const unaniDegreeModules = import.meta.glob<ReferenceDocument>('@herbapedia/data/systems/unani/reference/degrees.jsonld', {
+  import: 'default'
+})
 
 // Reference data - Mongolian
-const mongolianElementModules = import.meta.glob('@herbapedia/data/systems/mongolian/reference/elements.jsonld', {
-  eager: true
-}) as Record<string, { default: { '@graph': ReferenceItem[] } }>
+const mongolianElementModules = import.meta.glob<ReferenceDocument>('@herbapedia/data/systems/mongolian/reference/elements.jsonld', {
+  import: 'default'
+})
 
-const mongolianTasteModules = import.meta.glob('@herbapedia/data/systems/mongolian/reference/tastes.jsonld', {
-  eager: true
-}) as Record<string, { default: { '@graph': ReferenceItem[] } }>
+const mongolianTasteModules = import.meta.glob<ReferenceDocument>('@herbapedia/data/systems/mongolian/reference/tastes.jsonld', {
+  import: 'default'
+})
 
-const mongolianRootModules = import.meta.glob('@herbapedia/data/systems/mongolian/reference/roots.jsonld', {
-  eager: true
-}) as Record<string, { default: { '@graph': ReferenceItem[] } }>
+const mongolianRootModules = import.meta.glob<ReferenceDocument>('@herbapedia/data/systems/mongolian/reference/roots.jsonld', {
+  import: 'default'
+})
 
-const mongolianPotencyModules = import.meta.glob('@herbapedia/data/systems/mongolian/reference/potencies.jsonld', {
-  eager: true
-}) as Record<string, { default: { '@graph': ReferenceItem[] } }>
+const mongolianPotencyModules = import.meta.glob<ReferenceDocument>('@herbapedia/data/systems/mongolian/reference/potencies.jsonld', {
+  import: 'default'
+})
 
 // Reference data - TCM actions
-const tcmActionModules = import.meta.glob('@herbapedia/data/systems/tcm/reference/actions.jsonld', {
-  eager: true
-}) as Record<string, { default: { '@graph': ReferenceItem[] } }>
+const tcmActionModules = import.meta.glob<ReferenceDocument>('@herbapedia/data/systems/tcm/reference/actions.jsonld', {
+  import: 'default'
+})
 
 // Reference data - Western systems
-const westernSystemModules = import.meta.glob('@herbapedia/data/systems/western/reference/systems.jsonld', {
-  eager: true
-}) as Record<string, { default: { '@graph': ReferenceItem[] } }>
-
-// Herbal vocabulary
-const herbalFormModules = import.meta.glob('@herbapedia/data/schema/vocab/herbal/forms.jsonld', {
-  eager: true
-}) as Record<string, { default: { members: ReferenceItem[] } }>
+const westernSystemModules = import.meta.glob<ReferenceDocument>('@herbapedia/data/systems/western/reference/systems.jsonld', {
+  import: 'default'
+})
 
-const herbalMethodModules = import.meta.glob('@herbapedia/data/schema/vocab/herbal/methods.jsonld', {
-  eager: true
-}) as Record<string, { default: { members: ReferenceItem[] } }>
+// Reference data - Drugs and herb–drug interactions
+const drugModules = import.meta.glob<ReferenceDocument>('@herbapedia/data/systems/modern/reference/drugs.jsonld', {
+  import: 'default'
+})
 
-// Chemical compounds
-const chemicalModules = import.meta.glob('@herbapedia/data/entities/botanical/chemicals/*/entity.jsonld', {
-  eager: true
-}) as Record<string, { default: ChemicalCompound }>
+const interactionModules = import.meta.glob<{ '@graph': DrugInteraction[] }>('@herbapedia/data/systems/modern/reference/interactions.jsonld', {
+  import: 'default'
+})
 
-// Source materials (non-botanical)
-const zoologicalSourceModules = import.meta.glob('@herbapedia/data/entities/sources/zoological/*/entity.jsonld', {
-  eager: true
-}) as Record<string, { default: SourceMaterial }>
+// Herbal vocabulary
+const herbalFormModules = import.meta.glob<ReferenceDocument>('@herbapedia/data/schema/vocab/herbal/forms.jsonld', {
+  import: 'default'
+})
 
-const mineralSourceModules = import.meta.glob('@herbapedia/data/entities/sources/mineral/*/entity.jsonld', {
-  eager: true
-}) as Record<string, { default: SourceMaterial }>
+const herbalMethodModules = import.meta.glob<ReferenceDocument>('@herbapedia/data/schema/vocab/herbal/methods.jsonld', {
+  import: 'default'
+})
 
-const chemicalSourceModules = import.meta.glob('@herbapedia/data/entities/sources/chemical/*/entity.jsonld', {
-  eager: true
-}) as Record<string, { default: SourceMaterial }>
+// Source materials (non-botanical)
+const zoologicalSourceModules = import.meta.glob<SourceMaterial>('@herbapedia/data/entities/sources/zoological/*/entity.jsonld', {
+  import: 'default'
+})
 
-// Chemical profiles
-const chemicalProfileModules = import.meta.glob('@herbapedia/data/entities/botanical/profiles/*/entity.jsonld', {
-  eager: true
-}) as Record<string, { default: ChemicalProfile }>
+const mineralSourceModules = import.meta.glob<SourceMaterial>('@herbapedia/data/entities/sources/mineral/*/entity.jsonld', {
+  import: 'default'
+})
 
-// DNA barcodes
-const dnaBarcodeModules = import.meta.glob('@herbapedia/data/entities/botanical/barcodes/*/entity.jsonld', {
-  eager: true
-}) as Record<string, { default: DNABarcode }>
+const chemicalSourceModules = import.meta.glob<SourceMaterial>('@herbapedia/data/entities/sources/chemical/*/entity.jsonld', {
+  import: 'default'
+})
 
 // Formulas
-const formulaModules = import.meta.glob('@herbapedia/data/entities/formulas/*/entity.jsonld', {
-  eager: true
-}) as Record<string, { default: Formula }>
+const formulaModules = import.meta.glob<Formula>('@herbapedia/data/entities/formulas/*/entity.jsonld', {
+  import: 'default'
+})
 
 // Image metadata
-const imageMetadataModules = import.meta.glob('@herbapedia/data/media/images/*/main.json', {
-  eager: true
-}) as Record<string, { default: ImageMetadata }>
+const imageMetadataModules = import.meta.glob<ImageMetadata>('@herbapedia/data/media/images/*/main.json', {
+  import: 'default'
+})
 
 // ============================================================================
 // Utility Functions
 // ============================================================================
 
-function getModuleData<T>(modules: Record<string, { default: T }>): Map<string, T> {
+type Loaders<T> = Record<string, () => Promise<T>>
+
+function loadAll<T>(modules: Loaders<T>): Promise<T[]> {
+  return Promise.all(Object.values(modules).map(load => load()))
+}
+
+async function getModuleData<T>(modules: Loaders<T>): Promise<Map<string, T>> {
   const map = new Map<string, T>()
-  for (const [, module] of Object.entries(modules)) {
-    const data = module?.default
+  for (const data of await loadAll(modules)) {
     if (data && (data as any)['@id']) {
       const slug = extractSlugFromIRI((data as any)['@id'])
       map.set(slug, data)
@@ -580,39 +609,12 @@ function getModuleData<T>(modules: Record<string, { default: T }>): Map<string,
   return map
 }
 
-function getGraphData(modules: Record<string, { default: { '@graph'?: ReferenceItem[]; members?: ReferenceItem[] } }>): Map<string, ReferenceItem> {
-  const map = new Map<string, ReferenceItem>()
-  for (const module of Object.values(modules)) {
-    const data = module?.default
-    if (data) {
-      if (data['@graph']) {
-        for (const item of data['@graph']) {
-          if (item['@id']) {
-            map.set(item['@id'], item)
-          }
-        }
-      }
-      if (data.members) {
-        for (const item of data.members) {
-          if (item['@id']) {
-            map.set(item['@id'], item)
-          }
-        }
-      }
-    }
-  }
-  return map
-}
-
-function getMembersData(modules: Record<string, { default: { members: ReferenceItem[] } }>): Map<string, ReferenceItem> {
+async function getGraphData(modules: Loaders<ReferenceDocument>): Promise<Map<string, ReferenceItem>> {
   const map = new Map<string, ReferenceItem>()
-  for (const module of Object.values(modules)) {
-    const data = module?.default
-    if (data && data.members) {
-      for (const item of data.members) {
-        if (item['@id']) {
-          map.set(item['@id'], item)
-        }
+  for (const data of await loadAll(modules)) {
+    for (const item of [...(data?.['@graph'] || []), ...(data?.members || [])]) {
+      if (item['@id']) {
+        map.set(item['@id'], item)
       }
     }
   }
@@ -625,157 +627,180 @@ function getMembersData(modules: Record<string, { default: { members: ReferenceI
 
 class GraphBrowserAdapter {
   // Primary entities
-  private preparationsCache: Map<string, HerbalPreparation>
-  private plantsCache: Map<string, PlantSpecies>
-  private plantPartsCache: Map<string, PlantPart>
+  private preparationsCache: Map<string, HerbalPreparation> = new Map()
+  private plantsCache: Map<string, PlantSpecies> = new Map()
+  private plantPartsCache: Map<string, PlantPart> = new Map()
 
   // System profile caches
-  private tcmCache: Map<string, TCMProfile>
-  private westernCache: Map<string, WesternHerbalProfile>
-  private ayurvedaCache: Map<string, AyurvedaProfile>
-  private unaniCache: Map<string, UnaniProfile>
-  private mongolianCache: Map<string, MongolianProfile>
-  private modernCache: Map<string, ModernSubstanceProfile>
+  private tcmCache: Map<string, TCMProfile> = new Map()
+  private westernCache: Map<string, WesternHerbalProfile> = new Map()
+  private ayurvedaCache: Map<string, AyurvedaProfile> = new Map()
+  private unaniCache: Map<string, UnaniProfile> = new Map()
+  private mongolianCache: Map<string, MongolianProfile> = new Map()
+  private modernCache: Map<string, ModernSubstanceProfile> = new Map()
 
   // Reference data - TCM
-  private meridianMap: Map<string, ReferenceItem>
-  private natureMap: Map<string, ReferenceItem>
-  private flavorMap: Map<string, ReferenceItem>
-  private categoryMap: Map<string, ReferenceItem>
+  private meridianMap: Map<string, ReferenceItem> = new Map()
+  private natureMap: Map<string, ReferenceItem> = new Map()
+  private flavorMap: Map<string, ReferenceItem> = new Map()
+  private categoryMap: Map<string, ReferenceItem> = new Map()
 
   // Reference data - Western
-  private actionMap: Map<string, ReferenceItem>
-  private organMap: Map<string, ReferenceItem>
+  private actionMap: Map<string, ReferenceItem> = new Map()
+  private organMap: Map<string, ReferenceItem> = new Map()
 
   // Reference data - Ayurveda
-  private rasaMap: Map<string, ReferenceItem>
-  private gunaMap: Map<string, ReferenceItem>
-  private viryaMap: Map<string, ReferenceItem>
-  private vipakaMap: Map<string, ReferenceItem>
-  private doshaMap: Map<string, ReferenceItem>
-  private karmaMap: Map<string, ReferenceItem>
-  private mahabhutaMap: Map<string, ReferenceItem>
-  private ayurvedaCategoryMap: Map<string, ReferenceItem>
-  private prabhavaMap: Map<string, ReferenceItem>
+  private rasaMap: Map<string, ReferenceItem> = new Map()
+  private gunaMap: Map<string, ReferenceItem> = new Map()
+  private viryaMap: Map<string, ReferenceItem> = new Map()
+  private vipakaMap: Map<string, ReferenceItem> = new Map()
+  private doshaMap: Map<string, ReferenceItem> = new Map()
+  private karmaMap: Map<string, ReferenceItem> = new Map()
+  private mahabhutaMap: Map<string, ReferenceItem> = new Map()
+  private ayurvedaCategoryMap: Map<string, ReferenceItem> = new Map()
+  private prabhavaMap: Map<string, ReferenceItem> = new Map()
 
   // Reference data - Unani
-  private temperamentMap: Map<string, ReferenceItem>
-  private unaniElementMap: Map<string, ReferenceItem>
-  private unaniDegreeMap: Map<string, ReferenceItem>
+  private temperamentMap: Map<string, ReferenceItem> = new Map()
+  private unaniElementMap: Map<string, ReferenceItem> = new Map()
+  private unaniDegreeMap: Map<string, ReferenceItem> = new Map()
 
   // Reference data - Mongolian
-  private mongolianElementMap: Map<string, ReferenceItem>
-  private mongolianTasteMap: Map<string, ReferenceItem>
-  private mongolianRootMap: Map<string, ReferenceItem>
-  private mongolianPotencyMap: Map<string, ReferenceItem>
+  private mongolianElementMap: Map<string, ReferenceItem> = new Map()
+  private mongolianTasteMap: Map<string, ReferenceItem> = new Map()
+  private mongolianRootMap: Map<string, ReferenceItem> = new Map()
+  private mongolianPotencyMap: Map<string, ReferenceItem> = new Map()
+  private drugMap: Map<string, Drug> = new Map()
+  private interactionList: DrugInteraction[] = []
 
   // Other reference data
-  private tcmActionMap: Map<string, ReferenceItem>
-  private westernSystemMap: Map<string, ReferenceItem>
-  private herbalFormMap: Map<string, ReferenceItem>
-  private herbalMethodMap: Map<string, ReferenceItem>
+  private tcmActionMap: Map<string, ReferenceItem> = new Map()
+  private westernSystemMap: Map<string, ReferenceItem> = new Map()
+  private herbalFormMap: Map<string, ReferenceItem> = new Map()
+  private herbalMethodMap: Map<string, ReferenceItem> = new Map()
 
   // Other entities
-  private chemicalMap: Map<string, ChemicalCompound>
-  private chemicalProfileCache: Map<string, ChemicalProfile>
-  private dnaBarcodeCache: Map<string, DNABarcode>
-  private formulaCache: Map<string, Formula>
+  private formulaCache: Map<string, Formula> = new Map()
 
   // Source materials
-  private zoologicalSourcesCache: Map<string, SourceMaterial>
-  private mineralSourcesCache: Map<string, SourceMaterial>
-  private chemicalSourcesCache: Map<string, SourceMaterial>
+  private zoologicalSourcesCache: Map<string, SourceMaterial> = new Map()
+  private mineralSourcesCache: Map<string, SourceMaterial> = new Map()
+  private chemicalSourcesCache: Map<string, SourceMaterial> = new Map()
 
   // Image metadata
-  private imageMetadataCache: Map<string, ImageMetadata>
+  private imageMetadataCache: Map<string, ImageMetadata> = new Map()
 
   // Indexes
   private preparationsByPlant: Map<string, string[]> = new Map()
   private preparationsByTCMCategory: Map<string, string[]> = new Map()
   private preparationsByNature: Map<string, string[]> = new Map()
   private preparationsByAction: Map<string, string[]> = new Map()
-
-  constructor() {
-    // Load primary entities
-    this.preparationsCache = getModuleData(preparationModules)
-    this.plantsCache = getModuleData(plantModules)
-    this.plantPartsCache = getModuleData(plantPartModules)
-
-    // Load system profiles
-    this.tcmCache = getModuleData(tcmModules)
-    this.westernCache = getModuleData(westernModules)
-    this.ayurvedaCache = getModuleData(ayurvedaModules)
-    this.unaniCache = getModuleData(unaniModules)
-    this.mongolianCache = getModuleData(mongolianModules)
-    this.modernCache = getModuleData(modernModules)
-
-    // Load TCM reference data
-    this.meridianMap = getGraphData(meridianModules)
-    this.natureMap = getGraphData(natureModules)
-    this.flavorMap = getGraphData(flavorModules)
-    this.categoryMap = getGraphData(categoryModules)
-
-    // Load Western reference data
-    this.actionMap = getGraphData(westernActionModules)
-    this.organMap = getGraphData(westernOrganModules)
-
-    // Load Ayurveda reference data
-    this.rasaMap = getGraphData(rasaModules)
-    this.gunaMap = getGraphData(gunaModules)
-    this.viryaMap = getGraphData(viryaModules)
-    this.vipakaMap = getGraphData(vipakaModules)
-    this.doshaMap = getGraphData(doshaModules)
-    this.karmaMap = getGraphData(karmaModules)
-    this.mahabhutaMap = getGraphData(mahabhutaModules)
-    this.ayurvedaCategoryMap = getGraphData(ayurvedaCategoryModules)
-    this.prabhavaMap = getGraphData(prabhavaModules)
-
-    // Load Unani reference data
-    this.temperamentMap = getGraphData(temperamentModules)
-    this.unaniElementMap = getGraphData(unaniElementModules)
-    this.unaniDegreeMap = getGraphData(unaniDegreeModules)
-
-    // Load Mongolian reference data
-    this.mongolianElementMap = getGraphData(mongolianElementModules)
-    this.mongolianTasteMap = getGraphData(mongolianTasteModules)
-    this.mongolianRootMap = getGraphData(mongolianRootModules)
-    this.mongolianPotencyMap = getGraphData(mongolianPotencyModules)
-
-    // Load other reference data
-    this.tcmActionMap = getGraphData(tcmActionModules)
-    this.westernSystemMap = getGraphData(westernSystemModules)
-    this.herbalFormMap = getMembersData(herbalFormModules)
-    this.herbalMethodMap = getMembersData(herbalMethodModules)
-
-    // Load other entities
-    this.chemicalMap = getModuleData(chemicalModules)
-    this.chemicalProfileCache = getModuleData(chemicalProfileModules)
-    this.dnaBarcodeCache = getModuleData(dnaBarcodeModules)
-    this.formulaCache = getModuleData(formulaModules)
-
-    // Load source materials
-    this.zoologicalSourcesCache = getModuleData(zoologicalSourceModules)
-    this.mineralSourcesCache = getModuleData(mineralSourceModules)
-    this.chemicalSourcesCache = getModuleData(chemicalSourceModules)
-
-    // Load image metadata
-    this.imageMetadataCache = this.loadImageMetadata()
+  // All caches by DATASET_SCHEMAS collection name, for queries (built on first use)
+  private queryGraph: QueryGraph | null = null
+
+  // Search support (built on first use)
+  private hanziVariants: HanziVariants | null = null
+
+  private loading: Promise<void> | null = null
+
+  /**
+   * Fetch the dataset. Every other method reads what this loaded, so it
+   * must have resolved first: the router awaits it before rendering a page
+   * (see main.js). Later calls share the first call's promise.
+   */
+  load(): Promise<void> {
+    if (!this.loading) {
+      // Forget a failed load so the next navigation retries it
+      this.loading = this.loadData().catch(error => {
+        this.loading = null
+        throw error
+      })
+    }
+    return this.loading
+  }
+
+  private async loadData(): Promise<void> {
+    await Promise.all([
+      // Primary entities
+      getModuleData(preparationModules).then(map => { this.preparationsCache = map }),
+      getModuleData(plantModules).then(map => { this.plantsCache = map }),
+      getModuleData(plantPartModules).then(map => { this.plantPartsCache = map }),
+
+      // System profiles
+      getModuleData(tcmModules).then(map => { this.tcmCache = map }),
+      getModuleData(westernModules).then(map => { this.westernCache = map }),
+      getModuleData(ayurvedaModules).then(map => { this.ayurvedaCache = map }),
+      getModuleData(unaniModules).then(map => { this.unaniCache = map }),
+      getModuleData(mongolianModules).then(map => { this.mongolianCache = map }),
+      getModuleData(modernModules).then(map => { this.modernCache = map }),
+
+      // TCM reference data
+      getGraphData(meridianModules).then(map => { this.meridianMap = map }),
+      getGraphData(natureModules).then(map => { this.natureMap = map }),
+      getGraphData(flavorModules).then(map => { this.flavorMap = map }),
+      getGraphData(categoryModules).then(map => { this.categoryMap = map }),
+
+      // Western reference data
+      getGraphData(westernActionModules).then(map => { this.actionMap = map }),
+      getGraphData(westernOrganModules).then(map => { this.organMap = map }),
+
+      // Ayurveda reference data
+      getGraphData(rasaModules).then(map => { this.rasaMap = map }),
+      getGraphData(gunaModules).then(map => { this.gunaMap = map }),
+      getGraphData(viryaModules).then(map => { this.viryaMap = map }),
+      getGraphData(vipakaModules).then(map => { this.vipakaMap = map }),
+      getGraphData(doshaModules).then(map => { this.doshaMap = map }),
+      getGraphData(karmaModules).then(map => { this.karmaMap = map }),
+      getGraphData(mahabhutaModules).then(map => { this.mahabhutaMap = map }),
+      getGraphData(ayurvedaCategoryModules).then(map => { this.ayurvedaCategoryMap = map }),
+      getGraphData(prabhavaModules).then(map => { this.prabhavaMap = map }),
+
+      // Unani reference data
+      getGraphData(temperamentModules).then(map => { this.temperamentMap = map }),
+      getGraphData(unaniElementModules).then(map => { this.unaniElementMap = map }),
+      getGraphData(unaniDegreeModules).then(map => { this.unaniDegreeMap = map }),
+
+      // Mongolian reference data
+      getGraphData(mongolianElementModules).then(map => { this.mongolianElementMap = map }),
+      getGraphData(mongolianTasteModules).then(map => { this.mongolianTasteMap = map }),
+      getGraphData(mongolianRootModules).then(map => { this.mongolianRootMap = map }),
+      getGraphData(mongolianPotencyModules).then(map => { this.mongolianPotencyMap = map }),
+      getGraphData(drugModules).then(map => { this.drugMap = map as Map<string, Drug> }),
+      loadAll(interactionModules).then(documents => {
+        this.interactionList = documents.flatMap(document => document?.['@graph'] || [])
+      }),
+
+      // Other reference data
+      getGraphData(tcmActionModules).then(map => { this.tcmActionMap = map }),
+      getGraphData(westernSystemModules).then(map => { this.westernSystemMap = map }),
+      getGraphData(herbalFormModules).then(map => { this.herbalFormMap = map }),
+      getGraphData(herbalMethodModules).then(map => { this.herbalMethodMap = map }),
+
+      // Other entities
+      getModuleData(formulaModules).then(map => { this.formulaCache = map }),
+
+      // Source materials
+      getModuleData(zoologicalSourceModules).then(map => { this.zoologicalSourcesCache = map }),
+      getModuleData(mineralSourceModules).then(map => { this.mineralSourcesCache = map }),
+      getModuleData(chemicalSourceModules).then(map => { this.chemicalSourcesCache = map }),
+
+      // Image metadata
+      this.loadImageMetadata().then(map => { this.imageMetadataCache = map })
+    ])
 
     // Build indexes
     this.buildIndexes()
   }
 
-  private loadImageMetadata(): Map<string, ImageMetadata> {
+  private async loadImageMetadata(): Promise<Map<string, ImageMetadata>> {
     const map = new Map<string, ImageMetadata>()
-    for (const [path, module] of Object.entries(imageMetadataModules)) {
-      const data = module?.default
-      if (data) {
-        const match = path.match(/media\/images\/([^/]+)\/main\.json$/)
-        if (match) {
-          map.set(match[1], data)
-        }
+    await Promise.all(Object.entries(imageMetadataModules).map(async ([path, load]) => {
+      const data = await load()
+      const match = path.match(/media\/images\/([^/]+)\/main\.json$/)
+      if (data && match) {
+        map.set(match[1], data)
       }
-    }
+    }))
     return map
   }
 
@@ -934,9 +959,15 @@ class GraphBrowserAdapter {
 
   getRelatedPreparations(slug: string): HerbalPreparation[] {
     const prep = this.getPreparation(slug)
-    if (!prep?.relatedPreparations) return []
-    return prep.relatedPreparations
-      .map(ref => this.getPreparation(extractSlugFromIRI(ref['@id'])))
+    if (!prep) return []
+    // Related either way round: relatedPreparations isn't always stored on both ends
+    const slugs = new Set([
+      ...(prep.relatedPreparations || []).map(ref => extractSlugFromIRI(ref['@id'])),
+      ...this.getReferencingEntities(prep['@id'], 'relatedPreparations').map(ref => extractSlugFromIRI(ref.subject))
+    ])
+    slugs.delete(slug)
+    return Array.from(slugs)
+      .map(s => this.getPreparation(s))
       .filter((p): p is HerbalPreparation => p !== null)
   }
 
@@ -1008,6 +1039,55 @@ class GraphBrowserAdapter {
   getAllMongolianProfiles(): Map<string, MongolianProfile> { return this.mongolianCache }
   getAllModernProfiles(): Map<string, ModernSubstanceProfile> { return this.modernCache }
 
+  // ===========================================================================
+  // Cross-System Concordance
+  // ===========================================================================
+
+  private concordanceLookups: Record<string, (id: string) => ReferenceItem | null> = {
+    'tcm.hasNature': id => this.getNature(id),
+    'tcm.hasFlavor': id => this.getFlavor(id),
+    'ayurveda.hasVirya': id => this.getVirya(id),
+    'ayurveda.hasRasa': id => this.getRasa(id),
+    'unani.hasTemperament': id => this.getTemperament(id),
+    'mongolian.hasTaste': id => this.getMongolianTaste(id),
+    'mongolian.hasPotency': id => this.getMongolianPotency(id),
+  }
+
+  /**
+   * Reference item behind a concordance value, for its label
+   */
+  getConcordanceItem(property: ConcordanceProperty, id: string): ReferenceItem | null {
+    return this.concordanceLookups[propertyKey(property)]?.(id) || null
+  }
+
+  /**
+   * Co-occurrence of thermal or taste properties across systems, over the
+   * preparations with profiles in two or more systems (see concordance.ts).
+   * Values are reference item IRIs where the item is known.
+   */
+  getConcordance(dimension: ConcordanceDimension): ConcordanceResult {
+    const records: ConcordanceRecord[] = []
+
+    for (const slug of this.preparationsCache.keys()) {
+      const profiles = this.getProfilesForPreparation(slug) as Record<string, Record<string, unknown> | undefined>
+      if (Object.values(profiles).filter(Boolean).length < 2) continue
+
+      const values: Record<string, string[]> = {}
+      for (const property of CONCORDANCE_PROPERTIES[dimension]) {
+        const key = propertyKey(property)
+        const raw = profiles[property.system]?.[property.property] as IRIReference | IRIReference[] | undefined
+        if (!raw) continue
+        values[key] = (Array.isArray(raw) ? raw : [raw])
+          .map(ref => typeof ref === 'string' ? ref : ref?.['@id'])
+          .filter((id): id is string => !!id)
+          .map(id => this.concordanceLookups[key](id)?.['@id'] || id)
+      }
+      records.push({ preparation: slug, values })
+    }
+
+    return tabulateConcordance(records, dimension)
+  }
+
   // ===========================================================================
   // Botanical Queries
   // ===========================================================================
@@ -1057,20 +1137,7 @@ class GraphBrowserAdapter {
   }
 
   private isPlantType(species: PlantSpecies, type: 'plant' | 'fungi' | 'algae'): boolean {
-    const types = Array.isArray(species['@type']) ? species['@type'] : [species['@type']]
-    const typeStr = types.join(' ').toLowerCase()
-
-    switch (type) {
-      case 'plant':
-        return typeStr.includes('plantspecies') ||
-               (typeStr.includes('botany') && !typeStr.includes('fungal') && !typeStr.includes('algal'))
-      case 'fungi':
-        return typeStr.includes('fungal') || typeStr.includes('fungi') || typeStr.includes('mycology')
-      case 'algae':
-        return typeStr.includes('algal') || typeStr.includes('algae') || typeStr.includes('phycology')
-      default:
-        return false
-    }
+    return isSpeciesOfType(species, type)
   }
 
   getPlantsWithPreparations(): { plant: PlantSpecies; preparationCount: number }[] {
@@ -1088,17 +1155,35 @@ class GraphBrowserAdapter {
     return this.preparationsByPlant.get(plantSlug)?.length || 0
   }
 
+  /**
+   * Plants matching a scientific name, synonym, genus or common name,
+   * tolerating typos in Latin names. Best matches first.
+   */
   searchPlants(query: string): PlantSpecies[] {
-    const lowerQuery = query.toLowerCase()
-    return this.getAllPlants().filter(plant => {
-      const sciMatch = plant.scientificName?.toLowerCase().includes(lowerQuery)
-      const commonMatch = plant.commonName && (
-        plant.commonName.en?.toLowerCase().includes(lowerQuery) ||
-        plant.commonName['zh-Hant']?.includes(query) ||
-        plant.commonName['zh-Hans']?.includes(query)
-      )
-      return sciMatch || commonMatch
-    })
+    return this.searchSpecies(query, 'plant').matches.map(match => match.item)
+  }
+
+  /**
+   * Species search with match details and "did you mean" suggestions
+   * (see taxonSearch.ts)
+   */
+  searchSpecies(query: string, sourceType: 'plant' | 'fungi' | 'algae' | 'all' = 'all'): TaxonSearchResult<PlantSpecies> {
+    return searchTaxa(query, this.getSpeciesByType(sourceType))
+  }
+
+  /**
+   * Traditional/Simplified hanzi folding learned from parallel names in the
+   * data, for normalizeSearchText() and createSearchMatcher().
+   */
+  getHanziVariants(): HanziVariants {
+    if (!this.hanziVariants) {
+      this.hanziVariants = buildHanziVariants([
+        ...this.getAllPreparations().flatMap(hanziVariantPairs),
+        ...this.getAllBotanical().flatMap(hanziVariantPairs),
+        ...Array.from(this.tcmCache.values()).flatMap(hanziVariantPairs)
+      ])
+    }
+    return this.hanziVariants
   }
 
   // ===========================================================================
@@ -1140,19 +1225,6 @@ class GraphBrowserAdapter {
     return this.getPlantSpecies(sourceSlug)
   }
 
-  // ===========================================================================
-  // Chemical Compound Queries
-  // ===========================================================================
-
-  getChemical(id: string): ChemicalCompound | null {
-    const slug = extractVocabValue(id)
-    return this.chemicalMap.get(slug) || this.chemicalMap.get(id) || null
-  }
-
-  getAllChemicals(): ChemicalCompound[] {
-    return Array.from(this.chemicalMap.values())
-  }
-
   // ===========================================================================
   // Reference Data - TCM
   // ===========================================================================
@@ -1368,11 +1440,9 @@ class GraphBrowserAdapter {
   }
 
   getPlantPartsBySpecies(speciesSlug: string): PlantPart[] {
-    return Array.from(this.plantPartsCache.values())
-      .filter(part => {
-        if (!part.partOf) return false
-        return extractSlugFromIRI(part.partOf['@id']) === speciesSlug
-      })
+    return this.getReferencingEntities(speciesSlug, 'partOf')
+      .map(ref => this.plantPartsCache.get(extractSlugFromIRI(ref.subject)))
+      .filter((part): part is PlantPart => !!part)
   }
 
   getPlantPartsByType(partType: string): PlantPart[] {
@@ -1383,49 +1453,6 @@ class GraphBrowserAdapter {
       })
   }
 
-  // ===========================================================================
-  // Chemical Profile Queries
-  // ===========================================================================
-
-  getChemicalProfile(slug: string): ChemicalProfile | null {
-    return this.chemicalProfileCache.get(slug) || null
-  }
-
-  getAllChemicalProfiles(): ChemicalProfile[] {
-    return Array.from(this.chemicalProfileCache.values())
-  }
-
-  getChemicalProfileByPart(partSlug: string): ChemicalProfile | null {
-    const profile = Array.from(this.chemicalProfileCache.values())
-      .find(p => {
-        if (!p.profileOf) return false
-        const profileOfId = typeof p.profileOf === 'object' ? p.profileOf['@id'] : p.profileOf
-        return extractSlugFromIRI(profileOfId) === partSlug
-      })
-    return profile || null
-  }
-
-  // ===========================================================================
-  // DNA Barcode Queries
-  // ===========================================================================
-
-  getDNABarcode(slug: string): DNABarcode | null {
-    return this.dnaBarcodeCache.get(slug) || null
-  }
-
-  getAllDNABarcodes(): DNABarcode[] {
-    return Array.from(this.dnaBarcodeCache.values())
-  }
-
-  getDNABarcodeBySpecies(speciesSlug: string): DNABarcode | null {
-    const barcode = Array.from(this.dnaBarcodeCache.values())
-      .find(b => {
-        if (!b.species) return false
-        return extractSlugFromIRI(b.species['@id']) === speciesSlug
-      })
-    return barcode || null
-  }
-
   // ===========================================================================
   // Formula Queries
   // ===========================================================================
@@ -1438,6 +1465,78 @@ class GraphBrowserAdapter {
     return Array.from(this.formulaCache.values())
   }
 
+  /**
+   * Resolve ingredient references to preparations with their TCM nature,
+   * flavors and meridians (as reference item IRIs), contraindications and
+   * safety warnings. References to unknown preparations are dropped.
+   */
+  resolveIngredients(refs: FormulaIngredient[]): ResolvedIngredient[] {
+    const ids = (value: IRIReference | IRIReference[] | undefined, lookup: (id: string) => ReferenceItem | null) =>
+      (Array.isArray(value) ? value : value ? [value] : [])
+        .map(ref => typeof ref === 'string' ? ref : ref?.['@id'])
+        .filter((id): id is string => !!id)
+        .map(id => lookup(id)?.['@id'] || id)
+
+    return refs.flatMap(ref => {
+      const slug = extractSlugFromIRI(ref['@id'] || '')
+      const preparation = this.getPreparation(slug)
+      if (!preparation) return []
+
+      const tcm = this.getProfilesForPreparation(slug).tcm
+      const safety = preparation.safetyInfo
+      return [{
+        slug,
+        preparation,
+        role: normalizeRole(ref.role),
+        dosage: normalizeDosage(ref.dosage, ref.unitText),
+        nature: ids(tcm?.hasNature, id => this.getNature(id))[0] || null,
+        flavors: ids(tcm?.hasFlavor, id => this.getFlavor(id)),
+        meridians: ids(tcm?.entersMeridian, id => this.getMeridian(id)),
+        contraindications: [tcm?.contraindications, safety?.generalContraindications].filter(
+          (text): text is LanguageMap => !!text
+        ),
+        warnings: safety?.warnings || []
+      }]
+    })
+  }
+
+  /**
+   * Formula-level summary of the ingredients' TCM profiles
+   * (see formulaComposition.ts)
+   */
+  getFormulaComposition(slug: string): FormulaComposition | null {
+    const formula = this.getFormula(slug)
+    if (!formula) return null
+    const ingredients = this.resolveIngredients(formula.ingredients || [])
+    return { ingredients, summary: summarizeComposition(ingredients) }
+  }
+
+  /**
+   * Safety warnings for a drafted formula: classical incompatible pairs,
+   * profile incompatibilities, pregnancy cautions and doses (in grams) above
+   * the profile range (see formulaChecks.ts)
+   */
+  checkFormulaDraft(items: Array<{ slug: string; dose?: number }>): FormulaIssue[] {
+    return checkFormula(items.flatMap(item => {
+      const preparation = this.getPreparation(item.slug)
+      if (!preparation) return []
+
+      const tcm = this.getProfilesForPreparation(item.slug).tcm
+      const names = Object.values(preparation.name || {}).filter((name): name is string => !!name)
+      return [{
+        slug: item.slug,
+        pinyin: tcm?.pinyin,
+        hanzi: [tcm?.hanzi, tcm?.chineseName, preparation.name?.['zh-Hant'], preparation.name?.['zh-Hans']]
+          .filter((name): name is string => !!name),
+        names,
+        dose: item.dose,
+        dosage: tcm?.dosage,
+        incompatibilities: tcm?.incompatibilities,
+        pregnancySafety: preparation.safetyInfo?.pregnancySafety
+      }]
+    }))
+  }
+
   // ===========================================================================
   // Additional Plant Queries
   // ===========================================================================
@@ -1464,12 +1563,81 @@ class GraphBrowserAdapter {
     return result.sort((a, b) => b.preparationCount - a.preparationCount)
   }
 
-  getPlantsContainingCompound(compoundSlug: string): PlantSpecies[] {
-    const compound = this.getChemical(compoundSlug)
-    if (!compound?.foundIn) return []
-    return compound.foundIn
-      .map(ref => this.getPlantSpecies(extractSlugFromIRI(ref['@id'])))
-      .filter((p): p is PlantSpecies => p !== null)
+  // ===========================================================================
+  // Graph Queries
+  // ===========================================================================
+
+  private getQueryGraph(): QueryGraph {
+    if (!this.queryGraph) {
+      const values = (cache: Map<string, unknown>) => Array.from(cache.values())
+      this.queryGraph = createQueryGraph({
+        preparations: values(this.preparationsCache),
+        species: values(this.plantsCache),
+        parts: values(this.plantPartsCache),
+        'zoological-sources': values(this.zoologicalSourcesCache),
+        'mineral-sources': values(this.mineralSourcesCache),
+        'chemical-sources': values(this.chemicalSourcesCache),
+        formulas: values(this.formulaCache),
+        'tcm-profiles': values(this.tcmCache),
+        'western-profiles': values(this.westernCache),
+        'ayurveda-profiles': values(this.ayurvedaCache),
+        'unani-profiles': values(this.unaniCache),
+        'mongolian-profiles': values(this.mongolianCache),
+        'modern-profiles': values(this.modernCache),
+        'tcm/natures': values(this.natureMap),
+        'tcm/flavors': values(this.flavorMap),
+        'tcm/meridians': values(this.meridianMap),
+        'tcm/categories': values(this.categoryMap),
+        'tcm/tcm-actions': values(this.tcmActionMap),
+        'western/actions': values(this.actionMap),
+        'western/organs': values(this.organMap),
+        'western/systems': values(this.westernSystemMap),
+        'ayurveda/rasa': values(this.rasaMap),
+        'ayurveda/guna': values(this.gunaMap),
+        'ayurveda/virya': values(this.viryaMap),
+        'ayurveda/vipaka': values(this.vipakaMap),
+        'ayurveda/doshas': values(this.doshaMap),
+        'ayurveda/karmas': values(this.karmaMap),
+        'ayurveda/mahabhutas': values(this.mahabhutaMap),
+        'ayurveda/ayurveda-categories': values(this.ayurvedaCategoryMap),
+        'ayurveda/prabhavas': values(this.prabhavaMap),
+        'unani/temperaments': values(this.temperamentMap),
+        'unani/unani-elements': values(this.unaniElementMap),
+        'unani/degrees': values(this.unaniDegreeMap),
+        'mongolian/elements': values(this.mongolianElementMap),
+        'mongolian/tastes': values(this.mongolianTasteMap),
+        'mongolian/roots': values(this.mongolianRootMap),
+        'mongolian/potencies': values(this.mongolianPotencyMap),
+        'herbal/forms': values(this.herbalFormMap),
+        'herbal/methods': values(this.herbalMethodMap)
+      })
+    }
+    return this.queryGraph
+  }
+
+  /**
+   * Select, filter, traverse and project entities declaratively, by
+   * DATASET_SCHEMAS collection name (see graphQuery.ts)
+   *
+   * @example
+   * dataset.query({
+   *   from: 'tcm-profiles',
+   *   where: [{ property: 'hasNature', references: 'hot' }],
+   *   traverse: [{ inverse: 'hasTCMProfile' }],
+   *   select: { name: 'name' },
+   *   locale: 'en'
+   * })
+   */
+  query(query: GraphQuery): QueryResult[] {
+    return runQuery(this.getQueryGraph(), query)
+  }
+
+  /**
+   * Entities referring to an IRI (or slug) through any IRI-valued property,
+   * or only through `property` (see inverseIndex.ts)
+   */
+  getReferencingEntities(iri: string, property?: string): GraphReference[] {
+    return referencesTo(this.getQueryGraph().inverseIndex(), iri, property)
   }
 
   // ===========================================================================
@@ -1522,6 +1690,106 @@ class GraphBrowserAdapter {
   getAllMongolianRoots(): ReferenceItem[] { return Array.from(this.mongolianRootMap.values()) }
   getAllMongolianPotencies(): ReferenceItem[] { return Array.from(this.mongolianPotencyMap.values()) }
 
+  // ===========================================================================
+  // Drugs and Herb–Drug Interactions
+  // ===========================================================================
+
+  private drugResolver: ((text: string) => Drug | null) | null = null
+
+  getDrug(id: string): Drug | null {
+    return this.getRefItem(this.drugMap, id, [
+      'https://www.herbapedia.org/system/modern/drug/'
+    ]) as Drug | null
+  }
+
+  getAllDrugs(): Drug[] { return Array.from(this.drugMap.values()) }
+
+  /**
+   * Drug item for a free-text medication name, brand name or code
+   */
+  resolveDrug(text: string): Drug | null {
+    if (!this.drugResolver) this.drugResolver = createDrugResolver(this.getAllDrugs())
+    return this.drugResolver(text)
+  }
+
+  /**
+   * Known interactions of a preparation or modern substance (by IRI):
+   * structured ones from interactions.jsonld, then those derived from its
+   * plain-text `drugInteractions` / `interactions`. A preparation and a
+   * substance may share a slug, so subjects match on the full IRI.
+   */
+  getInteractionsFor(subjectId: string): DrugInteraction[] {
+    const structured = this.interactionList.filter(interaction => iriOf(interaction.subject) === subjectId)
+
+    const slug = extractSlugFromIRI(subjectId)
+    const texts = (/\/preparation\//.test(subjectId)
+      ? this.preparationsCache.get(slug)?.safetyInfo?.drugInteractions
+      : this.modernCache.get(slug)?.interactions) || []
+    return [...structured, ...interactionsFromText(subjectId, texts, this.getAllDrugs())]
+  }
+
+  /**
+   * Interaction matrix of preparations or modern substances (IRIs) against
+   * medications entered as text (see interactions.ts)
+   */
+  checkInteractions(subjectIds: string[], medications: string[]): {
+    drugs: CheckedDrug[]
+    cells: Array<{ subject: string; drug: number; interactions: DrugInteraction[]; severity: InteractionSeverity | null }>
+  } {
+    const drugs = medications.map(text => checkDrug(text, name => this.resolveDrug(name)))
+    const cells = subjectIds.flatMap(subject => {
+      const known = this.getInteractionsFor(subject)
+      return drugs.map((drug, index) => {
+        const interactions = known.filter(interaction => interactionMatches(interaction, drug))
+        return { subject, drug: index, interactions, severity: highestSeverity(interactions) }
+      })
+    })
+    return { drugs, cells }
+  }
+
+  // ===========================================================================
+  // Safety
+  // ===========================================================================
+
+  private safetyIndex: Record<SafetyCategory, Array<{ slug: string; notes: SafetyNote[] }>> | null = null
+
+  /**
+   * Safety notes of a preparation from its safetyInfo and the
+   * contraindications of every system profile, by caution category
+   * (see safety.ts)
+   */
+  getSafetySummary(slug: string): SafetySummary | null {
+    const preparation = this.getPreparation(slug)
+    if (!preparation) return null
+    const modernId = preparation.hasModernProfile?.[0]?.['@id']
+    return summarizeSafety({
+      safetyInfo: preparation.safetyInfo,
+      profiles: {
+        ...this.getProfilesForPreparation(slug),
+        modern: modernId ? this.modernCache.get(extractSlugFromIRI(modernId)) : undefined
+      }
+    })
+  }
+
+  /**
+   * Preparations with notes in each caution category, with those notes
+   */
+  getSafetyIndex(): Record<SafetyCategory, Array<{ slug: string; notes: SafetyNote[] }>> {
+    if (!this.safetyIndex) {
+      const index = Object.fromEntries(SAFETY_CATEGORIES.map(category => [category, []])) as
+        Record<SafetyCategory, Array<{ slug: string; notes: SafetyNote[] }>>
+      for (const slug of this.preparationsCache.keys()) {
+        const summary = this.getSafetySummary(slug)
+        if (!summary) continue
+        for (const category of SAFETY_CATEGORIES) {
+          if (summary.categories[category].length) index[category].push({ slug, notes: summary.categories[category] })
+        }
+      }
+      this.safetyIndex = index
+    }
+    return this.safetyIndex
+  }
+
   // ===========================================================================
   // Additional Reference Data - TCM
   // ===========================================================================
@@ -1577,15 +1845,15 @@ class GraphBrowserAdapter {
       fungi: this.getAllFungi().length,
       algae: this.getAllAlgae().length,
       plantParts: this.plantPartsCache.size,
-      chemicalProfiles: this.chemicalProfileCache.size,
-      dnaBarcodes: this.dnaBarcodeCache.size,
+      chemicalProfiles: graph.list('chemical-profiles').length,
+      dnaBarcodes: graph.list('barcodes').length,
       formulas: this.formulaCache.size,
       tcmProfiles: this.tcmCache.size,
       westernProfiles: this.westernCache.size,
       ayurvedaProfiles: this.ayurvedaCache.size,
       unaniProfiles: this.unaniCache.size,
       mongolianProfiles: this.mongolianCache.size,
-      chemicalCompounds: this.chemicalMap.size,
+      chemicalCompounds: graph.list('chemicals').length,
       zoologicalSources: this.zoologicalSourcesCache.size,
       mineralSources: this.mineralSourcesCache.size,
       chemicalSources: this.chemicalSourcesCache.size,
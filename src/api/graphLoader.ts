@@ -0,0 +1,255 @@
+/**
+ * Graph Loader - Async, code-split access to the knowledge graph
+ *
+ * GraphBrowserAdapter (graphBrowser.ts) loads whole collections before a
+ * page renders. GraphLoader instead imports each entity file lazily - the
+ * first time it is loaded - so a page fetches only the entities it shows.
+ * Listings of compounds, chemical profiles and DNA barcodes
+ * (GRAPH_ONLY_COLLECTIONS) come from the build-time manifest; relations
+ * from the links the build adds to each entity's chunk (see
+ * graphManifest.ts). Those collections are served by GraphLoader alone and
+ * built into one chunk per entity; other files share their collection's
+ * chunk with the adapter (see dataChunkName in vite.config.js).
+ *
+ * Entities are addressed by collection (DATASET_SCHEMAS names) and slug
+ * (the directory the entity lives in). Pages load through useGraphData(),
+ * which also carries what a pre-rendered page loaded into its HTML.
+ *
+ * @example
+ * import { graph } from '@/api/graphLoader'
+ *
+ * const compound = await graph.getChemical('6-gingerol')
+ * const plants = await graph.getPlantsContainingCompound('6-gingerol')
+ * const names = graph.list('chemicals').map(entry => entry.name?.en)
+ */
+
+import manifest from 'virtual:herbapedia-manifest'
+import { ENTITY_FILE_PATHS, PROFILE_COLLECTIONS, REFERENCE_COLLECTIONS } from './catalog'
+import type { GraphManifest, ManifestEntry, ManifestLink } from './graphManifest'
+import type {
+  ChemicalCompound,
+  DNABarcode,
+  Formula,
+  HerbalPreparation,
+  PlantPart,
+  PlantSpecies,
+  ReferenceItem,
+  SystemProfiles
+} from './graphBrowser'
+
+// ============================================================================
+// Data Loading (Vite import.meta.glob, lazy)
+// ============================================================================
+
+type Loader = () => Promise<unknown>
+
+/** An entity file as built: the entity, and the links it takes part in */
+interface EntityModule {
+  default: unknown
+  links?: ManifestLink[]
+}
+
+// Every file of ENTITY_FILE_PATHS: one chunk each
+const entityModules = import.meta.glob([
+  '@herbapedia/data/entities/*/*/entity.jsonld',
+  '@herbapedia/data/entities/*/*/*/entity.jsonld',
+  '@herbapedia/data/profiles/*/*/profile.jsonld',
+  '@herbapedia/data/systems/modern/substances/*/profiles.jsonld'
+]) as Record<string, () => Promise<EntityModule>>
+
+// Vocabulary files of REFERENCE_COLLECTIONS: one chunk per vocabulary
+const vocabularyModules: Record<string, Loader> = import.meta.glob([
+  '@herbapedia/data/systems/*/*.jsonld',
+  '@herbapedia/data/systems/*/reference/*.jsonld',
+  '@herbapedia/data/schema/vocab/herbal/*.jsonld'
+], { import: 'default' })
+
+const escapeRegExp = (text: string) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+/** Entity module loaders by collection name and slug */
+function groupEntityModules(): Map<string, Map<string, () => Promise<EntityModule>>> {
+  const groups = new Map<string, Map<string, () => Promise<EntityModule>>>()
+  for (const [name, filePath] of Object.entries(ENTITY_FILE_PATHS)) {
+    const [before, after] = filePath.split('*')
+    const pattern = new RegExp(`/${escapeRegExp(before)}([^/]+)${escapeRegExp(after)}$`)
+    const loaders = new Map<string, () => Promise<EntityModule>>()
+    for (const [path, loader] of Object.entries(entityModules)) {
+      const match = path.match(pattern)
+      if (match) loaders.set(match[1], loader)
+    }
+    groups.set(name, loaders)
+  }
+  return groups
+}
+
+const PROFILE_SYSTEMS = PROFILE_COLLECTIONS.map(collection => ({
+  system: collection.system as keyof SystemProfiles,
+  linkProperty: collection.linkProperty
+}))
+
+type JsonObject = Record<string, unknown>
+
+// ============================================================================
+// Graph Loader
+// ============================================================================
+
+class GraphLoader {
+  private manifest: GraphManifest = manifest
+  private loaders = groupEntityModules()
+  private modules = new Map<string, Promise<EntityModule | null>>()
+  private vocabularies = new Map<string, Promise<ReferenceItem[]>>()
+
+  // ===========================================================================
+  // Manifest
+  // ===========================================================================
+
+  /**
+   * Every entity of one of GRAPH_ONLY_COLLECTIONS, as listed in the
+   * manifest (nothing is fetched)
+   */
+  list(collection: string): ManifestEntry[] {
+    return this.manifest.collections[collection] || []
+  }
+
+  has(collection: string, slug: string): boolean {
+    return this.loaders.get(collection)?.has(slug) || false
+  }
+
+  // ===========================================================================
+  // Loading
+  // ===========================================================================
+
+  // An entity's chunk, fetched once and shared by later calls
+  private loadModule(collection: string, slug: string): Promise<EntityModule | null> {
+    const key = `${collection}/${slug}`
+    if (!this.modules.has(key)) {
+      const loader = this.loaders.get(collection)?.get(slug)
+      this.modules.set(key, loader ? loader() : Promise.resolve(null))
+    }
+    return this.modules.get(key)!
+  }
+
+  /** One entity */
+  async load<T = JsonObject>(collection: string, slug: string): Promise<T | null> {
+    return ((await this.loadModule(collection, slug))?.default as T) || null
+  }
+
+  // Links an entity takes part in, from its chunk
+  private async links(collection: string, slug: string): Promise<ManifestLink[]> {
+    return (await this.loadModule(collection, slug))?.links || []
+  }
+
+  /** Links pointing at an entity, optionally through one property */
+  async linksTo(collection: string, slug: string, property?: string): Promise<ManifestLink[]> {
+    return (await this.links(collection, slug)).filter(link =>
+      link[3] === collection && link[4] === slug && (!property || link[2] === property))
+  }
+
+  /** Links from an entity, optionally through one property */
+  async linksFrom(collection: string, slug: string, property?: string): Promise<ManifestLink[]> {
+    return (await this.links(collection, slug)).filter(link =>
+      link[0] === collection && link[1] === slug && (!property || link[2] === property))
+  }
+
+  /** Every entity of a collection, in manifest order */
+  async loadAll<T = JsonObject>(collection: string): Promise<T[]> {
+    const entities = await Promise.all(this.list(collection).map(entry => this.load<T>(collection, entry.slug)))
+    return entities.filter((entity): entity is Awaited<T> => entity !== null) as T[]
+  }
+
+  /** Items of a vocabulary, by `system/refType` name (see REFERENCE_COLLECTIONS) */
+  loadVocabulary(name: string): Promise<ReferenceItem[]> {
+    if (!this.vocabularies.has(name)) {
+      const collection = REFERENCE_COLLECTIONS.find(item => `${item.system}/${item.refType}` === name)
+      const loader = collection && Object.entries(vocabularyModules).find(([path]) => path.endsWith(`/${collection.file}`))?.[1]
+      this.vocabularies.set(name, loader
+        ? loader().then(data => ((data as JsonObject | null)?.[collection!.container] as ReferenceItem[]) || [])
+        : Promise.resolve([]))
+    }
+    return this.vocabularies.get(name)!
+  }
+
+  private async loadLinks<T>(links: ManifestLink[], side: 'subject' | 'target'): Promise<T[]> {
+    const seen = new Set<string>()
+    const pending: Promise<T | null>[] = []
+    for (const link of links) {
+      const [collection, slug] = side === 'subject' ? [link[0], link[1]] : [link[3], link[4]]
+      if (seen.has(`${collection}/${slug}`)) continue
+      seen.add(`${collection}/${slug}`)
+      pending.push(this.load<T>(collection, slug))
+    }
+    return (await Promise.all(pending)).filter((entity): entity is Awaited<T> => entity !== null) as T[]
+  }
+
+  /** Entities an entity refers to, optionally through one property */
+  async getReferencedEntities<T = JsonObject>(collection: string, slug: string, property?: string): Promise<T[]> {
+    return this.loadLinks<T>(await this.linksFrom(collection, slug, property), 'target')
+  }
+
+  /** Entities referring to an entity, optionally through one property */
+  async getReferencingEntities<T = JsonObject>(collection: string, slug: string, property?: string): Promise<T[]> {
+    return this.loadLinks<T>(await this.linksTo(collection, slug, property), 'subject')
+  }
+
+  // ===========================================================================
+  // Entity Queries (async counterparts of GraphBrowserAdapter's)
+  // ===========================================================================
+
+  getPreparation(slug: string): Promise<HerbalPreparation | null> {
+    return this.load<HerbalPreparation>('preparations', slug)
+  }
+
+  getPlantSpecies(slug: string): Promise<PlantSpecies | null> {
+    return this.load<PlantSpecies>('species', slug)
+  }
+
+  getPlantPart(slug: string): Promise<PlantPart | null> {
+    return this.load<PlantPart>('parts', slug)
+  }
+
+  getChemical(slug: string): Promise<ChemicalCompound | null> {
+    return this.load<ChemicalCompound>('chemicals', slug)
+  }
+
+  getDNABarcode(slug: string): Promise<DNABarcode | null> {
+    return this.load<DNABarcode>('barcodes', slug)
+  }
+
+  getFormula(slug: string): Promise<Formula | null> {
+    return this.load<Formula>('formulas', slug)
+  }
+
+  async getProfilesForPreparation(slug: string): Promise<SystemProfiles> {
+    const profiles = await Promise.all(PROFILE_SYSTEMS.map(async ({ system, linkProperty }) => {
+      const [profile] = await this.getReferencedEntities('preparations', slug, linkProperty)
+      return [system, profile] as const
+    }))
+    return Object.fromEntries(profiles.filter(([, profile]) => profile)) as SystemProfiles
+  }
+
+  /** Species of a DNA barcode */
+  async getBarcodeSpecies(slug: string): Promise<PlantSpecies | null> {
+    const [species] = await this.getReferencedEntities<PlantSpecies>('barcodes', slug, 'species')
+    return species || null
+  }
+
+  /**
+   * Plants the compound's foundIn names, and plants whose containsChemical
+   * names the compound
+   */
+  async getPlantsContainingCompound(slug: string): Promise<PlantSpecies[]> {
+    const [listed, containing] = await Promise.all([
+      this.linksFrom('chemicals', slug, 'foundIn')
+        .then(links => this.loadLinks<PlantSpecies>(links.filter(link => link[3] === 'species'), 'target')),
+      this.getReferencingEntities<PlantSpecies>('chemicals', slug, 'containsChemical')
+    ])
+    return [...listed, ...containing.filter(plant => !listed.includes(plant))]
+  }
+
+  async getPlantPartsBySpecies(slug: string): Promise<PlantPart[]> {
+    return this.getReferencingEntities<PlantPart>('species', slug, 'partOf')
+  }
+}
+
+export const graph = new GraphLoader()
+export default graph
@@ -0,0 +1,142 @@
+/**
+ * Graph Manifest - What the lazily loaded graph contains
+ *
+ * The async graph API (graphLoader.ts) fetches one chunk per entity on
+ * demand. What list pages must know up front - which compounds, chemical
+ * profiles and DNA barcodes exist (GRAPH_ONLY_COLLECTIONS) and what to
+ * call them - is generated at build time from the data (see the
+ * graph-manifest plugin in vite.config.js) into a GraphManifest, which
+ * the client bundle inlines.
+ *
+ * Which entities refer to which is not in the manifest: buildGraphLinks()
+ * gives every entity the links it takes part in, in either direction, and
+ * the plugin adds them to the entity's own chunk. Links are resolved the
+ * way checkLinkIntegrity() resolves references, so "which plants contain
+ * this compound" needs no entity but the compound and the ones it returns.
+ *
+ * Entities are keyed by the directory they live in (the slug routes use).
+ *
+ * @example
+ * const dataset = { chemicals: [{ slug: '6-gingerol', entity }], species: [...] }
+ * buildGraphManifest(dataset).collections.chemicals // [{ slug: '6-gingerol', name: {...}, molecularFormula: 'C17H26O4' }]
+ * buildGraphLinks(dataset).get('chemicals/6-gingerol') // [['chemicals', '6-gingerol', 'foundIn', 'species', 'zingiber-officinale'], ...]
+ */
+
+import type { LanguageMap } from '@herbapedia/data/types'
+import { GRAPH_ONLY_COLLECTIONS } from './catalog'
+import { extractSlugFromIRI } from './iri'
+import { LINK_RULES } from './linkIntegrity'
+import { referencesFrom } from './inverseIndex'
+
+// ============================================================================
+// Type Definitions
+// ============================================================================
+
+/** What a list page shows of an entity */
+export interface ManifestEntry {
+  slug: string
+  name?: LanguageMap
+  molecularFormula?: string
+  /** Sequenced regions of a DNA barcode */
+  regions?: string[]
+  /** Scientific name of a DNA barcode's species */
+  speciesName?: string
+}
+
+/** [subject collection, subject slug, property, target collection, target slug] */
+export type ManifestLink = [string, string, string, string, string]
+
+export interface GraphManifest {
+  collections: Record<string, ManifestEntry[]>
+}
+
+type JsonObject = Record<string, unknown>
+
+type Dataset = Record<string, Array<{ slug: string; entity: unknown }>>
+
+// ============================================================================
+// Building
+// ============================================================================
+
+const isEntity = (item: { slug: string; entity: unknown }): item is { slug: string; entity: JsonObject } =>
+  !!item.entity && typeof item.entity === 'object'
+
+/**
+ * Links of the per-entity collections, given as `{ slug, entity }` per
+ * DATASET_SCHEMAS collection name (slug: the entity's directory), listed
+ * under both ends as `collection/slug`
+ */
+export function buildGraphLinks(dataset: Dataset): Map<string, ManifestLink[]> {
+  // @id and extractSlugFromIRI() slug -> entry slug, per collection
+  const ids = new Map<string, [string, string]>()
+  const slugs = new Map<string, Map<string, string>>()
+
+  for (const [name, items] of Object.entries(dataset)) {
+    const bySlug = new Map<string, string>()
+    for (const { slug, entity } of items.filter(isEntity)) {
+      const id = String(entity['@id'] ?? '')
+      ids.set(id, [name, slug])
+      bySlug.set(extractSlugFromIRI(id), slug)
+    }
+    slugs.set(name, bySlug)
+  }
+
+  const resolve = (iri: string, targets: string[]): [string, string] | null => {
+    const exact = ids.get(iri)
+    if (exact && targets.includes(exact[0])) return exact
+    for (const name of targets) {
+      const slug = slugs.get(name)?.get(extractSlugFromIRI(iri))
+      if (slug) return [name, slug]
+    }
+    return null
+  }
+
+  const links = new Map<string, ManifestLink[]>()
+  const add = (key: string, link: ManifestLink) => {
+    if (!links.has(key)) links.set(key, [])
+    links.get(key)!.push(link)
+  }
+  for (const [name, items] of Object.entries(dataset)) {
+    for (const { slug, entity } of items.filter(isEntity)) {
+      for (const reference of referencesFrom(entity)) {
+        const rules = LINK_RULES.filter(rule => rule.collection === name && rule.property === reference.property)
+        const target = resolve(reference.target, rules.length ? rules.flatMap(rule => rule.targets) : Object.keys(dataset))
+        if (!target) continue
+        const link: ManifestLink = [name, slug, reference.property, ...target]
+        add(`${name}/${slug}`, link)
+        if (target.join('/') !== `${name}/${slug}`) add(target.join('/'), link)
+      }
+    }
+  }
+  return links
+}
+
+function toEntry(slug: string, entity: JsonObject): ManifestEntry {
+  const entry: ManifestEntry = { slug }
+  if (entity.name && typeof entity.name === 'object') entry.name = entity.name as LanguageMap
+  if (typeof entity.molecularFormula === 'string') entry.molecularFormula = entity.molecularFormula
+  if (Array.isArray(entity.sequence)) {
+    entry.regions = entity.sequence.map(sequence => sequence?.region).filter((region): region is string => typeof region === 'string')
+  }
+  return entry
+}
+
+/**
+ * Manifest of the GRAPH_ONLY_COLLECTIONS of a dataset given as for
+ * buildGraphLinks(); `links` names the species of DNA barcodes
+ */
+export function buildGraphManifest(dataset: Dataset, links: Map<string, ManifestLink[]> = buildGraphLinks(dataset)): GraphManifest {
+  const species = new Map((dataset.species || []).filter(isEntity).map(({ slug, entity }) => [slug, entity]))
+  const collections = Object.fromEntries(GRAPH_ONLY_COLLECTIONS.map(name => [
+    name,
+    (dataset[name] || []).filter(isEntity).map(({ slug, entity }) => {
+      const entry = toEntry(slug, entity)
+      const speciesLink = name === 'barcodes' &&
+        links.get(`${name}/${slug}`)?.find(link => link[0] === name && link[2] === 'species' && link[3] === 'species')
+      const speciesName = speciesLink && species.get(speciesLink[4])?.scientificName
+      if (typeof speciesName === 'string') entry.speciesName = speciesName
+      return entry
+    })
+  ]))
+  return { collections }
+}
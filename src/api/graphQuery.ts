@@ -0,0 +1,267 @@
+/**
+ * Graph Query - Declarative queries over the knowledge graph
+ *
+ * A GraphQuery selects entities from collections (DATASET_SCHEMAS names)
+ * and/or by @type, filters them on property values or references, follows
+ * relations forwards (a preparation's derivedFrom) or backwards (the
+ * preparations whose hasTCMProfile names a profile) and projects fields,
+ * localizing LanguageMaps.
+ *
+ * Forward references resolve the way checkLinkIntegrity() resolves them:
+ * into the collections LINK_RULES names for the property, by @id, slug or
+ * (vocabularies) last IRI segment. Backward steps use the inverse index
+ * (see inverseIndex.ts).
+ *
+ * @example
+ * runQuery(createQueryGraph(dataset), {
+ *   from: 'preparations',
+ *   where: [{ property: '@id', references: 'dried-ginger-rhizome' }],
+ *   traverse: ['derivedFrom', 'partOf', 'containsChemical'],
+ *   select: { name: 'name' },
+ *   locale: 'zh-Hant'
+ * })
+ * // [{ id: '.../chemical/6-gingerol', slug: '6-gingerol', collection: 'chemicals', entity, fields: { name: '6-薑酚' } }]
+ */
+
+import { extractSlugFromIRI } from './iri'
+import { LINK_RULES, referencesAt } from './linkIntegrity'
+import { buildInverseIndex, referencesTo, type InverseIndex } from './inverseIndex'
+
+// ============================================================================
+// Type Definitions
+// ============================================================================
+
+/**
+ * Filter on the values at a property (name or dotted path). `@id` matches
+ * the entity's own IRI, so `{ property: '@id', references: slug }` selects
+ * one entity.
+ */
+export type QueryCondition =
+  | { property: string; references: string }
+  | { property: string; equals: string | number | boolean }
+  | { property: string; contains: string }
+  | { property: string; exists: boolean }
+
+/** Property to follow forwards, or `{ inverse }` to follow backwards */
+export type TraverseStep = string | { inverse: string }
+
+export interface GraphQuery {
+  /** Collection name(s); every collection when omitted */
+  from?: string | string[]
+  /** @type to select, prefixed (`tcm:Herb`) or local name (`Herb`) */
+  type?: string
+  /** Conditions on the selected entities, all of which must hold */
+  where?: QueryCondition[]
+  /** Relations to follow from the selected entities, in order */
+  traverse?: TraverseStep[]
+  /** Result fields: field name → property name or dotted path */
+  select?: Record<string, string>
+  /** Language to localize selected LanguageMaps to (falls back to en) */
+  locale?: string
+  limit?: number
+}
+
+export interface QueryResult {
+  id: string
+  slug: string
+  collection: string
+  entity: JsonObject
+  /** Selected fields (empty without `select`) */
+  fields: Record<string, unknown>
+}
+
+/** A dataset prepared for queries; indexes are built on first use */
+export interface QueryGraph {
+  collections: string[]
+  entities(collection: string): JsonObject[]
+  /** The entity a reference names, from the given collections (default: all) */
+  resolve(iri: string, collections?: string[]): QueryResult | null
+  /** Incoming references over the whole dataset */
+  inverseIndex(): InverseIndex
+  /** The entity with this exact @id */
+  byId(id: string): QueryResult | null
+}
+
+type JsonObject = Record<string, unknown>
+
+// ============================================================================
+// Graph
+// ============================================================================
+
+const lastSegment = (iri: string) => iri.split('/').pop() || ''
+
+/** Vocabularies are named `system/refType` (see REFERENCE_COLLECTIONS) */
+const isVocabulary = (collection: string) => collection.includes('/')
+
+const idOf = (entity: unknown) => String((entity as JsonObject | null)?.['@id'] ?? '')
+
+function toResult(collection: string, entity: JsonObject): QueryResult {
+  const id = idOf(entity)
+  return { id, slug: isVocabulary(collection) ? lastSegment(id) : extractSlugFromIRI(id), collection, entity, fields: {} }
+}
+
+/**
+ * Wrap a dataset, given as entities per DATASET_SCHEMAS collection name,
+ * for runQuery()
+ */
+export function createQueryGraph(dataset: Record<string, unknown[]>): QueryGraph {
+  const collections = Object.keys(dataset)
+  const entities = (collection: string) =>
+    (dataset[collection] || []).filter((entity): entity is JsonObject => !!entity && typeof entity === 'object')
+
+  let ids: Map<string, QueryResult> | null = null
+  const bySlug = new Map<string, Map<string, QueryResult>>()
+  let inverse: InverseIndex | null = null
+
+  const byId = (id: string) => {
+    if (!ids) {
+      ids = new Map()
+      for (const collection of collections) {
+        for (const entity of entities(collection)) {
+          if (!ids.has(idOf(entity))) ids.set(idOf(entity), toResult(collection, entity))
+        }
+      }
+    }
+    return ids.get(id) || null
+  }
+
+  const slugIndex = (collection: string) => {
+    if (!bySlug.has(collection)) {
+      bySlug.set(collection, new Map(entities(collection).map(entity => {
+        const result = toResult(collection, entity)
+        return [result.slug, result]
+      })))
+    }
+    return bySlug.get(collection)!
+  }
+
+  return {
+    collections,
+    entities,
+    byId,
+    resolve(iri, targets = collections) {
+      const exact = byId(iri)
+      if (exact && targets.includes(exact.collection)) return exact
+      for (const collection of targets) {
+        const key = isVocabulary(collection) ? lastSegment(iri) : extractSlugFromIRI(iri)
+        const result = slugIndex(collection).get(key)
+        if (result) return result
+      }
+      return null
+    },
+    inverseIndex() {
+      if (!inverse) inverse = buildInverseIndex(collections.flatMap(entities))
+      return inverse
+    }
+  }
+}
+
+// ============================================================================
+// Values
+// ============================================================================
+
+/** Raw values at a dotted path, arrays along the way flattened */
+function valuesAt(entity: unknown, path: string): unknown[] {
+  let values: unknown[] = [entity]
+  for (const key of path.split('.')) {
+    values = values
+      .flatMap(value => Array.isArray(value) ? value : [value])
+      .filter((value): value is JsonObject => !!value && typeof value === 'object')
+      .map(value => value[key])
+      .filter(value => value !== undefined && value !== null)
+  }
+  return values.flatMap(value => Array.isArray(value) ? value : [value])
+}
+
+function isLanguageMap(value: unknown): value is Record<string, string> {
+  return !!value && typeof value === 'object' && !Array.isArray(value) && !('@id' in value) &&
+    Object.values(value).every(text => typeof text === 'string')
+}
+
+/** Strings of a value: itself, a LanguageMap's texts or a reference's @id */
+function textsOf(value: unknown): string[] {
+  if (typeof value === 'string') return [value]
+  if (typeof value === 'number' || typeof value === 'boolean') return [String(value)]
+  if (isLanguageMap(value)) return Object.values(value)
+  const id = (value as JsonObject | null)?.['@id']
+  return typeof id === 'string' ? [id] : []
+}
+
+function sameReference(a: string, b: string): boolean {
+  return a === b || extractSlugFromIRI(a) === extractSlugFromIRI(b) || lastSegment(a) === lastSegment(b)
+}
+
+function matches(entity: JsonObject, condition: QueryCondition): boolean {
+  if ('references' in condition) {
+    return referencesAt(entity, condition.property).some(iri => sameReference(iri, condition.references))
+  }
+  const values = valuesAt(entity, condition.property)
+  if ('exists' in condition) return (values.length > 0) === condition.exists
+  if ('equals' in condition) {
+    return values.some(value => value === condition.equals || textsOf(value).includes(String(condition.equals)))
+  }
+  const needle = condition.contains.toLowerCase()
+  return values.some(value => textsOf(value).some(text => text.toLowerCase().includes(needle)))
+}
+
+function hasType(entity: JsonObject, type: string): boolean {
+  const types = Array.isArray(entity['@type']) ? entity['@type'] : [entity['@type']]
+  return types.some(value => typeof value === 'string' && (value === type || value.split(':').pop() === type))
+}
+
+function project(value: unknown, locale?: string): unknown {
+  if (Array.isArray(value)) return value.map(item => project(item, locale))
+  if (isLanguageMap(value)) return locale ? (value[locale] || value.en || '') : value
+  if (value && typeof value === 'object' && typeof (value as JsonObject)['@id'] === 'string') {
+    return (value as JsonObject)['@id']
+  }
+  return value
+}
+
+/** A selected field: the value's own shape for plain properties, a list through nested paths */
+function select(entity: JsonObject, path: string, locale?: string): unknown {
+  if (!path.includes('.')) return project(entity[path] ?? null, locale)
+  return project(valuesAt(entity, path), locale)
+}
+
+// ============================================================================
+// Queries
+// ============================================================================
+
+function follow(graph: QueryGraph, results: QueryResult[], step: TraverseStep): QueryResult[] {
+  const next = new Map<string, QueryResult>()
+  for (const result of results) {
+    const found = typeof step === 'string'
+      ? referencesAt(result.entity, step).map(iri => {
+        const rules = LINK_RULES.filter(rule => rule.collection === result.collection && rule.property === step)
+        return graph.resolve(iri, rules.length ? rules.flatMap(rule => rule.targets) : undefined)
+      })
+      : referencesTo(graph.inverseIndex(), result.id, step.inverse).map(reference => graph.byId(reference.subject))
+    for (const target of found) {
+      if (target && !next.has(`${target.collection} ${target.id}`)) next.set(`${target.collection} ${target.id}`, target)
+    }
+  }
+  return Array.from(next.values())
+}
+
+/** Run a query against a graph from createQueryGraph() */
+export function runQuery(graph: QueryGraph, query: GraphQuery): QueryResult[] {
+  const from = query.from === undefined ? graph.collections : ([] as string[]).concat(query.from)
+
+  let results = from
+    .flatMap(collection => graph.entities(collection).map(entity => toResult(collection, entity)))
+    .filter(result => !query.type || hasType(result.entity, query.type))
+    .filter(result => (query.where || []).every(condition => matches(result.entity, condition)))
+
+  for (const step of query.traverse || []) {
+    results = follow(graph, results, step)
+  }
+
+  if (query.limit !== undefined) results = results.slice(0, query.limit)
+
+  if (!query.select) return results
+  return results.map(result => ({
+    ...result,
+    fields: Object.fromEntries(Object.entries(query.select!).map(([field, path]) => [field, select(result.entity, path, query.locale)]))
+  }))
+}
@@ -0,0 +1,209 @@
+/**
+ * Interactions - Herb–drug interaction matching
+ *
+ * Drugs are reference items (systems/modern/reference/drugs.jsonld) with
+ * labels, brand-name alternates and optional drug classes; interactions
+ * (systems/modern/reference/interactions.jsonld) link a preparation or
+ * modern substance to a drug or drug class with a severity, mechanism and
+ * references:
+ *
+ *   { "subject": { "@id": ".../graph/preparation/ginkgo-leaf" },
+ *     "drug": { "@id": ".../system/modern/drug/warfarin" },
+ *     "severity": "major", "mechanism": { "en": "Additive antiplatelet effect" },
+ *     "references": [{ "citation": "...", "pmid": "12345678" }] }
+ *
+ * The plain strings in `safetyInfo.drugInteractions` and modern profile
+ * `interactions` become interactions of unknown severity, linked to every
+ * drug their text names.
+ *
+ * @example
+ * const resolve = createDrugResolver(drugs)
+ * resolve('Coumadin 5 mg') // drug item for warfarin
+ */
+
+import type { LanguageMap, IRIReference } from '@herbapedia/data/types'
+import { normalizeSearchText } from './searchText'
+
+// ============================================================================
+// Type Definitions
+// ============================================================================
+
+export type InteractionSeverity = 'major' | 'moderate' | 'minor' | 'unknown'
+
+export interface Drug {
+  '@id': string
+  prefLabel?: LanguageMap
+  /** Brand and other names */
+  altLabel?: string[] | LanguageMap
+  /** Drug classes the drug belongs to (themselves drug items) */
+  drugClass?: IRIReference[]
+  rxcui?: string
+  atcCode?: string
+}
+
+export interface InteractionReference {
+  citation?: string
+  url?: string
+  pmid?: string
+}
+
+export interface DrugInteraction {
+  '@id'?: string
+  /** Preparation or modern substance */
+  subject: IRIReference
+  /** Drug or drug class; absent for plain-text interactions naming no known drug */
+  drug?: IRIReference
+  severity?: InteractionSeverity
+  mechanism?: LanguageMap
+  effect?: LanguageMap
+  management?: LanguageMap
+  references?: InteractionReference[]
+  /** Original text of an interaction derived from a plain string */
+  note?: string
+}
+
+/** A medication entered in the checker, resolved where possible */
+export interface CheckedDrug {
+  /** Text as entered */
+  text: string
+  drug: Drug | null
+  /** The drug and its classes */
+  ids: string[]
+  /** Normalized names the drug goes by, for matching plain-text interactions */
+  names: string[]
+}
+
+// ============================================================================
+// Drug Names
+// ============================================================================
+
+export const INTERACTION_SEVERITIES: InteractionSeverity[] = ['major', 'moderate', 'minor', 'unknown']
+
+// Doses and forms that follow a drug name: "warfarin 5 mg tablets"
+const DOSE_SUFFIX = /\s+\d[\d.,]*\s*(mg|mcg|µg|g|ml|iu|units?)\b.*$/i
+
+/**
+ * Normalize a drug name for lookup: lowercase, no tones, no dose suffix
+ */
+export function normalizeDrugName(text: string): string {
+  return normalizeSearchText(text.replace(DOSE_SUFFIX, '')).replace(/[®™]/g, '').trim()
+}
+
+function labelsOf(drug: Drug): string[] {
+  const labels = Object.values(drug.prefLabel || {})
+  const alt = drug.altLabel
+  if (Array.isArray(alt)) labels.push(...alt)
+  else if (alt) labels.push(...Object.values(alt).flat())
+  labels.push(drug['@id'].split('/').pop() || '')
+  if (drug.rxcui) labels.push(drug.rxcui)
+  if (drug.atcCode) labels.push(drug.atcCode)
+  return labels.filter((label): label is string => typeof label === 'string' && label.length > 0)
+}
+
+/**
+ * Normalized names of a drug: labels in every language, alternates, slug and codes
+ */
+export function drugNames(drug: Drug): string[] {
+  return Array.from(new Set(labelsOf(drug).map(normalizeDrugName).filter(Boolean)))
+}
+
+function containsName(text: string, name: string): boolean {
+  const index = text.indexOf(name)
+  if (index < 0) return false
+  // Latin names must match whole words; hanzi names have no word boundaries
+  if (!/[a-z0-9]/.test(name)) return true
+  const before = text[index - 1]
+  const after = text[index + name.length]
+  return !(before && /[a-z0-9]/.test(before)) && !(after && /[a-z0-9]/.test(after))
+}
+
+/**
+ * Build a lookup from free text to drug items. The whole text is tried
+ * first, then its parts ("Anticoagulants (warfarin)" → "warfarin").
+ */
+export function createDrugResolver(drugs: Drug[]): (text: string) => Drug | null {
+  const byName = new Map<string, Drug>()
+  for (const drug of drugs) {
+    for (const name of drugNames(drug)) {
+      if (!byName.has(name)) byName.set(name, drug)
+    }
+  }
+
+  return text => {
+    const whole = normalizeDrugName(text)
+    if (byName.has(whole)) return byName.get(whole)!
+    for (const part of text.split(/[(),;/]|\band\b|\bor\b/)) {
+      const name = normalizeDrugName(part)
+      if (name && byName.has(name)) return byName.get(name)!
+    }
+    return null
+  }
+}
+
+/**
+ * Every known drug a text names, e.g. "Anticoagulants such as warfarin or
+ * heparin" → [warfarin, heparin]
+ */
+export function findDrugsInText(text: string, drugs: Drug[]): Drug[] {
+  const normalized = normalizeSearchText(text)
+  return drugs.filter(drug => drugNames(drug).some(name => name.length >= 3 && containsName(normalized, name)))
+}
+
+// ============================================================================
+// Matching
+// ============================================================================
+
+export function iriOf(ref: IRIReference | string | undefined): string | null {
+  if (!ref) return null
+  return typeof ref === 'string' ? ref : ref['@id'] || null
+}
+
+/**
+ * Interactions derived from plain-string data: one per named drug, or one
+ * without a drug when the text names none
+ */
+export function interactionsFromText(subject: string, texts: string[], drugs: Drug[]): DrugInteraction[] {
+  return texts.flatMap(note => {
+    const named = findDrugsInText(note, drugs)
+    if (named.length === 0) return [{ subject: { '@id': subject }, severity: 'unknown' as const, note }]
+    return named.map(drug => ({ subject: { '@id': subject }, drug: { '@id': drug['@id'] }, severity: 'unknown' as const, note }))
+  })
+}
+
+/**
+ * Resolve a medication entered by the user
+ */
+export function checkDrug(text: string, resolve: (text: string) => Drug | null): CheckedDrug {
+  const drug = resolve(text)
+  if (!drug) return { text, drug: null, ids: [], names: [normalizeDrugName(text)].filter(Boolean) }
+  return {
+    text,
+    drug,
+    ids: [drug['@id'], ...(drug.drugClass || []).map(iriOf).filter((id): id is string => !!id)],
+    names: drugNames(drug)
+  }
+}
+
+/**
+ * Does an interaction concern the drug? By drug or class IRI, or for
+ * plain-text interactions by the drug's name appearing in the text
+ */
+export function interactionMatches(interaction: DrugInteraction, drug: CheckedDrug): boolean {
+  const target = iriOf(interaction.drug)
+  if (target && drug.ids.includes(target)) return true
+  if (!interaction.note) return false
+  const note = normalizeSearchText(interaction.note)
+  return drug.names.some(name => name.length >= 3 && containsName(note, name))
+}
+
+/**
+ * The most severe of a list; known severities outrank unknown
+ */
+export function highestSeverity(interactions: DrugInteraction[]): InteractionSeverity | null {
+  if (interactions.length === 0) return null
+  const rank = (severity: InteractionSeverity | undefined) => INTERACTION_SEVERITIES.indexOf(severity || 'unknown')
+  return interactions.reduce<InteractionSeverity>(
+    (worst, interaction) => rank(interaction.severity) < rank(worst) ? interaction.severity! : worst,
+    'unknown'
+  )
+}
@@ -0,0 +1,197 @@
+/**
+ * Inverse Index - Incoming references and relationship symmetry
+ *
+ * Entities only store their outgoing references (a chemical's foundIn, a
+ * species' containsChemical, ...). buildInverseIndex() turns every
+ * IRI-valued property of a set of entities around, so "what refers to X"
+ * is a lookup instead of a scan over every cache.
+ *
+ * Several relations are stored on both ends and should agree:
+ * INVERSE_PROPERTIES lists those pairs and checkSymmetry() reports
+ * references whose target does not refer back. References to entities that
+ * don't exist are left to checkLinkIntegrity() (see linkIntegrity.ts).
+ *
+ * @example
+ * const index = buildInverseIndex([...species, ...chemicals])
+ * referencesTo(index, 'https://www.herbapedia.org/graph/chemical/6-gingerol', 'containsChemical')
+ * // [{ subject: '.../species/zingiber-officinale', property: 'containsChemical', target: '...' }]
+ */
+
+import { extractSlugFromIRI, matchIRIPattern } from './iri'
+import { referencesAt } from './linkIntegrity'
+
+// ============================================================================
+// Type Definitions
+// ============================================================================
+
+export interface GraphReference {
+  /** @id of the entity holding the reference */
+  subject: string
+  /** Property name or dotted path (e.g. `components.compound`) */
+  property: string
+  target: string
+}
+
+/** Incoming references by target slug */
+export type InverseIndex = Map<string, GraphReference[]>
+
+export interface InversePair {
+  collection: string
+  property: string
+  inverseCollection: string
+  inverseProperty: string
+}
+
+export interface AsymmetricRelation {
+  /** @id of the entity holding the reference */
+  source: string
+  collection: string
+  property: string
+  target: string
+  /** `collection.property` expected to refer back to the source */
+  inverse: string
+}
+
+export interface SymmetryReport {
+  checkedRelations: number
+  asymmetricCount: number
+  /** Asymmetric relations per `collection.property` */
+  byProperty: Record<string, number>
+  asymmetric: AsymmetricRelation[]
+}
+
+type JsonObject = Record<string, unknown>
+
+// ============================================================================
+// Inverse Index
+// ============================================================================
+
+/**
+ * Every outgoing reference of an entity: `{ "@id" }` objects at any depth
+ * and plain strings that are Herbapedia IRIs. Keywords (`@id`, `@type`,
+ * `@context`) of the entity itself are skipped.
+ */
+export function referencesFrom(entity: unknown): GraphReference[] {
+  const subject = String((entity as JsonObject | null)?.['@id'] ?? '')
+  const references: GraphReference[] = []
+
+  const visit = (value: unknown, property: string) => {
+    if (Array.isArray(value)) {
+      for (const item of value) visit(item, property)
+    } else if (typeof value === 'string') {
+      if (matchIRIPattern(value)) references.push({ subject, property, target: value })
+    } else if (value && typeof value === 'object') {
+      const object = value as JsonObject
+      if (typeof object['@id'] === 'string') references.push({ subject, property, target: object['@id'] })
+      for (const [key, nested] of Object.entries(object)) {
+        if (!key.startsWith('@')) visit(nested, `${property}.${key}`)
+      }
+    }
+  }
+
+  if (entity && typeof entity === 'object') {
+    for (const [key, value] of Object.entries(entity as JsonObject)) {
+      if (!key.startsWith('@')) visit(value, key)
+    }
+  }
+  return references
+}
+
+/** Incoming references of every entity referred to by `entities` */
+export function buildInverseIndex(entities: Iterable<unknown>): InverseIndex {
+  const index: InverseIndex = new Map()
+  for (const entity of entities) {
+    for (const reference of referencesFrom(entity)) {
+      const slug = extractSlugFromIRI(reference.target)
+      if (!index.has(slug)) index.set(slug, [])
+      index.get(slug)!.push(reference)
+    }
+  }
+  return index
+}
+
+/**
+ * References to an entity, given by IRI or slug, optionally only those
+ * made through one property
+ */
+export function referencesTo(index: InverseIndex, iri: string, property?: string): GraphReference[] {
+  const references = index.get(extractSlugFromIRI(iri)) || []
+  return property ? references.filter(reference => reference.property === property) : references
+}
+
+// ============================================================================
+// Symmetry
+// ============================================================================
+
+export const INVERSE_PROPERTIES: InversePair[] = [
+  { collection: 'chemicals', property: 'foundIn', inverseCollection: 'species', inverseProperty: 'containsChemical' },
+  { collection: 'species', property: 'hasParts', inverseCollection: 'parts', inverseProperty: 'partOf' },
+  { collection: 'species', property: 'hasDNABarcode', inverseCollection: 'barcodes', inverseProperty: 'species' },
+  { collection: 'species', property: 'hasChemicalProfile', inverseCollection: 'chemical-profiles', inverseProperty: 'profileOf' },
+  { collection: 'preparations', property: 'relatedPreparations', inverseCollection: 'preparations', inverseProperty: 'relatedPreparations' },
+  { collection: 'preparations', property: 'hasTCMProfile', inverseCollection: 'tcm-profiles', inverseProperty: 'profiles' },
+  { collection: 'preparations', property: 'hasWesternProfile', inverseCollection: 'western-profiles', inverseProperty: 'profiles' },
+  { collection: 'preparations', property: 'hasAyurvedaProfile', inverseCollection: 'ayurveda-profiles', inverseProperty: 'profiles' },
+  { collection: 'preparations', property: 'hasUnaniProfile', inverseCollection: 'unani-profiles', inverseProperty: 'profiles' },
+  { collection: 'preparations', property: 'hasMongolianProfile', inverseCollection: 'mongolian-profiles', inverseProperty: 'profiles' }
+]
+
+const idOf = (entity: unknown) => String((entity as JsonObject | null)?.['@id'] ?? '')
+
+/**
+ * Check both directions of every pair in INVERSE_PROPERTIES against the
+ * dataset, given as entities per DATASET_SCHEMAS collection name. A
+ * reference counts only if its target is in the pair's other collection
+ * (foundIn may also name parts and preparations, which have no
+ * containsChemical).
+ */
+export function checkSymmetry(dataset: Record<string, unknown[]>, pairs: InversePair[] = INVERSE_PROPERTIES): SymmetryReport {
+  const bySlug = new Map<string, Map<string, unknown>>()
+  const entityIn = (collection: string, iri: string) => {
+    if (!bySlug.has(collection)) {
+      bySlug.set(collection, new Map((dataset[collection] || []).map(entity => [extractSlugFromIRI(idOf(entity)), entity])))
+    }
+    return bySlug.get(collection)!.get(extractSlugFromIRI(iri))
+  }
+
+  const directions = pairs.flatMap(pair => {
+    const reverse = {
+      collection: pair.inverseCollection,
+      property: pair.inverseProperty,
+      inverseCollection: pair.collection,
+      inverseProperty: pair.property
+    }
+    const selfInverse = pair.collection === pair.inverseCollection && pair.property === pair.inverseProperty
+    return selfInverse ? [pair] : [pair, reverse]
+  })
+
+  let checkedRelations = 0
+  const asymmetric: AsymmetricRelation[] = []
+  for (const direction of directions) {
+    for (const entity of dataset[direction.collection] || []) {
+      const source = idOf(entity)
+      const sourceSlug = extractSlugFromIRI(source)
+      for (const target of referencesAt(entity, direction.property)) {
+        const targetEntity = entityIn(direction.inverseCollection, target)
+        if (!targetEntity) continue
+        checkedRelations++
+        if (referencesAt(targetEntity, direction.inverseProperty).some(iri => extractSlugFromIRI(iri) === sourceSlug)) continue
+        asymmetric.push({
+          source,
+          collection: direction.collection,
+          property: direction.property,
+          target,
+          inverse: `${direction.inverseCollection}.${direction.inverseProperty}`
+        })
+      }
+    }
+  }
+
+  const byProperty: Record<string, number> = {}
+  for (const relation of asymmetric) {
+    const key = `${relation.collection}.${relation.property}`
+    byProperty[key] = (byProperty[key] || 0) + 1
+  }
+
+  return { checkedRelations, asymmetricCount: asymmetric.length, byProperty, asymmetric }
+}
@@ -0,0 +1,72 @@
+/**
+ * IRI - Slugs from Herbapedia IRIs
+ *
+ * Herbapedia IRIs come in an old and a new layout; both are still found in
+ * the data:
+ *
+ *   OLD: https://www.herbapedia.org/entity/preparation/dried-ginger-rhizome
+ *   NEW: https://www.herbapedia.org/graph/preparation/dried-ginger-rhizome
+ *
+ *   OLD: https://www.herbapedia.org/system/tcm/nature/hot
+ *   NEW: https://www.herbapedia.org/graph/vocab/tcm/nature/hot
+ *
+ * IRI_PATTERNS lists the layouts in the order extractSlugFromIRI() tries
+ * them; matchIRIPattern() tells whether an IRI follows one of them at all,
+ * rather than falling through to the last-segment fallback.
+ *
+ * @example
+ * extractSlugFromIRI('https://www.herbapedia.org/graph/preparation/ginseng') // 'ginseng'
+ * matchIRIPattern('https://www.herbapedia.org/misc/ginseng') // null
+ */
+
+export interface IRIPattern {
+  name: string
+  /** Captures the slug */
+  pattern: RegExp
+}
+
+export const IRI_PATTERNS: IRIPattern[] = [
+  // NEW graph pattern: .../graph/{type}/{slug}
+  { name: 'graph', pattern: /\/graph\/[^/]+\/(.+)$/ },
+  // NEW vocab pattern: .../graph/vocab/{system}/{type}/{value}
+  { name: 'vocab', pattern: /\/graph\/vocab\/[^/]+\/[^/]+\/(.+)$/ },
+  // OLD entity pattern: .../entity/{category}/{type}/{slug}
+  { name: 'entity', pattern: /\/entity\/[^/]+\/[^/]+\/(.+)$/ },
+  // OLD entity simple: .../entity/preparation/{slug}
+  { name: 'entity-simple', pattern: /\/entity\/[^/]+\/(.+)$/ },
+  // OLD system pattern: .../system/{system}/{type}/{value}
+  { name: 'system', pattern: /\/system\/[^/]+\/[^/]+\/(.+)$/ }
+]
+
+/** Whether an IRI belongs to the dataset (rather than Wikidata, GBIF, ...) */
+export function isHerbapediaIRI(iri: string): boolean {
+  return iri.includes('herbapedia.org')
+}
+
+/**
+ * The pattern a Herbapedia IRI follows and the slug it yields, or null for
+ * IRIs only the last-segment fallback would handle
+ */
+export function matchIRIPattern(iri: string): { name: string; slug: string } | null {
+  if (!iri || !isHerbapediaIRI(iri)) return null
+  for (const { name, pattern } of IRI_PATTERNS) {
+    const match = iri.match(pattern)
+    if (match) return { name, slug: match[1] }
+  }
+  return null
+}
+
+/**
+ * Extract slug from IRI, supporting both old and new patterns.
+ */
+export function extractSlugFromIRI(iri: string): string {
+  if (!iri) return ''
+
+  // Skip external IRIs (wikidata, etc.)
+  if (!isHerbapediaIRI(iri)) {
+    return iri.split('/').pop() || ''
+  }
+
+  // Fallback: last segment
+  return matchIRIPattern(iri)?.slug ?? (iri.split('/').pop() || '')
+}
@@ -0,0 +1,187 @@
+/**
+ * Link Integrity - Dangling references across the knowledge graph
+ *
+ * The adapter resolves references quietly: getRefItem() and the entity
+ * caches return null for IRIs they don't know, and views fall back to
+ * showing the raw IRI. checkLinkIntegrity() walks every reference listed in
+ * LINK_RULES and reports those that resolve to no entity of the expected
+ * collections (collection names from DATASET_SCHEMAS).
+ *
+ * A reference resolves the way the adapter would resolve it: by exact @id,
+ * by extractSlugFromIRI() slug (entity caches are keyed by slug), or for
+ * vocabularies by the last IRI segment (getRefItem() retries old and new
+ * namespaces with it).
+ *
+ * @example
+ * const report = checkLinkIntegrity({ preparations: [...], 'tcm-profiles': [...], ... })
+ * report.dangling // [{ source, collection: 'preparations', property: 'hasTCMProfile', target, expected }]
+ */
+
+import { extractSlugFromIRI } from './iri'
+import { REFERENCE_COLLECTIONS } from './catalog'
+
+// ============================================================================
+// Type Definitions
+// ============================================================================
+
+export interface LinkRule {
+  collection: string
+  /** Property name or dotted path (see schemaValidation.ts) */
+  property: string
+  /** Collections the reference may point into */
+  targets: string[]
+}
+
+export interface DanglingLink {
+  /** @id of the entity holding the reference */
+  source: string
+  collection: string
+  property: string
+  target: string
+  expected: string[]
+}
+
+export interface LinkReport {
+  checkedLinks: number
+  danglingCount: number
+  /** Dangling links per `collection.property` */
+  byProperty: Record<string, number>
+  dangling: DanglingLink[]
+}
+
+type JsonObject = Record<string, unknown>
+
+// ============================================================================
+// Rules
+// ============================================================================
+
+const SOURCES = ['species', 'parts', 'chemicals', 'zoological-sources', 'mineral-sources', 'chemical-sources']
+
+const vocabulary = (system: string, refType: string) => `${system}/${refType}`
+
+export const LINK_RULES: LinkRule[] = [
+  // Preparations
+  { collection: 'preparations', property: 'derivedFrom', targets: SOURCES },
+  { collection: 'preparations', property: 'hasTCMProfile', targets: ['tcm-profiles'] },
+  { collection: 'preparations', property: 'hasWesternProfile', targets: ['western-profiles'] },
+  { collection: 'preparations', property: 'hasAyurvedaProfile', targets: ['ayurveda-profiles'] },
+  { collection: 'preparations', property: 'hasUnaniProfile', targets: ['unani-profiles'] },
+  { collection: 'preparations', property: 'hasMongolianProfile', targets: ['mongolian-profiles'] },
+  { collection: 'preparations', property: 'relatedPreparations', targets: ['preparations'] },
+  // Botanical
+  { collection: 'species', property: 'hasParts', targets: ['parts'] },
+  { collection: 'species', property: 'containsChemical', targets: ['chemicals'] },
+  { collection: 'species', property: 'hasDNABarcode', targets: ['barcodes'] },
+  { collection: 'species', property: 'hasChemicalProfile', targets: ['chemical-profiles'] },
+  { collection: 'parts', property: 'partOf', targets: ['species'] },
+  { collection: 'chemicals', property: 'foundIn', targets: ['species', 'parts', 'preparations'] },
+  { collection: 'chemical-profiles', property: 'profileOf', targets: ['species', 'parts', 'preparations'] },
+  { collection: 'chemical-profiles', property: 'components.compound', targets: ['chemicals'] },
+  { collection: 'barcodes', property: 'species', targets: ['species'] },
+  // Formulas
+  { collection: 'formulas', property: 'ingredients', targets: ['preparations'] },
+  // System profiles
+  ...['tcm', 'western', 'ayurveda', 'unani', 'mongolian'].flatMap(system => [
+    { collection: `${system}-profiles`, property: 'profiles', targets: ['preparations'] },
+    { collection: `${system}-profiles`, property: 'derivedFromPlant', targets: ['species'] }
+  ]),
+  { collection: 'tcm-profiles', property: 'hasNature', targets: [vocabulary('tcm', 'natures')] },
+  { collection: 'tcm-profiles', property: 'hasFlavor', targets: [vocabulary('tcm', 'flavors')] },
+  { collection: 'tcm-profiles', property: 'entersMeridian', targets: [vocabulary('tcm', 'meridians')] },
+  { collection: 'tcm-profiles', property: 'hasCategory', targets: [vocabulary('tcm', 'categories')] },
+  { collection: 'western-profiles', property: 'hasAction', targets: [vocabulary('western', 'actions')] },
+  { collection: 'western-profiles', property: 'hasOrganAffinity', targets: [vocabulary('western', 'organs')] },
+  { collection: 'ayurveda-profiles', property: 'hasRasa', targets: [vocabulary('ayurveda', 'rasa')] },
+  { collection: 'ayurveda-profiles', property: 'hasGuna', targets: [vocabulary('ayurveda', 'guna')] },
+  { collection: 'ayurveda-profiles', property: 'hasVirya', targets: [vocabulary('ayurveda', 'virya')] },
+  { collection: 'ayurveda-profiles', property: 'hasVipaka', targets: [vocabulary('ayurveda', 'vipaka')] },
+  { collection: 'ayurveda-profiles', property: 'ayurvedaCategory', targets: [vocabulary('ayurveda', 'ayurveda-categories')] },
+  { collection: 'unani-profiles', property: 'hasTemperament', targets: [vocabulary('unani', 'temperaments')] },
+  { collection: 'unani-profiles', property: 'hasElement', targets: [vocabulary('unani', 'unani-elements')] },
+  { collection: 'mongolian-profiles', property: 'hasElement', targets: [vocabulary('mongolian', 'elements')] },
+  { collection: 'mongolian-profiles', property: 'hasTaste', targets: [vocabulary('mongolian', 'tastes')] },
+  { collection: 'mongolian-profiles', property: 'hasPotency', targets: [vocabulary('mongolian', 'potencies')] },
+  { collection: 'modern-profiles', property: 'derivedFromSource', targets: [...SOURCES, 'preparations'] }
+]
+
+const VOCABULARIES = new Set(REFERENCE_COLLECTIONS.map(collection => vocabulary(collection.system, collection.refType)))
+
+// ============================================================================
+// Checking
+// ============================================================================
+
+/** IRIs at a dotted path, from `{ "@id" }` objects or plain strings */
+export function referencesAt(entity: unknown, path: string): string[] {
+  let values: unknown[] = [entity]
+  for (const key of path.split('.')) {
+    values = values
+      .flatMap(value => Array.isArray(value) ? value : [value])
+      .filter((value): value is JsonObject => !!value && typeof value === 'object')
+      .map(value => value[key])
+      .filter(value => value !== undefined && value !== null)
+  }
+  return values
+    .flatMap(value => Array.isArray(value) ? value : [value])
+    .map(value => typeof value === 'string' ? value : (value as JsonObject)?.['@id'])
+    .filter((id): id is string => typeof id === 'string' && id.length > 0)
+}
+
+const lastSegment = (iri: string) => iri.split('/').pop() || ''
+
+interface CollectionIndex {
+  ids: Set<string>
+  slugs: Set<string>
+  /** Last IRI segments, for vocabularies only */
+  values: Set<string> | null
+}
+
+function indexCollection(name: string, entities: unknown[]): CollectionIndex {
+  const ids = entities
+    .map(entity => (entity as JsonObject | null)?.['@id'])
+    .filter((id): id is string => typeof id === 'string')
+  return {
+    ids: new Set(ids),
+    slugs: new Set(ids.map(extractSlugFromIRI)),
+    values: VOCABULARIES.has(name) ? new Set(ids.map(lastSegment)) : null
+  }
+}
+
+function resolves(target: string, index: CollectionIndex | undefined): boolean {
+  if (!index) return false
+  return index.ids.has(target) ||
+    index.slugs.has(extractSlugFromIRI(target)) ||
+    (!!index.values && index.values.has(lastSegment(target)))
+}
+
+/**
+ * Check every reference in LINK_RULES against the dataset, given as
+ * entities per DATASET_SCHEMAS collection name
+ */
+export function checkLinkIntegrity(dataset: Record<string, unknown[]>, rules: LinkRule[] = LINK_RULES): LinkReport {
+  const indexes = new Map<string, CollectionIndex>()
+  const indexOf = (name: string) => {
+    if (!indexes.has(name)) indexes.set(name, indexCollection(name, dataset[name] || []))
+    return indexes.get(name)
+  }
+
+  let checkedLinks = 0
+  const dangling: DanglingLink[] = []
+  for (const rule of rules) {
+    for (const entity of dataset[rule.collection] || []) {
+      const source = String((entity as JsonObject | null)?.['@id'] ?? '')
+      for (const target of referencesAt(entity, rule.property)) {
+        checkedLinks++
+        if (rule.targets.some(name => resolves(target, indexOf(name)))) continue
+        dangling.push({ source, collection: rule.collection, property: rule.property, target, expected: rule.targets })
+      }
+    }
+  }
+
+  const byProperty: Record<string, number> = {}
+  for (const link of dangling) {
+    const key = `${link.collection}.${link.property}`
+    byProperty[key] = (byProperty[key] || 0) + 1
+  }
+
+  return { checkedLinks, danglingCount: dangling.length, byProperty, dangling }
+}
@@ -0,0 +1,405 @@
+/**
+ * Linked Data - The graph as RDF: JSON-LD, Turtle and N-Triples
+ *
+ * Entities are read with their own @context: the context documents the
+ * data names (resolved and served from the data directory by
+ * scripts/lib/dataset.js, published under CONTEXT_BASE). Entities without
+ * one fall back to buildContext(), generated from the data: the
+ * KNOWN_TYPE_PREFIXES, bound to the namespaces the context documents give
+ * them (contextPrefixes()), a handful of terms mapped onto schema.org, SKOS
+ * and Darwin Core, every other term in the herbapedia vocabulary, and
+ * `@container: @language` for the LanguageMap properties. toTriples()
+ * expands them with jsonld.js; the serializers write the result out.
+ *
+ * Every pre-rendered detail page has its data next to it, one file per
+ * format (see the linked-data plugin in vite.config.js), at
+ * linkedDataPath(): /preparations/ginger -> /preparations/ginger.ttl.
+ *
+ * @example
+ * const contexts = createContextLoader(dataDir)
+ * const context = buildContext(entities, await contextPrefixes(entities, contexts))
+ * await serializeLinkedData([preparation, tcmProfile], 'ttl', context, contexts)
+ * // @prefix schema: <https://schema.org/> . ...
+ * linkedDataPath('/preparations/ginger', 'nt') // '/preparations/ginger.nt'
+ */
+
+import { SITE_URL } from './catalog'
+import { DATASET_SCHEMAS, KNOWN_TYPE_PREFIXES, REQUIRED_LANGUAGES } from './schemaValidation'
+
+// ============================================================================
+// Type Definitions
+// ============================================================================
+
+export interface RdfTerm {
+  termType: 'NamedNode' | 'BlankNode' | 'Literal'
+  value: string
+  language?: string
+  datatype?: string
+}
+
+export interface Triple {
+  subject: RdfTerm
+  predicate: RdfTerm
+  object: RdfTerm
+}
+
+export type LinkedDataExtension = 'jsonld' | 'ttl' | 'nt'
+
+export interface LinkedDataFormat {
+  extension: LinkedDataExtension
+  mediaType: string
+  label: string
+}
+
+export type JsonLdContext = Record<string, string | { '@id': string; '@container'?: '@language' }>
+
+/** jsonld.js document loader, for the context documents entities name */
+export type DocumentLoader = (url: string) => Promise<{ contextUrl: null; documentUrl: string; document: unknown }>
+
+type JsonObject = Record<string, unknown>
+
+// ============================================================================
+// Vocabulary
+// ============================================================================
+
+export const LINKED_DATA_FORMATS: LinkedDataFormat[] = [
+  { extension: 'jsonld', mediaType: 'application/ld+json', label: 'JSON-LD' },
+  { extension: 'ttl', mediaType: 'text/turtle', label: 'Turtle' },
+  { extension: 'nt', mediaType: 'application/n-triples', label: 'N-Triples' }
+]
+
+// The data's vocabularies: vocab/core# for herbapedia terms, vocab/<prefix>#
+// for the others
+const VOCAB_BASE = 'https://www.herbapedia.org/vocab/'
+
+const STANDARD_PREFIXES: Record<string, string> = {
+  rdf: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#',
+  xsd: 'http://www.w3.org/2001/XMLSchema#',
+  schema: 'https://schema.org/',
+  skos: 'http://www.w3.org/2004/02/skos/core#',
+  dwc: 'http://rs.tdwg.org/dwc/terms/'
+}
+
+/**
+ * Namespace of every prefix the data's @type values may use, for data
+ * whose context documents do not declare it
+ */
+export const RDF_PREFIXES: Record<string, string> = {
+  ...STANDARD_PREFIXES,
+  ...Object.fromEntries(KNOWN_TYPE_PREFIXES
+    .filter(prefix => !STANDARD_PREFIXES[prefix])
+    .map(prefix => [prefix, `${VOCAB_BASE}${prefix === 'herbapedia' ? 'core' : prefix}#`]))
+}
+
+/** Terms with an established meaning elsewhere; all others are herbapedia terms */
+const MAPPED_TERMS: Record<string, string> = {
+  name: 'schema:name',
+  description: 'schema:description',
+  image: 'schema:image',
+  sameAs: 'schema:sameAs',
+  prefLabel: 'skos:prefLabel',
+  altLabel: 'skos:altLabel',
+  definition: 'skos:definition',
+  scientificName: 'dwc:scientificName',
+  family: 'dwc:family',
+  genus: 'dwc:genus'
+}
+
+const RDF_TYPE = `${STANDARD_PREFIXES.rdf}type`
+const XSD = STANDARD_PREFIXES.xsd
+
+const LANGUAGE_TAG = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/
+
+const isObject = (value: unknown): value is JsonObject =>
+  !!value && typeof value === 'object' && !Array.isArray(value)
+
+/** Whether a value is shaped like a LanguageMap ({ en: '...', 'zh-Hant': '...' }) */
+function isLanguageMap(value: unknown): value is Record<string, string | string[]> {
+  if (!isObject(value)) return false
+  const entries = Object.entries(value)
+  return entries.length > 0 &&
+    entries.some(([language]) => REQUIRED_LANGUAGES.includes(language)) &&
+    entries.every(([language, text]) => LANGUAGE_TAG.test(language) &&
+      (typeof text === 'string' || (Array.isArray(text) && text.every(item => typeof item === 'string'))))
+}
+
+const hasOwnContext = (entity: unknown): entity is JsonObject =>
+  isObject(entity) && entity['@context'] !== undefined && entity['@context'] !== null
+
+// Lists of LanguageMaps ({ warnings: [{ en, zh-Hant }, ...] }) are not valid
+// under a language container; they are read as one map of text lists
+const isLanguageMapList = (value: unknown): value is Array<Record<string, string | string[]>> =>
+  Array.isArray(value) && value.length > 0 && value.every(isLanguageMap)
+
+function mergeLanguageMaps(maps: Array<Record<string, string | string[]>>): Record<string, string[]> {
+  const merged: Record<string, string[]> = {}
+  for (const map of maps) {
+    for (const [language, texts] of Object.entries(map)) {
+      merged[language] = [...(merged[language] || []), ...[texts].flat()]
+    }
+  }
+  return merged
+}
+
+/** Properties holding LanguageMaps, in the schemas or anywhere in the entities */
+function languageMapTerms(entities: unknown[]): Set<string> {
+  const terms = new Set(DATASET_SCHEMAS.flatMap(collection => collection.schema.languageMaps))
+  const visit = (value: unknown): void => {
+    if (Array.isArray(value)) return value.forEach(visit)
+    if (!isObject(value)) return
+    for (const [key, child] of Object.entries(value)) {
+      if (key.startsWith('@')) continue
+      if (isLanguageMap(child) || isLanguageMapList(child)) terms.add(key)
+      else visit(child)
+    }
+  }
+  entities.forEach(visit)
+  return terms
+}
+
+// Prefix definitions of a context: terms bound to a namespace IRI
+function prefixesOf(context: JsonObject | JsonLdContext): Record<string, string> {
+  return Object.fromEntries(Object.entries(context).filter(([term, value]) =>
+    !term.startsWith('@') && typeof value === 'string' && /^[a-z][a-z0-9+.-]*:.*[#/]$/i.test(value)))
+}
+
+/**
+ * RDF_PREFIXES with the namespaces the entities' own context documents
+ * (from `documentLoader`) bind them to, and the other prefixes those
+ * documents declare. The first binding of a prefix wins.
+ */
+export async function contextPrefixes(entities: unknown[], documentLoader: DocumentLoader): Promise<Record<string, string>> {
+  const declared: Record<string, string> = {}
+  const loaded = new Set<string>()
+
+  const visit = async (context: unknown, base?: string): Promise<void> => {
+    if (Array.isArray(context)) {
+      for (const item of context) await visit(item, base)
+    } else if (typeof context === 'string') {
+      const url = base ? new URL(context, base).href : context
+      if (loaded.has(url) || !/^[a-z][a-z0-9+.-]*:/i.test(url)) return
+      loaded.add(url)
+      const { document } = await documentLoader(url)
+      if (isObject(document)) await visit(document['@context'], url)
+    } else if (isObject(context)) {
+      for (const [prefix, namespace] of Object.entries(prefixesOf(context))) declared[prefix] ??= namespace
+    }
+  }
+
+  for (const entity of entities) {
+    if (hasOwnContext(entity)) await visit(entity['@context'])
+  }
+  return { ...RDF_PREFIXES, ...declared }
+}
+
+/**
+ * JSON-LD context of the data: prefixes (RDF_PREFIXES, or those of
+ * contextPrefixes()), mapped terms and LanguageMap containers for the
+ * properties found in `entities`
+ */
+export function buildContext(entities: unknown[] = [], prefixes: Record<string, string> = RDF_PREFIXES): JsonLdContext {
+  const context: JsonLdContext = { '@vocab': prefixes.herbapedia, ...prefixes, ...MAPPED_TERMS }
+  for (const term of [...languageMapTerms(entities)].sort()) {
+    context[term] = { '@id': MAPPED_TERMS[term] || `herbapedia:${term}`, '@container': '@language' }
+  }
+  return context
+}
+
+// ============================================================================
+// Expansion
+// ============================================================================
+
+// Without a loader, context documents are never fetched
+const noDocuments: DocumentLoader = async url => {
+  throw new Error(`Context document not available: ${url}`)
+}
+
+// Copy of a value read with the generated context: lists of LanguageMaps
+// under language containers merged, and other values of those terms keyed
+// by the term's IRI, so the container does not apply to them
+function normalizeLanguageMaps(value: unknown, context: JsonLdContext): unknown {
+  if (Array.isArray(value)) return value.map(item => normalizeLanguageMaps(item, context))
+  if (!isObject(value)) return value
+  return Object.fromEntries(Object.entries(value).map(([key, child]) => {
+    if (key.startsWith('@')) return [key, child]
+    const definition = context[key]
+    if (typeof definition !== 'object' || definition['@container'] !== '@language') {
+      return [key, normalizeLanguageMaps(child, context)]
+    }
+    if (isLanguageMapList(child)) return [key, mergeLanguageMaps(child)]
+    const isText = typeof child === 'string' || (Array.isArray(child) && child.every(item => typeof item === 'string'))
+    if (isText || isLanguageMap(child)) return [key, child]
+    return [definition['@id'], normalizeLanguageMaps(child, context)]
+  }))
+}
+
+/** An entity with the context it is read with: its own, else `context` */
+function withContext(entity: unknown, context: JsonLdContext): unknown {
+  if (hasOwnContext(entity) || !isObject(entity)) return entity
+  return { '@context': context, ...(normalizeLanguageMaps(entity, context) as JsonObject) }
+}
+
+interface JsonLdTerm {
+  termType: string
+  value: string
+  language?: string
+  datatype?: { value: string }
+}
+
+function toRdfTerm(term: JsonLdTerm): RdfTerm {
+  if (term.termType === 'Literal') {
+    return term.language
+      ? { termType: 'Literal', value: term.value, language: term.language }
+      : { termType: 'Literal', value: term.value, datatype: term.datatype?.value || `${XSD}string` }
+  }
+  return { termType: term.termType as RdfTerm['termType'], value: term.value }
+}
+
+/**
+ * Triples of the entities, each expanded under its own @context (context
+ * documents come from `documentLoader`) or else under `context`. Nested
+ * objects without an @id become blank nodes. Language tags come back
+ * lowercased, as jsonld.js writes them.
+ */
+export async function toTriples(
+  entities: unknown[],
+  context: JsonLdContext = buildContext(entities),
+  documentLoader: DocumentLoader = noDocuments
+): Promise<Triple[]> {
+  const { default: jsonld } = await import('jsonld')
+  // One document, so blank node labels stay unique across entities
+  const quads = await jsonld.toRDF(
+    { '@graph': entities.map(entity => withContext(entity, context)) },
+    { documentLoader }
+  ) as Array<{ subject: JsonLdTerm; predicate: JsonLdTerm; object: JsonLdTerm }>
+  return quads.map(quad => ({
+    subject: toRdfTerm(quad.subject),
+    predicate: toRdfTerm(quad.predicate),
+    object: toRdfTerm(quad.object)
+  }))
+}
+
+// ============================================================================
+// Serialization
+// ============================================================================
+
+const escapeString = (value: string) => value
+  .replace(/\\/g, '\\\\')
+  .replace(/"/g, '\\"')
+  .replace(/\n/g, '\\n')
+  .replace(/\r/g, '\\r')
+  .replace(/\t/g, '\\t')
+
+// Characters IRIREF does not allow, as \u escapes
+const escapeIRI = (value: string) => value.replace(/[\u0000- <>"{}|^`\\]/g,
+  char => `\\u${char.charCodeAt(0).toString(16).toUpperCase().padStart(4, '0')}`)
+
+function ntriplesTerm(term: RdfTerm): string {
+  if (term.termType === 'NamedNode') return `<${escapeIRI(term.value)}>`
+  if (term.termType === 'BlankNode') return `_:${term.value}`
+  const text = `"${escapeString(term.value)}"`
+  if (term.language) return `${text}@${term.language}`
+  return term.datatype && term.datatype !== `${XSD}string` ? `${text}^^<${escapeIRI(term.datatype)}>` : text
+}
+
+export function serializeNTriples(triples: Triple[]): string {
+  return triples.map(({ subject, predicate, object }) =>
+    `${ntriplesTerm(subject)} ${ntriplesTerm(predicate)} ${ntriplesTerm(object)} .\n`).join('')
+}
+
+const PREFIXED_LOCAL_NAME = /^[A-Za-z_][\w-]*$/
+
+export function serializeTurtle(triples: Triple[], prefixes: Record<string, string> = RDF_PREFIXES): string {
+  const used = new Set<string>()
+
+  const iri = (value: string): string => {
+    for (const [prefix, namespace] of Object.entries(prefixes)) {
+      if (value.startsWith(namespace) && PREFIXED_LOCAL_NAME.test(value.slice(namespace.length))) {
+        used.add(prefix)
+        return `${prefix}:${value.slice(namespace.length)}`
+      }
+    }
+    return `<${escapeIRI(value)}>`
+  }
+
+  const term = (node: RdfTerm): string => {
+    if (node.termType === 'NamedNode') return iri(node.value)
+    if (node.termType === 'BlankNode') return `_:${node.value}`
+    const text = `"${escapeString(node.value)}"`
+    if (node.language) return `${text}@${node.language}`
+    if (node.datatype === `${XSD}integer` || node.datatype === `${XSD}boolean` || node.datatype === `${XSD}double`) return node.value
+    return node.datatype && node.datatype !== `${XSD}string` ? `${text}^^${iri(node.datatype)}` : text
+  }
+
+  // Subject -> predicate -> objects, in first-seen order
+  const subjects = new Map<string, { subject: RdfTerm; predicates: Map<string, RdfTerm[]> }>()
+  for (const { subject, predicate, object } of triples) {
+    const key = `${subject.termType}:${subject.value}`
+    if (!subjects.has(key)) subjects.set(key, { subject, predicates: new Map() })
+    const predicates = subjects.get(key)!.predicates
+    if (!predicates.has(predicate.value)) predicates.set(predicate.value, [])
+    predicates.get(predicate.value)!.push(object)
+  }
+
+  const statements = [...subjects.values()].map(({ subject, predicates }) => {
+    const lines = [...predicates].map(([predicate, objects]) =>
+      `    ${predicate === RDF_TYPE ? 'a' : iri(predicate)} ${objects.map(term).join(', ')}`)
+    return `${term(subject)}\n${lines.join(' ;\n')} .\n`
+  })
+
+  const header = Object.entries(prefixes)
+    .filter(([prefix]) => used.has(prefix))
+    .map(([prefix, namespace]) => `@prefix ${prefix}: <${namespace}> .\n`)
+    .join('')
+  return `${header}${header ? '\n' : ''}${statements.join('\n')}`
+}
+
+/**
+ * A JSON-LD document of the entities. Entities keep their own @context;
+ * the others are written with `context`, inlined.
+ */
+export function toJsonLdDocument(entities: unknown[], context: JsonLdContext = buildContext(entities)): JsonObject {
+  if (!entities.some(hasOwnContext)) {
+    const normalized = entities.map(entity => normalizeLanguageMaps(entity, context))
+    if (normalized.length === 1 && isObject(normalized[0])) return { '@context': context, ...normalized[0] }
+    return { '@context': context, '@graph': normalized }
+  }
+  const nodes = entities.map(entity => withContext(entity, context))
+  return nodes.length === 1 && isObject(nodes[0]) ? nodes[0] : { '@graph': nodes }
+}
+
+/**
+ * The entities in one of LINKED_DATA_FORMATS. Pass the context built from
+ * the whole dataset to keep the terms of every file without its own
+ * context the same.
+ */
+export async function serializeLinkedData(
+  entities: unknown[],
+  extension: LinkedDataExtension,
+  context: JsonLdContext = buildContext(entities),
+  documentLoader?: DocumentLoader
+): Promise<string> {
+  if (extension === 'jsonld') return JSON.stringify(toJsonLdDocument(entities, context), null, 2)
+  const triples = await toTriples(entities, context, documentLoader)
+  return extension === 'ttl' ? serializeTurtle(triples, prefixesOf(context)) : serializeNTriples(triples)
+}
+
+// ============================================================================
+// Locations
+// ============================================================================
+
+/** Full dataset dumps, one per format */
+export const DUMP_BASE = '/dumps/herbapedia'
+
+/** Where the data's context documents are published, at their path in the data */
+export const CONTEXT_BASE = '/contexts'
+
+/** Published URL of a context document, given by its path in the data */
+export function contextUrl(dataPath: string): string {
+  return `${SITE_URL}${CONTEXT_BASE}/${dataPath}`
+}
+
+/** Linked data file of a detail page, given without locale prefix: /formulas/x -> /formulas/x.ttl */
+export function linkedDataPath(pagePath: string, extension: LinkedDataExtension): string {
+  return `${pagePath.replace(/\/+$/, '')}.${extension}`
+}
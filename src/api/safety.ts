@@ -0,0 +1,147 @@
+/**
+ * Safety - Unified safety summary of a preparation
+ *
+ * Safety notes are spread over the preparation's `safetyInfo` and the
+ * contraindications of its system profiles, which do not agree on the
+ * field name:
+ *
+ *   TCM, Ayurveda, Unani, modern   contraindications
+ *   Mongolian                      contraIndications
+ *
+ * summarizeSafety() gathers them into one list of notes, each tagged with
+ * the system it came from, and files the notes under caution categories
+ * (pregnancy, lactation, children, allergens, bleeding risk) by the words
+ * they use in English and Chinese.
+ *
+ * @example
+ * const summary = summarizeSafety({ safetyInfo, profiles: { tcm, mongolian } })
+ * summary.categories.pregnancy // notes mentioning pregnancy
+ */
+
+import type { LanguageMap } from '@herbapedia/data/types'
+import { normalizeSearchText } from './searchText'
+
+// ============================================================================
+// Type Definitions
+// ============================================================================
+
+export type SafetyCategory = 'pregnancy' | 'lactation' | 'children' | 'allergens' | 'bleeding'
+
+export type SafetySource =
+  | 'pregnancy' | 'contraindications' | 'warnings' | 'allergens'
+  | 'tcm' | 'ayurveda' | 'unani' | 'mongolian' | 'modern'
+
+export interface SafetyNote {
+  /** Field or system profile the note comes from */
+  source: SafetySource
+  text: LanguageMap | string
+  categories: SafetyCategory[]
+}
+
+export interface SafetySummary {
+  notes: SafetyNote[]
+  /** Allergens named in `safetyInfo.allergens` */
+  allergens: string[]
+  categories: Record<SafetyCategory, SafetyNote[]>
+}
+
+/** Any profile carrying contraindications under either spelling */
+export interface ContraindicatedProfile {
+  contraindications?: LanguageMap | string
+  contraIndications?: LanguageMap | string
+}
+
+export interface SafetyInput {
+  safetyInfo?: {
+    allergens?: string[]
+    pregnancySafety?: LanguageMap | string
+    generalContraindications?: LanguageMap | string
+    warnings?: Array<LanguageMap | string>
+  }
+  profiles?: Partial<Record<'tcm' | 'ayurveda' | 'unani' | 'mongolian' | 'modern', ContraindicatedProfile | undefined>>
+}
+
+// ============================================================================
+// Categories
+// ============================================================================
+
+export const SAFETY_CATEGORIES: SafetyCategory[] = ['pregnancy', 'lactation', 'children', 'allergens', 'bleeding']
+
+// Matched against normalized text (lowercase, toneless); Latin patterns are
+// word prefixes, hanzi are substrings in both scripts
+const CATEGORY_PATTERNS: Record<SafetyCategory, RegExp> = {
+  pregnancy: /\b(pregnan|gestation|miscarr|abortifac|uterine stimula)|孕|妊娠|胎|流產|流产/,
+  lactation: /\b(lactat|breast[- ]?feed|nursing mother|breast milk)|哺乳|授乳|乳母/,
+  children: /\b(child|infant|paediatric|pediatric|under (the age of )?\d+ years|toddler|newborn)|兒童|儿童|小兒|小儿|嬰|婴|幼兒|幼儿/,
+  allergens: /\b(allerg|hypersensitiv|anaphyla)|過敏|过敏/,
+  bleeding: /\b(bleed|haemorrh|hemorrh|anticoagula|antiplatelet|blood thinn|clotting|coagulation)|出血|抗凝|凝血|血小板/
+}
+
+// Pregnancy notes that only reassure ("Generally safe") are not cautions
+const REASSURANCE = /\b(safe|no known (risk|contraindication)s?)\b/
+const CAUTION = /\b(unsafe|not safe|avoid|caution|contraindicat|not recommended|do not|should not)\b|禁|慎|忌|避免/
+
+function textsOf(text: LanguageMap | string): string[] {
+  if (typeof text === 'string') return [text]
+  return Object.values(text || {}).filter((value): value is string => typeof value === 'string')
+}
+
+/**
+ * Caution categories a note falls under, in SAFETY_CATEGORIES order
+ */
+export function classifySafetyText(text: LanguageMap | string): SafetyCategory[] {
+  const normalized = textsOf(text).map(value => normalizeSearchText(value)).join('\n')
+  return SAFETY_CATEGORIES.filter(category => CATEGORY_PATTERNS[category].test(normalized))
+}
+
+function isReassurance(text: LanguageMap | string): boolean {
+  const normalized = textsOf(text).map(value => normalizeSearchText(value)).join('\n')
+  return REASSURANCE.test(normalized) && !CAUTION.test(normalized)
+}
+
+/**
+ * Contraindications of a profile under either spelling
+ */
+export function contraindicationsOf(profile: ContraindicatedProfile | undefined | null): LanguageMap | string | null {
+  if (!profile) return null
+  return profile.contraindications || profile.contraIndications || null
+}
+
+// ============================================================================
+// Summary
+// ============================================================================
+
+const PROFILE_SOURCES = ['tcm', 'ayurveda', 'unani', 'mongolian', 'modern'] as const
+
+/**
+ * Gather a preparation's safety notes and file them under caution categories
+ */
+export function summarizeSafety({ safetyInfo, profiles = {} }: SafetyInput): SafetySummary {
+  const notes: SafetyNote[] = []
+  const add = (source: SafetySource, text: LanguageMap | string | null | undefined, categories: SafetyCategory[] = []) => {
+    if (!text || textsOf(text).every(value => !value.trim())) return
+    const found = new Set([...categories, ...classifySafetyText(text)])
+    notes.push({ source, text, categories: SAFETY_CATEGORIES.filter(category => found.has(category)) })
+  }
+
+  // A pregnancy note is a pregnancy caution unless it only says the preparation is safe
+  const pregnancy = safetyInfo?.pregnancySafety
+  if (pregnancy && isReassurance(pregnancy)) {
+    notes.push({ source: 'pregnancy', text: pregnancy, categories: [] })
+  } else {
+    add('pregnancy', pregnancy, ['pregnancy'])
+  }
+  add('contraindications', safetyInfo?.generalContraindications)
+  for (const warning of safetyInfo?.warnings || []) add('warnings', warning)
+  for (const source of PROFILE_SOURCES) add(source, contraindicationsOf(profiles[source]))
+
+  const allergens = (safetyInfo?.allergens || []).filter(allergen => typeof allergen === 'string' && allergen.trim())
+  if (allergens.length) add('allergens', allergens.join(', '), ['allergens'])
+
+  const categories = Object.fromEntries(SAFETY_CATEGORIES.map(category => [
+    category,
+    notes.filter(note => note.categories.includes(category))
+  ])) as Record<SafetyCategory, SafetyNote[]>
+
+  return { notes, allergens, categories }
+}
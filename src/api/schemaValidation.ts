@@ -0,0 +1,386 @@
+/**
+ * Schema Validation - Dataset entities against the graphBrowser.ts interfaces
+ *
+ * DATASET_SCHEMAS describes every file collection the GraphBrowserAdapter
+ * loads: which fields the site cannot do without, which fields are
+ * LanguageMaps (and so need every site language), which hold IRI
+ * references, and which @type an entity must carry to be listed where
+ * the site looks for it. validateEntity() checks one entity against its
+ * schema:
+ *
+ *   missing-field     a required field is absent or empty
+ *   invalid-type      @type is not a list of prefixed names with a known
+ *                     prefix, or lacks the type the collection expects
+ *   missing-language  a LanguageMap lacks en, zh-Hant or zh-Hans
+ *   invalid-iri       a Herbapedia IRI that extractSlugFromIRI() only
+ *                     handles by its last-segment fallback, or a
+ *                     reference that is not an IRI at all
+ *   slug-mismatch     the @id slug differs from the entity's directory,
+ *                     so its page route would not match its data
+ *
+ * Paths are relative to the data-herbapedia root and must stay in sync
+ * with the import.meta.glob patterns in graphBrowser.ts (see catalog.ts).
+ *
+ * @example
+ * const issues = validateEntity(entity, DATASET_SCHEMAS[0].schema, 'ginseng-root')
+ * // [{ id, code: 'missing-language', field: 'name', message: 'Missing zh-Hans' }]
+ */
+
+import { isSpeciesOfType, ENTITY_FILE_PATHS, REFERENCE_COLLECTIONS } from './catalog'
+import { matchIRIPattern, isHerbapediaIRI } from './iri'
+
+// ============================================================================
+// Type Definitions
+// ============================================================================
+
+export type ValidationCode = 'missing-field' | 'invalid-type' | 'missing-language' | 'invalid-iri' | 'slug-mismatch'
+
+export interface ValidationIssue {
+  /** @id of the entity, or its position when it has none */
+  id: string
+  code: ValidationCode
+  field: string
+  message: string
+}
+
+/**
+ * Fields are property names or dotted paths into nested objects
+ * ("safetyInfo.warnings"); array values are checked element by element.
+ */
+export interface EntitySchema {
+  required: string[]
+  languageMaps: string[]
+  references: string[]
+  /** Types the entity must carry one of, described for messages */
+  expectedType?: { description: string; test: (types: string[]) => boolean }
+}
+
+export interface DatasetCollection {
+  name: string
+  /** File path pattern with one `*` for the entity directory, or a single file */
+  path: string
+  /** Container key of single-file vocabularies */
+  container?: '@graph' | 'members'
+  schema: EntitySchema
+}
+
+type JsonObject = Record<string, unknown>
+
+// ============================================================================
+// Vocabulary
+// ============================================================================
+
+/** Languages every LanguageMap must provide (see i18n/locales) */
+export const REQUIRED_LANGUAGES = ['en', 'zh-Hant', 'zh-Hans']
+
+/** Prefixes of the JSON-LD contexts @type values may use */
+export const KNOWN_TYPE_PREFIXES = [
+  'herbapedia', 'schema', 'skos', 'dwc', 'botany', 'mycology', 'phycology', 'zoology',
+  'mineralogy', 'chemistry', 'tcm', 'western', 'ayurveda', 'unani', 'mongolian', 'modern'
+]
+
+const PREFIXED_NAME = /^([a-zA-Z][\w-]*):([A-Za-z][\w-]*)$/
+
+// Entity (graphBrowser.ts) requires both
+const ENTITY_REQUIRED = ['@id', '@type']
+
+const hasTypeMatching = (pattern: RegExp, description: string): EntitySchema['expectedType'] => ({
+  description,
+  test: types => types.some(type => pattern.test(type))
+})
+
+// ============================================================================
+// Schemas
+// ============================================================================
+
+const REFERENCE_ITEM: EntitySchema = {
+  required: ['@id'],
+  languageMaps: ['prefLabel', 'name', 'description'],
+  references: []
+}
+
+export const DATASET_SCHEMAS: DatasetCollection[] = [
+  {
+    name: 'preparations',
+    path: ENTITY_FILE_PATHS.preparations,
+    schema: {
+      required: [...ENTITY_REQUIRED, 'name'],
+      languageMaps: [
+        'name', 'description', 'safetyInfo.pregnancySafety',
+        'safetyInfo.generalContraindications', 'safetyInfo.warnings'
+      ],
+      references: [
+        'derivedFrom', 'hasTCMProfile', 'hasWesternProfile', 'hasAyurvedaProfile',
+        'hasUnaniProfile', 'hasMongolianProfile', 'hasModernProfile', 'relatedPreparations'
+      ]
+    }
+  },
+  {
+    name: 'species',
+    path: ENTITY_FILE_PATHS.species,
+    schema: {
+      required: [...ENTITY_REQUIRED, 'scientificName'],
+      languageMaps: ['name', 'commonName', 'description', 'botanicalDescription'],
+      references: ['hasParts', 'containsChemical', 'hasDNABarcode', 'hasChemicalProfile'],
+      // Species of no kind are listed on no source page
+      expectedType: {
+        description: 'a plant, fungi or algae species type',
+        test: types => (['plant', 'fungi', 'algae'] as const).some(kind => isSpeciesOfType({ '@type': types }, kind))
+      }
+    }
+  },
+  {
+    name: 'parts',
+    path: ENTITY_FILE_PATHS.parts,
+    schema: {
+      required: [...ENTITY_REQUIRED, 'name'],
+      languageMaps: ['name', 'description'],
+      references: ['partOf']
+    }
+  },
+  {
+    name: 'chemicals',
+    path: ENTITY_FILE_PATHS.chemicals,
+    schema: {
+      required: [...ENTITY_REQUIRED, 'name'],
+      languageMaps: ['name', 'description'],
+      references: ['foundIn']
+    }
+  },
+  {
+    name: 'chemical-profiles',
+    path: ENTITY_FILE_PATHS['chemical-profiles'],
+    schema: {
+      required: ENTITY_REQUIRED,
+      languageMaps: ['name'],
+      references: ['profileOf', 'components.compound']
+    }
+  },
+  {
+    name: 'barcodes',
+    path: ENTITY_FILE_PATHS.barcodes,
+    schema: {
+      required: ENTITY_REQUIRED,
+      languageMaps: ['name'],
+      references: ['species']
+    }
+  },
+  ...(['zoological', 'mineral', 'chemical'] as const).map(kind => ({
+    name: `${kind}-sources`,
+    path: ENTITY_FILE_PATHS[`${kind}-sources`],
+    schema: {
+      required: [...ENTITY_REQUIRED, 'name'],
+      languageMaps: ['name', 'description', 'animalName'],
+      references: []
+    }
+  })),
+  {
+    name: 'formulas',
+    path: ENTITY_FILE_PATHS.formulas,
+    schema: {
+      required: [...ENTITY_REQUIRED, 'name'],
+      languageMaps: ['name', 'description'],
+      references: ['ingredients'],
+      expectedType: hasTypeMatching(/formula/i, 'a formula type')
+    }
+  },
+  {
+    name: 'tcm-profiles',
+    path: ENTITY_FILE_PATHS['tcm-profiles'],
+    schema: {
+      required: ENTITY_REQUIRED,
+      languageMaps: [
+        'tcmFunctions', 'tcmTraditionalUsage', 'tcmModernResearch', 'tcmHistory',
+        'contraindications', 'incompatibilities', 'dosage'
+      ],
+      references: ['profiles', 'derivedFromPlant', 'hasCategory', 'hasNature', 'hasFlavor', 'entersMeridian']
+    }
+  },
+  {
+    name: 'western-profiles',
+    path: ENTITY_FILE_PATHS['western-profiles'],
+    schema: {
+      required: ENTITY_REQUIRED,
+      languageMaps: [
+        'name', 'westernHistory', 'westernTraditionalUsage', 'westernModernResearch', 'westernConstituents'
+      ],
+      references: ['profiles', 'derivedFromPlant', 'hasAction', 'hasOrganAffinity']
+    }
+  },
+  {
+    name: 'ayurveda-profiles',
+    path: ENTITY_FILE_PATHS['ayurveda-profiles'],
+    schema: {
+      required: ENTITY_REQUIRED,
+      languageMaps: ['name', 'ayurvedaTraditionalUsage', 'ayurvedaModernResearch', 'contraindications'],
+      references: ['profiles', 'derivedFromPlant', 'hasRasa', 'hasGuna', 'hasVirya', 'hasVipaka', 'ayurvedaCategory']
+    }
+  },
+  {
+    name: 'unani-profiles',
+    path: ENTITY_FILE_PATHS['unani-profiles'],
+    schema: {
+      required: ENTITY_REQUIRED,
+      languageMaps: ['name', 'unaniFunctions', 'contraindications'],
+      references: ['profiles', 'derivedFromPlant', 'hasTemperament', 'hasElement']
+    }
+  },
+  {
+    name: 'mongolian-profiles',
+    path: ENTITY_FILE_PATHS['mongolian-profiles'],
+    schema: {
+      required: ENTITY_REQUIRED,
+      // Mongolian profiles spell it contraIndications
+      languageMaps: ['name', 'mongolianFunctions', 'contraIndications'],
+      references: ['profiles', 'derivedFromPlant', 'hasElement', 'hasTaste', 'hasPotency']
+    }
+  },
+  {
+    name: 'modern-profiles',
+    path: ENTITY_FILE_PATHS['modern-profiles'],
+    schema: {
+      required: [...ENTITY_REQUIRED, 'name'],
+      languageMaps: [
+        'name', 'clinicalEvidence', 'mechanismOfAction', 'pharmacokinetics',
+        'safetyProfile', 'contraindications', 'dosage'
+      ],
+      references: ['derivedFromSource']
+    }
+  },
+  // Drug items and drug classes (interactions.ts Drug)
+  {
+    name: 'drugs',
+    path: 'systems/modern/reference/drugs.jsonld',
+    container: '@graph',
+    schema: {
+      required: ['@id', 'prefLabel'],
+      languageMaps: ['prefLabel'],
+      references: ['drugClass']
+    }
+  },
+  // Herb–drug interactions (interactions.ts DrugInteraction); severity is
+  // one of INTERACTION_SEVERITIES
+  {
+    name: 'interactions',
+    path: 'systems/modern/reference/interactions.jsonld',
+    container: '@graph',
+    schema: {
+      required: ['subject', 'drug', 'severity'],
+      languageMaps: ['mechanism', 'effect', 'management'],
+      references: ['subject', 'drug']
+    }
+  },
+  ...REFERENCE_COLLECTIONS.map(collection => ({
+    name: `${collection.system}/${collection.refType}`,
+    path: collection.file,
+    container: collection.container,
+    schema: REFERENCE_ITEM
+  }))
+]
+
+// ============================================================================
+// Checks
+// ============================================================================
+
+/** Values at a dotted path, flattening arrays along the way */
+function valuesAt(entity: unknown, path: string): unknown[] {
+  let values: unknown[] = [entity]
+  for (const key of path.split('.')) {
+    values = values
+      .flatMap(value => Array.isArray(value) ? value : [value])
+      .filter((value): value is JsonObject => !!value && typeof value === 'object')
+      .map(value => value[key])
+      .filter(value => value !== undefined && value !== null)
+  }
+  return values.flatMap(value => Array.isArray(value) ? value : [value])
+}
+
+function isEmpty(value: unknown): boolean {
+  if (value === undefined || value === null || value === '') return true
+  if (Array.isArray(value)) return value.length === 0
+  if (typeof value === 'object') return Object.keys(value).length === 0
+  return false
+}
+
+/**
+ * Why an IRI is not one the site can resolve, or null if it is
+ */
+export function checkIRI(iri: unknown): string | null {
+  if (typeof iri !== 'string' || !iri) return 'Not an IRI'
+  if (!isHerbapediaIRI(iri)) {
+    return /^https?:\/\/[^/]+\/./.test(iri) ? null : `Not an absolute IRI: ${iri}`
+  }
+  return matchIRIPattern(iri) ? null : `Unrecognized Herbapedia IRI pattern: ${iri}`
+}
+
+/**
+ * Why an @type value is invalid, or null if it is valid
+ */
+export function checkTypeName(type: unknown): string | null {
+  if (typeof type !== 'string') return 'Type is not a string'
+  if (/^https?:\/\//.test(type)) return null
+  const match = type.match(PREFIXED_NAME)
+  if (!match) return `Not a prefixed name: ${type}`
+  return KNOWN_TYPE_PREFIXES.includes(match[1]) ? null : `Unknown prefix: ${type}`
+}
+
+/**
+ * Check one entity against its schema. Pass the entity's directory name to
+ * also check that its @id ends in it.
+ */
+export function validateEntity(entity: unknown, schema: EntitySchema, directory?: string): ValidationIssue[] {
+  const record = (entity && typeof entity === 'object' ? entity : {}) as JsonObject
+  const id = typeof record['@id'] === 'string' ? record['@id'] : directory || '(no @id)'
+  const issues: ValidationIssue[] = []
+  const report = (code: ValidationCode, field: string, message: string) => issues.push({ id, code, field, message })
+
+  for (const field of schema.required) {
+    if (valuesAt(record, field).every(isEmpty)) report('missing-field', field, `Missing ${field}`)
+  }
+
+  if (record['@type'] !== undefined) {
+    const types = Array.isArray(record['@type']) ? record['@type'] : [record['@type']]
+    if (!Array.isArray(record['@type'])) report('invalid-type', '@type', '@type must be an array')
+    for (const type of types) {
+      const problem = checkTypeName(type)
+      if (problem) report('invalid-type', '@type', problem)
+    }
+    if (schema.expectedType && !schema.expectedType.test(types.filter((type): type is string => typeof type === 'string'))) {
+      report('invalid-type', '@type', `Expected ${schema.expectedType.description}`)
+    }
+  }
+
+  for (const field of schema.languageMaps) {
+    for (const value of valuesAt(record, field)) {
+      if (typeof value !== 'object' || value === null) {
+        report('missing-language', field, 'Not a LanguageMap')
+        continue
+      }
+      const map = value as JsonObject
+      for (const language of REQUIRED_LANGUAGES) {
+        if (typeof map[language] !== 'string' || !(map[language] as string).trim()) {
+          report('missing-language', field, `Missing ${language}`)
+        }
+      }
+    }
+  }
+
+  if (record['@id'] !== undefined) {
+    const problem = checkIRI(record['@id'])
+    const slug = problem ? null : matchIRIPattern(record['@id'] as string)?.slug.split('/').pop()
+    if (problem) report('invalid-iri', '@id', problem)
+    else if (directory && slug && slug !== directory) {
+      report('slug-mismatch', '@id', `@id does not end in the directory name ${directory}`)
+    }
+  }
+
+  for (const field of schema.references) {
+    for (const value of valuesAt(record, field)) {
+      const target = typeof value === 'object' && value !== null ? (value as JsonObject)['@id'] : value
+      const problem = checkIRI(target)
+      if (problem) report('invalid-iri', field, problem)
+    }
+  }
+
+  return issues
+}
@@ -0,0 +1,393 @@
+/**
+ * Search Index - Prebuilt full-text index across all entity types
+ *
+ * buildSearchIndex() runs at build time (see searchIndexPlugin in
+ * vite.config.js) over the raw data-herbapedia files; the result is emitted
+ * as /search-index.json. searchIndex() runs in the browser against the
+ * fetched index and returns ranked results grouped by type. All text goes
+ * through the shared normalizer in searchText.ts.
+ *
+ * @example
+ * const groups = searchIndex(index, 'ginger')
+ * // [{ type: 'preparation', results: [{ document, score }, ...] }, ...]
+ */
+
+import type { LanguageMap } from '@herbapedia/data/types'
+import { PROFILE_COLLECTIONS } from './catalog'
+import {
+  buildHanziVariants,
+  hanziVariantPairs,
+  normalizeSearchText,
+  pinyinSearchForms,
+  type HanziVariants
+} from './searchText'
+
+// ============================================================================
+// Type Definitions
+// ============================================================================
+
+export type SearchResultType =
+  | 'preparation'
+  | 'plant'
+  | 'fungi'
+  | 'algae'
+  | 'compound'
+  | 'formula'
+  | 'source'
+  | 'reference'
+
+/** Normalized term text and the weight of the field it came from */
+export type SearchTerm = [string, number]
+
+export interface SearchDocument {
+  type: SearchResultType
+  /** Route path without locale prefix */
+  path: string
+  name: LanguageMap
+  /** Secondary line under the name (scientific or native name) */
+  subtitle?: string
+  image?: string
+  /** Medical systems the entity has profiles in, or belongs to */
+  systems?: string[]
+  terms: SearchTerm[]
+}
+
+/** Contents of /search-index.json */
+export interface SearchIndexData {
+  documents: SearchDocument[]
+  /** Hanzi folding used for the terms; queries must be folded the same way */
+  hanziVariants: HanziVariants
+}
+
+export interface SearchSourceData {
+  /** Catalogue entities with the route pattern they are rendered under */
+  entities: Array<{ pattern: string; entity: any }>
+  /** Profiles per system, keyed by profile slug */
+  profiles: Record<string, Map<string, any>>
+  references: Array<{ system: string; refType: string; item: any }>
+}
+
+export interface SearchResult {
+  document: SearchDocument
+  score: number
+}
+
+export interface SearchResultGroup {
+  type: SearchResultType
+  results: SearchResult[]
+}
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+/** Route patterns whose entities are searchable, and the result type of each */
+const SEARCH_TYPES: Record<string, SearchResultType> = {
+  '/preparations/:slug': 'preparation',
+  '/sources/botanical/:slug': 'plant',
+  '/sources/fungi/:slug': 'fungi',
+  '/sources/algae/:slug': 'algae',
+  '/compounds/:slug': 'compound',
+  '/formulas/:slug': 'formula',
+  '/sources/zoological/:slug': 'source',
+  '/sources/mineral/:slug': 'source',
+  '/sources/chemical/:slug': 'source'
+}
+
+/** Display order of result groups with equal top scores */
+export const SEARCH_RESULT_TYPES: SearchResultType[] = [
+  'preparation', 'plant', 'fungi', 'algae', 'formula', 'compound', 'source', 'reference'
+]
+
+export const FIELD_WEIGHTS = {
+  name: 10,
+  scientificName: 8,
+  nativeName: 7,
+  alias: 4,
+  description: 1
+}
+
+/** Native-language name fields on each system's profiles */
+const PROFILE_NAME_FIELDS: Record<string, string[]> = {
+  tcm: ['chineseName', 'hanzi'],
+  ayurveda: ['sanskritName', 'sanskritTransliteration', 'hindiName'],
+  unani: ['unaniName', 'unaniTransliteration', 'arabicName'],
+  mongolian: ['mongolianName', 'tibetanName', 'tibetanWylie']
+}
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+function lastSegment(iri: string): string {
+  return iri?.split('/').pop() || ''
+}
+
+// 'dried-ginger-rhizome' -> 'dried ginger rhizome'
+function slugWords(iri: string): string {
+  return lastSegment(iri).replace(/-/g, ' ')
+}
+
+// Data images are served from /@herbapedia/data (see mediaPlugin)
+function mediaPath(image?: string): string | undefined {
+  if (!image) return undefined
+  return image.startsWith('/@herbapedia') ? image : `/@herbapedia/data/${image}`
+}
+
+function languageValues(map?: LanguageMap | string): string[] {
+  if (!map) return []
+  if (typeof map === 'string') return [map]
+  return Object.values(map).filter((value): value is string => typeof value === 'string')
+}
+
+// ============================================================================
+// Index Building
+// ============================================================================
+
+// Collects weighted terms for one document, keeping the highest weight per text
+class TermCollector {
+  private terms = new Map<string, number>()
+
+  constructor(private variants: HanziVariants) {}
+
+  add(values: Array<string | undefined> | string | undefined, weight: number): void {
+    const list = Array.isArray(values) ? values : [values]
+    for (const value of list) {
+      if (!value) continue
+      const text = normalizeSearchText(value, this.variants)
+      if (text && (this.terms.get(text) || 0) < weight) {
+        this.terms.set(text, weight)
+      }
+    }
+  }
+
+  /** Pinyin is indexed spaced, unspaced and as initials ("dg"), the latter as an alias */
+  addPinyin(pinyin: string | undefined, weight: number): void {
+    if (!pinyin) return
+    const forms = pinyinSearchForms(pinyin)
+    const initials = forms.length > 1 ? forms.pop() : undefined
+    this.add(forms, weight)
+    this.add(initials, FIELD_WEIGHTS.alias)
+  }
+
+  toArray(): SearchTerm[] {
+    return Array.from(this.terms)
+  }
+}
+
+// Profiles linked from a preparation, by system
+function linkedProfiles(prep: any, profiles: SearchSourceData['profiles']): Record<string, any> {
+  const result: Record<string, any> = {}
+  for (const { system, linkProperty } of PROFILE_COLLECTIONS) {
+    const ref = prep[linkProperty]?.[0]
+    const profile = ref && profiles[system]?.get(lastSegment(ref['@id']))
+    if (profile) result[system] = profile
+  }
+  return result
+}
+
+function preparationDocument(
+  prep: any,
+  path: string,
+  data: SearchSourceData,
+  species: Map<string, any>,
+  variants: HanziVariants
+): SearchDocument {
+  const terms = new TermCollector(variants)
+  const plant = prep.derivedFrom?.[0] && species.get(lastSegment(prep.derivedFrom[0]['@id']))
+  const profiles = linkedProfiles(prep, data.profiles)
+
+  terms.add(languageValues(prep.name), FIELD_WEIGHTS.name)
+  terms.add(plant?.scientificName, FIELD_WEIGHTS.scientificName)
+  for (const [system, profile] of Object.entries(profiles)) {
+    terms.add((PROFILE_NAME_FIELDS[system] || []).map(field => profile[field]), FIELD_WEIGHTS.nativeName)
+    terms.addPinyin(profile.pinyin, FIELD_WEIGHTS.nativeName)
+    terms.add(languageValues(profile.name), FIELD_WEIGHTS.alias)
+  }
+  terms.add(languageValues(plant?.commonName), FIELD_WEIGHTS.alias)
+  terms.add(slugWords(prep['@id']), FIELD_WEIGHTS.alias)
+  terms.add(languageValues(prep.description), FIELD_WEIGHTS.description)
+
+  return {
+    type: 'preparation',
+    path,
+    name: prep.name || {},
+    subtitle: plant?.scientificName || profiles.tcm?.pinyin,
+    image: mediaPath(prep.image || plant?.image),
+    systems: Object.keys(profiles),
+    terms: terms.toArray()
+  }
+}
+
+function speciesDocument(plant: any, path: string, type: SearchResultType, variants: HanziVariants): SearchDocument {
+  const terms = new TermCollector(variants)
+  terms.add(languageValues(plant.commonName), FIELD_WEIGHTS.name)
+  terms.add(languageValues(plant.name), FIELD_WEIGHTS.name)
+  terms.add(plant.scientificName, FIELD_WEIGHTS.scientificName)
+  terms.add([plant.genus, plant.family, slugWords(plant['@id'])], FIELD_WEIGHTS.alias)
+  terms.add(languageValues(plant.description), FIELD_WEIGHTS.description)
+
+  return {
+    type,
+    path,
+    name: plant.commonName || plant.name || { en: plant.scientificName },
+    subtitle: plant.scientificName,
+    image: mediaPath(plant.image),
+    terms: terms.toArray()
+  }
+}
+
+function entityDocument(entity: any, path: string, type: SearchResultType, variants: HanziVariants): SearchDocument {
+  const terms = new TermCollector(variants)
+  terms.add(languageValues(entity.name), FIELD_WEIGHTS.name)
+  terms.add(languageValues(entity.animalName), FIELD_WEIGHTS.name)
+  terms.add([entity.scientificName, entity.animalScientificName], FIELD_WEIGHTS.scientificName)
+  terms.add([entity.molecularFormula, entity.chemicalFormula, entity.iupacName, slugWords(entity['@id'])], FIELD_WEIGHTS.alias)
+  terms.add(languageValues(entity.description), FIELD_WEIGHTS.description)
+
+  return {
+    type,
+    path,
+    name: entity.name || entity.animalName || {},
+    subtitle: entity.scientificName || entity.animalScientificName || entity.molecularFormula || entity.chemicalFormula,
+    image: mediaPath(entity.image),
+    terms: terms.toArray()
+  }
+}
+
+function referenceDocument(system: string, refType: string, item: any, variants: HanziVariants): SearchDocument {
+  const terms = new TermCollector(variants)
+  terms.add(languageValues(item.prefLabel), FIELD_WEIGHTS.name)
+  terms.add(languageValues(item.name), FIELD_WEIGHTS.name)
+  terms.addPinyin(item.pinyin, FIELD_WEIGHTS.nativeName)
+  terms.add([item.code, slugWords(item['@id'])], FIELD_WEIGHTS.alias)
+  terms.add(languageValues(item.description), FIELD_WEIGHTS.description)
+
+  return {
+    type: 'reference',
+    path: `/systems/${system}/${refType}/${lastSegment(item['@id'])}`,
+    name: item.prefLabel || item.name || { en: lastSegment(item['@id']) },
+    subtitle: item.pinyin,
+    systems: [system],
+    terms: terms.toArray()
+  }
+}
+
+/**
+ * Build search documents for every searchable entity and reference value.
+ */
+export function buildSearchIndex(data: SearchSourceData): SearchIndexData {
+  const documents: SearchDocument[] = []
+
+  // Traditional/Simplified folding learned from the data's parallel names
+  const hanziVariants = buildHanziVariants([
+    ...data.entities.flatMap(({ entity }) => hanziVariantPairs(entity)),
+    ...Object.values(data.profiles).flatMap(profiles => Array.from(profiles.values()).flatMap(hanziVariantPairs))
+  ])
+
+  // Preparations show their source plant's scientific name
+  const species = new Map<string, any>()
+  for (const { pattern, entity } of data.entities) {
+    if (['plant', 'fungi', 'algae'].includes(SEARCH_TYPES[pattern])) {
+      species.set(lastSegment(entity['@id']), entity)
+    }
+  }
+
+  for (const { pattern, entity } of data.entities) {
+    const type = SEARCH_TYPES[pattern]
+    if (!type || !entity?.['@id']) continue
+
+    const path = pattern.replace(':slug', lastSegment(entity['@id']))
+    switch (type) {
+      case 'preparation':
+        documents.push(preparationDocument(entity, path, data, species, hanziVariants))
+        break
+      case 'plant':
+      case 'fungi':
+      case 'algae':
+        documents.push(speciesDocument(entity, path, type, hanziVariants))
+        break
+      default:
+        documents.push(entityDocument(entity, path, type, hanziVariants))
+    }
+  }
+
+  for (const { system, refType, item } of data.references) {
+    if (item?.['@id']) documents.push(referenceDocument(system, refType, item, hanziVariants))
+  }
+
+  return { documents, hanziVariants }
+}
+
+// ============================================================================
+// Querying
+// ============================================================================
+
+// Best score a single query term reaches against a document's terms:
+// exact term > prefix/word-start match > substring, scaled by field weight
+function scoreQueryTerm(document: SearchDocument, queryTerm: string, ignoreSpaces = false): number {
+  let best = 0
+  for (const [term, weight] of document.terms) {
+    const text = ignoreSpaces ? term.replace(/ /g, '') : term
+    if (!text.includes(queryTerm)) continue
+
+    let score = weight
+    if (text === queryTerm) score *= 3
+    else if (text.startsWith(queryTerm) || text.includes(` ${queryTerm}`)) score *= 2
+
+    if (score > best) best = score
+  }
+  return best
+}
+
+/**
+ * Search the index. Every query word must match; results are ranked by
+ * field weight and grouped by type, groups ordered by their best result.
+ */
+export function searchIndex(
+  index: SearchIndexData,
+  query: string,
+  options: { limitPerGroup?: number } = {}
+): SearchResultGroup[] {
+  const { limitPerGroup = 5 } = options
+  const normalized = normalizeSearchText(query, index.hanziVariants)
+  if (!normalized) return []
+
+  const queryTerms = normalized.split(' ')
+  const compactQuery = normalized.replace(/ /g, '')
+  const byType = new Map<SearchResultType, SearchResult[]>()
+
+  for (const document of index.documents) {
+    let score = 0
+    for (const queryTerm of queryTerms) {
+      const termScore = scoreQueryTerm(document, queryTerm)
+      if (!termScore) {
+        score = 0
+        break
+      }
+      score += termScore
+    }
+
+    if (score && queryTerms.length > 1) {
+      // Whole-query match on one term (e.g. a full binomial) ranks highest
+      score += scoreQueryTerm(document, normalized)
+    } else if (!score) {
+      // Spacing-insensitive fallback: "gan jiang" vs "ganjiang"
+      score = scoreQueryTerm(document, compactQuery, true)
+    }
+    if (!score) continue
+
+    if (!byType.has(document.type)) byType.set(document.type, [])
+    byType.get(document.type)!.push({ document, score })
+  }
+
+  return Array.from(byType, ([type, results]) => ({
+    type,
+    results: results
+      .sort((a, b) => b.score - a.score || a.document.path.localeCompare(b.document.path))
+      .slice(0, limitPerGroup)
+  })).sort((a, b) =>
+    b.results[0].score - a.results[0].score ||
+    SEARCH_RESULT_TYPES.indexOf(a.type) - SEARCH_RESULT_TYPES.indexOf(b.type)
+  )
+}
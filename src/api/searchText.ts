@@ -0,0 +1,188 @@
+/**
+ * Search Text - Normalization shared by every search in the site
+ *
+ * Makes "dang gui", "danggui", "dāngguī" and "dg" find 當歸/当归:
+ * - lowercases and strips tone marks / diacritics
+ * - folds Traditional and Simplified hanzi onto one form, using variant pairs
+ *   learned from parallel names in the data (zh-Hant/zh-Hans names, TCM
+ *   hanzi/chineseName)
+ * - expands pinyin into spaced, unspaced and initials forms
+ *
+ * Used at build time by the search index and at runtime by the preparations
+ * filter.
+ */
+
+import type { LanguageMap } from '@herbapedia/data/types'
+
+// ============================================================================
+// Type Definitions
+// ============================================================================
+
+/** Hanzi character -> canonical variant (only characters that differ) */
+export type HanziVariants = Record<string, string>
+
+// ============================================================================
+// Hanzi Variants
+// ============================================================================
+
+const HAN_CHAR = /\p{Script=Han}/u
+
+/**
+ * Parallel Traditional/Simplified spellings carried by an entity, for
+ * buildHanziVariants(). Works for preparations, species and TCM profiles.
+ */
+export function hanziVariantPairs(entity: {
+  name?: LanguageMap
+  commonName?: LanguageMap
+  hanzi?: string
+  chineseName?: string
+}): Array<[string, string]> {
+  const pairs: Array<[string, string]> = []
+  for (const map of [entity.name, entity.commonName]) {
+    if (map?.['zh-Hant'] && map['zh-Hans']) pairs.push([map['zh-Hant'], map['zh-Hans']])
+  }
+  if (entity.hanzi && entity.chineseName) pairs.push([entity.hanzi, entity.chineseName])
+  return pairs
+}
+
+/**
+ * Learn character variants from parallel spellings of the same name. Pairs of
+ * different length are skipped since characters cannot be aligned. Each
+ * group of interchangeable characters maps onto its lowest code point, so the
+ * direction of a pair does not matter.
+ */
+export function buildHanziVariants(pairs: Array<[string, string]>): HanziVariants {
+  const parent = new Map<string, string>()
+  const find = (char: string): string => {
+    let root = char
+    while (parent.get(root) !== root) root = parent.get(root)!
+    return root
+  }
+
+  for (const [a, b] of pairs) {
+    const left = Array.from(a)
+    const right = Array.from(b)
+    if (left.length !== right.length) continue
+
+    left.forEach((char, i) => {
+      const other = right[i]
+      if (char === other || !HAN_CHAR.test(char) || !HAN_CHAR.test(other)) return
+      if (!parent.has(char)) parent.set(char, char)
+      if (!parent.has(other)) parent.set(other, other)
+
+      // Keep the lower code point as the group's canonical character
+      const rootA = find(char)
+      const rootB = find(other)
+      if (rootA < rootB) parent.set(rootB, rootA)
+      else if (rootB < rootA) parent.set(rootA, rootB)
+    })
+  }
+
+  const variants: HanziVariants = {}
+  for (const char of parent.keys()) {
+    const root = find(char)
+    if (root !== char) variants[char] = root
+  }
+  return variants
+}
+
+function foldHanzi(text: string, variants?: HanziVariants): string {
+  if (!variants) return text
+  return Array.from(text, char => variants[char] || char).join('')
+}
+
+// ============================================================================
+// Normalization
+// ============================================================================
+
+/** Remove tone marks and other diacritics: "Dāngguī" -> "Danggui" */
+export function stripToneMarks(text: string): string {
+  return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').normalize('NFC')
+}
+
+/**
+ * Normalize text for searching. Indexed text and queries must go through
+ * the same function with the same variants.
+ */
+export function normalizeSearchText(text: string, variants?: HanziVariants): string {
+  return foldHanzi(stripToneMarks(text.toLowerCase()), variants)
+    .replace(/\s+/g, ' ')
+    .trim()
+}
+
+// ============================================================================
+// Pinyin
+// ============================================================================
+
+const PINYIN_SYLLABLE = /^(?:zh|ch|sh|[bpmfdtnlgkhjqxrzcsyw])?(?:iang|iong|uang|ueng|ang|eng|ing|ong|ian|iao|uai|uan|ai|ei|ao|ou|an|en|in|un|ia|ie|iu|ua|uo|ui|ue|er|a|o|e|i|u|v)$/
+
+// Split an unspaced pinyin word into syllables, preferring longer syllables
+// and backtracking when the rest cannot be split ("danggui" -> "dang" "gui").
+// Returns null for words that are not pinyin.
+function splitSyllables(word: string): string[] | null {
+  if (!word) return []
+  for (let length = Math.min(6, word.length); length > 0; length--) {
+    const head = word.slice(0, length)
+    if (!PINYIN_SYLLABLE.test(head)) continue
+    const rest = splitSyllables(word.slice(length))
+    if (rest) return [head, ...rest]
+  }
+  return null
+}
+
+/**
+ * Syllables of a pinyin string ("Dāng Guī", "dangguī", "Xi'an"), or null if
+ * any word is not valid pinyin.
+ */
+export function pinyinSyllables(pinyin: string): string[] | null {
+  const words = normalizeSearchText(pinyin).split(/[\s'’-]+/).filter(Boolean)
+  const syllables: string[] = []
+  for (const word of words) {
+    const split = splitSyllables(word)
+    if (!split) return null
+    syllables.push(...split)
+  }
+  return syllables.length > 0 ? syllables : null
+}
+
+/**
+ * Searchable forms of a pinyin name: spaced syllables, unspaced, and
+ * initials ("dang gui", "danggui", "dg").
+ */
+export function pinyinSearchForms(pinyin: string): string[] {
+  const syllables = pinyinSyllables(pinyin)
+  if (!syllables) return [normalizeSearchText(pinyin)]
+  return Array.from(new Set([
+    syllables.join(' '),
+    syllables.join(''),
+    syllables.map(syllable => syllable[0]).join('')
+  ]))
+}
+
+// ============================================================================
+// Matching
+// ============================================================================
+
+/**
+ * Build a matcher for a free-text query. A value matches when every query
+ * word occurs in it, or when the query with spaces removed occurs in the
+ * value with spaces removed ("dang gui" vs "danggui").
+ *
+ * @example
+ * const matches = createSearchMatcher('dang gui', variants)
+ * matches(['Angelica sinensis', ...pinyinSearchForms('Dāngguī')]) // true
+ */
+export function createSearchMatcher(query: string, variants?: HanziVariants): (values: Array<string | undefined>) => boolean {
+  const normalized = normalizeSearchText(query, variants)
+  const words = normalized.split(' ').filter(Boolean)
+  const compact = normalized.replace(/ /g, '')
+
+  return (values) => {
+    if (!compact) return true
+    return values.some(value => {
+      if (!value) return false
+      const text = normalizeSearchText(value, variants)
+      return words.every(word => text.includes(word)) || text.replace(/ /g, '').includes(compact)
+    })
+  }
+}
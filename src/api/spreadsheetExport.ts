@@ -0,0 +1,311 @@
+/**
+ * Spreadsheet Export - Tables as CSV and XLSX
+ *
+ * A table is a list of columns (key and header label) and rows keyed by
+ * column key; list values are joined into one cell by the caller. toCsv()
+ * writes RFC 4180 CSV with a byte order mark, so spreadsheet applications
+ * read Chinese text as UTF-8, and text cells starting with =, +, - or @
+ * get a leading apostrophe so they are not run as formulas. toXlsx()
+ * writes a one-sheet Office Open XML workbook with inline strings, packed
+ * into an uncompressed zip. Neither reorders rows or columns.
+ *
+ * The preparations list exports its filtered results this way (see
+ * usePreparationExport).
+ *
+ * @example
+ * const columns = [{ key: 'name', label: 'Name' }, { key: 'pinyin', label: 'Pinyin' }]
+ * const rows = [{ name: 'Dried Ginger Rhizome', pinyin: 'Gān Jiāng' }]
+ * toCsv(columns, rows) // '\uFEFFName,Pinyin\r\nDried Ginger Rhizome,Gān Jiāng\r\n'
+ * exportSpreadsheet(columns, rows, 'xlsx').data // Uint8Array of the .xlsx file
+ */
+
+// ============================================================================
+// Type Definitions
+// ============================================================================
+
+export interface ExportColumn {
+  key: string
+  /** Header cell */
+  label: string
+}
+
+export type ExportValue = string | number | null | undefined
+
+export type ExportRow = Record<string, ExportValue>
+
+export type ExportExtension = 'csv' | 'xlsx'
+
+export interface ExportFormat {
+  extension: ExportExtension
+  mediaType: string
+  label: string
+}
+
+export interface ExportFile {
+  format: ExportFormat
+  data: string | Uint8Array
+}
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+export const EXPORT_FORMATS: ExportFormat[] = [
+  { extension: 'csv', mediaType: 'text/csv;charset=utf-8', label: 'CSV' },
+  { extension: 'xlsx', mediaType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', label: 'Excel (XLSX)' }
+]
+
+// Excel's limit on sheet names, and the characters they may not contain
+const MAX_SHEET_NAME_LENGTH = 31
+const INVALID_SHEET_NAME = /[[\]:*?/\\]/g
+
+// Leading characters spreadsheet applications read as the start of a formula
+const FORMULA_START = /^[=+\-@]/
+
+// Characters XML 1.0 does not allow, even escaped
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g
+
+// ============================================================================
+// CSV
+// ============================================================================
+
+function cellText(value: ExportValue): string {
+  if (value === null || value === undefined) return ''
+  return String(value)
+}
+
+/**
+ * A CSV field; text that would open as a formula is prefixed with an
+ * apostrophe, so it is shown as written. Numbers are left as they are.
+ */
+function csvField(value: ExportValue): string {
+  let text = cellText(value)
+  if (typeof value === 'string' && FORMULA_START.test(text)) text = `'${text}`
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * The table as CSV: a header row, CRLF line ends and a leading BOM
+ */
+export function toCsv(columns: ExportColumn[], rows: ExportRow[]): string {
+  const lines = [
+    columns.map(column => csvField(column.label)),
+    ...rows.map(row => columns.map(column => csvField(row[column.key])))
+  ]
+  return `\uFEFF${lines.map(line => `${line.join(',')}\r\n`).join('')}`
+}
+
+// ============================================================================
+// XLSX
+// ============================================================================
+
+function escapeXml(text: string): string {
+  return text
+    .replace(INVALID_XML_CHARS, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+// 0 -> A, 25 -> Z, 26 -> AA
+function columnName(index: number): string {
+  let name = ''
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name
+  }
+  return name
+}
+
+// Style 1 is the bold header font of STYLES_XML
+function xlsxCell(value: ExportValue, ref: string, style = 0): string {
+  const styleAttr = style ? ` s="${style}"` : ''
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c r="${ref}"${styleAttr}><v>${value}</v></c>`
+  }
+  const text = cellText(value)
+  if (!text) return ''
+  return `<c r="${ref}"${styleAttr} t="inlineStr"><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`
+}
+
+function sheetXml(columns: ExportColumn[], rows: ExportRow[]): string {
+  const xmlRows = [
+    columns.map((column, index) => xlsxCell(column.label, `${columnName(index)}1`, 1)),
+    ...rows.map((row, rowIndex) =>
+      columns.map((column, index) => xlsxCell(row[column.key], `${columnName(index)}${rowIndex + 2}`)))
+  ].map((cells, index) => `<row r="${index + 1}">${cells.join('')}</row>`)
+
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    // Keep the header row in view while scrolling
+    '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+    `<sheetData>${xmlRows.join('')}</sheetData>` +
+    '</worksheet>'
+}
+
+function sheetName(name: string): string {
+  return name.replace(INVALID_SHEET_NAME, ' ').trim().slice(0, MAX_SHEET_NAME_LENGTH) || 'Sheet1'
+}
+
+const CONTENT_TYPES_XML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+  '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+  '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+  '<Default Extension="xml" ContentType="application/xml"/>' +
+  '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+  '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+  '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+  '</Types>'
+
+const ROOT_RELS_XML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+  '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+  '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+  '</Relationships>'
+
+const WORKBOOK_RELS_XML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+  '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+  '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+  '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+  '</Relationships>'
+
+const STYLES_XML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+  '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+  '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+  '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+  '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+  '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+  '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+  '</styleSheet>'
+
+function workbookXml(name: string): string {
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+    `<sheets><sheet name="${escapeXml(sheetName(name))}" sheetId="1" r:id="rId1"/></sheets>` +
+    '</workbook>'
+}
+
+/**
+ * The table as an .xlsx workbook with one sheet and a bold, frozen header row
+ */
+export function toXlsx(columns: ExportColumn[], rows: ExportRow[], name = 'Sheet1'): Uint8Array {
+  return zipStored([
+    { path: '[Content_Types].xml', text: CONTENT_TYPES_XML },
+    { path: '_rels/.rels', text: ROOT_RELS_XML },
+    { path: 'xl/workbook.xml', text: workbookXml(name) },
+    { path: 'xl/_rels/workbook.xml.rels', text: WORKBOOK_RELS_XML },
+    { path: 'xl/styles.xml', text: STYLES_XML },
+    { path: 'xl/worksheets/sheet1.xml', text: sheetXml(columns, rows) }
+  ])
+}
+
+// ============================================================================
+// Zip
+// ============================================================================
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256)
+  for (let n = 0; n < 256; n++) {
+    let c = n
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1
+    table[n] = c >>> 0
+  }
+  return table
+})()
+
+function crc32(bytes: Uint8Array): number {
+  let crc = 0xFFFFFFFF
+  for (const byte of bytes) crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8)
+  return (crc ^ 0xFFFFFFFF) >>> 0
+}
+
+// MS-DOS date of 1980-01-01, so the same table always gives the same bytes
+const DOS_DATE = 0x0021
+const UTF8_NAMES_FLAG = 0x0800
+
+/**
+ * Zip archive of the files, stored without compression
+ */
+function zipStored(files: { path: string; text: string }[]): Uint8Array {
+  const encoder = new TextEncoder()
+  const entries = files.map(file => {
+    const name = encoder.encode(file.path)
+    const data = encoder.encode(file.text)
+    return { name, data, crc: crc32(data) }
+  })
+
+  const localSize = entries.reduce((sum, entry) => sum + 30 + entry.name.length + entry.data.length, 0)
+  const centralSize = entries.reduce((sum, entry) => sum + 46 + entry.name.length, 0)
+  const output = new Uint8Array(localSize + centralSize + 22)
+  const view = new DataView(output.buffer)
+  let offset = 0
+
+  // Fields shared by the local and central headers, from "version needed"
+  const writeCommon = (entry: typeof entries[number]) => {
+    view.setUint16(offset, 20, true)
+    view.setUint16(offset + 2, UTF8_NAMES_FLAG, true)
+    view.setUint16(offset + 4, 0, true) // stored
+    view.setUint16(offset + 6, 0, true) // time
+    view.setUint16(offset + 8, DOS_DATE, true)
+    view.setUint32(offset + 10, entry.crc, true)
+    view.setUint32(offset + 14, entry.data.length, true)
+    view.setUint32(offset + 18, entry.data.length, true)
+    view.setUint16(offset + 22, entry.name.length, true)
+    view.setUint16(offset + 24, 0, true) // extra field length
+    offset += 26
+  }
+
+  const localOffsets = entries.map(entry => {
+    const start = offset
+    view.setUint32(offset, 0x04034B50, true)
+    offset += 4
+    writeCommon(entry)
+    output.set(entry.name, offset)
+    offset += entry.name.length
+    output.set(entry.data, offset)
+    offset += entry.data.length
+    return start
+  })
+
+  const centralStart = offset
+  entries.forEach((entry, index) => {
+    view.setUint32(offset, 0x02014B50, true)
+    view.setUint16(offset + 4, 20, true) // version made by
+    offset += 6
+    writeCommon(entry)
+    view.setUint16(offset, 0, true) // comment length
+    view.setUint16(offset + 2, 0, true) // disk number
+    view.setUint16(offset + 4, 0, true) // internal attributes
+    view.setUint32(offset + 6, 0, true) // external attributes
+    view.setUint32(offset + 10, localOffsets[index], true)
+    offset += 14
+    output.set(entry.name, offset)
+    offset += entry.name.length
+  })
+
+  view.setUint32(offset, 0x06054B50, true)
+  view.setUint16(offset + 8, entries.length, true)
+  view.setUint16(offset + 10, entries.length, true)
+  view.setUint32(offset + 12, offset - centralStart, true)
+  view.setUint32(offset + 16, centralStart, true)
+  return output
+}
+
+// ============================================================================
+// Export
+// ============================================================================
+
+/**
+ * The table in one of EXPORT_FORMATS. `sheetName` names the XLSX sheet.
+ */
+export function exportSpreadsheet(
+  columns: ExportColumn[],
+  rows: ExportRow[],
+  extension: ExportExtension,
+  { sheetName: name = 'Sheet1' }: { sheetName?: string } = {}
+): ExportFile {
+  const format = EXPORT_FORMATS.find(candidate => candidate.extension === extension)
+  if (!format) throw new Error(`Unknown export format: ${extension}`)
+  return {
+    format,
+    data: extension === 'xlsx' ? toXlsx(columns, rows, name) : toCsv(columns, rows)
+  }
+}
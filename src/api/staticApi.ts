@@ -0,0 +1,369 @@
+/**
+ * Static API - Read-only JSON API emitted with the site
+ *
+ * buildStaticApi() runs at build time (see staticApiPlugin in
+ * vite.config.js) over the dataset, given as entities per DATASET_SCHEMAS
+ * collection name, and returns the files of a versioned API under
+ * /api/v1/:
+ *
+ *   /api/v1/index.json                          endpoints of this version
+ *   /api/v1/{resource}/index.json               first page of a listing
+ *   /api/v1/{resource}/page/{n}.json            page n (from 1)
+ *   /api/v1/{resource}/{slug}.json              one entity, the JSON-LD as stored
+ *   /api/v1/vocabularies/index.json             reference vocabularies
+ *   /api/v1/vocabularies/{system}/{type}.json   items of one vocabulary
+ *   /api/v1/openapi.json                        OpenAPI 3.1 description of all of the above
+ *
+ * Preparation details carry their resolved system profiles under
+ * `profiles`, shaped like getProfilesForPreparation(). Slugs are those of
+ * the site's detail pages (the last @id segment).
+ *
+ * @example
+ * const files = buildStaticApi(dataset)
+ * files.get('/api/v1/preparations/dried-ginger-rhizome.json')
+ * // { '@id': ..., name: {...}, profiles: { tcm: {...}, western: {...} }, url: 'https://www.herbapedia.org/preparations/dried-ginger-rhizome' }
+ */
+
+import type { LanguageMap } from '@herbapedia/data/types'
+import { ENTITY_COLLECTIONS, PROFILE_COLLECTIONS, REFERENCE_COLLECTIONS, SITE_URL } from './catalog'
+import { extractSlugFromIRI } from './iri'
+
+// ============================================================================
+// Type Definitions
+// ============================================================================
+
+export interface ApiResource {
+  /** Path segment under /api/v1/ */
+  name: string
+  /** DATASET_SCHEMAS collection listed */
+  collection: string
+  /** catalog.ts directory, for the site URL of each entity */
+  dir: string
+  /** Entity fields copied into list items besides slug, id and name */
+  summaryFields: string[]
+}
+
+export interface ApiListItem {
+  slug: string
+  id: string
+  name?: LanguageMap
+  /** Site page of the entity */
+  url: string
+  /** API detail endpoint */
+  href: string
+  [field: string]: unknown
+}
+
+export interface ApiPage {
+  resource: string
+  page: number
+  pageSize: number
+  totalItems: number
+  totalPages: number
+  /** Endpoints of the previous and next page, null at either end */
+  prev: string | null
+  next: string | null
+  items: ApiListItem[]
+}
+
+export interface StaticApiOptions {
+  pageSize?: number
+}
+
+type JsonObject = Record<string, unknown>
+
+// ============================================================================
+// Resources
+// ============================================================================
+
+export const API_VERSION = 'v1'
+export const API_BASE = `/api/${API_VERSION}`
+export const DEFAULT_PAGE_SIZE = 100
+
+export const API_RESOURCES: ApiResource[] = [
+  { name: 'preparations', collection: 'preparations', dir: 'entities/preparations', summaryFields: ['image'] },
+  { name: 'plants', collection: 'species', dir: 'entities/botanical/species', summaryFields: ['scientificName', 'family', 'image'] },
+  { name: 'compounds', collection: 'chemicals', dir: 'entities/botanical/chemicals', summaryFields: ['molecularFormula'] },
+  { name: 'formulas', collection: 'formulas', dir: 'entities/formulas', summaryFields: [] }
+]
+
+const lastSegment = (iri: string) => iri.split('/').pop() || ''
+
+const idOf = (entity: JsonObject) => String(entity['@id'] ?? '')
+
+/** Site page of an entity, from the catalogue's route patterns */
+function siteUrl(resource: ApiResource, entity: JsonObject): string {
+  const collection = ENTITY_COLLECTIONS.find(item => item.dir === resource.dir)
+  const routes = collection?.routesFor ? collection.routesFor(entity) : collection?.routes || []
+  const route = routes[0] || `/${resource.name}/:slug`
+  return `${SITE_URL}${route.replace(':slug', lastSegment(idOf(entity)))}`
+}
+
+function summarize(resource: ApiResource, entity: JsonObject): ApiListItem {
+  const slug = lastSegment(idOf(entity))
+  const item: ApiListItem = {
+    slug,
+    id: idOf(entity),
+    url: siteUrl(resource, entity),
+    href: `${API_BASE}/${resource.name}/${slug}.json`
+  }
+  if (entity.name) item.name = entity.name as LanguageMap
+  for (const field of resource.summaryFields) {
+    if (entity[field] !== undefined) item[field] = entity[field]
+  }
+  return item
+}
+
+/** System profiles of a preparation, keyed like SystemProfiles */
+function resolveProfiles(preparation: JsonObject, dataset: Record<string, unknown[]>): Record<string, JsonObject> {
+  const profiles: Record<string, JsonObject> = {}
+  for (const { system, linkProperty } of PROFILE_COLLECTIONS) {
+    const refs = preparation[linkProperty]
+    const first = (Array.isArray(refs) ? refs[0] : refs) as JsonObject | undefined
+    const id = typeof first?.['@id'] === 'string' ? first['@id'] : null
+    if (!id) continue
+    const profile = (dataset[`${system}-profiles`] || [])
+      .find(entity => extractSlugFromIRI(idOf(entity as JsonObject)) === extractSlugFromIRI(id)) as JsonObject | undefined
+    if (profile) profiles[system] = profile
+  }
+  return profiles
+}
+
+// ============================================================================
+// Building
+// ============================================================================
+
+function paginate(resource: ApiResource, items: ApiListItem[], pageSize: number): ApiPage[] {
+  const totalPages = Math.max(1, Math.ceil(items.length / pageSize))
+  const pagePath = (page: number) => `${API_BASE}/${resource.name}/page/${page}.json`
+  return Array.from({ length: totalPages }, (_, index) => ({
+    resource: resource.name,
+    page: index + 1,
+    pageSize,
+    totalItems: items.length,
+    totalPages,
+    prev: index > 0 ? pagePath(index) : null,
+    next: index + 1 < totalPages ? pagePath(index + 2) : null,
+    items: items.slice(index * pageSize, (index + 1) * pageSize)
+  }))
+}
+
+/**
+ * Every file of the API, keyed by URL path
+ */
+export function buildStaticApi(dataset: Record<string, unknown[]>, options: StaticApiOptions = {}): Map<string, unknown> {
+  const pageSize = options.pageSize || DEFAULT_PAGE_SIZE
+  const files = new Map<string, unknown>()
+
+  for (const resource of API_RESOURCES) {
+    const entities = (dataset[resource.collection] || [])
+      .filter((entity): entity is JsonObject => !!entity && typeof entity === 'object' && !!(entity as JsonObject)['@id'])
+      .sort((a, b) => lastSegment(idOf(a)).localeCompare(lastSegment(idOf(b))))
+
+    const pages = paginate(resource, entities.map(entity => summarize(resource, entity)), pageSize)
+    files.set(`${API_BASE}/${resource.name}/index.json`, pages[0])
+    for (const page of pages) files.set(`${API_BASE}/${resource.name}/page/${page.page}.json`, page)
+
+    for (const entity of entities) {
+      const detail: JsonObject = { ...entity, url: siteUrl(resource, entity) }
+      if (resource.collection === 'preparations') detail.profiles = resolveProfiles(entity, dataset)
+      files.set(`${API_BASE}/${resource.name}/${lastSegment(idOf(entity))}.json`, detail)
+    }
+  }
+
+  const vocabularies = REFERENCE_COLLECTIONS.map(({ system, refType }) => ({
+    system,
+    type: refType,
+    count: (dataset[`${system}/${refType}`] || []).length,
+    href: `${API_BASE}/vocabularies/${system}/${refType}.json`
+  }))
+  files.set(`${API_BASE}/vocabularies/index.json`, { vocabularies })
+  for (const { system, type, href } of vocabularies) {
+    files.set(href, { system, type, items: dataset[`${system}/${type}`] || [] })
+  }
+
+  files.set(`${API_BASE}/index.json`, {
+    version: API_VERSION,
+    resources: API_RESOURCES.map(resource => ({
+      name: resource.name,
+      href: `${API_BASE}/${resource.name}/index.json`,
+      totalItems: (files.get(`${API_BASE}/${resource.name}/index.json`) as ApiPage).totalItems
+    })),
+    vocabularies: `${API_BASE}/vocabularies/index.json`,
+    openapi: `${API_BASE}/openapi.json`
+  })
+  files.set(`${API_BASE}/openapi.json`, buildOpenApi())
+
+  return files
+}
+
+// ============================================================================
+// OpenAPI
+// ============================================================================
+
+const ref = (name: string) => ({ $ref: `#/components/schemas/${name}` })
+
+const jsonResponse = (description: string, schema: unknown) => ({
+  description,
+  content: { 'application/json': { schema } }
+})
+
+const pathParameter = (name: string, description: string) => ({
+  name, in: 'path', required: true, description, schema: { type: 'string' }
+})
+
+/** OpenAPI 3.1 description of the files buildStaticApi() writes */
+export function buildOpenApi(): JsonObject {
+  const paths: Record<string, unknown> = {
+    [`${API_BASE}/index.json`]: {
+      get: { summary: 'Resources of this API version', responses: { 200: jsonResponse('API root', ref('ApiRoot')) } }
+    },
+    [`${API_BASE}/openapi.json`]: {
+      get: { summary: 'This OpenAPI description', responses: { 200: jsonResponse('OpenAPI document', { type: 'object' }) } }
+    },
+    [`${API_BASE}/vocabularies/index.json`]: {
+      get: { summary: 'Reference vocabularies of every medical system', responses: { 200: jsonResponse('Vocabularies', ref('VocabularyList')) } }
+    },
+    [`${API_BASE}/vocabularies/{system}/{type}.json`]: {
+      get: {
+        summary: 'Items of one vocabulary (e.g. tcm/natures)',
+        parameters: [pathParameter('system', 'Medical system, e.g. tcm'), pathParameter('type', 'Vocabulary, e.g. natures')],
+        responses: { 200: jsonResponse('Vocabulary', ref('Vocabulary')) }
+      }
+    }
+  }
+
+  for (const resource of API_RESOURCES) {
+    const detail = resource.collection === 'preparations' ? ref('PreparationDetail') : ref('Entity')
+    paths[`${API_BASE}/${resource.name}/index.json`] = {
+      get: { summary: `First page of ${resource.name}`, responses: { 200: jsonResponse('Page', ref('Page')) } }
+    }
+    paths[`${API_BASE}/${resource.name}/page/{page}.json`] = {
+      get: {
+        summary: `Page of ${resource.name}, ordered by slug`,
+        parameters: [{ ...pathParameter('page', 'Page number, from 1'), schema: { type: 'integer', minimum: 1 } }],
+        responses: { 200: jsonResponse('Page', ref('Page')) }
+      }
+    }
+    paths[`${API_BASE}/${resource.name}/{slug}.json`] = {
+      get: {
+        summary: `One of ${resource.name}, as stored in data-herbapedia`,
+        parameters: [pathParameter('slug', 'Slug of the site detail page')],
+        responses: { 200: jsonResponse('Entity', detail) }
+      }
+    }
+  }
+
+  const languageMap = { type: 'object', description: 'Text by language (en, zh-Hant, zh-Hans)', additionalProperties: { type: 'string' } }
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Herbapedia Static API',
+      version: API_VERSION,
+      description: 'Read-only JSON files generated with the site from data-herbapedia. All endpoints are static files; there are no query parameters.'
+    },
+    servers: [{ url: SITE_URL }],
+    paths,
+    components: {
+      schemas: {
+        LanguageMap: languageMap,
+        Entity: {
+          type: 'object',
+          description: 'JSON-LD entity as stored in data-herbapedia, plus the URL of its site page',
+          required: ['@id', '@type', 'url'],
+          properties: {
+            '@id': { type: 'string', format: 'uri' },
+            '@type': { type: 'array', items: { type: 'string' } },
+            name: ref('LanguageMap'),
+            url: { type: 'string', format: 'uri' }
+          },
+          additionalProperties: true
+        },
+        PreparationDetail: {
+          allOf: [ref('Entity'), {
+            type: 'object',
+            required: ['profiles'],
+            properties: {
+              profiles: {
+                type: 'object',
+                description: 'System profiles linked from the preparation',
+                properties: Object.fromEntries(PROFILE_COLLECTIONS.map(({ system }) => [system, ref('Entity')]))
+              }
+            }
+          }]
+        },
+        ListItem: {
+          type: 'object',
+          required: ['slug', 'id', 'url', 'href'],
+          properties: {
+            slug: { type: 'string' },
+            id: { type: 'string', format: 'uri' },
+            name: ref('LanguageMap'),
+            url: { type: 'string', format: 'uri', description: 'Site page' },
+            href: { type: 'string', description: 'Detail endpoint' }
+          },
+          additionalProperties: true
+        },
+        Page: {
+          type: 'object',
+          required: ['resource', 'page', 'pageSize', 'totalItems', 'totalPages', 'prev', 'next', 'items'],
+          properties: {
+            resource: { type: 'string' },
+            page: { type: 'integer', minimum: 1 },
+            pageSize: { type: 'integer' },
+            totalItems: { type: 'integer' },
+            totalPages: { type: 'integer' },
+            prev: { type: ['string', 'null'] },
+            next: { type: ['string', 'null'] },
+            items: { type: 'array', items: ref('ListItem') }
+          }
+        },
+        Vocabulary: {
+          type: 'object',
+          required: ['system', 'type', 'items'],
+          properties: {
+            system: { type: 'string' },
+            type: { type: 'string' },
+            items: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['@id'],
+                properties: { '@id': { type: 'string', format: 'uri' }, prefLabel: ref('LanguageMap') },
+                additionalProperties: true
+              }
+            }
+          }
+        },
+        VocabularyList: {
+          type: 'object',
+          properties: {
+            vocabularies: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: { system: { type: 'string' }, type: { type: 'string' }, count: { type: 'integer' }, href: { type: 'string' } }
+              }
+            }
+          }
+        },
+        ApiRoot: {
+          type: 'object',
+          properties: {
+            version: { type: 'string' },
+            resources: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: { name: { type: 'string' }, href: { type: 'string' }, totalItems: { type: 'integer' } }
+              }
+            },
+            vocabularies: { type: 'string' },
+            openapi: { type: 'string' }
+          }
+        }
+      }
+    }
+  }
+}
@@ -0,0 +1,242 @@
+/**
+ * Taxon Search - Typo-tolerant matching of Latin scientific names
+ *
+ * Matches a query against each species' accepted name and its synonyms
+ * (basionym and older combinations, e.g. Polygonum multiflorum for
+ * Reynoutria multiflora), in order of preference:
+ * 1. substring of the accepted name, a synonym or a common name
+ * 2. genus-only query ("Glycyrrhiza" lists every Glycyrrhiza species)
+ * 3. edit-distance match of each query word against each name part
+ *    ("Glycyrhiza uralensys", "uralensys")
+ *
+ * When nothing matches without typo tolerance, the closest accepted names (or
+ * the corrected genus) are offered as "did you mean" suggestions.
+ *
+ * @example
+ * const { matches, suggestions } = searchTaxa('glycyrhiza', plants)
+ */
+
+import type { LanguageMap } from '@herbapedia/data/types'
+import { normalizeSearchText } from './searchText'
+
+// ============================================================================
+// Type Definitions
+// ============================================================================
+
+export interface Taxon {
+  scientificName?: string
+  synonyms?: string[]
+  basionym?: string
+  genus?: string
+  family?: string
+  commonName?: LanguageMap
+}
+
+export type TaxonMatchKind = 'name' | 'common' | 'genus' | 'synonym' | 'fuzzy'
+
+export interface TaxonMatch<T> {
+  item: T
+  kind: TaxonMatchKind
+  /** The accepted name or synonym that matched */
+  matchedName?: string
+  /** Total edit distance for fuzzy matches, 0 otherwise */
+  distance: number
+}
+
+export interface TaxonSearchResult<T> {
+  matches: TaxonMatch<T>[]
+  /** Names to offer as "did you mean" when the query only matched with typos */
+  suggestions: string[]
+}
+
+// Lower ranks first
+const KIND_RANK: Record<TaxonMatchKind, number> = {
+  name: 0,
+  common: 1,
+  genus: 2,
+  synonym: 3,
+  fuzzy: 4
+}
+
+const MAX_SUGGESTIONS = 3
+
+// Infraspecific rank markers kept as part of the name
+const RANK_MARKERS = new Set(['subsp.', 'ssp.', 'var.', 'f.'])
+
+// ============================================================================
+// Name Handling
+// ============================================================================
+
+/**
+ * Strip authorship from a scientific name, keeping an infraspecific rank:
+ * "Glycyrrhiza uralensis Fisch. ex DC." -> "Glycyrrhiza uralensis",
+ * "Citrus reticulata var. chachiensis Hort." -> "Citrus reticulata var. chachiensis"
+ */
+export function canonicalName(name: string): string {
+  const words = name.trim().split(/\s+/)
+  const result = words.slice(0, 2)
+  if (RANK_MARKERS.has(words[2]?.toLowerCase()) && words[3]) result.push(words[2], words[3])
+  return result.join(' ')
+}
+
+/** Lowercase name words used for matching, without authorship or rank markers */
+export function nameWords(name: string): string[] {
+  return normalizeSearchText(canonicalName(name))
+    .split(' ')
+    .filter(word => !RANK_MARKERS.has(word) && /^[a-z×-]+$/.test(word))
+}
+
+/** Accepted name plus synonyms of a taxon, accepted name first */
+function taxonNames(taxon: Taxon): Array<{ name: string; isSynonym: boolean }> {
+  const names: Array<{ name: string; isSynonym: boolean }> = []
+  if (taxon.scientificName) names.push({ name: taxon.scientificName, isSynonym: false })
+  for (const synonym of [taxon.basionym, ...(taxon.synonyms || [])]) {
+    if (synonym && synonym !== taxon.scientificName) names.push({ name: synonym, isSynonym: true })
+  }
+  return names
+}
+
+// ============================================================================
+// Edit Distance
+// ============================================================================
+
+/**
+ * Levenshtein distance, giving up (returning max + 1) once it exceeds max
+ */
+export function editDistance(a: string, b: string, max = Infinity): number {
+  if (Math.abs(a.length - b.length) > max) return max + 1
+
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j)
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i]
+    let rowMin = i
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      )
+      rowMin = Math.min(rowMin, current[j])
+    }
+    if (rowMin > max) return max + 1
+    previous = current
+  }
+  return previous[b.length]
+}
+
+// Typos tolerated in a query word of the given length
+function allowedTypos(length: number): number {
+  if (length <= 3) return 0
+  if (length <= 6) return 1
+  return 2
+}
+
+// Distance of a query word to a name word; query words may be abbreviated
+// ("angel sin"), so they are also compared against the name word's prefix
+function wordDistance(queryWord: string, nameWord: string): number {
+  const max = allowedTypos(queryWord.length)
+  let distance = editDistance(queryWord, nameWord, max)
+  if (queryWord.length < nameWord.length) {
+    distance = Math.min(distance, editDistance(queryWord, nameWord.slice(0, queryWord.length), max))
+  }
+  return distance
+}
+
+// Total distance of the query words to the words of a name, or null when
+// any query word is beyond its typo allowance. Each query word is matched
+// against every name part, using each part once, so a typo in the epithet
+// alone ("uralensys") or words out of order still match.
+function fuzzyDistance(queryWords: string[], words: string[]): number | null {
+  if (queryWords.length > words.length) return null
+  const unused = new Set(words.map((_, index) => index))
+  let total = 0
+  for (const queryWord of queryWords) {
+    let bestIndex = -1
+    let bestDistance = Infinity
+    for (const index of unused) {
+      const distance = wordDistance(queryWord, words[index])
+      if (distance < bestDistance) {
+        bestIndex = index
+        bestDistance = distance
+      }
+    }
+    if (bestIndex < 0 || bestDistance > allowedTypos(queryWord.length)) return null
+    unused.delete(bestIndex)
+    total += bestDistance
+  }
+  return total
+}
+
+// ============================================================================
+// Matching
+// ============================================================================
+
+/**
+ * Best match of a query against one taxon, or null
+ */
+export function matchTaxon<T extends Taxon>(query: string, taxon: T): TaxonMatch<T> | null {
+  const normalized = normalizeSearchText(query)
+  if (!normalized) return null
+  const queryWords = normalized.split(' ')
+  const names = taxonNames(taxon)
+
+  // 1. Plain substring of a scientific name or a common name
+  for (const { name, isSynonym } of names) {
+    if (normalizeSearchText(name).includes(normalized)) {
+      return { item: taxon, kind: isSynonym ? 'synonym' : 'name', matchedName: name, distance: 0 }
+    }
+  }
+  const commonNames = Object.values(taxon.commonName || {}).filter(Boolean) as string[]
+  if (commonNames.some(name => normalizeSearchText(name).includes(normalized)) ||
+      (taxon.family && normalizeSearchText(taxon.family).includes(normalized))) {
+    return { item: taxon, kind: 'common', distance: 0 }
+  }
+
+  // 2. Genus-only query, tolerating typos in the genus
+  if (queryWords.length === 1) {
+    for (const { name, isSynonym } of names) {
+      const [genus] = nameWords(name)
+      if (!genus) continue
+      const distance = editDistance(queryWords[0], genus, allowedTypos(queryWords[0].length))
+      if (distance <= allowedTypos(queryWords[0].length)) {
+        return { item: taxon, kind: isSynonym ? 'synonym' : 'genus', matchedName: name, distance }
+      }
+    }
+  }
+
+  // 3. Per-word edit distance against every name
+  let best: TaxonMatch<T> | null = null
+  for (const { name } of names) {
+    const distance = fuzzyDistance(queryWords, nameWords(name))
+    if (distance !== null && (!best || distance < best.distance)) {
+      best = { item: taxon, kind: 'fuzzy', matchedName: name, distance }
+    }
+  }
+  return best
+}
+
+/**
+ * Search taxa by scientific name, synonym, genus or common name.
+ * Matches are ranked exact-before-fuzzy, then by edit distance and name.
+ */
+export function searchTaxa<T extends Taxon>(query: string, taxa: T[]): TaxonSearchResult<T> {
+  const matches = taxa
+    .map(taxon => matchTaxon(query, taxon))
+    .filter((match): match is TaxonMatch<T> => match !== null)
+    .sort((a, b) =>
+      KIND_RANK[a.kind] - KIND_RANK[b.kind] ||
+      a.distance - b.distance ||
+      (a.item.scientificName || '').localeCompare(b.item.scientificName || '')
+    )
+
+  // Suggest the corrected genus for genus queries, the accepted name otherwise
+  const hasExactMatch = matches.some(match => match.distance === 0)
+  const suggestions = hasExactMatch
+    ? []
+    : Array.from(new Set(matches.map(match => match.kind === 'genus'
+      ? canonicalName(match.matchedName!).split(' ')[0]
+      : canonicalName(match.item.scientificName || '')
+    ).filter(Boolean))).slice(0, MAX_SUGGESTIONS)
+
+  return { matches, suggestions }
+}
@@ -0,0 +1,94 @@
+/**
+ * Compare Composable
+ *
+ * The preparations picked for side-by-side comparison, shared by every
+ * PreparationCard on the page and kept in localStorage between visits.
+ * The selection is restored after mount so server-rendered cards and the
+ * first client render agree.
+ *
+ * @example
+ * const { items, toggle, compareUrl } = useCompare()
+ * toggle('ginseng')
+ * router.push(localePath(compareUrl.value)) // /compare?items=ginseng
+ */
+
+import { ref, computed, onMounted } from 'vue'
+
+export const MAX_COMPARE_ITEMS = 4
+
+const STORAGE_KEY = 'herbapedia:compare'
+
+// Shared across components
+const items = ref([])
+let restored = false
+
+function restore() {
+  if (restored) return
+  restored = true
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || '[]')
+    if (Array.isArray(saved)) items.value = saved.filter(slug => typeof slug === 'string').slice(0, MAX_COMPARE_ITEMS)
+  } catch {
+    // Unavailable or corrupt storage: start with an empty selection
+  }
+}
+
+function save() {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(items.value))
+  } catch {
+    // Storage full or disabled: the selection lasts for this page only
+  }
+}
+
+/**
+ * Build the compare page path for a list of preparation slugs
+ */
+export function compareUrlFor(slugs) {
+  return slugs.length > 0 ? `/compare?items=${slugs.map(encodeURIComponent).join(',')}` : '/compare'
+}
+
+/**
+ * Parse the `items` query param of the compare page
+ */
+export function parseCompareItems(raw) {
+  const text = (Array.isArray(raw) ? raw : [raw]).filter(Boolean).join(',')
+  return Array.from(new Set(text.split(',').map(slug => slug.trim()).filter(Boolean)))
+}
+
+/**
+ * @returns {{ items, isFull, has, toggle, remove, clear, compareUrl }}
+ */
+export function useCompare() {
+  onMounted(restore)
+
+  const isFull = computed(() => items.value.length >= MAX_COMPARE_ITEMS)
+  const compareUrl = computed(() => compareUrlFor(items.value))
+
+  function has(slug) {
+    return items.value.includes(slug)
+  }
+
+  // Add or remove a preparation; adding is ignored once the list is full
+  function toggle(slug) {
+    if (has(slug)) {
+      remove(slug)
+      return
+    }
+    if (isFull.value) return
+    items.value = [...items.value, slug]
+    save()
+  }
+
+  function remove(slug) {
+    items.value = items.value.filter(item => item !== slug)
+    save()
+  }
+
+  function clear() {
+    items.value = []
+    save()
+  }
+
+  return { items, isFull, has, toggle, remove, clear, compareUrl }
+}
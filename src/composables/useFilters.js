@@ -5,15 +5,162 @@
  *
  * Filter State:
  * - search: string for text search
- * - system: which system profiles to include (tcm, western, ayurveda)
- * - tcm: TCM-specific filters (nature, flavor, meridian, category)
- * - western: Western-specific filters (action, organ)
+ * - system: which system profiles to include (tcm, western, ayurveda, unani, mongolian, modern)
+ * - tcm: TCM facets (nature, flavor, meridian, category)
+ * - western: Western facets (action, organ)
+ * - ayurveda: Ayurveda facets (rasa, guna, virya, vipaka, dosha, karma) plus doshaEffect
+ * - unani: Unani facets (temperament, element) plus degree
+ * - mongolian: Mongolian facets (element, taste, root)
+ * - sort, page: list ordering and current page (also used by PlantsView)
+ *
+ * Every facet holds a selection `{ mode, values }` where mode is one of
+ * 'any' (at least one value), 'all' (every value) or 'none' (no value), so
+ * "sweet AND bitter, entering Liver OR Kidney, NOT cold" is
+ * `?flavor=all:sweet,bitter&meridian=liver,kidney&nature=none:cold`.
+ * The 'any:' prefix is the default and is left out of the URL.
+ *
+ * Property filters apply to the systems whose filter groups are shown (all
+ * of them when no system is selected), and getFacetCounts() reports how many
+ * preparations each option would leave given the other active filters.
  */
 
 import { ref, reactive, computed, watch, nextTick } from 'vue'
 import { useRoute, useRouter } from 'vue-router'
 import { useI18n } from 'vue-i18n'
 import { dataset } from '@/api/dataset'
+import { createSearchMatcher, pinyinSearchForms } from '@/api/searchText'
+
+// ============================================================================
+// Facet Definitions
+// ============================================================================
+
+export const FILTER_MODES = ['any', 'all', 'none']
+
+const SYSTEM_BASE = 'https://www.herbapedia.org/system/'
+
+// Values of the scalar filters: direction of an affectsDosha entry and the
+// Unani temperament degree
+const DOSHA_EFFECTS = ['increases', 'decreases']
+const UNANI_DEGREES = [1, 2, 3, 4]
+
+/**
+ * Facets per system: URL param, the profile values (IRI references or
+ * slugs) and the reference data lookup used to resolve both sides to one
+ * canonical IRI
+ */
+const FACETS = {
+  tcm: {
+    nature: { param: 'nature', values: p => p.hasNature, lookup: id => dataset.getNature(id) },
+    flavor: { param: 'flavor', values: p => p.hasFlavor, lookup: id => dataset.getFlavor(id) },
+    meridian: { param: 'meridian', values: p => p.entersMeridian, lookup: id => dataset.getMeridian(id) },
+    category: { param: 'tcmCategory', values: p => p.hasCategory, lookup: id => dataset.getCategory(id) }
+  },
+  western: {
+    action: { param: 'action', values: p => p.hasAction, lookup: id => dataset.getAction(id) },
+    organ: { param: 'organ', values: p => p.hasOrganAffinity, lookup: id => dataset.getOrgan(id) }
+  },
+  ayurveda: {
+    rasa: { param: 'rasa', values: p => p.hasRasa, lookup: id => dataset.getRasa(id) },
+    guna: { param: 'guna', values: p => p.hasGuna, lookup: id => dataset.getGuna(id) },
+    virya: { param: 'virya', values: p => p.hasVirya, lookup: id => dataset.getVirya(id) },
+    vipaka: { param: 'vipaka', values: p => p.hasVipaka, lookup: id => dataset.getVipaka(id) },
+    dosha: { param: 'dosha', values: (p, state) => affectedDoshas(p, state.doshaEffect), lookup: id => dataset.getDosha(id) },
+    karma: { param: 'karma', values: p => p.karma, lookup: id => dataset.getKarma(id) }
+  },
+  unani: {
+    temperament: { param: 'temperament', values: p => p.hasTemperament, lookup: id => dataset.getTemperament(id) },
+    element: { param: 'unaniElement', values: p => p.hasElement, lookup: id => dataset.getUnaniElement(id) }
+  },
+  mongolian: {
+    element: { param: 'mongolianElement', values: p => p.hasElement, lookup: id => dataset.getMongolianElement(id) },
+    taste: { param: 'mongolianTaste', values: p => p.hasTaste, lookup: id => dataset.getMongolianTaste(id) },
+    root: { param: 'mongolianRoot', values: p => Object.keys(p.affectsRoots || {}), lookup: id => dataset.getMongolianRoot(id) }
+  }
+}
+
+const PROFILE_RESOLVERS = {
+  tcm: resolveTCMProfile,
+  western: resolveWesternProfile,
+  ayurveda: resolveAyurvedaProfile,
+  unani: resolveUnaniProfile,
+  mongolian: resolveMongolianProfile
+}
+
+function emptyFacet() {
+  return { mode: 'any', values: [] }
+}
+
+function createFacetState(system) {
+  return Object.fromEntries(Object.keys(FACETS[system]).map(facet => [facet, emptyFacet()]))
+}
+
+/**
+ * Parse a facet query param: "all:sweet,bitter" -> { mode: 'all', values: [...] }.
+ * Repeated params are merged; a value without a mode prefix means 'any'.
+ */
+export function parseFacetParam(raw) {
+  const text = (Array.isArray(raw) ? raw : [raw]).filter(Boolean).map(String).join(',')
+  const match = /^(any|all|none):(.*)$/.exec(text)
+  const mode = match ? match[1] : 'any'
+  const values = (match ? match[2] : text).split(',').map(value => value.trim()).filter(Boolean)
+  return { mode, values: Array.from(new Set(values)) }
+}
+
+/**
+ * Serialize a facet selection for the URL, or null when nothing is selected
+ */
+export function formatFacetParam(selection) {
+  if (!selection?.values?.length) return null
+  const values = selection.values.join(',')
+  return selection.mode === 'any' ? values : `${selection.mode}:${values}`
+}
+
+// ============================================================================
+// Sorting & Pagination
+// ============================================================================
+
+export const PAGE_SIZE = 48
+
+/**
+ * Sort a copy of a list by a key. Strings use the locale's collation and
+ * numbers sort highest first; items without a key go last, and ties keep
+ * their original order.
+ *
+ * @param {Array} items
+ * @param {(item) => string|number|null} getKey
+ * @param {string} locale
+ */
+export function sortByKey(items, getKey, locale) {
+  const collator = new Intl.Collator(locale, { sensitivity: 'base', numeric: true })
+  return items
+    .map((item, index) => ({ item, index, key: getKey(item) }))
+    .sort((a, b) => {
+      const aMissing = a.key === null || a.key === undefined || a.key === ''
+      const bMissing = b.key === null || b.key === undefined || b.key === ''
+      if (aMissing || bMissing) return (aMissing - bMissing) || a.index - b.index
+      const order = typeof a.key === 'number' && typeof b.key === 'number'
+        ? b.key - a.key
+        : collator.compare(String(a.key), String(b.key))
+      return order || a.index - b.index
+    })
+    .map(({ item }) => item)
+}
+
+/**
+ * Slice one page out of a list. The page is clamped to the available range.
+ *
+ * @returns {{ items: Array, page: number, pageCount: number, total: number }}
+ */
+export function paginate(items, page, pageSize = PAGE_SIZE) {
+  const pageCount = Math.max(1, Math.ceil(items.length / pageSize))
+  const current = Math.min(Math.max(1, page || 1), pageCount)
+  return {
+    items: items.slice((current - 1) * pageSize, current * pageSize),
+    page: current,
+    pageCount,
+    total: items.length
+  }
+}
 
 // ============================================================================
 // Filter State
@@ -21,8 +168,11 @@ import { dataset } from '@/api/dataset'
 
 /**
  * Create filter state for preparations
+ *
+ * @param {Object} [options]
+ * @param {string} [options.defaultSort='name'] - Sort mode left out of the URL
  */
-export function useFilters() {
+export function useFilters({ defaultSort = 'name' } = {}) {
   const route = useRoute()
   const router = useRouter()
 
@@ -37,38 +187,15 @@ export function useFilters() {
       mongolian: false,
       modern: false
     },
-    // TCM properties
-    tcm: {
-      nature: null,
-      flavor: null,
-      meridian: null,
-      category: null
-    },
-    // Western properties
-    western: {
-      action: null,
-      organ: null
-    },
-    // Ayurveda properties
-    ayurveda: {
-      rasa: null,
-      guna: null,
-      virya: null,
-      vipaka: null,
-      dosha: null,
-      karma: null
-    },
-    // Unani properties
-    unani: {
-      temperament: null,
-      element: null
-    },
-    // Mongolian properties
-    mongolian: {
-      element: null,
-      taste: null,
-      root: null
-    }
+    tcm: createFacetState('tcm'),
+    western: createFacetState('western'),
+    // Ayurveda facets, plus the direction of the dosha effect
+    ayurveda: { ...createFacetState('ayurveda'), doshaEffect: null },
+    // Unani facets, plus the temperament degree (1-4)
+    unani: { ...createFacetState('unani'), degree: null },
+    mongolian: createFacetState('mongolian'),
+    sort: defaultSort,
+    page: 1
   })
 
   // Track if we've initialized from URL
@@ -103,32 +230,20 @@ export function useFilters() {
       filters.system.modern = systems.includes('modern')
     }
 
-    // TCM filters
-    if (query.nature) filters.tcm.nature = String(query.nature)
-    if (query.flavor) filters.tcm.flavor = String(query.flavor)
-    if (query.meridian) filters.tcm.meridian = String(query.meridian)
-    if (query.tcmCategory) filters.tcm.category = String(query.tcmCategory)
-
-    // Western filters
-    if (query.action) filters.western.action = String(query.action)
-    if (query.organ) filters.western.organ = String(query.organ)
-
-    // Ayurveda filters
-    if (query.rasa) filters.ayurveda.rasa = String(query.rasa)
-    if (query.guna) filters.ayurveda.guna = String(query.guna)
-    if (query.virya) filters.ayurveda.virya = String(query.virya)
-    if (query.vipaka) filters.ayurveda.vipaka = String(query.vipaka)
-    if (query.dosha) filters.ayurveda.dosha = String(query.dosha)
-    if (query.karma) filters.ayurveda.karma = String(query.karma)
-
-    // Unani filters
-    if (query.temperament) filters.unani.temperament = String(query.temperament)
-    if (query.unaniElement) filters.unani.element = String(query.unaniElement)
-
-    // Mongolian filters
-    if (query.mongolianElement) filters.mongolian.element = String(query.mongolianElement)
-    if (query.mongolianTaste) filters.mongolian.taste = String(query.mongolianTaste)
-    if (query.mongolianRoot) filters.mongolian.root = String(query.mongolianRoot)
+    // Facets
+    for (const [system, facets] of Object.entries(FACETS)) {
+      for (const [facet, { param }] of Object.entries(facets)) {
+        if (query[param]) filters[system][facet] = parseFacetParam(query[param])
+      }
+    }
+
+    // Scalar filters
+    if (query.doshaEffect) filters.ayurveda.doshaEffect = String(query.doshaEffect)
+    if (query.degree) filters.unani.degree = Number(query.degree) || null
+
+    // Listing
+    if (query.sort) filters.sort = String(query.sort)
+    if (query.page) filters.page = Math.max(1, parseInt(String(query.page), 10) || 1)
   }
 
   /**
@@ -154,32 +269,21 @@ export function useFilters() {
       query.system = systems.join(',')
     }
 
-    // TCM filters
-    if (filters.tcm.nature) query.nature = filters.tcm.nature
-    if (filters.tcm.flavor) query.flavor = filters.tcm.flavor
-    if (filters.tcm.meridian) query.meridian = filters.tcm.meridian
-    if (filters.tcm.category) query.tcmCategory = filters.tcm.category
-
-    // Western filters
-    if (filters.western.action) query.action = filters.western.action
-    if (filters.western.organ) query.organ = filters.western.organ
-
-    // Ayurveda filters
-    if (filters.ayurveda.rasa) query.rasa = filters.ayurveda.rasa
-    if (filters.ayurveda.guna) query.guna = filters.ayurveda.guna
-    if (filters.ayurveda.virya) query.virya = filters.ayurveda.virya
-    if (filters.ayurveda.vipaka) query.vipaka = filters.ayurveda.vipaka
-    if (filters.ayurveda.dosha) query.dosha = filters.ayurveda.dosha
-    if (filters.ayurveda.karma) query.karma = filters.ayurveda.karma
-
-    // Unani filters
-    if (filters.unani.temperament) query.temperament = filters.unani.temperament
-    if (filters.unani.element) query.unaniElement = filters.unani.element
-
-    // Mongolian filters
-    if (filters.mongolian.element) query.mongolianElement = filters.mongolian.element
-    if (filters.mongolian.taste) query.mongolianTaste = filters.mongolian.taste
-    if (filters.mongolian.root) query.mongolianRoot = filters.mongolian.root
+    // Facets
+    for (const [system, facets] of Object.entries(FACETS)) {
+      for (const [facet, { param }] of Object.entries(facets)) {
+        const value = formatFacetParam(filters[system][facet])
+        if (value) query[param] = value
+      }
+    }
+
+    // Scalar filters
+    if (filters.ayurveda.doshaEffect) query.doshaEffect = filters.ayurveda.doshaEffect
+    if (filters.unani.degree) query.degree = String(filters.unani.degree)
+
+    // Listing - defaults are left out so the first page keeps a clean URL
+    if (filters.sort !== defaultSort) query.sort = filters.sort
+    if (filters.page > 1) query.page = String(filters.page)
 
     return query
   }
@@ -218,38 +322,52 @@ export function useFilters() {
     filters.system.unani = false
     filters.system.mongolian = false
     filters.system.modern = false
-    // TCM
-    filters.tcm.nature = null
-    filters.tcm.flavor = null
-    filters.tcm.meridian = null
-    filters.tcm.category = null
-    // Western
-    filters.western.action = null
-    filters.western.organ = null
+    for (const system of Object.keys(FACETS)) {
+      Object.assign(filters[system], createFacetState(system))
+    }
+    filters.ayurveda.doshaEffect = null
+    filters.unani.degree = null
+    filters.sort = defaultSort
+    filters.page = 1
     updateUrl()
   }
 
+  // Property filters set in a system's state (facet values or scalar filters)
+  function hasPropertyFilters(system, state = filters[system]) {
+    if (Object.keys(FACETS[system]).some(facet => state[facet].values.length > 0)) return true
+    if (system === 'ayurveda') return !!state.doshaEffect
+    if (system === 'unani') return !!state.degree
+    return false
+  }
+
+  function hasSystemFilter() {
+    return Object.values(filters.system).some(Boolean)
+  }
+
+  // Property filters apply to the systems whose filter groups are shown:
+  // every system when none is selected, otherwise only the selected ones
+  function isSystemFilterable(system) {
+    return !hasSystemFilter() || filters.system[system]
+  }
+
   /**
-   * Check if any filters are active
+   * Number of active filters: selected systems, facet values and scalar filters
    */
-  const hasActiveFilters = computed(() => {
-    return !!(
-      filters.search ||
-      filters.system.tcm ||
-      filters.system.western ||
-      filters.system.ayurveda ||
-      filters.system.unani ||
-      filters.system.mongolian ||
-      filters.system.modern ||
-      filters.tcm.nature ||
-      filters.tcm.flavor ||
-      filters.tcm.meridian ||
-      filters.tcm.category ||
-      filters.western.action ||
-      filters.western.organ
-    )
+  const activeFilterCount = computed(() => {
+    let count = Object.values(filters.system).filter(Boolean).length
+    for (const [system, facets] of Object.entries(FACETS)) {
+      for (const facet of Object.keys(facets)) count += filters[system][facet].values.length
+    }
+    if (filters.ayurveda.doshaEffect) count++
+    if (filters.unani.degree) count++
+    return count
   })
 
+  /**
+   * Check if any filters are active
+   */
+  const hasActiveFilters = computed(() => !!filters.search || activeFilterCount.value > 0)
+
   // ============================================================================
   // Filter Application
   // ============================================================================
@@ -258,22 +376,73 @@ export function useFilters() {
    * Apply filters to preparations list
    */
   function applyFilters(preparations) {
-    // Check if any system filter is active
-    const hasSystemFilter = filters.system.tcm || filters.system.western ||
-                            filters.system.ayurveda || filters.system.unani ||
-                            filters.system.mongolian || filters.system.modern
-
-    return preparations.filter(prep => {
-      // Search filter - match against name and scientific name
-      if (filters.search) {
-        const query = filters.search.toLowerCase()
-        const nameMatch = getPrepName(prep)?.toLowerCase().includes(query)
-        const sciMatch = getScientificName(prep)?.toLowerCase().includes(query)
-        if (!nameMatch && !sciMatch) return false
+    const matchesBase = createBaseMatcher()
+    const matchesProperties = createPropertyMatcher()
+    return preparations.filter(prep => matchesBase(prep) && matchesProperties(prep))
+  }
+
+  /**
+   * Live option counts for every facet of the shown filter groups: how many
+   * preparations match the other active filters and carry the option.
+   * Scalar filters count the matches with each value in place.
+   *
+   * @returns {Object} e.g. { tcm: { nature: { hot: 3 } }, unani: { degree: { 2: 5 } } }
+   */
+  function getFacetCounts(preparations) {
+    const candidates = preparations.filter(createBaseMatcher())
+    const counts = {}
+
+    for (const [system, facets] of Object.entries(FACETS)) {
+      counts[system] = {}
+      if (!isSystemFilterable(system)) continue
+
+      for (const [facet, definition] of Object.entries(facets)) {
+        const matches = createPropertyMatcher({ system, key: facet, value: emptyFacet() })
+        const optionCounts = {}
+        for (const prep of candidates) {
+          const profile = PROFILE_RESOLVERS[system](prep)
+          if (!profile || !matches(prep)) continue
+          const slugs = new Set(toArray(definition.values(profile, filters[system]))
+            .map(ref => extractSlugFromId(canonicalIri(ref, definition, system, facet))))
+          for (const slug of slugs) optionCounts[slug] = (optionCounts[slug] || 0) + 1
+        }
+        counts[system][facet] = optionCounts
       }
+    }
+
+    if (isSystemFilterable('ayurveda')) {
+      counts.ayurveda.doshaEffect = countScalarOptions(candidates, 'ayurveda', 'doshaEffect', DOSHA_EFFECTS)
+    }
+    if (isSystemFilterable('unani')) {
+      counts.unani.degree = countScalarOptions(candidates, 'unani', 'degree', UNANI_DEGREES)
+    }
+    return counts
+  }
+
+  function countScalarOptions(candidates, system, key, values) {
+    return Object.fromEntries(values.map(value => {
+      const matches = createPropertyMatcher({ system, key, value })
+      return [value, candidates.filter(matches).length]
+    }))
+  }
+
+  /**
+   * Search and system profile filters, which facet counts hold fixed
+   */
+  function createBaseMatcher() {
+    const anySystemSelected = hasSystemFilter()
+
+    // Tone-, spacing- and Traditional/Simplified-insensitive text search
+    const matchesSearch = filters.search
+      ? createSearchMatcher(filters.search, dataset.getHanziVariants())
+      : null
+
+    return prep => {
+      // Search filter - match against names, scientific name and TCM names
+      if (matchesSearch && !matchesSearch(getSearchValues(prep))) return false
 
       // System profile filters - only filter if at least one system is selected
-      if (hasSystemFilter) {
+      if (anySystemSelected) {
         const matchesAnySystem =
           (filters.system.tcm && prep.hasTCMProfile) ||
           (filters.system.western && prep.hasWesternProfile) ||
@@ -285,78 +454,61 @@ export function useFilters() {
         if (!matchesAnySystem) return false
       }
 
-      // TCM property filters - only apply if TCM system is selected
-      if (filters.system.tcm && (filters.tcm.nature || filters.tcm.flavor || filters.tcm.meridian || filters.tcm.category)) {
-        const tcmProfile = resolveTCMProfile(prep)
-        if (!tcmProfile) return false
-
-        if (filters.tcm.nature) {
-          const natureId = tcmProfile.hasNature?.['@id'] || tcmProfile.hasNature
-          if (natureId !== `tcm/nature/${filters.tcm.nature}` &&
-              natureId !== filters.tcm.nature &&
-              !natureId?.includes(filters.tcm.nature)) {
-            return false
-          }
-        }
-        if (filters.tcm.flavor) {
-          const flavors = tcmProfile.hasFlavor || []
-          const hasFlavor = flavors.some(f => {
-            const id = f['@id'] || f
-            return id === `tcm/flavor/${filters.tcm.flavor}` ||
-                   id === filters.tcm.flavor ||
-                   id?.includes(filters.tcm.flavor)
-          })
-          if (!hasFlavor) return false
-        }
-        if (filters.tcm.meridian) {
-          const meridians = tcmProfile.entersMeridian || []
-          const hasMeridian = meridians.some(m => {
-            const id = m['@id'] || m
-            return id === `tcm/meridian/${filters.tcm.meridian}` ||
-                   id === filters.tcm.meridian ||
-                   id?.includes(filters.tcm.meridian)
-          })
-          if (!hasMeridian) return false
-        }
-        if (filters.tcm.category) {
-          const catId = tcmProfile.hasCategory?.['@id'] || tcmProfile.hasCategory
-          if (catId !== `tcm/category/${filters.tcm.category}` &&
-              catId !== filters.tcm.category &&
-              !catId?.includes(filters.tcm.category)) {
-            return false
-          }
-        }
-      }
+      return true
+    }
+  }
 
-      // Western property filters - only apply if Western system is selected
-      if (filters.system.western && (filters.western.action || filters.western.organ)) {
-        const westernProfile = resolveWesternProfile(prep)
-        if (!westernProfile) return false
-
-        if (filters.western.action) {
-          const actions = westernProfile.hasAction || []
-          const hasAction = actions.some(a => {
-            const id = a['@id'] || a
-            return id === `western/action/${filters.western.action}` ||
-                   id === filters.western.action ||
-                   id?.includes(filters.western.action)
-          })
-          if (!hasAction) return false
-        }
-        if (filters.western.organ) {
-          const organs = westernProfile.hasOrganAffinity || []
-          const hasOrgan = organs.some(o => {
-            const id = o['@id'] || o
-            return id === `western/organ/${filters.western.organ}` ||
-                   id === filters.western.organ ||
-                   id?.includes(filters.western.organ)
-          })
-          if (!hasOrgan) return false
+  /**
+   * Property filters of every filterable system. The preparation needs a
+   * profile in each system filtered on. `override` swaps the value of one
+   * filter ({ system, key, value }), which is how facet counts are computed.
+   */
+  function createPropertyMatcher(override) {
+    const matchers = Object.keys(FACETS)
+      .filter(isSystemFilterable)
+      .map(system => {
+        const state = override?.system === system
+          ? { ...filters[system], [override.key]: override.value }
+          : filters[system]
+        return hasPropertyFilters(system, state) ? [system, createFacetMatcher(system, state)] : null
+      })
+      .filter(Boolean)
+
+    return prep => matchers.every(([system, matches]) => {
+      const profile = PROFILE_RESOLVERS[system](prep)
+      return !!profile && matches(profile)
+    })
+  }
+
+  /**
+   * Build a profile matcher for one system's facets and scalar filters.
+   * Selected values and profile values are both resolved to the canonical
+   * reference IRI, so 'hot' never matches 'slightly-hot'.
+   */
+  function createFacetMatcher(system, state) {
+    const checks = Object.entries(FACETS[system])
+      .filter(([facet]) => state[facet].values.length > 0)
+      .map(([facet, definition]) => {
+        const { mode, values } = state[facet]
+        const selected = values.map(value => canonicalIri(value, definition, system, facet))
+        return profile => {
+          const present = new Set(toArray(definition.values(profile, state))
+            .map(ref => canonicalIri(ref, definition, system, facet)))
+          if (mode === 'all') return selected.every(iri => present.has(iri))
+          if (mode === 'none') return !selected.some(iri => present.has(iri))
+          return selected.some(iri => present.has(iri))
         }
-      }
+      })
 
-      return true
-    })
+    // An effect direction without a dosha matches that effect on any dosha
+    if (system === 'ayurveda' && state.doshaEffect && state.dosha.values.length === 0) {
+      checks.push(profile => affectedDoshas(profile, state.doshaEffect).length > 0)
+    }
+    if (system === 'unani' && state.degree) {
+      checks.push(profile => Number(profile.temperamentDegree) === Number(state.degree))
+    }
+
+    return profile => checks.every(check => check(profile))
   }
 
   // ============================================================================
@@ -386,7 +538,9 @@ export function useFilters() {
     updateUrl,
     clearFilters,
     hasActiveFilters,
-    applyFilters
+    activeFilterCount,
+    applyFilters,
+    getFacetCounts
   }
 }
 
@@ -394,13 +548,18 @@ export function useFilters() {
 // Helper Functions
 // ============================================================================
 
-function getPrepName(prep) {
-  if (!prep?.name) return null
-  if (typeof prep.name === 'string') return prep.name
-  if (typeof prep.name === 'object') {
-    return prep.name.en || prep.name['zh-Hant'] || prep.name['zh-Hans'] || Object.values(prep.name)[0]
-  }
-  return null
+// Text the preparations search matches against: names in every locale,
+// source plant scientific name, and TCM pinyin (incl. initials) and hanzi
+export function getSearchValues(prep) {
+  const names = typeof prep.name === 'string' ? [prep.name] : Object.values(prep.name || {})
+  const tcmProfile = resolveTCMProfile(prep)
+  return [
+    ...names,
+    getScientificName(prep),
+    ...(tcmProfile?.pinyin ? pinyinSearchForms(tcmProfile.pinyin) : []),
+    tcmProfile?.chineseName,
+    tcmProfile?.hanzi
+  ]
 }
 
 function getScientificName(prep) {
@@ -427,12 +586,55 @@ function resolveWesternProfile(prep) {
   return dataset.getWesternProfile(westernSlug)
 }
 
+function resolveAyurvedaProfile(prep) {
+  if (!prep?.hasAyurvedaProfile?.[0]) return null
+  const ayurvedaSlug = extractSlug(prep.hasAyurvedaProfile[0])
+  return dataset.getAyurvedaProfile(ayurvedaSlug)
+}
+
+function resolveUnaniProfile(prep) {
+  if (!prep?.hasUnaniProfile?.[0]) return null
+  const unaniSlug = extractSlug(prep.hasUnaniProfile[0])
+  return dataset.getUnaniProfile(unaniSlug)
+}
+
+function resolveMongolianProfile(prep) {
+  if (!prep?.hasMongolianProfile?.[0]) return null
+  const mongolianSlug = extractSlug(prep.hasMongolianProfile[0])
+  return dataset.getMongolianProfile(mongolianSlug)
+}
+
+// Canonical IRI of a reference for exact comparison: the reference data
+// item's @id when known, otherwise the IRI under the system namespace
+function canonicalIri(ref, definition, system, facet) {
+  const id = ref?.['@id'] || ref
+  if (typeof id !== 'string' || !id) return ''
+  const item = definition.lookup(id)
+  if (item?.['@id']) return item['@id']
+  if (/^https?:\/\//.test(id)) return id
+  return `${SYSTEM_BASE}${system}/${facet}/${extractSlugFromId(id)}`
+}
+
+function toArray(value) {
+  if (Array.isArray(value)) return value
+  return value ? [value] : []
+}
+
+// Doshas named in affectsDosha, optionally only those with the given effect
+// ('increases' | 'decreases')
+function affectedDoshas(profile, effect) {
+  return Object.entries(profile.affectsDosha || {})
+    .filter(([, entry]) => entry && (!effect || entry.effect === effect))
+    .map(([dosha]) => dosha)
+}
+
 // ============================================================================
 // Filter Options (for dropdowns)
 // ============================================================================
 
+
 export function useFilterOptions() {
-  const { locale } = useI18n()
+  const { t, locale } = useI18n()
 
   // Get TCM Thermal Natures from dataset
   const tcmNatures = computed(() => {
@@ -573,6 +775,12 @@ export function useFilterOptions() {
     }))
   })
 
+  // Direction of an affectsDosha entry
+  const ayurvedaDoshaEffects = computed(() => DOSHA_EFFECTS.map(effect => ({
+    value: effect,
+    label: t(`ayurveda.${effect}`)
+  })))
+
   // Unani filter options
   const unaniTemperaments = computed(() => {
     const items = dataset.getAllTemperaments()
@@ -583,6 +791,12 @@ export function useFilterOptions() {
     }))
   })
 
+  // Intensity of the temperament, first to fourth degree
+  const unaniDegrees = computed(() => UNANI_DEGREES.map(degree => ({
+    value: degree,
+    label: t('unani.degreeValue', { degree })
+  })))
+
   const unaniElements = computed(() => {
     const items = dataset.getAllUnaniElements()
     if (!items || items.length === 0) return []
@@ -635,9 +849,11 @@ export function useFilterOptions() {
     ayurvedaViryas,
     ayurvedaVipakas,
     ayurvedaDoshas,
+    ayurvedaDoshaEffects,
     ayurvedaKarmas,
     // Unani
     unaniTemperaments,
+    unaniDegrees,
     unaniElements,
     // Mongolian
     mongolianElements,
@@ -0,0 +1,117 @@
+/**
+ * Formula Draft Composable
+ *
+ * The formula being drafted in the formula builder: its name and the picked
+ * preparations with role and dose (in grams). Kept in localStorage between
+ * visits and restored after mount, like the compare selection.
+ *
+ * @example
+ * const { items, add, toJsonLd } = useFormulaDraft()
+ * add('licorice-root')
+ * const formula = toJsonLd('en') // { '@id', '@type', name, ingredients: [...] }
+ */
+
+import { ref, onMounted } from 'vue'
+import { dataset } from '@/api/graphBrowser'
+import { INGREDIENT_ROLES } from '@/api/formulaComposition'
+
+const STORAGE_KEY = 'herbapedia:formula-draft'
+
+const FORMULA_BASE = 'https://www.herbapedia.org/graph/formula/'
+
+// Shared across components
+const name = ref('')
+const items = ref([])
+let restored = false
+
+function restore() {
+  if (restored) return
+  restored = true
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || '{}')
+    if (typeof saved.name === 'string') name.value = saved.name
+    if (Array.isArray(saved.items)) {
+      items.value = saved.items
+        .filter(item => typeof item?.slug === 'string')
+        .map(item => ({
+          slug: item.slug,
+          role: INGREDIENT_ROLES.includes(item.role) ? item.role : '',
+          dose: typeof item.dose === 'number' ? item.dose : null
+        }))
+    }
+  } catch {
+    // Unavailable or corrupt storage: start with an empty draft
+  }
+}
+
+function save() {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify({ name: name.value, items: items.value }))
+  } catch {
+    // Storage full or disabled: the draft lasts for this page only
+  }
+}
+
+/**
+ * Slug for a formula name; names without Latin letters get a generic one
+ */
+export function formulaSlug(text) {
+  const slug = String(text || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '')
+  return slug || 'draft-formula'
+}
+
+/**
+ * @returns {{ name, items, has, add, remove, update, setName, clear, toJsonLd }}
+ */
+export function useFormulaDraft() {
+  onMounted(restore)
+
+  function has(slug) {
+    return items.value.some(item => item.slug === slug)
+  }
+
+  function add(slug) {
+    if (has(slug)) return
+    items.value = [...items.value, { slug, role: '', dose: null }]
+    save()
+  }
+
+  function remove(slug) {
+    items.value = items.value.filter(item => item.slug !== slug)
+    save()
+  }
+
+  // Change an ingredient's role or dose
+  function update(slug, changes) {
+    items.value = items.value.map(item => item.slug === slug ? { ...item, ...changes } : item)
+    save()
+  }
+
+  function setName(value) {
+    name.value = value
+    save()
+  }
+
+  function clear() {
+    name.value = ''
+    items.value = []
+    save()
+  }
+
+  // The draft as Formula JSON-LD (see Formula in graphBrowser.ts)
+  function toJsonLd(locale) {
+    return {
+      '@id': `${FORMULA_BASE}${formulaSlug(name.value)}`,
+      '@type': ['herbapedia:Formula'],
+      name: name.value ? { [locale]: name.value } : undefined,
+      ingredients: items.value.map(item => ({
+        '@id': dataset.getPreparation(item.slug)?.['@id'] || item.slug,
+        ...(item.role ? { role: item.role } : {}),
+        ...(item.dose ? { dosage: { value: item.dose, unitText: 'g' } } : {})
+      }))
+    }
+  }
+
+  return { name, items, has, add, remove, update, setName, clear, toJsonLd }
+}
@@ -0,0 +1,64 @@
+/**
+ * Graph Data Composable
+ *
+ * Loads a page's data through the async graph API (src/api/graphLoader.ts).
+ * During SSG the loader is awaited before the page renders and its result
+ * is stored in the page's initial state, so the pre-rendered HTML carries
+ * exactly the entities it shows and hydrates without fetching. On the
+ * client, data missing from that state (client-side navigation, a changed
+ * key) is fetched on demand; a failed fetch leaves `data` null and sets
+ * `error`.
+ *
+ * The page state is provided by main.js under GRAPH_STATE_KEY.
+ */
+
+import { ref, shallowRef, watch, inject, toValue, onServerPrefetch } from 'vue'
+
+export const GRAPH_STATE_KEY = Symbol('graph-state')
+
+/**
+ * @param {string | import('vue').Ref<string> | (() => string)} key - Identifies the data (e.g. `chemical:${slug}`); reloads when it changes
+ * @param {() => Promise<any>} loader - Fetches the data for the current key
+ * @returns {{ data: import('vue').Ref<any>, pending: import('vue').Ref<boolean>, error: import('vue').Ref<Error | null> }}
+ */
+export function useGraphData(key, loader) {
+  const state = inject(GRAPH_STATE_KEY, {})
+  const rendered = state.graph || (state.graph = {})
+
+  const initialKey = toValue(key)
+  const data = shallowRef(initialKey in rendered ? rendered[initialKey] : null)
+  const pending = ref(!(initialKey in rendered))
+  const error = shallowRef(null)
+
+  if (import.meta.env.SSR) {
+    onServerPrefetch(async () => {
+      data.value = await loader()
+      rendered[initialKey] = data.value
+      pending.value = false
+    })
+  } else {
+    watch(() => toValue(key), async (current) => {
+      error.value = null
+      if (current in rendered) {
+        data.value = rendered[current]
+        pending.value = false
+        return
+      }
+      pending.value = true
+      let result = null
+      let failure = null
+      try {
+        result = await loader()
+      } catch (err) {
+        failure = err
+      }
+      // A newer key may have been requested meanwhile
+      if (toValue(key) !== current) return
+      data.value = result
+      error.value = failure
+      pending.value = false
+    }, { immediate: true })
+  }
+
+  return { data, pending, error }
+}
@@ -9,9 +9,12 @@
  *   Preparation → Related Preparations
  */
 
-import { ref, computed } from 'vue'
+import { ref, computed, toValue } from 'vue'
 import { useI18n } from 'vue-i18n'
 import { dataset } from '@/api/graphBrowser'
+import { graph } from '@/api/graphLoader'
+import { extractSlugFromIRI } from '@/api/iri'
+import { useGraphData } from '@/composables/useGraphData'
 
 // ============================================================================
 // Localization Helpers
@@ -112,12 +115,12 @@ export function useTcmReferences() {
   const flavors = ref(dataset.getAllFlavors())
   const categories = ref(dataset.getAllCategories())
 
-  function getLabel(item) {
+  function getLabel(item, targetLocale = locale.value) {
     if (!item) return null
     // Check both prefLabel and name fields
     const labelMap = item.prefLabel || item.name
     if (!labelMap) return null
-    return getLocalizedValue(labelMap, locale.value)
+    return getLocalizedValue(labelMap, targetLocale)
   }
 
   // Extract slug from full IRI (e.g., "https://www.herbapedia.org/system/tcm/flavor/acrid" -> "acrid")
@@ -127,39 +130,39 @@ export function useTcmReferences() {
     return parts[parts.length - 1] || ''
   }
 
-  function getNatureLabel(natureRef) {
+  function getNatureLabel(natureRef, targetLocale) {
     if (!natureRef) return null
     const id = typeof natureRef === 'object' ? natureRef['@id'] : natureRef
     const item = dataset.getNature(id)
-    const label = item ? getLabel(item) : null
+    const label = item ? getLabel(item, targetLocale) : null
     return { id, slug: extractSlug(id), label: label || id }
   }
 
-  function getFlavorLabels(flavorRefs) {
+  function getFlavorLabels(flavorRefs, targetLocale) {
     if (!flavorRefs || !Array.isArray(flavorRefs)) return []
     return flavorRefs.map(ref => {
       const id = typeof ref === 'object' ? ref['@id'] : ref
       const item = dataset.getFlavor(id)
-      const label = item ? getLabel(item) : null
+      const label = item ? getLabel(item, targetLocale) : null
       return { id, slug: extractSlug(id), label: label || id }
     })
   }
 
-  function getMeridianLabels(meridianRefs) {
+  function getMeridianLabels(meridianRefs, targetLocale) {
     if (!meridianRefs || !Array.isArray(meridianRefs)) return []
     return meridianRefs.map(ref => {
       const id = typeof ref === 'object' ? ref['@id'] : ref
       const item = dataset.getMeridian(id)
-      const label = item ? getLabel(item) : null
+      const label = item ? getLabel(item, targetLocale) : null
       return { id, slug: extractSlug(id), label: label || id }
     })
   }
 
-  function getCategoryLabel(categoryRef) {
+  function getCategoryLabel(categoryRef, targetLocale) {
     if (!categoryRef) return null
     const id = typeof categoryRef === 'object' ? categoryRef['@id'] : categoryRef
     const item = dataset.getCategory(id)
-    const label = item ? getLabel(item) : null
+    const label = item ? getLabel(item, targetLocale) : null
     return { id, slug: extractSlug(id), label: label || id }
   }
 
@@ -181,30 +184,30 @@ export function useWesternReferences() {
   const actions = ref(dataset.getAllActions())
   const organs = ref(dataset.getAllOrgans())
 
-  function getLabel(item) {
+  function getLabel(item, targetLocale = locale.value) {
     if (!item) return null
     // Check both prefLabel and name fields
     const labelMap = item.prefLabel || item.name
     if (!labelMap) return null
-    return getLocalizedValue(labelMap, locale.value)
+    return getLocalizedValue(labelMap, targetLocale)
   }
 
-  function getActionLabels(actionRefs) {
+  function getActionLabels(actionRefs, targetLocale) {
     if (!actionRefs || !Array.isArray(actionRefs)) return []
     return actionRefs.map(ref => {
       const id = typeof ref === 'object' ? ref['@id'] : ref
       const item = dataset.getAction(id)
-      const label = item ? getLabel(item) : null
+      const label = item ? getLabel(item, targetLocale) : null
       return { id, label: label || id }
     })
   }
 
-  function getOrganLabels(organRefs) {
+  function getOrganLabels(organRefs, targetLocale) {
     if (!organRefs || !Array.isArray(organRefs)) return []
     return organRefs.map(ref => {
       const id = typeof ref === 'object' ? ref['@id'] : ref
       const item = dataset.getOrgan(id)
-      const label = item ? getLabel(item) : null
+      const label = item ? getLabel(item, targetLocale) : null
       return { id, label: label || id }
     })
   }
@@ -217,36 +220,40 @@ export function useWesternReferences() {
   }
 }
 
-export function useChemicalReferences() {
+/**
+ * Labels of the compounds a plant contains, given its containsChemical
+ * references (a ref or getter). Names come from the graph manifest;
+ * descriptions arrive once the compounds themselves are loaded.
+ */
+export function useChemicalReferences(compoundRefs) {
   const { locale } = useI18n()
 
-  function getCompoundLabels(compoundRefs) {
-    if (!compoundRefs || !Array.isArray(compoundRefs)) return []
-
-    return compoundRefs.map(ref => {
-      const id = typeof ref === 'object' ? ref['@id'] : ref
-      const compound = dataset.getChemical(id)
-
-      let label = id
-      let description = null
-
-      if (compound) {
-        if (compound.name) {
-          label = getLocalizedValue(compound.name, locale.value)
-        }
-        if (compound.description) {
-          description = getLocalizedValue(compound.description, locale.value)
-        }
-      } else {
-        const parts = id.split('/')
-        label = parts[parts.length - 1] || id
-      }
+  const compounds = graph.list('chemicals')
 
-      return { id, label, description }
-    })
+  const refIds = () => {
+    const refs = toValue(compoundRefs)
+    if (!refs || !Array.isArray(refs)) return []
+    return refs.map(ref => typeof ref === 'object' ? ref['@id'] : ref).filter(Boolean)
   }
 
-  return { getCompoundLabels }
+  const { data: loaded } = useGraphData(
+    () => `compounds:${refIds().map(extractSlugFromIRI).join(',')}`,
+    async () => (await Promise.all(refIds().map(id => graph.getChemical(extractSlugFromIRI(id))))).filter(Boolean)
+  )
+
+  const compoundLabels = computed(() => refIds().map(id => {
+    const slug = extractSlugFromIRI(id)
+    const compound = loaded.value?.find(entity => extractSlugFromIRI(entity['@id']) === slug) ||
+      compounds.find(entry => entry.slug === slug)
+
+    return {
+      id,
+      label: compound?.name ? getLocalizedValue(compound.name, locale.value) : slug || id,
+      description: compound?.description ? getLocalizedValue(compound.description, locale.value) : null
+    }
+  }))
+
+  return { compoundLabels }
 }
 
 // ============================================================================
@@ -267,9 +274,9 @@ export function usePreparationLocalizer() {
   }
 
   return {
-    getName: (prep) => {
+    getName: (prep, targetLocale = locale.value) => {
       if (!prep) return null
-      return getLocalizedValue(prep.name, locale.value)
+      return getLocalizedValue(prep.name, targetLocale)
     },
 
     getDescription: (prep) => {
@@ -0,0 +1,86 @@
+/**
+ * List State Composable for Plain Index Pages
+ *
+ * Search, tab, sort order and page of an index without facet filters (the
+ * plant, fungi and algae indexes), kept in the URL so a shared link opens
+ * on the same tab, sort and page:
+ *
+ *   ?q=glycyrrhiza&show=all&sort=scientific&page=2
+ *
+ * Defaults are left out of the URL. The preparations index, which also has
+ * facet filters, uses useFilters instead.
+ *
+ * @example
+ * const { state, initFromUrl, updateUrl } = useListState({ defaultSort: 'preparations', defaultShow: 'with-preparations' })
+ * onMounted(initFromUrl)
+ * state.show = 'all'; state.page = 1; updateUrl()
+ */
+
+import { ref, reactive, watch, nextTick } from 'vue'
+import { useRoute, useRouter } from 'vue-router'
+
+/**
+ * @param {Object} options
+ * @param {string} options.defaultSort - Sort mode left out of the URL
+ * @param {string} [options.defaultShow] - Tab left out of the URL
+ * @returns {{ state, initFromUrl, updateUrl }}
+ */
+export function useListState({ defaultSort, defaultShow = null }) {
+  const route = useRoute()
+  const router = useRouter()
+
+  const state = reactive({
+    search: '',
+    show: defaultShow,
+    sort: defaultSort,
+    page: 1
+  })
+
+  const initialized = ref(false)
+  // Set while our own URL update is in flight (to prevent a watch loop)
+  const isUpdatingUrl = ref(false)
+
+  function parseQueryParams() {
+    const query = route.query
+    state.search = query.q ? String(query.q) : ''
+    state.show = query.show ? String(query.show) : defaultShow
+    state.sort = query.sort ? String(query.sort) : defaultSort
+    state.page = query.page ? Math.max(1, parseInt(String(query.page), 10) || 1) : 1
+  }
+
+  function buildQueryParams() {
+    const query = {}
+    if (state.search) query.q = state.search
+    if (state.show !== defaultShow) query.show = state.show
+    if (state.sort !== defaultSort) query.sort = state.sort
+    if (state.page > 1) query.page = String(state.page)
+    return query
+  }
+
+  function updateUrl() {
+    isUpdatingUrl.value = true
+    router.replace({ query: buildQueryParams() })
+    nextTick(() => {
+      isUpdatingUrl.value = false
+    })
+  }
+
+  function initFromUrl() {
+    if (!initialized.value) {
+      parseQueryParams()
+      initialized.value = true
+    }
+  }
+
+  // Browser back/forward
+  watch(
+    () => route.query,
+    () => {
+      if (isUpdatingUrl.value || !initialized.value) return
+      parseQueryParams()
+    },
+    { deep: true }
+  )
+
+  return { state, initFromUrl, updateUrl }
+}
@@ -0,0 +1,173 @@
+/**
+ * Page Head Composable
+ *
+ * Per-page <head> metadata for detail views: localized title, meta
+ * description, canonical URL, Open Graph tags and an embedded schema.org
+ * JSON-LD block. Rendered into the static HTML by vite-ssg.
+ *
+ * useAlternateLinks() adds the hreflang translations of every page and is
+ * registered once by the layout.
+ *
+ * @example
+ * usePageHead({
+ *   title: prepTitle,
+ *   description: prepDescription,
+ *   structuredData: () => buildStructuredData(preparation.value, 'Drug', { ... })
+ * })
+ */
+
+import { computed, toValue } from 'vue'
+import { useRoute } from 'vue-router'
+import { useI18n } from 'vue-i18n'
+import { useHead } from '@unhead/vue'
+import { SITE_URL } from '@/api/catalog'
+import { SUPPORTED_LOCALES, DEFAULT_LOCALE, splitLocalePath, localizePath } from '@/i18n/locales'
+
+const SITE_NAME = 'Herbapedia'
+const DESCRIPTION_MAX_LENGTH = 160
+
+const OG_LOCALES = {
+  'en': 'en_US',
+  'zh-Hant': 'zh_TW',
+  'zh-Hans': 'zh_CN'
+}
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Make a site-relative path absolute (images, canonical URLs)
+ */
+export function absoluteUrl(pathOrUrl) {
+  if (!pathOrUrl) return null
+  if (/^https?:\/\//.test(pathOrUrl)) return pathOrUrl
+  return `${SITE_URL}${pathOrUrl.startsWith('/') ? '' : '/'}${pathOrUrl}`
+}
+
+/**
+ * Reduce markdown-ish long text to a single-line meta description
+ */
+function summarize(text) {
+  if (!text) return null
+  const plain = String(text)
+    .replace(/^\s*>\s?/gm, '')
+    .replace(/[#*_`]+/g, '')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\s+/g, ' ')
+    .trim()
+  if (plain.length <= DESCRIPTION_MAX_LENGTH) return plain
+  return `${plain.slice(0, DESCRIPTION_MAX_LENGTH - 1).replace(/\s+\S*$/, '')}…`
+}
+
+// Keep "</script>" inside string values from closing the tag early
+function serializeJsonLd(data) {
+  return JSON.stringify(data).replace(/</g, '\\u003c')
+}
+
+// Drop empty values so the JSON-LD only carries what the entity has
+function compact(obj) {
+  return Object.fromEntries(
+    Object.entries(obj).filter(([, value]) =>
+      value !== null && value !== undefined && value !== '' &&
+      !(Array.isArray(value) && value.length === 0)
+    )
+  )
+}
+
+/**
+ * Build a schema.org JSON-LD object for a Herbapedia entity.
+ *
+ * The entity's own IRI is kept as @id so search engines and linked-data
+ * consumers can tie the page to the knowledge graph node.
+ */
+export function buildStructuredData(entity, schemaType, properties = {}) {
+  if (!entity) return null
+  return compact({
+    '@context': 'https://schema.org',
+    '@type': schemaType,
+    '@id': entity['@id'],
+    ...properties
+  })
+}
+
+// ============================================================================
+// Composable
+// ============================================================================
+
+/**
+ * Register head tags for the current page.
+ *
+ * All options accept plain values, refs or getters.
+ *
+ * @param {Object} options
+ * @param {string} options.title - Localized page title (site name is appended)
+ * @param {string} [options.description] - Localized description, summarized to 160 chars
+ * @param {string} [options.image] - Image path or URL for Open Graph
+ * @param {Object} [options.structuredData] - schema.org JSON-LD object
+ */
+export function usePageHead({ title, description, image, structuredData } = {}) {
+  const route = useRoute()
+  const { t, locale } = useI18n()
+
+  const pageTitle = computed(() => {
+    const value = toValue(title)
+    return value ? `${value} | ${SITE_NAME}` : `${SITE_NAME} | SIPM`
+  })
+
+  const pageDescription = computed(() => summarize(toValue(description)) || t('home.heroDescription'))
+  const canonicalUrl = computed(() => absoluteUrl(route.path))
+  const imageUrl = computed(() => absoluteUrl(toValue(image)))
+
+  useHead({
+    htmlAttrs: { lang: locale },
+    title: pageTitle,
+    meta: computed(() => [
+      { name: 'description', content: pageDescription.value },
+      { property: 'og:site_name', content: SITE_NAME },
+      { property: 'og:type', content: 'article' },
+      { property: 'og:title', content: pageTitle.value },
+      { property: 'og:description', content: pageDescription.value },
+      { property: 'og:url', content: canonicalUrl.value },
+      { property: 'og:locale', content: OG_LOCALES[locale.value] || OG_LOCALES.en },
+      ...(imageUrl.value ? [{ property: 'og:image', content: imageUrl.value }] : []),
+      { name: 'twitter:card', content: imageUrl.value ? 'summary_large_image' : 'summary' }
+    ]),
+    link: computed(() => [
+      { rel: 'canonical', href: canonicalUrl.value }
+    ]),
+    script: computed(() => {
+      const data = toValue(structuredData)
+      if (!data) return []
+      return [{ key: 'structured-data', type: 'application/ld+json', innerHTML: serializeJsonLd(data) }]
+    })
+  })
+}
+
+/**
+ * Register <link rel="alternate" hreflang> tags pointing at the current page
+ * in every supported locale, plus x-default for the unprefixed English page.
+ */
+export function useAlternateLinks() {
+  const route = useRoute()
+
+  useHead({
+    link: computed(() => {
+      const { path } = splitLocalePath(route.path)
+      return [
+        ...SUPPORTED_LOCALES.map(locale => ({
+          key: `alternate-${locale}`,
+          rel: 'alternate',
+          hreflang: locale,
+          href: absoluteUrl(localizePath(path, locale))
+        })),
+        {
+          key: 'alternate-x-default',
+          rel: 'alternate',
+          hreflang: 'x-default',
+          href: absoluteUrl(localizePath(path, DEFAULT_LOCALE))
+        }
+      ]
+    })
+  })
+}
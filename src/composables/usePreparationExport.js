@@ -0,0 +1,127 @@
+/**
+ * Preparation Export Composable
+ *
+ * Turns a list of preparations (e.g. the output of useFilters().applyFilters)
+ * into a spreadsheet of the chosen columns, with names and system property
+ * labels in the chosen locale, and downloads it as CSV or XLSX (see
+ * src/api/spreadsheetExport.ts). TCM and Western property labels are
+ * resolved through useTcmReferences and useWesternReferences, as on the
+ * detail pages; multiple values share one cell, separated by "; ".
+ *
+ * @example
+ * const { exportPreparations } = usePreparationExport()
+ * exportPreparations(applyFilters(allPreparations.value), {
+ *   format: 'xlsx', locale: 'zh-Hant', columns: ['name', 'pinyin', 'nature']
+ * })
+ */
+
+import { useI18n } from 'vue-i18n'
+import { dataset } from '@/api/graphBrowser'
+import { SITE_URL } from '@/api/catalog'
+import { exportSpreadsheet } from '@/api/spreadsheetExport'
+import { localizePath } from '@/i18n/locales'
+import { useTcmReferences, useWesternReferences, usePreparationLocalizer } from '@/composables/useHerbData'
+
+const LIST_SEPARATOR = '; '
+
+/**
+ * Columns in export order: key, i18n key of the header and the cell value
+ * given the preparation, its profiles and the export context
+ */
+export const EXPORT_COLUMNS = [
+  { key: 'name', label: 'export.columns.name', value: (prep, profiles, ctx) => ctx.localizer.getName(prep, ctx.locale) },
+  { key: 'scientificName', label: 'preparations.scientificName', value: prep => dataset.getSourcePlant(extractSlug(prep))?.scientificName },
+  { key: 'pinyin', label: 'tcm.pinyin', value: (prep, profiles) => profiles.tcm?.pinyin },
+  { key: 'hanzi', label: 'export.columns.hanzi', value: (prep, profiles) => profiles.tcm?.hanzi },
+  { key: 'nature', label: 'tcm.nature', value: (prep, profiles, ctx) => ctx.tcm.getNatureLabel(firstRef(profiles.tcm?.hasNature), ctx.locale)?.label },
+  { key: 'flavor', label: 'tcm.flavor', value: (prep, profiles, ctx) => joinLabels(ctx.tcm.getFlavorLabels(toArray(profiles.tcm?.hasFlavor), ctx.locale)) },
+  { key: 'meridian', label: 'tcm.meridian', value: (prep, profiles, ctx) => joinLabels(ctx.tcm.getMeridianLabels(toArray(profiles.tcm?.entersMeridian), ctx.locale)) },
+  { key: 'category', label: 'tcm.category', value: (prep, profiles, ctx) => ctx.tcm.getCategoryLabel(firstRef(profiles.tcm?.hasCategory), ctx.locale)?.label },
+  { key: 'action', label: 'western.actions', value: (prep, profiles, ctx) => joinLabels(ctx.western.getActionLabels(toArray(profiles.western?.hasAction), ctx.locale)) },
+  { key: 'organ', label: 'western.organAffinities', value: (prep, profiles, ctx) => joinLabels(ctx.western.getOrganLabels(toArray(profiles.western?.hasOrganAffinity), ctx.locale)) },
+  { key: 'url', label: 'export.columns.url', value: (prep, profiles, ctx) => `${SITE_URL}${localizePath(`/preparations/${extractSlug(prep)}`, ctx.locale)}` }
+]
+
+export const DEFAULT_EXPORT_COLUMNS = ['name', 'scientificName', 'pinyin', 'nature', 'flavor', 'meridian', 'action']
+
+/**
+ * @returns {{ buildTable, exportPreparations }}
+ */
+export function usePreparationExport() {
+  const { t } = useI18n()
+  const ctx = {
+    localizer: usePreparationLocalizer(),
+    tcm: useTcmReferences(),
+    western: useWesternReferences()
+  }
+
+  /**
+   * Header and rows of the chosen columns, in EXPORT_COLUMNS order
+   *
+   * @param {Array} preparations
+   * @param {{ locale: string, columns: string[] }} options
+   * @returns {{ columns: { key, label }[], rows: Object[] }}
+   */
+  function buildTable(preparations, { locale, columns }) {
+    const selected = EXPORT_COLUMNS.filter(column => columns.includes(column.key))
+    const rowContext = { ...ctx, locale }
+    return {
+      columns: selected.map(column => ({ key: column.key, label: t(column.label, {}, { locale }) })),
+      rows: preparations.map(prep => {
+        const profiles = dataset.getProfilesForPreparation(extractSlug(prep))
+        return Object.fromEntries(selected.map(column => [column.key, column.value(prep, profiles, rowContext) ?? '']))
+      })
+    }
+  }
+
+  /**
+   * Download the preparations as herbapedia-preparations-{locale}.{format}
+   *
+   * @param {Array} preparations
+   * @param {{ format: 'csv'|'xlsx', locale: string, columns: string[] }} options
+   */
+  function exportPreparations(preparations, { format, locale, columns }) {
+    const table = buildTable(preparations, { locale, columns })
+    const file = exportSpreadsheet(table.columns, table.rows, format, {
+      sheetName: t('nav.preparations', {}, { locale })
+    })
+    download(new Blob([file.data], { type: file.format.mediaType }), `herbapedia-preparations-${locale}.${file.format.extension}`)
+  }
+
+  return { buildTable, exportPreparations }
+}
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+function download(blob, filename) {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  // Revoke after the click has started the download
+  setTimeout(() => URL.revokeObjectURL(url), 0)
+}
+
+function extractSlug(prep) {
+  if (!prep?.['@id']) return ''
+  const parts = prep['@id'].split('/')
+  return parts[parts.length - 1] || ''
+}
+
+function toArray(value) {
+  if (Array.isArray(value)) return value
+  return value ? [value] : []
+}
+
+function firstRef(value) {
+  return toArray(value)[0] || null
+}
+
+function joinLabels(items) {
+  return items.map(item => item.label).filter(Boolean).join(LIST_SEPARATOR)
+}
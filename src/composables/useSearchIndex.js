@@ -0,0 +1,49 @@
+/**
+ * Search Index Composable
+ *
+ * Lazily fetches the prebuilt /search-index.json (built from the data at
+ * compile time, see src/api/searchIndex.ts) on first use and shares it
+ * between all search boxes on the page.
+ */
+
+import { ref, shallowRef } from 'vue'
+import { searchIndex } from '@/api/searchIndex'
+
+const SEARCH_INDEX_URL = `${import.meta.env.BASE_URL}search-index.json`
+
+// Shared across components: the index is fetched at most once per page load
+const index = shallowRef({ documents: [], hanziVariants: {} })
+const status = ref('idle') // 'idle' | 'loading' | 'ready' | 'error'
+let pending = null
+
+function loadSearchIndex() {
+  if (!pending) {
+    status.value = 'loading'
+    pending = fetch(SEARCH_INDEX_URL)
+      .then(response => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`)
+        return response.json()
+      })
+      .then(data => {
+        index.value = data
+        status.value = 'ready'
+      })
+      .catch(err => {
+        console.error('Failed to load search index:', err)
+        status.value = 'error'
+        pending = null // allow a retry on next focus
+      })
+  }
+  return pending
+}
+
+/**
+ * @returns {{ status, load: () => Promise<void>, search: (query: string, options?: object) => Array }}
+ */
+export function useSearchIndex() {
+  return {
+    status,
+    load: loadSearchIndex,
+    search: (query, options) => searchIndex(index.value, query, options)
+  }
+}
@@ -13,3 +13,22 @@ export const LOCALE_PATHS = {
   'zh-Hant': '/zh-Hant',
   'zh-Hans': '/zh-Hans'
 }
+
+// Split a route path into its locale and the locale-independent path,
+// e.g. '/zh-Hant/formulas/xyz' -> { locale: 'zh-Hant', path: '/formulas/xyz' }
+export function splitLocalePath(path) {
+  for (const locale of SUPPORTED_LOCALES) {
+    const prefix = LOCALE_PATHS[locale]
+    if (prefix && (path === prefix || path.startsWith(`${prefix}/`))) {
+      return { locale, path: path.slice(prefix.length) || '/' }
+    }
+  }
+  return { locale: DEFAULT_LOCALE, path }
+}
+
+// Prefix a locale-independent path for the given locale
+export function localizePath(path, locale) {
+  const prefix = LOCALE_PATHS[locale] || ''
+  if (!prefix) return path
+  return path === '/' ? prefix : `${prefix}${path}`
+}
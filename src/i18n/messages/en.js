@@ -51,6 +51,11 @@ export default {
     westernProperties: 'Western Properties',
     clearAll: 'Clear All',
     all: 'All',
+    filterModes: {
+      any: 'Any',
+      all: 'All',
+      none: 'None'
+    },
     applyFilters: 'Apply Filters',
     showingResults: 'Showing {count} of {total} preparations',
     noResults: 'No preparations match your filters. Try adjusting your search.',
@@ -116,6 +121,8 @@ export default {
     allPlants: 'All Plants',
     withPreparations: 'With Preparations',
     showingResults: 'Found {count} results for "{query}"',
+    didYouMean: 'Did you mean:',
+    matchedSynonym: 'Synonym: {name}',
     noResults: 'No plants found matching your search.',
     species: 'Species',
     family: 'Family',
@@ -234,6 +241,9 @@ export default {
     virya: 'Virya (Potency)',
     vipaka: 'Vipaka (Post-Digestive)',
     dosha: 'Dosha Effects',
+    doshaEffect: 'Dosha Effect Direction',
+    increases: 'Increases',
+    decreases: 'Decreases',
     doshas: 'Doshas',
     karma: 'Karma (Actions)',
     karmas: 'Karmas (Actions)',
@@ -261,6 +271,8 @@ export default {
     temperaments: 'Temperaments',
     elements: 'Elements',
     degrees: 'Degrees',
+    degree: 'Degree',
+    degreeValue: 'Degree {degree}',
     actions: 'Actions',
     affectedOrgans: 'Affected Organs',
     mizajConstituents: 'Mizaj Constituents',
@@ -473,7 +485,16 @@ export default {
     ingredientsNote: 'This formula contains the following ingredients:',
     notFound: 'The requested formula could not be found.',
     backToFormulas: 'Back to Formulas',
-    noResults: 'No formulas available.'
+    noResults: 'No formulas available.',
+    roles: {
+      monarch: 'Monarch',
+      minister: 'Minister',
+      assistant: 'Assistant',
+      envoy: 'Envoy'
+    },
+    composition: 'Composition Analysis',
+    compositionNote: 'Based on the TCM profiles of {count} of {total} ingredients.',
+    combinedContraindications: 'Combined Contraindications'
   },
   // Related herbs
   relatedHerbs: {
@@ -485,7 +506,30 @@ export default {
   // Safety alerts
   safety: {
     title: 'Safety Information',
-    disclaimer: 'This information is for educational purposes only. Always consult a qualified healthcare provider before using any herbal remedy.'
+    disclaimer: 'This information is for educational purposes only. Always consult a qualified healthcare provider before using any herbal remedy.',
+    cautions: 'Cautions',
+    categories: {
+      pregnancy: 'Pregnancy',
+      lactation: 'Breastfeeding',
+      children: 'Children',
+      allergens: 'Allergens',
+      bleeding: 'Bleeding risk'
+    },
+    sources: {
+      pregnancy: 'Pregnancy safety',
+      contraindications: 'Contraindications',
+      warnings: 'Warnings',
+      allergens: 'Allergens'
+    },
+    index: {
+      title: 'Safety Index',
+      subtitle: 'Preparations with cautions for pregnancy, breastfeeding, children, allergies and bleeding risk',
+      categoriesLabel: 'Caution categories',
+      method: 'Preparations are listed under a category when their safety information or the contraindications of any system profile mention it.',
+      count: '{count} preparation | {count} preparations',
+      empty: 'No preparations in this category.',
+      open: 'Browse the safety index →'
+    }
   },
   // External links
   links: {
@@ -507,8 +551,185 @@ export default {
     herbNotFound: 'The requested herb could not be found in our database.',
     backToHerbs: 'Back to Preparations',
     noHerbsFound: 'No preparations found.',
+    loadFailed: 'This page could not be loaded. Check your connection and try again.',
     browseCollection: 'Browse our collection of medicinal plants, herbs, vitamins, minerals, and nutrients'
   },
+  // Linked data downloads on detail pages
+  linkedData: {
+    downloadAs: 'Download as'
+  },
+  // Site search
+  search: {
+    placeholder: 'Search herbs, plants, compounds...',
+    loading: 'Loading search index...',
+    unavailable: 'Search is unavailable right now.',
+    types: {
+      preparation: 'Preparations',
+      plant: 'Plants',
+      fungi: 'Fungi',
+      algae: 'Algae',
+      formula: 'Formulas',
+      compound: 'Compounds',
+      source: 'Other sources',
+      reference: 'Reference values'
+    }
+  },
+  // Sorting and pagination of index pages
+  listing: {
+    sortBy: 'Sort by',
+    sorts: {
+      name: 'Name',
+      scientific: 'Scientific name',
+      pinyin: 'Pinyin',
+      profiles: 'Most system profiles',
+      preparations: 'Most preparations'
+    },
+    pagination: 'Pagination',
+    previous: 'Previous',
+    next: 'Next'
+  },
+  // Preparation comparison
+  compare: {
+    title: 'Compare Preparations',
+    subtitle: 'Properties across all six medicine systems, side by side',
+    empty: 'No preparations selected. Use "Compare" on preparation cards to pick up to four.',
+    browse: 'Browse preparations',
+    addMore: 'Add another preparation to see differences.',
+    differencesOnly: 'Show differences only',
+    remove: 'Remove',
+    action: 'Compare',
+    addToCompare: 'Add to comparison',
+    removeFromCompare: 'Remove from comparison',
+    selected: '{count} of {max} selected for comparison',
+    compareNow: 'Compare now →',
+    clear: 'Clear',
+    substanceClass: 'Substance Class',
+    regulatoryCategory: 'Regulatory Category',
+    fdaStatus: 'FDA Status'
+  },
+  // Cross-system concordance
+  concordance: {
+    title: 'Cross-System Concordance',
+    subtitle: 'Where medicine systems agree and disagree on the thermal character and taste of the same preparation',
+    link: 'Compare thermal and taste properties across systems →',
+    dimensions: {
+      thermal: 'Thermal character',
+      taste: 'Taste'
+    },
+    method: {
+      thermal: 'TCM nature, Ayurveda virya, Unani temperament and Mongolian potency are each read as warming, neutral or cooling. A preparation agrees when both systems place it on the same side.',
+      taste: 'TCM flavors, Ayurveda rasas and Mongolian tastes are matched to the shared tastes sweet, sour, salty, pungent, bitter, astringent and bland. A preparation agrees when both systems share at least one taste.'
+    },
+    classes: {
+      warming: 'Warming',
+      neutral: 'Neutral',
+      cooling: 'Cooling',
+      sweet: 'Sweet',
+      sour: 'Sour',
+      salty: 'Salty',
+      pungent: 'Pungent',
+      bitter: 'Bitter',
+      astringent: 'Astringent',
+      bland: 'Bland'
+    },
+    preparationCount: '{count} preparations have profiles in two or more systems',
+    agreements: '{count} agree',
+    disagreements: '{count} disagree',
+    unclassified: '{count} unclassified',
+    showDisagreements: 'Show disagreeing preparations',
+    empty: 'No preparations have these properties in more than one system.'
+  },
+  // Formula builder
+  formulaBuilder: {
+    title: 'Formula Builder',
+    subtitle: 'Draft a formula from the dataset and check it for incompatibilities, pregnancy cautions and doses',
+    open: 'Draft a formula →',
+    addIngredients: 'Add ingredients',
+    searchPlaceholder: 'Search by name, pinyin or hanzi...',
+    noMatches: 'No matching preparations',
+    name: 'Formula name',
+    namePlaceholder: 'Untitled formula',
+    empty: 'Search for preparations on the left to start a formula.',
+    role: 'Role',
+    dose: 'Dose',
+    profileDosage: 'Usual dosage',
+    warnings: 'Warnings ({count})',
+    noWarnings: 'No incompatibilities or cautions found.',
+    remove: 'Remove',
+    clear: 'Clear draft',
+    export: 'Download JSON-LD',
+    preview: 'Show JSON-LD',
+    disclaimer: 'These checks cover classical pairs and the data in this dataset only. They do not replace a qualified practitioner\'s review.',
+    issues: {
+      eighteen: 'Eighteen incompatibilities (十八反): {herbA} clashes with {herbB}',
+      nineteen: 'Nineteen antagonisms (十九畏): {herbA} antagonizes {herbB}',
+      incompatibility: 'Named in the TCM profile\'s incompatibilities',
+      pregnancy: 'Pregnancy caution',
+      dosage: 'Dose of {dose} g exceeds the usual range of {min}–{max} g'
+    }
+  },
+  interactions: {
+    title: 'Herb–Drug Interaction Checker',
+    subtitle: 'Check preparations and supplements against the medications you take',
+    checkWithMedications: 'Check against medications →',
+    medications: 'Medications',
+    medicationPlaceholder: 'Drug or brand name, e.g. warfarin',
+    products: 'Herbs and supplements',
+    productPlaceholder: 'Search preparations and substances...',
+    add: 'Add',
+    remove: 'Remove',
+    noMatches: 'No matching preparations or substances',
+    unresolved: 'not in dataset',
+    unresolvedHint: 'Not a known drug: only interaction notes naming it will match',
+    empty: 'Add at least one medication and one herb or supplement to check for interactions.',
+    noneKnown: 'None known',
+    details: 'Interaction details',
+    mechanism: 'Mechanism',
+    effect: 'Effect',
+    management: 'Management',
+    note: 'Note',
+    references: 'References',
+    disclaimer: 'Only interactions recorded in this dataset are shown. "None known" does not mean a combination is safe; consult a pharmacist or physician before combining herbs with medications.',
+    types: {
+      preparation: 'Preparation',
+      substance: 'Substance'
+    },
+    severities: {
+      major: 'Major',
+      moderate: 'Moderate',
+      minor: 'Minor',
+      unknown: 'Unrated'
+    }
+  },
+  // SPARQL query page
+  sparql: {
+    title: 'SPARQL Query',
+    subtitle: 'Ask your own questions of the Herbapedia knowledge graph',
+    notConfigured: 'No SPARQL endpoint is configured for this site. Run one locally over a data-herbapedia checkout and point the site at it:',
+    examples: 'Example queries',
+    query: 'Query',
+    run: 'Run query',
+    running: 'Running...',
+    results: 'Results',
+    rows: '{count} rows',
+    noResults: 'No results',
+    error: 'Query failed',
+    yes: 'Yes',
+    no: 'No'
+  },
+  // Export of filtered preparation lists
+  export: {
+    title: 'Export',
+    count: '{count} preparations in the current list',
+    language: 'Language',
+    columnsTitle: 'Columns',
+    download: 'Download {format}',
+    columns: {
+      name: 'Name',
+      hanzi: 'Chinese Name',
+      url: 'Page'
+    }
+  },
   // Language
   language: {
     select: 'Language'
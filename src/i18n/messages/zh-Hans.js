@@ -51,6 +51,11 @@ export default {
     westernProperties: '西方特性',
     clearAll: '清除全部',
     all: '全部',
+    filterModes: {
+      any: '任一',
+      all: '全部',
+      none: '排除'
+    },
     applyFilters: '应用筛选',
     showingResults: '显示 {count} / {total} 种制剂',
     noResults: '没有符合筛选条件的制剂。请尝试调整搜寻条件。',
@@ -117,6 +122,8 @@ export default {
     allPlants: '全部植物',
     withPreparations: '有制剂',
     showingResults: '找到 {count} 个结果 "{query}"',
+    didYouMean: '您是不是要找：',
+    matchedSynonym: '异名：{name}',
     noResults: '没有找到符合搜寻条件的植物。',
     species: '物种',
     family: '科',
@@ -235,6 +242,9 @@ export default {
     virya: '效能 (Virya)',
     vipaka: '后味 (Vipaka)',
     dosha: '三能影响',
+    doshaEffect: '三能影响方向',
+    increases: '增加',
+    decreases: '减少',
     doshas: '三能',
     karma: '作用 (Karma)',
     karmas: '作用',
@@ -262,6 +272,8 @@ export default {
     temperaments: '体质',
     elements: '元素',
     degrees: '程度',
+    degree: '程度',
+    degreeValue: '第{degree}度',
     actions: '作用',
     affectedOrgans: '作用器官',
     mizajConstituents: '体质成分',
@@ -474,7 +486,16 @@ export default {
     ingredientsNote: '此配方包含以下成分：',
     notFound: '找不到请求的配方。',
     backToFormulas: '返回配方',
-    noResults: '没有可用的配方。'
+    noResults: '没有可用的配方。',
+    roles: {
+      monarch: '君',
+      minister: '臣',
+      assistant: '佐',
+      envoy: '使'
+    },
+    composition: '组成分析',
+    compositionNote: '依据 {total} 味成分中 {count} 味的中医档案。',
+    combinedContraindications: '综合禁忌'
   },
   // Related herbs
   relatedHerbs: {
@@ -486,7 +507,30 @@ export default {
   // Safety alerts
   safety: {
     title: '安全资讯',
-    disclaimer: '此资讯仅供教育用途。使用任何草药疗法前，请务必咨询合资格的医疗保健提供者。'
+    disclaimer: '此资讯仅供教育用途。使用任何草药疗法前，请务必咨询合资格的医疗保健提供者。',
+    cautions: '注意事项',
+    categories: {
+      pregnancy: '妊娠',
+      lactation: '哺乳',
+      children: '儿童',
+      allergens: '过敏原',
+      bleeding: '出血风险'
+    },
+    sources: {
+      pregnancy: '妊娠安全',
+      contraindications: '禁忌',
+      warnings: '警告',
+      allergens: '过敏原'
+    },
+    index: {
+      title: '安全索引',
+      subtitle: '按妊娠、哺乳、儿童、过敏及出血风险分类列出需注意的药材',
+      categoriesLabel: '注意类别',
+      method: '药材的安全资讯或任何医学体系档案的禁忌提及某类别时，即列于该类别下。',
+      count: '{count} 种药材',
+      empty: '此类别没有药材。',
+      open: '浏览安全索引 →'
+    }
   },
   // External links
   links: {
@@ -508,8 +552,185 @@ export default {
     herbNotFound: '数据库中找不到请求的制剂。',
     backToHerbs: '返回制剂',
     noHerbsFound: '没有找到制剂。',
+    loadFailed: '无法加载此页面，请检查网络连接后再试。',
     browseCollection: '浏览我们的药用植物、草药、维生素、矿物质和营养素收藏'
   },
+  // Linked data downloads on detail pages
+  linkedData: {
+    downloadAs: '下载格式'
+  },
+  // Site search
+  search: {
+    placeholder: '搜索草药、植物、化合物...',
+    loading: '正在加载搜索索引...',
+    unavailable: '搜索暂时无法使用。',
+    types: {
+      preparation: '制剂',
+      plant: '植物',
+      fungi: '真菌',
+      algae: '藻类',
+      formula: '方剂',
+      compound: '化合物',
+      source: '其他来源',
+      reference: '参考值'
+    }
+  },
+  // Sorting and pagination of index pages
+  listing: {
+    sortBy: '排序',
+    sorts: {
+      name: '名称',
+      scientific: '学名',
+      pinyin: '拼音',
+      profiles: '体系资料最多',
+      preparations: '制剂最多'
+    },
+    pagination: '分页',
+    previous: '上一页',
+    next: '下一页'
+  },
+  // Preparation comparison
+  compare: {
+    title: '比较制剂',
+    subtitle: '并列比较六大医学体系的性质',
+    empty: '尚未选择制剂。请在制剂卡片上点选“比较”，最多可选四种。',
+    browse: '浏览制剂',
+    addMore: '再加入一种制剂以查看差异。',
+    differencesOnly: '只显示差异',
+    remove: '移除',
+    action: '比较',
+    addToCompare: '加入比较',
+    removeFromCompare: '从比较中移除',
+    selected: '已选择 {count}/{max} 种制剂进行比较',
+    compareNow: '立即比较 →',
+    clear: '清除',
+    substanceClass: '物质类别',
+    regulatoryCategory: '监管类别',
+    fdaStatus: 'FDA 状态'
+  },
+  // Cross-system concordance
+  concordance: {
+    title: '跨体系对照',
+    subtitle: '各医学体系对同一药材寒热属性与味的一致与分歧',
+    link: '比较各体系的寒热与味 →',
+    dimensions: {
+      thermal: '寒热属性',
+      taste: '味'
+    },
+    method: {
+      thermal: '中医药性、阿育吠陀效能、尤纳尼气质与蒙医效能皆归为温热、平或寒凉。两体系归于同一侧即为一致。',
+      taste: '中医五味、阿育吠陀六味与蒙医六味皆对应至甘、酸、咸、辛、苦、涩、淡。两体系至少有一味相同即为一致。'
+    },
+    classes: {
+      warming: '温热',
+      neutral: '平',
+      cooling: '寒凉',
+      sweet: '甘',
+      sour: '酸',
+      salty: '咸',
+      pungent: '辛',
+      bitter: '苦',
+      astringent: '涩',
+      bland: '淡'
+    },
+    preparationCount: '{count} 种药材具有两个或以上体系的档案',
+    agreements: '{count} 一致',
+    disagreements: '{count} 分歧',
+    unclassified: '{count} 未分类',
+    showDisagreements: '显示分歧的药材',
+    empty: '没有药材在多于一个体系中具有这些属性。'
+  },
+  // Formula builder
+  formulaBuilder: {
+    title: '组方工具',
+    subtitle: '从资料库选药组方，并检查配伍禁忌、妊娠禁忌及用量',
+    open: '开始组方 →',
+    addIngredients: '加入药材',
+    searchPlaceholder: '按名称、拼音或汉字搜索...',
+    noMatches: '没有相符的药材',
+    name: '方名',
+    namePlaceholder: '未命名方剂',
+    empty: '在左侧搜索药材以开始组方。',
+    role: '君臣佐使',
+    dose: '用量',
+    profileDosage: '常用量',
+    warnings: '警示（{count}）',
+    noWarnings: '未发现配伍禁忌或注意事项。',
+    remove: '移除',
+    clear: '清除草稿',
+    export: '下载 JSON-LD',
+    preview: '显示 JSON-LD',
+    disclaimer: '此检查仅涵盖经典配伍及本资料库的资料，不能取代合资格医师的审核。',
+    issues: {
+      eighteen: '十八反：{herbA}反{herbB}',
+      nineteen: '十九畏：{herbA}畏{herbB}',
+      incompatibility: '见于中医档案的配伍禁忌',
+      pregnancy: '妊娠注意',
+      dosage: '用量 {dose} 克超出常用量 {min}–{max} 克'
+    }
+  },
+  interactions: {
+    title: '草药与药物相互作用查询',
+    subtitle: '检查药材及补充剂与您正在服用的药物之间的相互作用',
+    checkWithMedications: '与药物一起检查 →',
+    medications: '药物',
+    medicationPlaceholder: '药名或商品名，例如 warfarin',
+    products: '草药及补充剂',
+    productPlaceholder: '搜索药材及物质...',
+    add: '加入',
+    remove: '移除',
+    noMatches: '没有符合的药材或物质',
+    unresolved: '不在资料库中',
+    unresolvedHint: '未知药物：只会比对提及此名称的相互作用说明',
+    empty: '请至少加入一种药物及一种草药或补充剂以检查相互作用。',
+    noneKnown: '未有记录',
+    details: '相互作用详情',
+    mechanism: '机制',
+    effect: '影响',
+    management: '处理建议',
+    note: '说明',
+    references: '参考文献',
+    disclaimer: '仅显示本资料库记录的相互作用。「未有记录」并不代表配合使用安全；同时服用草药及药物前请咨询药剂师或医生。',
+    types: {
+      preparation: '药材',
+      substance: '物质'
+    },
+    severities: {
+      major: '严重',
+      moderate: '中度',
+      minor: '轻微',
+      unknown: '未评级'
+    }
+  },
+  // SPARQL query page
+  sparql: {
+    title: 'SPARQL 查询',
+    subtitle: '以您自己的问题查询 Herbapedia 知识图谱',
+    notConfigured: '本网站未配置 SPARQL 端点。请在 data-herbapedia 数据上于本机运行端点，并将网站指向该端点：',
+    examples: '查询示例',
+    query: '查询',
+    run: '运行查询',
+    running: '运行中...',
+    results: '结果',
+    rows: '{count} 条结果',
+    noResults: '没有结果',
+    error: '查询失败',
+    yes: '是',
+    no: '否'
+  },
+  // Export of filtered preparation lists
+  export: {
+    title: '导出',
+    count: '当前列表共 {count} 种制剂',
+    language: '语言',
+    columnsTitle: '栏位',
+    download: '下载 {format}',
+    columns: {
+      name: '名称',
+      hanzi: '中文名',
+      url: '页面'
+    }
+  },
   // Language
   language: {
     select: '语言'
@@ -51,6 +51,11 @@ export default {
     westernProperties: '西方特性',
     clearAll: '清除全部',
     all: '全部',
+    filterModes: {
+      any: '任一',
+      all: '全部',
+      none: '排除'
+    },
     applyFilters: '應用篩選',
     showingResults: '顯示 {count} / {total} 種製劑',
     noResults: '沒有符合篩選條件的製劑。請嘗試調整搜尋條件。',
@@ -117,6 +122,8 @@ export default {
     allPlants: '全部植物',
     withPreparations: '有製劑',
     showingResults: '找到 {count} 個結果 "{query}"',
+    didYouMean: '您是不是要找：',
+    matchedSynonym: '異名：{name}',
     noResults: '沒有找到符合搜尋條件的植物。',
     species: '物種',
     family: '科',
@@ -235,6 +242,9 @@ export default {
     virya: '效能 (Virya)',
     vipaka: '後味 (Vipaka)',
     dosha: '三能影響',
+    doshaEffect: '三能影響方向',
+    increases: '增加',
+    decreases: '減少',
     doshas: '三能',
     karma: '作用 (Karma)',
     karmas: '作用',
@@ -261,6 +271,8 @@ export default {
     temperaments: '體質',
     elements: '元素',
     degrees: '程度',
+    degree: '程度',
+    degreeValue: '第{degree}度',
     actions: '作用',
     affectedOrgans: '作用器官',
     mizajConstituents: '體質成分',
@@ -473,7 +485,16 @@ export default {
     ingredientsNote: '此配方包含以下成分：',
     notFound: '找不到請求的配方。',
     backToFormulas: '返回配方',
-    noResults: '沒有可用的配方。'
+    noResults: '沒有可用的配方。',
+    roles: {
+      monarch: '君',
+      minister: '臣',
+      assistant: '佐',
+      envoy: '使'
+    },
+    composition: '組成分析',
+    compositionNote: '依據 {total} 味成分中 {count} 味的中醫檔案。',
+    combinedContraindications: '綜合禁忌'
   },
   // Related herbs
   relatedHerbs: {
@@ -485,7 +506,30 @@ export default {
   // Safety alerts
   safety: {
     title: '安全資訊',
-    disclaimer: '此資訊僅供教育用途。使用任何草藥療法前，請務必諮詢合資格的醫療保健提供者。'
+    disclaimer: '此資訊僅供教育用途。使用任何草藥療法前，請務必諮詢合資格的醫療保健提供者。',
+    cautions: '注意事項',
+    categories: {
+      pregnancy: '妊娠',
+      lactation: '哺乳',
+      children: '兒童',
+      allergens: '過敏原',
+      bleeding: '出血風險'
+    },
+    sources: {
+      pregnancy: '妊娠安全',
+      contraindications: '禁忌',
+      warnings: '警告',
+      allergens: '過敏原'
+    },
+    index: {
+      title: '安全索引',
+      subtitle: '按妊娠、哺乳、兒童、過敏及出血風險分類列出需注意的藥材',
+      categoriesLabel: '注意類別',
+      method: '藥材的安全資訊或任何醫學體系檔案的禁忌提及某類別時，即列於該類別下。',
+      count: '{count} 種藥材',
+      empty: '此類別沒有藥材。',
+      open: '瀏覽安全索引 →'
+    }
   },
   // External links
   links: {
@@ -507,8 +551,185 @@ export default {
     herbNotFound: '數據庫中找不到請求的製劑。',
     backToHerbs: '返回製劑',
     noHerbsFound: '沒有找到製劑。',
+    loadFailed: '無法載入此頁面，請檢查網絡連線後再試。',
     browseCollection: '瀏覽我們的藥用植物、草藥、維他命、礦物質和營養素收藏'
   },
+  // Linked data downloads on detail pages
+  linkedData: {
+    downloadAs: '下載格式'
+  },
+  // Site search
+  search: {
+    placeholder: '搜尋草藥、植物、化合物...',
+    loading: '正在載入搜尋索引...',
+    unavailable: '搜尋暫時無法使用。',
+    types: {
+      preparation: '製劑',
+      plant: '植物',
+      fungi: '真菌',
+      algae: '藻類',
+      formula: '方劑',
+      compound: '化合物',
+      source: '其他來源',
+      reference: '參考值'
+    }
+  },
+  // Sorting and pagination of index pages
+  listing: {
+    sortBy: '排序',
+    sorts: {
+      name: '名稱',
+      scientific: '學名',
+      pinyin: '拼音',
+      profiles: '體系資料最多',
+      preparations: '製劑最多'
+    },
+    pagination: '分頁',
+    previous: '上一頁',
+    next: '下一頁'
+  },
+  // Preparation comparison
+  compare: {
+    title: '比較製劑',
+    subtitle: '並列比較六大醫學體系的性質',
+    empty: '尚未選擇製劑。請在製劑卡片上點選「比較」，最多可選四種。',
+    browse: '瀏覽製劑',
+    addMore: '再加入一種製劑以查看差異。',
+    differencesOnly: '只顯示差異',
+    remove: '移除',
+    action: '比較',
+    addToCompare: '加入比較',
+    removeFromCompare: '從比較中移除',
+    selected: '已選擇 {count}/{max} 種製劑進行比較',
+    compareNow: '立即比較 →',
+    clear: '清除',
+    substanceClass: '物質類別',
+    regulatoryCategory: '監管類別',
+    fdaStatus: 'FDA 狀態'
+  },
+  // Cross-system concordance
+  concordance: {
+    title: '跨體系對照',
+    subtitle: '各醫學體系對同一藥材寒熱屬性與味的一致與分歧',
+    link: '比較各體系的寒熱與味 →',
+    dimensions: {
+      thermal: '寒熱屬性',
+      taste: '味'
+    },
+    method: {
+      thermal: '中醫藥性、阿育吠陀效能、尤納尼氣質與蒙醫效能皆歸為溫熱、平或寒涼。兩體系歸於同一側即為一致。',
+      taste: '中醫五味、阿育吠陀六味與蒙醫六味皆對應至甘、酸、鹹、辛、苦、澀、淡。兩體系至少有一味相同即為一致。'
+    },
+    classes: {
+      warming: '溫熱',
+      neutral: '平',
+      cooling: '寒涼',
+      sweet: '甘',
+      sour: '酸',
+      salty: '鹹',
+      pungent: '辛',
+      bitter: '苦',
+      astringent: '澀',
+      bland: '淡'
+    },
+    preparationCount: '{count} 種藥材具有兩個或以上體系的檔案',
+    agreements: '{count} 一致',
+    disagreements: '{count} 分歧',
+    unclassified: '{count} 未分類',
+    showDisagreements: '顯示分歧的藥材',
+    empty: '沒有藥材在多於一個體系中具有這些屬性。'
+  },
+  // Formula builder
+  formulaBuilder: {
+    title: '組方工具',
+    subtitle: '從資料庫選藥組方，並檢查配伍禁忌、妊娠禁忌及用量',
+    open: '開始組方 →',
+    addIngredients: '加入藥材',
+    searchPlaceholder: '按名稱、拼音或漢字搜尋...',
+    noMatches: '沒有相符的藥材',
+    name: '方名',
+    namePlaceholder: '未命名方劑',
+    empty: '在左側搜尋藥材以開始組方。',
+    role: '君臣佐使',
+    dose: '用量',
+    profileDosage: '常用量',
+    warnings: '警示（{count}）',
+    noWarnings: '未發現配伍禁忌或注意事項。',
+    remove: '移除',
+    clear: '清除草稿',
+    export: '下載 JSON-LD',
+    preview: '顯示 JSON-LD',
+    disclaimer: '此檢查僅涵蓋經典配伍及本資料庫的資料，不能取代合資格醫師的審核。',
+    issues: {
+      eighteen: '十八反：{herbA}反{herbB}',
+      nineteen: '十九畏：{herbA}畏{herbB}',
+      incompatibility: '見於中醫檔案的配伍禁忌',
+      pregnancy: '妊娠注意',
+      dosage: '用量 {dose} 克超出常用量 {min}–{max} 克'
+    }
+  },
+  interactions: {
+    title: '草藥與藥物相互作用查詢',
+    subtitle: '檢查藥材及補充劑與您正在服用的藥物之間的相互作用',
+    checkWithMedications: '與藥物一起檢查 →',
+    medications: '藥物',
+    medicationPlaceholder: '藥名或商品名，例如 warfarin',
+    products: '草藥及補充劑',
+    productPlaceholder: '搜尋藥材及物質...',
+    add: '加入',
+    remove: '移除',
+    noMatches: '沒有符合的藥材或物質',
+    unresolved: '不在資料庫中',
+    unresolvedHint: '未知藥物：只會比對提及此名稱的相互作用說明',
+    empty: '請至少加入一種藥物及一種草藥或補充劑以檢查相互作用。',
+    noneKnown: '未有記錄',
+    details: '相互作用詳情',
+    mechanism: '機制',
+    effect: '影響',
+    management: '處理建議',
+    note: '說明',
+    references: '參考文獻',
+    disclaimer: '僅顯示本資料庫記錄的相互作用。「未有記錄」並不代表配合使用安全；同時服用草藥及藥物前請諮詢藥劑師或醫生。',
+    types: {
+      preparation: '藥材',
+      substance: '物質'
+    },
+    severities: {
+      major: '嚴重',
+      moderate: '中度',
+      minor: '輕微',
+      unknown: '未評級'
+    }
+  },
+  // SPARQL query page
+  sparql: {
+    title: 'SPARQL 查詢',
+    subtitle: '以您自己的問題查詢 Herbapedia 知識圖譜',
+    notConfigured: '本網站未設定 SPARQL 端點。請在 data-herbapedia 資料上於本機執行端點，並將網站指向該端點：',
+    examples: '查詢範例',
+    query: '查詢',
+    run: '執行查詢',
+    running: '執行中...',
+    results: '結果',
+    rows: '{count} 筆結果',
+    noResults: '沒有結果',
+    error: '查詢失敗',
+    yes: '是',
+    no: '否'
+  },
+  // Export of filtered preparation lists
+  export: {
+    title: '匯出',
+    count: '目前列表共 {count} 種製劑',
+    language: '語言',
+    columnsTitle: '欄位',
+    download: '下載 {format}',
+    columns: {
+      name: '名稱',
+      hanzi: '中文名',
+      url: '頁面'
+    }
+  },
   // Language
   language: {
     select: '語言'
@@ -9,16 +9,27 @@ import { ViteSSG } from 'vite-ssg'
 import App from './App.vue'
 import { routes } from './router'
 import i18n from './i18n'
+import { dataset } from './api/graphBrowser'
+import { GRAPH_STATE_KEY } from './composables/useGraphData'
 import './styles/main.css'
 
 // ViteSSG setup
 export const createApp = ViteSSG(
   App,
   { routes, base: '/' },
-  ({ app, router, isClient }) => {
+  ({ app, router, isClient, initialState }) => {
     // Install i18n plugin
     app.use(i18n)
 
+    // Entities a pre-rendered page loaded, serialized into its HTML (see useGraphData)
+    app.provide(GRAPH_STATE_KEY, initialState)
+
+    // Fetch the dataset before the first page that reads it renders, both
+    // when pre-rendering and before hydration (see graphBrowser.ts)
+    router.beforeEach(async to => {
+      if (to.meta?.dataset !== false) await dataset.load()
+    })
+
     // Handle locale on client-side navigation
     if (isClient) {
       router.beforeEach((to, from, next) => {
@@ -2,6 +2,8 @@ import { SUPPORTED_LOCALES, DEFAULT_LOCALE } from '@/i18n/locales'
 
 // Helper to generate routes with locale support
 function createLocalizedRoutes() {
+  // Pages that do not read the synchronous dataset (graphBrowser.ts) set
+  // meta.dataset to false, so the router does not fetch it for them
   const baseRoutes = [
     {
       path: '',
@@ -20,6 +22,11 @@ function createLocalizedRoutes() {
       component: () => import('@/views/PreparationDetailView.vue'),
       props: true
     },
+    {
+      path: 'compare',
+      name: 'compare',
+      component: () => import('@/views/CompareView.vue')
+    },
     // Source materials routes (ontology browser)
     {
       path: 'sources',
@@ -101,6 +108,11 @@ function createLocalizedRoutes() {
       name: 'systems',
       component: () => import('@/views/SystemsView.vue')
     },
+    {
+      path: 'concordance',
+      name: 'concordance',
+      component: () => import('@/views/ConcordanceView.vue')
+    },
     {
       path: 'systems/:system',
       name: 'system-detail',
@@ -123,13 +135,15 @@ function createLocalizedRoutes() {
     {
       path: 'compounds',
       name: 'compounds',
-      component: () => import('@/views/ChemicalCompoundsView.vue')
+      component: () => import('@/views/ChemicalCompoundsView.vue'),
+      meta: { dataset: false }
     },
     {
       path: 'compounds/:slug',
       name: 'compound-detail',
       component: () => import('@/views/ChemicalCompoundDetailView.vue'),
-      props: true
+      props: true,
+      meta: { dataset: false }
     },
     // Plant parts routes
     {
@@ -147,13 +161,15 @@ function createLocalizedRoutes() {
     {
       path: 'sources/barcodes',
       name: 'dna-barcodes',
-      component: () => import('@/views/DNABarcodesView.vue')
+      component: () => import('@/views/DNABarcodesView.vue'),
+      meta: { dataset: false }
     },
     {
       path: 'sources/barcodes/:slug',
       name: 'dna-barcode-detail',
       component: () => import('@/views/DNABarcodeDetailView.vue'),
-      props: true
+      props: true,
+      meta: { dataset: false }
     },
     // Formulas routes
     {
@@ -161,22 +177,48 @@ function createLocalizedRoutes() {
       name: 'formulas',
       component: () => import('@/views/FormulasView.vue')
     },
+    {
+      path: 'formulas/builder',
+      name: 'formula-builder',
+      component: () => import('@/views/FormulaBuilderView.vue')
+    },
     {
       path: 'formulas/:slug',
       name: 'formula-detail',
       component: () => import('@/views/FormulaDetailView.vue'),
       props: true
     },
+    // Safety index
+    {
+      path: 'safety',
+      name: 'safety',
+      component: () => import('@/views/SafetyIndexView.vue')
+    },
+    // Herb–drug interactions
+    {
+      path: 'interactions',
+      name: 'interactions',
+      component: () => import('@/views/InteractionCheckerView.vue')
+    },
+    // SPARQL query page (needs VITE_SPARQL_ENDPOINT to run queries)
+    {
+      path: 'sparql',
+      name: 'sparql',
+      component: () => import('@/views/SparqlView.vue'),
+      meta: { dataset: false }
+    },
     // About and Basics
     {
       path: 'about',
       name: 'about',
-      component: () => import('@/views/AboutView.vue')
+      component: () => import('@/views/AboutView.vue'),
+      meta: { dataset: false }
     },
     {
       path: 'basics',
       name: 'basics',
-      component: () => import('@/views/BasicsView.vue')
+      component: () => import('@/views/BasicsView.vue'),
+      meta: { dataset: false }
     }
   ]
 
@@ -189,7 +231,7 @@ function createLocalizedRoutes() {
     children: baseRoutes.map(route => ({
       ...route,
       name: route.name ? `en-${route.name}` : route.name,
-      meta: { locale: DEFAULT_LOCALE }
+      meta: { ...route.meta, locale: DEFAULT_LOCALE }
     }))
   })
 
@@ -203,7 +245,7 @@ function createLocalizedRoutes() {
       children: baseRoutes.map(route => ({
         ...route,
         name: `${locale}-${route.name}`,
-        meta: { locale }
+        meta: { ...route.meta, locale }
       }))
     })
   }
@@ -224,7 +266,8 @@ function createLocalizedRoutes() {
   routes.push({
     path: '/:pathMatch(.*)*',
     name: 'not-found',
-    component: () => import('@/views/NotFoundView.vue')
+    component: () => import('@/views/NotFoundView.vue'),
+    meta: { dataset: false }
   })
 
   return routes
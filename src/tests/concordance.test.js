@@ -0,0 +1,83 @@
+/**
+ * Concordance Tests
+ *
+ * Folds the checked-in fixture vocabularies of each system onto the shared
+ * thermal and taste axes (see src/api/concordance.ts), and tabulates the
+ * fixture preparations' profiles across systems.
+ */
+
+import { describe, it, expect } from 'vitest'
+import { classifyValue, tabulateConcordance, propertyKey, CONCORDANCE_PROPERTIES } from '@/api/concordance'
+import { loadFixtureDataset } from '../../scripts/lib/dataset.js'
+
+const dataset = loadFixtureDataset()
+const classes = (dimension, vocabulary) => Object.fromEntries(
+  dataset[vocabulary].map(item => [item['@id'].split('/').pop(), classifyValue(dimension, item['@id'])])
+)
+
+// One record per preparation, the way GraphBrowserAdapter.getConcordance builds them
+function recordsOf(dimension) {
+  const profiles = system => dataset[`${system}-profiles`]
+  return dataset.preparations.map(preparation => {
+    const values = {}
+    for (const property of CONCORDANCE_PROPERTIES[dimension]) {
+      const profile = profiles(property.system).find(entity => entity.profiles['@id'] === preparation['@id'])
+      const raw = profile?.[property.property]
+      if (raw) values[propertyKey(property)] = [raw].flat().map(ref => ref['@id'])
+    }
+    return { preparation: preparation['@id'].split('/').pop(), values }
+  })
+}
+
+describe('Concordance', () => {
+  describe('Folding vocabularies', () => {
+    it('should fold thermal values of every system onto warming and cooling', () => {
+      expect(classes('thermal', 'tcm/natures')).toEqual({ hot: 'warming', cold: 'cooling' })
+      expect(classes('thermal', 'ayurveda/virya')).toEqual({ ushna: 'warming', sheeta: 'cooling' })
+      expect(classes('thermal', 'unani/temperaments')).toEqual({ 'hot-dry': 'warming', 'cold-wet': 'cooling' })
+    })
+
+    it('should leave Mongolian potencies without thermal meaning unclassified', () => {
+      expect(classes('thermal', 'mongolian/potencies')).toEqual({ hot: 'warming', heavy: null })
+    })
+
+    it('should fold taste values across English, Sanskrit and pinyin slugs', () => {
+      expect(classes('taste', 'tcm/flavors')).toEqual({ acrid: 'pungent', bitter: 'bitter' })
+      expect(classes('taste', 'ayurveda/rasa')).toEqual({ katu: 'pungent', tikta: 'bitter' })
+      expect(classes('taste', 'mongolian/tastes')).toEqual({ pungent: 'pungent', bitter: 'bitter' })
+    })
+
+    it('should fold slugs as well as IRIs, and nothing for the other axis', () => {
+      expect(classifyValue('thermal', 'wen')).toBe('warming')
+      expect(classifyValue('thermal', 'https://www.herbapedia.org/system/tcm/flavor/bitter')).toBeNull()
+    })
+  })
+
+  describe('Tabulating', () => {
+    it('should find the fixture ginger warming in every system', () => {
+      const { pairs } = tabulateConcordance(recordsOf('thermal'), 'thermal')
+      expect(pairs).toHaveLength(6)
+      for (const pair of pairs) {
+        expect(pair.preparations.map(p => p.preparation)).toEqual(['dried-ginger-rhizome'])
+        expect([pair.agreements, pair.disagreements, pair.unclassified]).toEqual([1, 0, 0])
+      }
+    })
+
+    it('should count a disagreement and an unclassified preparation apart', () => {
+      const tcm = 'https://www.herbapedia.org/system/tcm/nature/'
+      const mongolian = 'https://www.herbapedia.org/system/mongolian/potency/'
+      const { pairs } = tabulateConcordance([
+        { preparation: 'a', values: { 'tcm.hasNature': [`${tcm}cold`], 'mongolian.hasPotency': [`${mongolian}hot`] } },
+        { preparation: 'b', values: { 'tcm.hasNature': [`${tcm}cold`], 'mongolian.hasPotency': [`${mongolian}heavy`] } },
+        { preparation: 'c', values: { 'tcm.hasNature': [`${tcm}hot`], 'mongolian.hasPotency': [`${mongolian}hot`, `${mongolian}heavy`] } }
+      ], 'thermal')
+
+      expect(pairs).toHaveLength(1)
+      expect(pairs[0]).toMatchObject({ agreements: 1, disagreements: 1, unclassified: 1 })
+      expect(pairs[0].preparations.map(p => p.agrees)).toEqual([false, null, true])
+      expect(pairs[0].rows).toEqual([`${tcm}cold`, `${tcm}hot`])
+      expect(pairs[0].cells.find(cell => cell.a === `${tcm}cold` && cell.b === `${mongolian}hot`))
+        .toMatchObject({ preparations: ['a'], agrees: false })
+    })
+  })
+})
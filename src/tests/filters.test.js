@@ -0,0 +1,146 @@
+/**
+ * Filters Tests
+ *
+ * Facet params, filtering and facet counts of the preparations index (see
+ * src/composables/useFilters.js) over the checked-in fixture dataset, with
+ * the dataset adapter answered from the fixture and a bare route.
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { loadFixtureDataset } from '../../scripts/lib/dataset.js'
+import { useFilters, parseFacetParam, formatFacetParam, sortByKey, paginate } from '@/composables/useFilters'
+
+const NATURE = 'https://www.herbapedia.org/system/tcm/nature/'
+
+// A preparation whose nature merely contains "hot", to rule out substring
+// hits; hoisted along with the mocks that serve its profile
+const slightlyHot = vi.hoisted(() => {
+  const graph = 'https://www.herbapedia.org/graph/'
+  return {
+    preparation: { '@id': `${graph}preparation/slightly-hot-herb`, name: { en: 'Slightly Hot Herb' }, hasTCMProfile: [{ '@id': `${graph}profile/tcm/slightly-hot-herb` }] },
+    profile: { '@id': `${graph}profile/tcm/slightly-hot-herb`, hasNature: { '@id': 'https://www.herbapedia.org/system/tcm/nature/slightly-hot' } }
+  }
+})
+
+vi.mock('vue-router', () => ({
+  useRoute: () => ({ query: {} }),
+  useRouter: () => ({ replace: () => {} })
+}))
+
+vi.mock('@/api/dataset', async () => {
+  const { loadFixtureDataset } = await import('../../scripts/lib/dataset.js')
+  const data = loadFixtureDataset()
+  const slugOf = id => id.split('/').pop()
+  const profile = collection => slug => [...data[collection], slightlyHot.profile].find(entity => slugOf(entity['@id']) === slug) || null
+  const item = collection => id => data[collection].find(entity => entity['@id'] === id || slugOf(entity['@id']) === slugOf(id)) || null
+  const none = () => null
+  return {
+    dataset: {
+      getTCMProfile: profile('tcm-profiles'),
+      getWesternProfile: profile('western-profiles'),
+      getAyurvedaProfile: profile('ayurveda-profiles'),
+      getUnaniProfile: profile('unani-profiles'),
+      getMongolianProfile: profile('mongolian-profiles'),
+      getNature: item('tcm/natures'),
+      getFlavor: item('tcm/flavors'),
+      getMeridian: item('tcm/meridians'),
+      getRasa: item('ayurveda/rasa'),
+      getVirya: item('ayurveda/virya'),
+      getTemperament: item('unani/temperaments'),
+      getMongolianTaste: item('mongolian/tastes'),
+      ...Object.fromEntries([
+        'getCategory', 'getAction', 'getOrgan', 'getGuna', 'getVipaka', 'getDosha', 'getKarma',
+        'getUnaniElement', 'getMongolianElement', 'getMongolianRoot', 'getSourcePlant'
+      ].map(name => [name, none])),
+      getHanziVariants: () => new Map()
+    }
+  }
+})
+
+const preparations = [...loadFixtureDataset().preparations, slightlyHot.preparation]
+const slugs = list => list.map(prep => prep['@id'].split('/').pop())
+
+describe('Filters', () => {
+  describe('Facet params', () => {
+    it.each([
+      ['any', 'sweet,bitter'],
+      ['all', 'all:sweet,bitter'],
+      ['none', 'none:sweet,bitter']
+    ])('should round-trip a selection in %s mode', (mode, param) => {
+      const selection = { mode, values: ['sweet', 'bitter'] }
+      expect(formatFacetParam(selection)).toBe(param)
+      expect(parseFacetParam(param)).toEqual(selection)
+    })
+
+    it('should merge repeated params and drop duplicates and blanks', () => {
+      expect(parseFacetParam(['liver', 'kidney, liver,'])).toEqual({ mode: 'any', values: ['liver', 'kidney'] })
+    })
+
+    it('should leave an empty selection out of the URL', () => {
+      expect(formatFacetParam({ mode: 'all', values: [] })).toBeNull()
+      expect(parseFacetParam(undefined)).toEqual({ mode: 'any', values: [] })
+    })
+  })
+
+  describe('Filtering', () => {
+    let filters, applyFilters, getFacetCounts
+
+    beforeEach(() => {
+      ({ filters, applyFilters, getFacetCounts } = useFilters())
+    })
+
+    it('should match a facet value by its exact IRI, not by substring', () => {
+      filters.tcm.nature = parseFacetParam('hot')
+      expect(slugs(applyFilters(preparations))).toEqual(['dried-ginger-rhizome'])
+
+      filters.tcm.nature = parseFacetParam(`${NATURE}slightly-hot`)
+      expect(slugs(applyFilters(preparations))).toEqual(['slightly-hot-herb'])
+    })
+
+    it('should apply each mode across values', () => {
+      filters.tcm.flavor = parseFacetParam('all:acrid,bitter')
+      expect(applyFilters(preparations)).toEqual([])
+
+      filters.tcm.flavor = parseFacetParam('acrid,bitter')
+      expect(slugs(applyFilters(preparations))).toEqual(['dried-ginger-rhizome', 'scutellaria-root'])
+
+      filters.tcm.flavor = parseFacetParam('none:bitter')
+      expect(slugs(applyFilters(preparations))).toEqual(['dried-ginger-rhizome', 'slightly-hot-herb'])
+    })
+
+    it('should count the options of a facet given the other active filters', () => {
+      expect(getFacetCounts(preparations).tcm.nature).toEqual({ hot: 1, cold: 1, 'slightly-hot': 1 })
+
+      filters.tcm.flavor = parseFacetParam('bitter')
+      expect(getFacetCounts(preparations).tcm.nature).toEqual({ cold: 1 })
+    })
+
+    it('should count a facet regardless of its own selection', () => {
+      filters.tcm.nature = parseFacetParam('hot')
+      const counts = getFacetCounts(preparations)
+      expect(counts.tcm.nature).toEqual({ hot: 1, cold: 1, 'slightly-hot': 1 })
+      expect(counts.tcm.flavor).toEqual({ acrid: 1 })
+    })
+
+    it('should only count the systems whose filter groups are shown', () => {
+      filters.system.ayurveda = true
+      const counts = getFacetCounts(preparations)
+      expect(counts.tcm).toEqual({})
+      expect(counts.ayurveda.virya).toEqual({ ushna: 1 })
+    })
+  })
+
+  describe('Sorting & Pagination', () => {
+    it('should sort strings by collation, numbers highest first and missing keys last', () => {
+      expect(sortByKey(['b', null, 'A', 'a'], key => key, 'en')).toEqual(['A', 'a', 'b', null])
+      expect(sortByKey([{ n: 2 }, {}, { n: 10 }], item => item.n, 'en')).toEqual([{ n: 10 }, { n: 2 }, {}])
+    })
+
+    it('should clamp the page to the available range', () => {
+      const items = Array.from({ length: 5 }, (_, index) => index)
+      expect(paginate(items, 0, 2)).toEqual({ items: [0, 1], page: 1, pageCount: 3, total: 5 })
+      expect(paginate(items, 9, 2)).toEqual({ items: [4], page: 3, pageCount: 3, total: 5 })
+      expect(paginate([], 4, 2)).toEqual({ items: [], page: 1, pageCount: 1, total: 0 })
+    })
+  })
+})
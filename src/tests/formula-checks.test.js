@@ -0,0 +1,106 @@
+/**
+ * Formula Checks Tests
+ *
+ * Classical incompatibility pairs, profile incompatibilities, pregnancy
+ * cautions and dose ranges checked by the formula builder (see
+ * src/api/formulaChecks.ts).
+ */
+
+import { describe, it, expect } from 'vitest'
+import { checkFormula, parseDoseRange, CLASSICAL_PAIRS } from '@/api/formulaChecks'
+
+const gancao = { slug: 'licorice-root', pinyin: 'Gān Cǎo', hanzi: ['甘草'] }
+const zhigancao = { slug: 'honey-fried-licorice-root', hanzi: ['炙甘草'] }
+const gansui = { slug: 'kansui-root', pinyin: 'Gān Suì', hanzi: ['甘遂'] }
+const renshen = { slug: 'ginseng-root', pinyin: 'Rén Shēn', hanzi: ['人參'] }
+const wulingzhi = { slug: 'trogopterus-dung', hanzi: ['五灵脂'] }
+const lilu = { slug: 'veratrum-root', pinyin: 'lí lú', hanzi: ['藜蘆'] }
+const dangui = { slug: 'angelica-sinensis-root', pinyin: 'Dāng Guī', hanzi: ['當歸'] }
+
+const kinds = issues => issues.map(issue => issue.kind)
+
+describe('Formula Checks', () => {
+  it('should list every incompatibility and antagonism pair', () => {
+    // The "eighteen" counts herbs (貝母, 瓜蔞, 沙參 and 芍藥 in two kinds); its groups make 16 pairs
+    expect(CLASSICAL_PAIRS.filter(pair => pair.kind === 'eighteen')).toHaveLength(16)
+    expect(CLASSICAL_PAIRS.filter(pair => pair.kind === 'nineteen')).toHaveLength(9)
+  })
+
+  describe('Classical pairs', () => {
+    it('should flag an eighteen incompatibilities pair (甘草 + 甘遂)', () => {
+      expect(checkFormula([gancao, gansui, dangui])).toEqual([{
+        kind: 'eighteen',
+        severity: 'danger',
+        ingredients: ['licorice-root', 'kansui-root'],
+        herbs: ['甘草', '甘遂']
+      }])
+    })
+
+    it('should flag a nineteen antagonisms pair (人參 + 五靈脂) in either script', () => {
+      expect(checkFormula([renshen, wulingzhi])).toEqual([{
+        kind: 'nineteen',
+        severity: 'danger',
+        ingredients: ['ginseng-root', 'trogopterus-dung'],
+        herbs: ['人參', '五靈脂']
+      }])
+    })
+
+    it('should match processed forms of a herb by hanzi or pinyin', () => {
+      expect(kinds(checkFormula([zhigancao, gansui]))).toEqual(['eighteen'])
+      expect(kinds(checkFormula([{ slug: 'zhi-gan-cao', pinyin: 'zhì gān cǎo' }, gansui]))).toEqual(['eighteen'])
+    })
+
+    it('should flag every herb a herb clashes with', () => {
+      const issues = checkFormula([lilu, renshen, { slug: 'white-peony-root', hanzi: ['白芍'] }])
+      expect(issues.map(issue => issue.herbs)).toEqual([['藜蘆', '人參'], ['藜蘆', '芍藥']])
+    })
+
+    it('should not flag unrelated herbs', () => {
+      expect(checkFormula([gancao, renshen, dangui])).toEqual([])
+    })
+  })
+
+  it('should flag incompatibilities named in a profile', () => {
+    const issues = checkFormula([
+      { ...dangui, incompatibilities: { en: 'Do not combine with ginseng root.', 'zh-Hant': '不宜與人參同用' } },
+      renshen
+    ])
+    expect(issues).toMatchObject([{ kind: 'incompatibility', ingredients: ['angelica-sinensis-root', 'ginseng-root'] }])
+  })
+
+  it('should grade pregnancy statements', () => {
+    const issues = checkFormula([
+      { slug: 'a', pregnancySafety: { en: 'Contraindicated in pregnancy' } },
+      { slug: 'b', pregnancySafety: { en: 'Use with caution in pregnancy' } },
+      { slug: 'c', pregnancySafety: { en: 'Generally safe', 'zh-Hant': '無' } }
+    ])
+    expect(issues.map(issue => [issue.ingredients[0], issue.severity])).toEqual([['a', 'danger'], ['b', 'caution']])
+  })
+
+  describe('Doses', () => {
+    it('should parse ranges with dashes, fullwidth tildes and units', () => {
+      expect(parseDoseRange('3–9 g')).toEqual({ min: 3, max: 9 })
+      expect(parseDoseRange('3-9g')).toEqual({ min: 3, max: 9 })
+      expect(parseDoseRange({ 'zh-Hant': '3～9克' })).toEqual({ min: 3, max: 9 })
+      expect(parseDoseRange('1.5 to 3 grams')).toEqual({ min: 1.5, max: 3 })
+    })
+
+    it('should read an upper limit alone and ignore text without a dose', () => {
+      expect(parseDoseRange('up to 6 g daily')).toEqual({ min: 0, max: 6 })
+      expect(parseDoseRange('as directed')).toBeNull()
+      expect(parseDoseRange(undefined)).toBeNull()
+    })
+
+    it('should flag an overdose and accept doses within the range', () => {
+      const dosage = { en: '3–9 g', 'zh-Hant': '3～9克' }
+      expect(checkFormula([{ ...dangui, dose: 15, dosage }])).toEqual([{
+        kind: 'dosage',
+        severity: 'caution',
+        ingredients: ['angelica-sinensis-root'],
+        detail: dosage,
+        range: { min: 3, max: 9 }
+      }])
+      expect(checkFormula([{ ...dangui, dose: 9, dosage }])).toEqual([])
+    })
+  })
+})
@@ -0,0 +1,113 @@
+/**
+ * Formula Composition Tests
+ *
+ * Role and dosage normalization and the formula-level tallies shown on
+ * formula pages (see src/api/formulaComposition.ts).
+ */
+
+import { describe, it, expect } from 'vitest'
+import { normalizeRole, normalizeDosage, sortByRole, summarizeComposition } from '@/api/formulaComposition'
+
+const NATURE = 'https://www.herbapedia.org/system/tcm/nature/'
+const FLAVOR = 'https://www.herbapedia.org/system/tcm/flavor/'
+
+function ingredient(slug, overrides = {}) {
+  return {
+    slug,
+    role: null,
+    dosage: null,
+    nature: null,
+    flavors: [],
+    meridians: [],
+    contraindications: [],
+    warnings: [],
+    ...overrides
+  }
+}
+
+describe('Formula Composition', () => {
+  describe('normalizeRole', () => {
+    it('should accept English, pinyin and hanzi aliases', () => {
+      expect(normalizeRole('Sovereign')).toBe('monarch')
+      expect(normalizeRole('chen')).toBe('minister')
+      expect(normalizeRole('佐藥')).toBe('assistant')
+      expect(normalizeRole('使药')).toBe('envoy')
+    })
+
+    it('should accept role IRIs and IRI references', () => {
+      expect(normalizeRole('https://www.herbapedia.org/system/tcm/role/monarch')).toBe('monarch')
+      expect(normalizeRole({ '@id': 'https://www.herbapedia.org/system/tcm/role/courier' })).toBe('envoy')
+    })
+
+    it('should return null for unknown or missing roles', () => {
+      expect(normalizeRole('helper')).toBeNull()
+      expect(normalizeRole(undefined)).toBeNull()
+      expect(normalizeRole(3)).toBeNull()
+    })
+  })
+
+  describe('normalizeDosage', () => {
+    it('should parse quantities and ranges with or without spaces', () => {
+      expect(normalizeDosage('9 g')).toEqual({ value: 9, maxValue: undefined, unit: 'g' })
+      expect(normalizeDosage('3-9g')).toEqual({ value: 3, maxValue: 9, unit: 'g' })
+      expect(normalizeDosage('1.5 – 3 g')).toEqual({ value: 1.5, maxValue: 3, unit: 'g' })
+    })
+
+    it('should use the fallback unit for bare numbers', () => {
+      expect(normalizeDosage(6, 'g')).toEqual({ value: 6, unit: 'g' })
+      expect(normalizeDosage('12', 'g')).toEqual({ value: 12, maxValue: undefined, unit: 'g' })
+    })
+
+    it('should read QuantitativeValue objects', () => {
+      expect(normalizeDosage({ value: 9, unitText: 'g' })).toEqual({ value: 9, maxValue: undefined, unit: 'g' })
+      expect(normalizeDosage({ minValue: 3, maxValue: 9, unitCode: 'GRM', unit: 'g' })).toEqual({ value: 3, maxValue: 9, unit: 'g' })
+    })
+
+    it('should keep anything else as text', () => {
+      expect(normalizeDosage('a pinch')).toEqual({ text: 'a pinch' })
+      expect(normalizeDosage({ en: 'to taste', 'zh-Hant': '適量' })).toEqual({ text: { en: 'to taste', 'zh-Hant': '適量' } })
+      expect(normalizeDosage('')).toBeNull()
+      expect(normalizeDosage(null)).toBeNull()
+    })
+  })
+
+  it('should order ingredients by role, keeping formula order within a role', () => {
+    const ordered = sortByRole([
+      ingredient('a'),
+      ingredient('b', { role: 'envoy' }),
+      ingredient('c', { role: 'monarch' }),
+      ingredient('d', { role: 'envoy' })
+    ])
+    expect(ordered.map(i => i.slug)).toEqual(['c', 'b', 'd', 'a'])
+  })
+
+  describe('summarizeComposition', () => {
+    const summary = summarizeComposition([
+      ingredient('ginseng', { role: 'monarch', nature: `${NATURE}warm`, flavors: [`${FLAVOR}sweet`, `${FLAVOR}bitter`] }),
+      ingredient('licorice', { role: 'envoy', nature: `${NATURE}neutral`, flavors: [`${FLAVOR}sweet`], warnings: ['Avoid long-term use'] }),
+      ingredient('ginger', { role: 'assistant', nature: `${NATURE}warm`, flavors: [`${FLAVOR}acrid`, `${FLAVOR}acrid`], contraindications: [{ en: 'Yin deficiency' }] }),
+      ingredient('unprofiled', { role: 'monarch' })
+    ])
+
+    it('should tally values most frequent first, listing the contributing ingredients', () => {
+      expect(summary.natures).toEqual([
+        { id: `${NATURE}warm`, count: 2, ingredients: ['ginseng', 'ginger'] },
+        { id: `${NATURE}neutral`, count: 1, ingredients: ['licorice'] }
+      ])
+      expect(summary.flavors.map(tally => [tally.id.replace(FLAVOR, ''), tally.count])).toEqual([
+        ['sweet', 2], ['bitter', 1], ['acrid', 1]
+      ])
+    })
+
+    it('should count ingredients with and without a TCM profile', () => {
+      expect(summary.ingredientCount).toBe(4)
+      expect(summary.profiledCount).toBe(3)
+    })
+
+    it('should group ingredients by role and collect their notes', () => {
+      expect(summary.roles).toEqual({ monarch: ['ginseng', 'unprofiled'], minister: [], assistant: ['ginger'], envoy: ['licorice'] })
+      expect(summary.warnings).toEqual([{ slug: 'licorice', text: 'Avoid long-term use' }])
+      expect(summary.contraindications).toEqual([{ slug: 'ginger', text: { en: 'Yin deficiency' } }])
+    })
+  })
+})
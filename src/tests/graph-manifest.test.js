@@ -0,0 +1,71 @@
+/**
+ * Graph Manifest Tests
+ *
+ * Builds the manifest of the lazily loaded graph (see
+ * src/api/graphManifest.ts) from the checked-in fixture dataset, the way
+ * the graph-manifest plugin in vite.config.js does.
+ */
+
+import { describe, it, expect } from 'vitest'
+import { DATASET_SCHEMAS } from '@/api/schemaValidation'
+import { buildGraphManifest, buildGraphLinks } from '@/api/graphManifest'
+import { GRAPH_ONLY_COLLECTIONS } from '@/api/catalog'
+import { loadCollection, FIXTURE_DIR } from '../../scripts/lib/dataset.js'
+
+const dataset = Object.fromEntries(DATASET_SCHEMAS
+  .filter(collection => collection.path.includes('*'))
+  .map(collection => [
+    collection.name,
+    loadCollection(FIXTURE_DIR, collection).map(({ directory, entity }) => ({ slug: directory, entity }))
+  ]))
+const links = buildGraphLinks(dataset)
+const manifest = buildGraphManifest(dataset, links)
+
+describe('Graph Manifest', () => {
+  it('should list the entities of list pages by directory slug with listing fields', () => {
+    expect(manifest.collections.chemicals[0]).toEqual({
+      slug: '6-gingerol',
+      name: { en: '6-Gingerol', 'zh-Hant': '6-薑酚', 'zh-Hans': '6-姜酚' },
+      molecularFormula: 'C17H26O4'
+    })
+  })
+
+  it('should only list the collections the graph loader alone serves', () => {
+    expect(Object.keys(manifest.collections)).toEqual(GRAPH_ONLY_COLLECTIONS)
+  })
+
+  it('should name the species of DNA barcodes', () => {
+    const withBarcode = {
+      ...dataset,
+      barcodes: [{
+        slug: 'zingiber-officinale-its2',
+        entity: {
+          '@id': 'https://www.herbapedia.org/graph/barcode/zingiber-officinale-its2',
+          '@type': ['botany:DNABarcode'],
+          species: { '@id': 'https://www.herbapedia.org/graph/species/zingiber-officinale' },
+          sequence: [{ region: 'ITS2' }]
+        }
+      }]
+    }
+    expect(buildGraphManifest(withBarcode).collections.barcodes).toEqual([
+      { slug: 'zingiber-officinale-its2', regions: ['ITS2'], speciesName: 'Zingiber officinale' }
+    ])
+  })
+
+  describe('buildGraphLinks', () => {
+    it('should give each entity the links it takes part in, both ways', () => {
+      expect(links.get('chemicals/6-gingerol')).toEqual(expect.arrayContaining([
+        ['chemicals', '6-gingerol', 'foundIn', 'species', 'zingiber-officinale'],
+        ['species', 'zingiber-officinale', 'containsChemical', 'chemicals', '6-gingerol']
+      ]))
+      expect(links.get('chemicals/6-gingerol')).toHaveLength(2)
+      expect(links.get('tcm-profiles/dried-ginger-rhizome')).toContainEqual(
+        ['preparations', 'dried-ginger-rhizome', 'hasTCMProfile', 'tcm-profiles', 'dried-ginger-rhizome']
+      )
+    })
+
+    it('should leave out references to vocabularies and external IRIs', () => {
+      expect([...links.values()].flat().filter(link => link[2] === 'hasNature' || link[2] === 'sameAs')).toEqual([])
+    })
+  })
+})
@@ -0,0 +1,101 @@
+/**
+ * Graph Query Tests
+ *
+ * Runs declarative queries (see src/api/graphQuery.ts) against the
+ * checked-in fixture dataset.
+ */
+
+import { describe, it, expect } from 'vitest'
+import { createQueryGraph, runQuery } from '@/api/graphQuery'
+import { loadFixtureDataset } from '../../scripts/lib/dataset.js'
+
+const graph = createQueryGraph(loadFixtureDataset())
+const slugs = results => results.map(result => result.slug)
+
+describe('Graph Query', () => {
+  describe('Selecting', () => {
+    it('should select a collection', () => {
+      expect(slugs(runQuery(graph, { from: 'formulas' }))).toEqual(['ginger-decoction'])
+    })
+
+    it('should select by prefixed or local @type across collections', () => {
+      expect(runQuery(graph, { type: 'tcm:Herb' }).map(result => result.collection)).toEqual(['tcm-profiles', 'tcm-profiles'])
+      expect(runQuery(graph, { type: 'HerbalPreparation' }).map(result => result.collection)).toEqual(['preparations', 'preparations'])
+    })
+
+    it('should select one entity by slug', () => {
+      const results = runQuery(graph, { where: [{ property: '@id', references: 'zingiber-officinale' }] })
+      expect(results.map(result => result.collection)).toEqual(['species'])
+    })
+  })
+
+  describe('Filtering', () => {
+    it('should filter on references across old and new vocabulary IRIs', () => {
+      const hot = runQuery(graph, { from: 'tcm-profiles', where: [{ property: 'hasNature', references: 'https://www.herbapedia.org/graph/vocab/tcm/nature/hot' }] })
+      const cold = runQuery(graph, { from: 'tcm-profiles', where: [{ property: 'hasNature', references: 'cold' }] })
+      const warm = runQuery(graph, { from: 'tcm-profiles', where: [{ property: 'hasNature', references: 'warm' }] })
+      expect(slugs(hot)).toEqual(['tcm/dried-ginger-rhizome'])
+      expect(slugs(cold)).toEqual(['tcm/scutellaria-root'])
+      expect(warm).toHaveLength(0)
+    })
+
+    it('should match LanguageMap values in any language', () => {
+      expect(slugs(runQuery(graph, { from: 'chemicals', where: [{ property: 'name', contains: '薑' }] }))).toEqual(['6-gingerol'])
+      expect(slugs(runQuery(graph, { from: 'chemicals', where: [{ property: 'name', equals: '6-Gingerol' }] }))).toEqual(['6-gingerol'])
+    })
+
+    it('should filter on values at nested paths and on missing properties', () => {
+      expect(runQuery(graph, { from: 'preparations', where: [{ property: 'safetyInfo.pregnancySafety', exists: true }] })).toHaveLength(1)
+      expect(runQuery(graph, { from: 'preparations', where: [{ property: 'relatedPreparations', exists: true }] })).toHaveLength(0)
+    })
+  })
+
+  describe('Traversing', () => {
+    it('should follow references forwards (prep → part → plant → compounds)', () => {
+      const results = runQuery(graph, {
+        from: 'preparations',
+        where: [{ property: '@id', references: 'dried-ginger-rhizome' }],
+        traverse: ['derivedFrom', 'partOf', 'containsChemical']
+      })
+      expect(results.map(result => [result.collection, result.slug])).toEqual([['chemicals', '6-gingerol']])
+    })
+
+    it('should follow references backwards', () => {
+      const results = runQuery(graph, {
+        from: 'tcm/natures',
+        traverse: [{ inverse: 'hasNature' }, { inverse: 'hasTCMProfile' }]
+      })
+      expect(results.map(result => [result.collection, result.slug])).toEqual([
+        ['preparations', 'dried-ginger-rhizome'],
+        ['preparations', 'scutellaria-root']
+      ])
+    })
+
+    it('should resolve forward references into the collections LINK_RULES expects', () => {
+      const results = runQuery(graph, { from: 'tcm-profiles', traverse: ['hasFlavor'] })
+      expect(results.map(result => [result.collection, result.slug])).toEqual([['tcm/flavors', 'acrid'], ['tcm/flavors', 'bitter']])
+    })
+  })
+
+  describe('Projecting', () => {
+    it('should localize LanguageMaps and reduce references to IRIs', () => {
+      const [result] = runQuery(graph, {
+        from: 'chemicals',
+        select: { name: 'name', foundIn: 'foundIn', formula: 'molecularFormula', missing: 'casNumber' },
+        locale: 'zh-Hans'
+      })
+      expect(result.fields).toEqual({
+        name: '6-姜酚',
+        foundIn: ['https://www.herbapedia.org/graph/species/zingiber-officinale'],
+        formula: 'C17H26O4',
+        missing: null
+      })
+    })
+
+    it('should keep LanguageMaps without a locale and cap results', () => {
+      const results = runQuery(graph, { type: 'HerbalPreparation', select: { name: 'name' }, limit: 1 })
+      expect(results).toHaveLength(1)
+      expect(results[0].fields.name).toEqual({ en: 'Dried Ginger Rhizome', 'zh-Hant': '乾薑', 'zh-Hans': '干姜' })
+    })
+  })
+})
@@ -0,0 +1,83 @@
+/**
+ * Interactions Tests
+ *
+ * Drug name resolution and herb–drug interaction matching (see
+ * src/api/interactions.ts) over the fixture drugs.jsonld and
+ * interactions.jsonld.
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+  createDrugResolver,
+  findDrugsInText,
+  interactionsFromText,
+  checkDrug,
+  interactionMatches,
+  highestSeverity
+} from '@/api/interactions'
+import { loadFixtureDataset } from '../../scripts/lib/dataset.js'
+
+const { drugs, interactions } = loadFixtureDataset()
+const resolve = createDrugResolver(drugs)
+const idOf = drug => drug && drug['@id'].split('/').pop()
+
+const GINGER = 'https://www.herbapedia.org/graph/preparation/dried-ginger-rhizome'
+
+describe('Interactions', () => {
+  describe('createDrugResolver', () => {
+    it('should resolve labels in every language, brand names and codes', () => {
+      expect(idOf(resolve('Warfarin'))).toBe('warfarin')
+      expect(idOf(resolve('华法林'))).toBe('warfarin')
+      expect(idOf(resolve('Coumadin'))).toBe('warfarin')
+      expect(idOf(resolve('B01AC06'))).toBe('aspirin')
+    })
+
+    it('should ignore doses and try the parts of a text', () => {
+      expect(idOf(resolve('warfarin 5 mg tablets'))).toBe('warfarin')
+      expect(idOf(resolve('Blood thinner (Coumadin)'))).toBe('warfarin')
+    })
+
+    it('should return null for unknown drugs', () => {
+      expect(resolve('metformin')).toBeNull()
+    })
+  })
+
+  describe('findDrugsInText', () => {
+    it('should find every drug a text names', () => {
+      expect(findDrugsInText('Anticoagulants such as warfarin or aspirin', drugs).map(idOf))
+        .toEqual(['anticoagulants', 'warfarin', 'aspirin'])
+    })
+
+    it('should match whole words only', () => {
+      expect(findDrugsInText('Aspirinlike compounds', drugs)).toEqual([])
+    })
+  })
+
+  describe('interactionMatches', () => {
+    it('should match a structured interaction by the drug class', () => {
+      const [structured] = interactions
+      expect(interactionMatches(structured, checkDrug('Coumadin', resolve))).toBe(true)
+      expect(interactionMatches(structured, checkDrug('aspirin', resolve))).toBe(false)
+    })
+
+    it('should match a plain-text interaction by a drug name in its note', () => {
+      const [interaction] = interactionsFromText(GINGER, ['May potentiate warfarin'], [])
+      expect(interaction).toEqual({ subject: { '@id': GINGER }, severity: 'unknown', note: 'May potentiate warfarin' })
+      expect(interactionMatches(interaction, checkDrug('Coumadin', resolve))).toBe(true)
+      expect(interactionMatches(interaction, checkDrug('aspirin', resolve))).toBe(false)
+      // Unresolved medications match by the text entered
+      expect(interactionMatches(interaction, checkDrug('Warfarin', () => null))).toBe(true)
+    })
+  })
+
+  it('should derive one interaction per drug a note names', () => {
+    const derived = interactionsFromText(GINGER, ['Avoid with warfarin or aspirin'], drugs)
+    expect(derived.map(interaction => idOf(interaction.drug))).toEqual(['warfarin', 'aspirin'])
+  })
+
+  it('should rank known severities above unknown', () => {
+    expect(highestSeverity([{ severity: 'unknown' }, { severity: 'minor' }, { severity: 'moderate' }])).toBe('moderate')
+    expect(highestSeverity([{}])).toBe('unknown')
+    expect(highestSeverity([])).toBeNull()
+  })
+})
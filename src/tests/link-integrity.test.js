@@ -0,0 +1,188 @@
+/**
+ * Link Integrity Tests
+ *
+ * Fails on any reference in the dataset that resolves to no entity (see
+ * src/api/linkIntegrity.ts) and on relations stored on both ends that
+ * don't agree (see src/api/inverseIndex.ts). Runs against the checked-in fixture dataset
+ * by default; point HERBAPEDIA_DATA_DIR at a data-herbapedia checkout to
+ * check the real graph (`npm run test:data`), or run
+ * `npm run check:links` for the full JSON report.
+ */
+
+import { describe, it, expect } from 'vitest'
+import path from 'path'
+import { DATASET_SCHEMAS } from '@/api/schemaValidation'
+import { checkLinkIntegrity, referencesAt } from '@/api/linkIntegrity'
+import { buildInverseIndex, checkSymmetry, referencesFrom, referencesTo } from '@/api/inverseIndex'
+import { loadDataset, FIXTURE_DIR } from '../../scripts/lib/dataset.js'
+
+const dataDir = process.env.HERBAPEDIA_DATA_DIR ? path.resolve(process.env.HERBAPEDIA_DATA_DIR) : FIXTURE_DIR
+
+const GRAPH = 'https://www.herbapedia.org/graph/'
+const SYSTEM = 'https://www.herbapedia.org/system/'
+
+describe('Link Integrity', () => {
+  describe(`Dataset (${path.relative(process.cwd(), dataDir)})`, () => {
+    const dataset = loadDataset(dataDir, DATASET_SCHEMAS)
+    const report = checkLinkIntegrity(dataset)
+    const symmetry = checkSymmetry(dataset)
+
+    it('should check some links', () => {
+      expect(report.checkedLinks).toBeGreaterThan(0)
+    })
+
+    it('should have no dangling references', () => {
+      const lines = report.dangling.map(link => `${link.source} ${link.property} -> ${link.target}`)
+      expect(lines, `${report.danglingCount} dangling references`).toEqual([])
+    })
+
+    it('should have no asymmetric relations', () => {
+      const lines = symmetry.asymmetric.map(relation => `${relation.source} ${relation.property} -> ${relation.target} (no ${relation.inverse})`)
+      expect(lines, `${symmetry.asymmetricCount} asymmetric relations`).toEqual([])
+    })
+  })
+
+  describe('checkLinkIntegrity', () => {
+    const dataset = {
+      preparations: [{
+        '@id': `${GRAPH}preparation/ginger`,
+        derivedFrom: [{ '@id': `${GRAPH}species/zingiber-officinale` }],
+        hasTCMProfile: [{ '@id': `${GRAPH}profile/tcm/ginger` }],
+        relatedPreparations: [{ '@id': `${GRAPH}preparation/galangal` }]
+      }],
+      species: [{ '@id': `${GRAPH}species/zingiber-officinale` }],
+      'tcm-profiles': [{
+        '@id': `${GRAPH}profile/tcm/ginger`,
+        hasNature: { '@id': `${GRAPH}vocab/tcm/nature/warm` },
+        hasFlavor: [{ '@id': `${SYSTEM}tcm/flavor/acrid` }, { '@id': `${SYSTEM}tcm/flavor/umami` }]
+      }],
+      'tcm/natures': [{ '@id': `${SYSTEM}tcm/nature/warm` }],
+      'tcm/flavors': [{ '@id': `${SYSTEM}tcm/flavor/acrid` }],
+      formulas: [{
+        '@id': `${GRAPH}formula/ginger-tea`,
+        ingredients: [{ '@id': `${GRAPH}preparation/ginger`, role: 'monarch' }, { '@id': `${GRAPH}preparation/honey` }]
+      }]
+    }
+    const report = checkLinkIntegrity(dataset)
+
+    it('should report references to unknown entities', () => {
+      expect(report.dangling.map(link => link.target)).toEqual([
+        `${GRAPH}preparation/galangal`,
+        `${GRAPH}preparation/honey`,
+        `${SYSTEM}tcm/flavor/umami`
+      ])
+    })
+
+    it('should count checked and dangling links per property', () => {
+      expect(report.checkedLinks).toBe(8)
+      expect(report.danglingCount).toBe(3)
+      expect(report.byProperty).toEqual({
+        'preparations.relatedPreparations': 1,
+        'formulas.ingredients': 1,
+        'tcm-profiles.hasFlavor': 1
+      })
+    })
+
+    it('should resolve vocabulary items across old and new namespaces', () => {
+      expect(report.dangling.some(link => link.property === 'hasNature')).toBe(false)
+    })
+
+    it('should name the source entity and the collections it expected', () => {
+      const link = report.dangling.find(link => link.property === 'ingredients')
+      expect(link).toEqual({
+        source: `${GRAPH}formula/ginger-tea`,
+        collection: 'formulas',
+        property: 'ingredients',
+        target: `${GRAPH}preparation/honey`,
+        expected: ['preparations']
+      })
+    })
+
+    it('should not resolve references into the wrong collection', () => {
+      const misplaced = checkLinkIntegrity({
+        preparations: [{ '@id': `${GRAPH}preparation/ginger`, hasTCMProfile: [{ '@id': `${GRAPH}species/zingiber-officinale` }] }],
+        species: [{ '@id': `${GRAPH}species/zingiber-officinale` }]
+      })
+      expect(misplaced.danglingCount).toBe(1)
+    })
+  })
+
+  describe('referencesAt', () => {
+    it('should read IRIs from objects, strings and nested paths', () => {
+      const profile = { components: [{ compound: { '@id': 'a' } }, { compound: 'b' }], species: [] }
+      expect(referencesAt(profile, 'components.compound')).toEqual(['a', 'b'])
+      expect(referencesAt(profile, 'species')).toEqual([])
+    })
+  })
+
+  describe('checkSymmetry', () => {
+    const dataset = {
+      species: [{
+        '@id': `${GRAPH}species/zingiber-officinale`,
+        containsChemical: [{ '@id': `${GRAPH}chemical/6-gingerol` }]
+      }],
+      chemicals: [
+        { '@id': `${GRAPH}chemical/6-gingerol`, foundIn: [{ '@id': `${GRAPH}species/zingiber-officinale` }] },
+        { '@id': `${GRAPH}chemical/zingiberene`, foundIn: [{ '@id': `${GRAPH}species/zingiber-officinale` }, { '@id': `${GRAPH}part/ginger-root` }] }
+      ],
+      preparations: [
+        { '@id': `${GRAPH}preparation/ginger`, relatedPreparations: [{ '@id': `${GRAPH}preparation/galangal` }] },
+        { '@id': `${GRAPH}preparation/galangal` }
+      ]
+    }
+    const report = checkSymmetry(dataset)
+
+    it('should report references the target does not return', () => {
+      expect(report.asymmetric).toEqual([
+        {
+          source: `${GRAPH}chemical/zingiberene`,
+          collection: 'chemicals',
+          property: 'foundIn',
+          target: `${GRAPH}species/zingiber-officinale`,
+          inverse: 'species.containsChemical'
+        },
+        {
+          source: `${GRAPH}preparation/ginger`,
+          collection: 'preparations',
+          property: 'relatedPreparations',
+          target: `${GRAPH}preparation/galangal`,
+          inverse: 'preparations.relatedPreparations'
+        }
+      ])
+    })
+
+    it('should only check targets in the inverse collection', () => {
+      expect(report.checkedRelations).toBe(4)
+      expect(report.byProperty).toEqual({ 'chemicals.foundIn': 1, 'preparations.relatedPreparations': 1 })
+    })
+  })
+
+  describe('Inverse index', () => {
+    const species = {
+      '@id': `${GRAPH}species/zingiber-officinale`,
+      '@type': ['botany:PlantSpecies'],
+      containsChemical: [{ '@id': `${GRAPH}chemical/6-gingerol` }],
+      image: 'media/images/zingiber-officinale/main.jpg'
+    }
+    const profile = {
+      '@id': `${GRAPH}chemical-profile/ginger-rhizome`,
+      profileOf: `${GRAPH}part/zingiber-officinale-rhizome`,
+      components: [{ compound: { '@id': `${GRAPH}chemical/6-gingerol` }, amount: '1%' }]
+    }
+
+    it('should collect nested references and Herbapedia IRI strings', () => {
+      expect(referencesFrom(profile).map(ref => [ref.property, ref.target])).toEqual([
+        ['profileOf', `${GRAPH}part/zingiber-officinale-rhizome`],
+        ['components.compound', `${GRAPH}chemical/6-gingerol`]
+      ])
+      expect(referencesFrom(species).map(ref => ref.property)).toEqual(['containsChemical'])
+    })
+
+    it('should look up referring entities by IRI or slug and property', () => {
+      const index = buildInverseIndex([species, profile])
+      expect(referencesTo(index, `${GRAPH}chemical/6-gingerol`).map(ref => ref.subject)).toEqual([species['@id'], profile['@id']])
+      expect(referencesTo(index, '6-gingerol', 'containsChemical').map(ref => ref.subject)).toEqual([species['@id']])
+      expect(referencesTo(index, 'zingiberene')).toEqual([])
+    })
+  })
+})
@@ -0,0 +1,167 @@
+/**
+ * Linked Data Tests
+ *
+ * Serializes entities of the checked-in fixture dataset as JSON-LD, Turtle
+ * and N-Triples (see src/api/linkedData.ts), the way the linked-data plugin
+ * in vite.config.js does. The western profile names its own context
+ * documents (fixtures/data-herbapedia/schema/context/); the other entities
+ * are read with the generated context.
+ */
+
+import { describe, it, expect, beforeAll } from 'vitest'
+import { DATASET_SCHEMAS } from '@/api/schemaValidation'
+import {
+  buildContext,
+  contextPrefixes,
+  toTriples,
+  serializeNTriples,
+  serializeTurtle,
+  serializeLinkedData,
+  linkedDataPath,
+  contextUrl,
+  RDF_PREFIXES
+} from '@/api/linkedData'
+import { loadLinkedDataset, createContextLoader, FIXTURE_DIR } from '../../scripts/lib/dataset.js'
+
+const dataset = loadLinkedDataset(FIXTURE_DIR, DATASET_SCHEMAS)
+const contexts = createContextLoader(FIXTURE_DIR)
+const prefixes = await contextPrefixes(Object.values(dataset).flat(), contexts)
+const context = buildContext(Object.values(dataset).flat(), prefixes)
+const [preparation] = dataset.preparations
+const [tcmProfile] = dataset['tcm-profiles']
+const [westernProfile] = dataset['western-profiles']
+const species = dataset.species.find(entity => entity['@id'].endsWith('/zingiber-officinale'))
+
+const RDF_TYPE = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#type'
+const HERBAPEDIA = 'https://www.herbapedia.org/vocab/core#'
+
+describe('Linked Data', () => {
+  describe('buildContext', () => {
+    it('should declare every type prefix and the herbapedia vocabulary', () => {
+      expect(context['@vocab']).toBe(HERBAPEDIA)
+      expect(context.tcm).toBe(RDF_PREFIXES.tcm)
+      expect(context.skos).toBe('http://www.w3.org/2004/02/skos/core#')
+    })
+
+    it('should take the prefixes the data\'s context documents declare', () => {
+      // core.jsonld, through western.jsonld
+      expect(prefixes.herbapedia).toBe(HERBAPEDIA)
+      expect(prefixes.western).toBe('https://www.herbapedia.org/vocab/western#')
+      expect(prefixes.botany).toBe(RDF_PREFIXES.botany)
+    })
+
+    it('should declare LanguageMap properties as language containers', () => {
+      expect(context.name).toEqual({ '@id': 'schema:name', '@container': '@language' })
+      // Not in the schemas, found in the data
+      expect(context.dosage).toEqual({ '@id': 'herbapedia:dosage', '@container': '@language' })
+    })
+  })
+
+  describe('toTriples', () => {
+    let triples
+    beforeAll(async () => {
+      triples = await toTriples([species], context)
+    })
+    const objectsOf = predicate => triples.filter(triple => triple.predicate.value === predicate).map(triple => triple.object)
+
+    it('should expand prefixed types', () => {
+      expect(objectsOf(RDF_TYPE)).toEqual([{ termType: 'NamedNode', value: `${RDF_PREFIXES.botany}PlantSpecies` }])
+    })
+
+    it('should write LanguageMaps as language-tagged literals', () => {
+      expect(objectsOf('https://schema.org/name')).toEqual([
+        { termType: 'Literal', value: 'Ginger', language: 'en' },
+        { termType: 'Literal', value: '姜', language: 'zh-hans' },
+        { termType: 'Literal', value: '薑', language: 'zh-hant' }
+      ])
+    })
+
+    it('should write references as IRIs and other strings as literals', () => {
+      expect(objectsOf(`${HERBAPEDIA}containsChemical`)).toEqual([
+        { termType: 'NamedNode', value: 'https://www.herbapedia.org/graph/chemical/6-gingerol' }
+      ])
+      expect(objectsOf('http://rs.tdwg.org/dwc/terms/scientificName')[0].value).toBe('Zingiber officinale')
+    })
+
+    it('should read lists of LanguageMaps as one language map', async () => {
+      expect(context.warnings).toEqual({ '@id': 'herbapedia:warnings', '@container': '@language' })
+      const warnings = (await toTriples([preparation], context)).filter(triple => triple.predicate.value === `${HERBAPEDIA}warnings`)
+      expect(warnings.map(triple => triple.object.language)).toEqual(['en', 'zh-hans', 'zh-hant'])
+      const document = JSON.parse(await serializeLinkedData([preparation], 'jsonld', context))
+      expect(document.safetyInfo.warnings.en).toEqual([preparation.safetyInfo.warnings[0].en])
+    })
+
+    it('should type numbers and turn nested objects into blank nodes', async () => {
+      const nested = await toTriples([{ '@id': 'https://www.herbapedia.org/graph/x', weight: { value: 1.5, count: 3 } }], context)
+      const blank = nested.find(triple => triple.predicate.value === `${HERBAPEDIA}weight`).object
+      expect(blank.termType).toBe('BlankNode')
+      expect(nested.filter(triple => triple.subject.value === blank.value).map(triple => triple.object)).toEqual([
+        { termType: 'Literal', value: '3', datatype: 'http://www.w3.org/2001/XMLSchema#integer' },
+        { termType: 'Literal', value: '1.5E0', datatype: 'http://www.w3.org/2001/XMLSchema#double' }
+      ])
+    })
+
+    it('should expand entities with their own context documents', async () => {
+      expect(westernProfile['@context']).toBe(contextUrl('schema/context/western.jsonld'))
+      const own = await toTriples([westernProfile], context, contexts)
+      expect(own.find(triple => triple.predicate.value === RDF_TYPE).object.value).toBe('https://www.herbapedia.org/vocab/western#HerbalProfile')
+      expect(own.find(triple => triple.object.value === preparation['@id']).predicate.value).toBe('https://www.herbapedia.org/vocab/western#profiles')
+      // Not the generated context's IRI
+      expect(own.some(triple => triple.predicate.value === `${HERBAPEDIA}profiles`)).toBe(false)
+      await expect(toTriples([westernProfile], context)).rejects.toThrow(/western\.jsonld/)
+    })
+
+    it('should write the whole dataset in the namespaces of the data\'s contexts', async () => {
+      const triples = await toTriples(Object.values(dataset).flat(), context, contexts)
+      const namespaces = [...new Set(triples.map(triple => triple.predicate.value.replace(/[^#/]+$/, '')))]
+      expect(namespaces.filter(namespace => namespace.startsWith('https://www.herbapedia.org/')).sort()).toEqual([
+        HERBAPEDIA,
+        'https://www.herbapedia.org/vocab/western#'
+      ])
+    })
+  })
+
+  describe('Serialization', () => {
+    it('should write one escaped N-Triples statement per line', async () => {
+      const ntriples = serializeNTriples(await toTriples([{ '@id': 'https://www.herbapedia.org/graph/x', note: 'say "hi"\nbye' }], context))
+      expect(ntriples).toBe('<https://www.herbapedia.org/graph/x> <https://www.herbapedia.org/vocab/core#note> "say \\"hi\\"\\nbye" .\n')
+    })
+
+    it('should group Turtle by subject and declare only the prefixes used', async () => {
+      const turtle = serializeTurtle(await toTriples([tcmProfile], context))
+      expect(turtle).toContain('@prefix tcm: <https://www.herbapedia.org/vocab/tcm#> .')
+      expect(turtle).not.toContain('@prefix ayurveda:')
+      expect(turtle).toContain('<https://www.herbapedia.org/graph/profile/tcm/dried-ginger-rhizome>\n    a tcm:Herb ;')
+      expect(turtle).toContain('herbapedia:dosage "3-9 g"@en, "3-9克"@zh-hans, "3-9克"@zh-hant')
+      expect(turtle.trim().endsWith('.')).toBe(true)
+    })
+
+    it('should write the same triples in Turtle and N-Triples', async () => {
+      const countStatements = text => text.split('\n').filter(line => line.endsWith(' .') && !line.startsWith('@prefix')).length
+      const entities = [preparation, tcmProfile]
+      const triples = await toTriples(entities, context)
+      expect(countStatements(await serializeLinkedData(entities, 'nt', context))).toBe(triples.length)
+      // The preparation, its safetyInfo blank node and the profile
+      expect(countStatements(await serializeLinkedData(entities, 'ttl', context))).toBe(3)
+    })
+
+    it('should inline the context in JSON-LD documents', async () => {
+      expect(JSON.parse(await serializeLinkedData([tcmProfile], 'jsonld', context))).toEqual({ '@context': context, ...tcmProfile })
+      const graph = JSON.parse(await serializeLinkedData([preparation, tcmProfile], 'jsonld', context))
+      expect(graph['@graph'].map(entity => entity['@id'])).toEqual([preparation['@id'], tcmProfile['@id']])
+    })
+
+    it('should keep the data\'s own context in JSON-LD documents', async () => {
+      expect(JSON.parse(await serializeLinkedData([westernProfile], 'jsonld', context))).toEqual(westernProfile)
+      // Each entity of a mixed document carries the context it is read with
+      const graph = JSON.parse(await serializeLinkedData([tcmProfile, westernProfile], 'jsonld', context))
+      expect(graph['@context']).toBeUndefined()
+      expect(graph['@graph'].map(entity => entity['@context'])).toEqual([context, westernProfile['@context']])
+    })
+  })
+
+  it('should place files next to their detail page', () => {
+    expect(linkedDataPath('/preparations/dried-ginger-rhizome', 'ttl')).toBe('/preparations/dried-ginger-rhizome.ttl')
+    expect(linkedDataPath('/systems/tcm/natures/hot/', 'jsonld')).toBe('/systems/tcm/natures/hot.jsonld')
+  })
+})
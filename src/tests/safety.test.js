@@ -0,0 +1,78 @@
+/**
+ * Safety Tests
+ *
+ * Caution categories of safety notes and the unified safety summary of a
+ * preparation (see src/api/safety.ts).
+ */
+
+import { describe, it, expect } from 'vitest'
+import { classifySafetyText, contraindicationsOf, summarizeSafety } from '@/api/safety'
+
+describe('Safety', () => {
+  describe('classifySafetyText', () => {
+    it('should file notes by English words', () => {
+      expect(classifySafetyText('Avoid during pregnancy and breastfeeding')).toEqual(['pregnancy', 'lactation'])
+      expect(classifySafetyText('Not for children under 12 years')).toEqual(['children'])
+      expect(classifySafetyText('May cause allergic reactions')).toEqual(['allergens'])
+      expect(classifySafetyText('Increases bleeding risk with anticoagulants')).toEqual(['bleeding'])
+    })
+
+    it('should file notes by Chinese words in either script', () => {
+      expect(classifySafetyText({ 'zh-Hant': '孕婦慎用，兒童禁用' })).toEqual(['pregnancy', 'children'])
+      expect(classifySafetyText({ 'zh-Hans': '与抗凝血药同用可能增加出血风险' })).toEqual(['bleeding'])
+    })
+
+    it('should return no categories for other notes', () => {
+      expect(classifySafetyText({ en: 'Not for long-term use', 'zh-Hant': '不宜久服' })).toEqual([])
+    })
+  })
+
+  it('should read contraindications under either spelling', () => {
+    expect(contraindicationsOf({ contraindications: 'Fever' })).toBe('Fever')
+    expect(contraindicationsOf({ contraIndications: { en: 'Heat' } })).toEqual({ en: 'Heat' })
+    expect(contraindicationsOf(undefined)).toBeNull()
+  })
+
+  describe('summarizeSafety', () => {
+    it('should gather safetyInfo and profile notes, tagged by source', () => {
+      const summary = summarizeSafety({
+        safetyInfo: {
+          pregnancySafety: { en: 'Use with caution during pregnancy.', 'zh-Hant': '孕婦慎用。' },
+          warnings: [{ en: 'May increase bleeding risk with anticoagulants.' }],
+          allergens: ['ginger', ' ']
+        },
+        profiles: {
+          tcm: { contraindications: { en: 'Yin deficiency with heat' } },
+          // Mongolian profiles spell it contraIndications
+          mongolian: { contraIndications: { en: 'Not for nursing mothers' } },
+          modern: { contraindications: 'Children under 2 years' }
+        }
+      })
+
+      expect(summary.notes.map(note => [note.source, note.categories])).toEqual([
+        ['pregnancy', ['pregnancy']],
+        ['warnings', ['bleeding']],
+        ['tcm', []],
+        ['mongolian', ['lactation']],
+        ['modern', ['children']],
+        ['allergens', ['allergens']]
+      ])
+      expect(summary.allergens).toEqual(['ginger'])
+      expect(summary.categories.lactation.map(note => note.source)).toEqual(['mongolian'])
+    })
+
+    it('should not count a reassuring pregnancy note as a caution', () => {
+      const summary = summarizeSafety({ safetyInfo: { pregnancySafety: { en: 'Generally safe in pregnancy' } } })
+      expect(summary.notes).toEqual([{ source: 'pregnancy', text: { en: 'Generally safe in pregnancy' }, categories: [] }])
+      expect(summary.categories.pregnancy).toEqual([])
+    })
+
+    it('should skip empty notes', () => {
+      const summary = summarizeSafety({
+        safetyInfo: { generalContraindications: { en: ' ' } },
+        profiles: { unani: { contraindications: '' }, ayurveda: undefined }
+      })
+      expect(summary.notes).toEqual([])
+    })
+  })
+})
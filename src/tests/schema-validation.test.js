@@ -0,0 +1,160 @@
+/**
+ * Schema Validation Tests
+ *
+ * Every entity the site loads is checked against the graphBrowser.ts
+ * interfaces (see src/api/schemaValidation.ts). By default the checked-in
+ * fixture dataset is validated, so the suite runs without the sibling
+ * data-herbapedia repository; point HERBAPEDIA_DATA_DIR at a checkout to
+ * validate the real dataset:
+ *
+ *   HERBAPEDIA_DATA_DIR=../data-herbapedia npm test
+ */
+
+import { describe, it, expect } from 'vitest'
+import fs from 'fs'
+import path from 'path'
+import { DATASET_SCHEMAS, validateEntity, checkIRI, checkTypeName } from '@/api/schemaValidation'
+import { extractSlugFromIRI, matchIRIPattern } from '@/api/iri'
+import { loadCollection, FIXTURE_DIR } from '../../scripts/lib/dataset.js'
+
+const dataDir = process.env.HERBAPEDIA_DATA_DIR ? path.resolve(process.env.HERBAPEDIA_DATA_DIR) : FIXTURE_DIR
+
+function describeIssues(issues) {
+  return issues.map(issue => `${issue.id} [${issue.code}] ${issue.field}: ${issue.message}`).join('\n')
+}
+
+const LANGUAGES = { en: 'Ginger', 'zh-Hant': '薑', 'zh-Hans': '姜' }
+const schemaOf = name => DATASET_SCHEMAS.find(collection => collection.name === name).schema
+
+describe('Schema Validation', () => {
+  describe(`Dataset (${path.relative(process.cwd(), dataDir)})`, () => {
+    it('should find the dataset', () => {
+      expect(fs.existsSync(dataDir)).toBe(true)
+    })
+
+    for (const collection of DATASET_SCHEMAS) {
+      it(`should have valid ${collection.name}`, () => {
+        const entities = loadCollection(dataDir, collection)
+        const unreadable = entities.filter(({ entity }) => entity === null).map(({ file }) => file)
+        expect(unreadable, 'Unparseable JSON-LD files').toEqual([])
+
+        const issues = entities
+          .filter(({ entity }) => entity !== null)
+          .flatMap(({ entity, directory }) => validateEntity(entity, collection.schema, directory))
+        expect(issues, describeIssues(issues)).toEqual([])
+      })
+    }
+
+    it('should exercise every entity collection in the fixture', () => {
+      if (dataDir !== FIXTURE_DIR) return
+      const empty = DATASET_SCHEMAS
+        .filter(collection => collection.path.includes('*'))
+        .filter(collection => !['chemical-profiles', 'barcodes'].includes(collection.name) && !collection.name.endsWith('-sources'))
+        .filter(collection => loadCollection(FIXTURE_DIR, collection).length === 0)
+        .map(collection => collection.name)
+      expect(empty).toEqual([])
+    })
+  })
+
+  describe('validateEntity', () => {
+    const preparation = {
+      '@id': 'https://www.herbapedia.org/graph/preparation/ginger',
+      '@type': ['herbapedia:HerbalPreparation'],
+      name: LANGUAGES
+    }
+
+    it('should accept a complete entity', () => {
+      expect(validateEntity(preparation, schemaOf('preparations'), 'ginger')).toEqual([])
+    })
+
+    it('should report missing required fields', () => {
+      const issues = validateEntity({ '@id': preparation['@id'] }, schemaOf('preparations'))
+      expect(issues.filter(issue => issue.code === 'missing-field').map(issue => issue.field)).toEqual(['@type', 'name'])
+    })
+
+    it('should report LanguageMaps missing a site language', () => {
+      const issues = validateEntity({ ...preparation, name: { en: 'Ginger', 'zh-Hant': '' } }, schemaOf('preparations'))
+      expect(issues.map(issue => issue.message)).toEqual(['Missing zh-Hant', 'Missing zh-Hans'])
+    })
+
+    it('should check nested and array LanguageMaps', () => {
+      const issues = validateEntity(
+        { ...preparation, safetyInfo: { warnings: [LANGUAGES, { en: 'Caution' }] } },
+        schemaOf('preparations')
+      )
+      expect(issues.map(issue => issue.field)).toEqual(['safetyInfo.warnings', 'safetyInfo.warnings'])
+    })
+
+    it('should check the Mongolian contraIndications spelling', () => {
+      const profile = {
+        '@id': 'https://www.herbapedia.org/graph/profile/mongolian/ginger',
+        '@type': ['mongolian:Herb'],
+        contraIndications: { en: 'Not for heat disorders.' }
+      }
+      const issues = validateEntity(profile, schemaOf('mongolian-profiles'))
+      expect(issues.map(issue => issue.field)).toEqual(['contraIndications', 'contraIndications'])
+    })
+
+    it('should report invalid @type values', () => {
+      const issues = validateEntity({ ...preparation, '@type': 'HerbalPreparation' }, schemaOf('preparations'))
+      expect(issues.map(issue => issue.message)).toEqual(['@type must be an array', 'Not a prefixed name: HerbalPreparation'])
+    })
+
+    it('should report species that no source page lists', () => {
+      const species = {
+        '@id': 'https://www.herbapedia.org/graph/species/ginger',
+        '@type': ['schema:Thing'],
+        scientificName: 'Zingiber officinale'
+      }
+      const issues = validateEntity(species, schemaOf('species'))
+      expect(issues.map(issue => issue.code)).toEqual(['invalid-type'])
+    })
+
+    it('should report references extractSlugFromIRI does not understand', () => {
+      const issues = validateEntity(
+        { ...preparation, derivedFrom: [{ '@id': 'https://www.herbapedia.org/ginger' }, { '@id': 'ginger' }] },
+        schemaOf('preparations')
+      )
+      expect(issues.map(issue => [issue.code, issue.field])).toEqual([['invalid-iri', 'derivedFrom'], ['invalid-iri', 'derivedFrom']])
+    })
+
+    it('should report an @id that does not match its directory', () => {
+      const issues = validateEntity(preparation, schemaOf('preparations'), 'fresh-ginger')
+      expect(issues.map(issue => issue.code)).toEqual(['slug-mismatch'])
+    })
+
+    it('should match directories against the last slug segment of profile IRIs', () => {
+      const profile = { '@id': 'https://www.herbapedia.org/graph/profile/tcm/ginger', '@type': ['tcm:Herb'] }
+      expect(validateEntity(profile, schemaOf('tcm-profiles'), 'ginger')).toEqual([])
+    })
+  })
+
+  describe('IRIs and types', () => {
+    it('should accept every IRI layout extractSlugFromIRI knows', () => {
+      const iris = [
+        'https://www.herbapedia.org/graph/preparation/ginger',
+        'https://www.herbapedia.org/entity/botanical/species/zingiber-officinale',
+        'https://www.herbapedia.org/entity/preparation/ginger',
+        'https://www.herbapedia.org/system/tcm/nature/hot'
+      ]
+      expect(iris.map(checkIRI)).toEqual([null, null, null, null])
+      expect(iris.map(extractSlugFromIRI)).toEqual(['ginger', 'zingiber-officinale', 'ginger', 'hot'])
+    })
+
+    it('should accept external IRIs', () => {
+      expect(checkIRI('http://www.wikidata.org/entity/Q35625')).toBeNull()
+      expect(extractSlugFromIRI('http://www.wikidata.org/entity/Q35625')).toBe('Q35625')
+    })
+
+    it('should not match IRIs only the fallback handles', () => {
+      expect(matchIRIPattern('https://www.herbapedia.org/ginger')).toBeNull()
+      expect(extractSlugFromIRI('https://www.herbapedia.org/ginger')).toBe('ginger')
+    })
+
+    it('should accept prefixed names with known prefixes and absolute type IRIs', () => {
+      expect(checkTypeName('botany:PlantSpecies')).toBeNull()
+      expect(checkTypeName('https://schema.org/Drug')).toBeNull()
+      expect(checkTypeName('foo:Bar')).toBe('Unknown prefix: foo:Bar')
+    })
+  })
+})
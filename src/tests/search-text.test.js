@@ -0,0 +1,104 @@
+/**
+ * Search Text Tests
+ *
+ * Normalization shared by every search in the site (see
+ * src/api/searchText.ts): tone marks, pinyin forms and Traditional/
+ * Simplified hanzi folding.
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+  hanziVariantPairs,
+  buildHanziVariants,
+  stripToneMarks,
+  normalizeSearchText,
+  pinyinSyllables,
+  pinyinSearchForms,
+  createSearchMatcher
+} from '@/api/searchText'
+
+const variants = buildHanziVariants([
+  ...hanziVariantPairs({ name: { 'zh-Hant': '當歸', 'zh-Hans': '当归' } }),
+  ...hanziVariantPairs({ hanzi: '乾薑', chineseName: '干姜' })
+])
+
+describe('Search Text', () => {
+  describe('Normalization', () => {
+    it('should strip tone marks and other diacritics', () => {
+      expect(stripToneMarks('Dāngguī')).toBe('Danggui')
+      expect(stripToneMarks('lǜ')).toBe('lu')
+    })
+
+    it('should lowercase and collapse whitespace', () => {
+      expect(normalizeSearchText('  Dāng   Guī ')).toBe('dang gui')
+    })
+  })
+
+  describe('Hanzi variants', () => {
+    it('should fold Traditional and Simplified spellings onto one form', () => {
+      expect(normalizeSearchText('當歸', variants)).toBe(normalizeSearchText('当归', variants))
+      expect(normalizeSearchText('乾薑', variants)).toBe(normalizeSearchText('干姜', variants))
+    })
+
+    it('should map each group onto its lowest code point', () => {
+      expect(variants['當']).toBe('当')
+      expect(variants['当']).toBeUndefined()
+    })
+
+    it('should skip pairs that cannot be aligned', () => {
+      expect(buildHanziVariants([['當歸', '当归片']])).toEqual({})
+    })
+
+    it('should collect pairs from names, common names and TCM hanzi', () => {
+      expect(hanziVariantPairs({
+        name: { 'zh-Hant': '薑', 'zh-Hans': '姜' },
+        commonName: { 'zh-Hant': '生薑' },
+        hanzi: '乾薑',
+        chineseName: '干姜'
+      })).toEqual([['薑', '姜'], ['乾薑', '干姜']])
+    })
+  })
+
+  describe('Pinyin', () => {
+    it('should split spaced, unspaced and apostrophe-separated pinyin', () => {
+      expect(pinyinSyllables('Dāng Guī')).toEqual(['dang', 'gui'])
+      expect(pinyinSyllables('dangguī')).toEqual(['dang', 'gui'])
+      expect(pinyinSyllables("Xi'an")).toEqual(['xi', 'an'])
+      // "xian" alone is one syllable
+      expect(pinyinSyllables('xian')).toEqual(['xian'])
+    })
+
+    it('should reject words that are not pinyin', () => {
+      expect(pinyinSyllables('Glycyrrhiza')).toBeNull()
+      expect(pinyinSyllables('')).toBeNull()
+    })
+
+    it('should offer spaced, unspaced and initials forms', () => {
+      expect(pinyinSearchForms('Dāng Guī')).toEqual(['dang gui', 'danggui', 'dg'])
+      expect(pinyinSearchForms('Glycyrrhiza')).toEqual(['glycyrrhiza'])
+    })
+  })
+
+  describe('createSearchMatcher', () => {
+    const values = ['Angelica sinensis', ...pinyinSearchForms('Dāngguī'), '當歸']
+
+    it('should match pinyin with or without spaces and tones', () => {
+      for (const query of ['dang gui', 'danggui', 'dāngguī', 'dg']) {
+        expect(createSearchMatcher(query, variants)(values)).toBe(true)
+      }
+    })
+
+    it('should match the other hanzi script', () => {
+      expect(createSearchMatcher('当归', variants)(values)).toBe(true)
+    })
+
+    it('should need every query word', () => {
+      expect(createSearchMatcher('angelica sinensis', variants)(values)).toBe(true)
+      expect(createSearchMatcher('angelica gigas', variants)(values)).toBe(false)
+    })
+
+    it('should match everything for an empty query', () => {
+      expect(createSearchMatcher('  ')([])).toBe(true)
+    })
+  })
+})
@@ -0,0 +1,100 @@
+/**
+ * SPARQL Tests
+ *
+ * Loads the checked-in fixture dataset into the store behind
+ * scripts/sparql.js and runs queries, including the saved examples in
+ * src/queries/, against it.
+ */
+
+import { describe, it, expect } from 'vitest'
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { DATASET_SCHEMAS } from '@/api/schemaValidation'
+import { loadLinkedDataset, createContextLoader, FIXTURE_DIR } from '../../scripts/lib/dataset.js'
+import { createSparqlStore, runSparql, serializeSparqlResult } from '../../scripts/lib/sparql.js'
+
+const queriesDir = fileURLToPath(new URL('../queries', import.meta.url))
+
+const store = await createSparqlStore(loadLinkedDataset(FIXTURE_DIR, DATASET_SCHEMAS), createContextLoader(FIXTURE_DIR))
+const example = name => fs.readFileSync(path.join(queriesDir, `${name}.rq`), 'utf8')
+
+const PREFIXES = `
+PREFIX herbapedia: <https://www.herbapedia.org/vocab/core#>
+PREFIX schema: <https://schema.org/>
+PREFIX skos: <http://www.w3.org/2004/02/skos/core#>
+`
+
+describe('SPARQL', () => {
+  it('should answer SELECT queries with bindings in projection order', () => {
+    const result = runSparql(store, `${PREFIXES}
+      SELECT ?name ?profile WHERE {
+        ?preparation herbapedia:hasTCMProfile ?profile ; schema:name ?name .
+        FILTER (langMatches(lang(?name), "zh-Hant"))
+      } ORDER BY ?name`)
+    expect(result.form).toBe('bindings')
+    expect(result.variables).toEqual(['name', 'profile'])
+    // Language tags come back lowercased
+    expect(result.bindings).toEqual([{
+      name: { termType: 'Literal', value: '乾薑', language: 'zh-hant' },
+      profile: { termType: 'NamedNode', value: 'https://www.herbapedia.org/graph/profile/tcm/dried-ginger-rhizome' }
+    }, {
+      name: { termType: 'Literal', value: '黃芩', language: 'zh-hant' },
+      profile: { termType: 'NamedNode', value: 'https://www.herbapedia.org/graph/profile/tcm/scutellaria-root' }
+    }])
+  })
+
+  it('should answer ASK and CONSTRUCT queries', () => {
+    expect(runSparql(store, `${PREFIXES} ASK { ?compound herbapedia:foundIn ?species }`)).toEqual({ form: 'boolean', boolean: true })
+    const graph = runSparql(store, `${PREFIXES} CONSTRUCT { ?species herbapedia:hasParts ?part } WHERE { ?part herbapedia:partOf ?species }`)
+    expect(graph.form).toBe('graph')
+    expect(graph.triples).toHaveLength(2)
+    expect(runSparql(store, `${PREFIXES} CONSTRUCT { ?s ?p ?o } WHERE { ?s herbapedia:noSuchProperty ?o }`)).toEqual({ form: 'graph', triples: [] })
+  })
+
+  it('should read entities with their own context', () => {
+    // The western profile's context (fixtures/data-herbapedia/schema/context/western.jsonld)
+    const result = runSparql(store, `SELECT ?preparation WHERE {
+      ?profile a <https://www.herbapedia.org/vocab/western#HerbalProfile> ;
+        <https://www.herbapedia.org/vocab/western#profiles> ?preparation .
+    }`)
+    expect(result.bindings).toEqual([{
+      preparation: { termType: 'NamedNode', value: 'https://www.herbapedia.org/graph/preparation/dried-ginger-rhizome' }
+    }])
+  })
+
+  it('should reject updates and syntax errors', () => {
+    expect(() => runSparql(store, 'INSERT DATA { <urn:a> <urn:b> <urn:c> }')).toThrow()
+    expect(() => runSparql(store, 'SELEC ?x')).toThrow()
+  })
+
+  it('should serialize results as the SPARQL protocol does', () => {
+    const select = serializeSparqlResult(runSparql(store, `${PREFIXES} SELECT ?formula WHERE { ?c herbapedia:molecularFormula ?formula } ORDER BY ?formula`))
+    expect(select.contentType).toMatch(/^application\/sparql-results\+json/)
+    expect(JSON.parse(select.body)).toEqual({
+      head: { vars: ['formula'] },
+      results: { bindings: [{ formula: { type: 'literal', value: 'C17H26O4' } }, { formula: { type: 'literal', value: 'C21H18O11' } }] }
+    })
+    const construct = serializeSparqlResult(runSparql(store, example('species-parts')))
+    expect(construct.contentType).toMatch(/^text\/turtle/)
+    expect(construct.body).toContain('herbapedia:hasParts <https://www.herbapedia.org/graph/part/zingiber-officinale-rhizome>')
+  })
+
+  describe('Examples', () => {
+    const names = fs.readdirSync(queriesDir).filter(file => file.endsWith('.rq')).map(file => file.replace(/\.rq$/, ''))
+
+    it.each(names)('%s should start with a title comment and find results', (name) => {
+      expect(example(name)).toMatch(/^# \S/)
+      const result = runSparql(store, example(name))
+      expect(result.form === 'graph' ? result.triples : result.bindings).not.toHaveLength(0)
+    })
+
+    it('should join profiles, plants and compounds in the herb finder', () => {
+      // The fixture's scutellaria is cold, bitter and enters the Liver
+      const result = runSparql(store, example('bitter-cold-liver-flavonoids'))
+      expect(result.bindings.map(binding => [binding.name.value, binding.compoundName.value])).toEqual([
+        ['Scutellaria Root', 'Baicalin']
+      ])
+    })
+  })
+})
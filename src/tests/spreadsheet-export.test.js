@@ -0,0 +1,111 @@
+/**
+ * Spreadsheet Export Tests
+ *
+ * Writes tables as CSV and XLSX (see src/api/spreadsheetExport.ts), the
+ * way the preparations list exports its filtered results, and reads the
+ * XLSX zip back entry by entry.
+ */
+
+import { describe, it, expect } from 'vitest'
+import { toCsv, toXlsx, exportSpreadsheet, EXPORT_FORMATS } from '@/api/spreadsheetExport'
+
+const columns = [
+  { key: 'name', label: 'Name' },
+  { key: 'pinyin', label: 'Pinyin' },
+  { key: 'flavor', label: 'Flavor' },
+  { key: 'count', label: 'Count' }
+]
+
+const rows = [
+  { name: 'Dried Ginger Rhizome', pinyin: 'Gān Jiāng', flavor: 'Acrid', count: 1 },
+  { name: '乾薑', pinyin: null, flavor: 'Acrid; Bitter', count: 2 },
+  { name: 'Say "hi", <then> & bye\nagain', pinyin: undefined, flavor: '', count: null }
+]
+
+// Entries of a zip of stored (uncompressed) files, from its central directory
+function readZip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  const decoder = new TextDecoder()
+  const end = bytes.length - 22
+  expect(view.getUint32(end, true)).toBe(0x06054B50)
+  const count = view.getUint16(end + 10, true)
+  const entries = new Map()
+  let offset = view.getUint32(end + 16, true)
+  for (let i = 0; i < count; i++) {
+    expect(view.getUint32(offset, true)).toBe(0x02014B50)
+    expect(view.getUint16(offset + 10, true)).toBe(0) // stored
+    const size = view.getUint32(offset + 20, true)
+    const nameLength = view.getUint16(offset + 28, true)
+    const local = view.getUint32(offset + 42, true)
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength))
+    expect(view.getUint32(local, true)).toBe(0x04034B50)
+    const dataStart = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true)
+    entries.set(name, decoder.decode(bytes.subarray(dataStart, dataStart + size)))
+    offset += 46 + nameLength
+  }
+  return entries
+}
+
+describe('Spreadsheet Export', () => {
+  describe('toCsv', () => {
+    const csv = toCsv(columns, rows)
+
+    it('should start with a byte order mark and end every line with CRLF', () => {
+      expect(csv.startsWith('\uFEFFName,Pinyin,Flavor,Count\r\n')).toBe(true)
+      expect(csv.endsWith('\r\n')).toBe(true)
+    })
+
+    it('should quote fields with separators, quotes and line breaks', () => {
+      expect(csv).toContain('\r\nDried Ginger Rhizome,Gān Jiāng,Acrid,1\r\n')
+      expect(csv).toContain('\r\n乾薑,,Acrid; Bitter,2\r\n')
+      expect(csv).toContain('\r\n"Say ""hi"", <then> & bye\nagain",,,\r\n')
+    })
+
+    it('should keep text that starts like a formula from being run', () => {
+      const formulas = toCsv(columns, [
+        { name: '=HYPERLINK("http://example.com")', pinyin: '+1', flavor: '-Acrid', count: -2 },
+        { name: '@SUM(A1)', pinyin: 'a=b', flavor: null, count: 0 }
+      ])
+      expect(formulas).toContain('\r\n"\'=HYPERLINK(""http://example.com"")",\'+1,\'-Acrid,-2\r\n')
+      expect(formulas).toContain('\r\n\'@SUM(A1),a=b,,0\r\n')
+    })
+  })
+
+  describe('toXlsx', () => {
+    const entries = readZip(toXlsx(columns, rows, 'Preparations: TCM/Western'))
+
+    it('should package a workbook with one sheet', () => {
+      expect([...entries.keys()]).toEqual([
+        '[Content_Types].xml',
+        '_rels/.rels',
+        'xl/workbook.xml',
+        'xl/_rels/workbook.xml.rels',
+        'xl/styles.xml',
+        'xl/worksheets/sheet1.xml'
+      ])
+      // Characters Excel rejects in sheet names are replaced
+      expect(entries.get('xl/workbook.xml')).toContain('<sheet name="Preparations  TCM Western" sheetId="1" r:id="rId1"/>')
+    })
+
+    it('should write a bold header row and inline string and number cells', () => {
+      const sheet = entries.get('xl/worksheets/sheet1.xml')
+      expect(sheet).toContain('<row r="1"><c r="A1" s="1" t="inlineStr"><is><t xml:space="preserve">Name</t></is></c>')
+      expect(sheet).toContain('<c r="B2" t="inlineStr"><is><t xml:space="preserve">Gān Jiāng</t></is></c><c r="C2" t="inlineStr"><is><t xml:space="preserve">Acrid</t></is></c><c r="D2"><v>1</v></c></row>')
+      // Empty cells are left out
+      expect(sheet).toContain('<row r="3"><c r="A3" t="inlineStr"><is><t xml:space="preserve">乾薑</t></is></c><c r="C3"')
+      expect(sheet).toContain('<t xml:space="preserve">Say &quot;hi&quot;, &lt;then&gt; &amp; bye\nagain</t></is></c></row>')
+    })
+
+    it('should give the same bytes for the same table', () => {
+      expect(toXlsx(columns, rows)).toEqual(toXlsx(columns, rows))
+    })
+  })
+
+  it('should export in every format and reject unknown ones', () => {
+    for (const format of EXPORT_FORMATS) {
+      expect(exportSpreadsheet(columns, rows, format.extension).format).toBe(format)
+    }
+    expect(exportSpreadsheet(columns, rows, 'csv').data).toBe(toCsv(columns, rows))
+    expect(() => exportSpreadsheet(columns, rows, 'ods')).toThrow('Unknown export format: ods')
+  })
+})
@@ -0,0 +1,68 @@
+/**
+ * Static API Tests
+ *
+ * Builds the read-only JSON API (see src/api/staticApi.ts) from the
+ * checked-in fixture dataset, the way the static-api plugin in
+ * vite.config.js does.
+ */
+
+import { describe, it, expect } from 'vitest'
+import { buildStaticApi, buildOpenApi, API_BASE } from '@/api/staticApi'
+import { loadFixtureDataset } from '../../scripts/lib/dataset.js'
+
+const dataset = loadFixtureDataset()
+const files = buildStaticApi(dataset)
+
+describe('Static API', () => {
+  it('should list every resource from the root endpoint', () => {
+    const root = files.get(`${API_BASE}/index.json`)
+    expect(root.version).toBe('v1')
+    expect(root.resources.map(resource => resource.name)).toEqual(['preparations', 'plants', 'compounds', 'formulas'])
+    expect(root.resources.find(resource => resource.name === 'compounds').totalItems).toBe(2)
+  })
+
+  it('should list entities with site and API links', () => {
+    const page = files.get(`${API_BASE}/plants/index.json`)
+    expect(page).toEqual(files.get(`${API_BASE}/plants/page/1.json`))
+    expect(page.items.map(item => item.slug)).toEqual(['scutellaria-baicalensis', 'zingiber-officinale'])
+    expect(page.items[1]).toMatchObject({
+      slug: 'zingiber-officinale',
+      url: 'https://www.herbapedia.org/sources/botanical/zingiber-officinale',
+      href: `${API_BASE}/plants/zingiber-officinale.json`
+    })
+  })
+
+  it('should paginate listings', () => {
+    const species = dataset.species[0]
+    const many = { ...dataset, species: ['a', 'b', 'c'].map(slug => ({ ...species, '@id': `${species['@id']}-${slug}` })) }
+    const paged = buildStaticApi(many, { pageSize: 2 })
+    const first = paged.get(`${API_BASE}/plants/page/1.json`)
+    const second = paged.get(`${API_BASE}/plants/page/2.json`)
+    expect(first).toMatchObject({ page: 1, pageSize: 2, totalItems: 3, totalPages: 2, prev: null, next: `${API_BASE}/plants/page/2.json` })
+    expect(second).toMatchObject({ page: 2, prev: `${API_BASE}/plants/page/1.json`, next: null })
+    expect(second.items).toHaveLength(1)
+    expect(paged.has(`${API_BASE}/plants/page/3.json`)).toBe(false)
+  })
+
+  it('should resolve system profiles on preparation details', () => {
+    const detail = files.get(`${API_BASE}/preparations/dried-ginger-rhizome.json`)
+    expect(Object.keys(detail.profiles).sort()).toEqual(['ayurveda', 'mongolian', 'tcm', 'unani', 'western'])
+    expect(detail.profiles.tcm['@id']).toBe(dataset['tcm-profiles'][0]['@id'])
+    expect(detail.url).toBe('https://www.herbapedia.org/preparations/dried-ginger-rhizome')
+  })
+
+  it('should emit vocabularies per system', () => {
+    const natures = files.get(`${API_BASE}/vocabularies/tcm/natures.json`)
+    expect(natures.items).toEqual(dataset['tcm/natures'])
+    const index = files.get(`${API_BASE}/vocabularies/index.json`)
+    expect(index.vocabularies).toContainEqual({ system: 'tcm', type: 'natures', count: natures.items.length, href: `${API_BASE}/vocabularies/tcm/natures.json` })
+  })
+
+  it('should describe every emitted endpoint in the OpenAPI document', () => {
+    const openapi = buildOpenApi()
+    const patterns = Object.keys(openapi.paths)
+      .map(route => new RegExp(`^${route.replace(/\./g, '\\.').replace(/\{\w+\}/g, '[^/]+')}$`))
+    const undocumented = [...files.keys()].filter(url => !patterns.some(pattern => pattern.test(url)))
+    expect(undocumented).toEqual([])
+  })
+})
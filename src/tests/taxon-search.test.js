@@ -0,0 +1,81 @@
+/**
+ * Taxon Search Tests
+ *
+ * Typo-tolerant matching of Latin scientific names, synonyms and genus
+ * queries (see src/api/taxonSearch.ts).
+ */
+
+import { describe, it, expect } from 'vitest'
+import { canonicalName, nameWords, editDistance, matchTaxon, searchTaxa } from '@/api/taxonSearch'
+
+const uralensis = { scientificName: 'Glycyrrhiza uralensis Fisch. ex DC.', family: 'Fabaceae', commonName: { en: 'Chinese Licorice' } }
+const glabra = { scientificName: 'Glycyrrhiza glabra L.', family: 'Fabaceae', commonName: { en: 'Licorice' } }
+const multiflora = { scientificName: 'Reynoutria multiflora (Thunb.) Moldenke', basionym: 'Polygonum multiflorum Thunb.' }
+const chachiensis = { scientificName: 'Citrus reticulata var. chachiensis Hort.' }
+const taxa = [uralensis, glabra, multiflora, chachiensis]
+
+describe('Taxon Search', () => {
+  describe('Names', () => {
+    it('should strip authorship and keep infraspecific ranks', () => {
+      expect(canonicalName('Glycyrrhiza uralensis Fisch. ex DC.')).toBe('Glycyrrhiza uralensis')
+      expect(canonicalName('Citrus reticulata var. chachiensis Hort.')).toBe('Citrus reticulata var. chachiensis')
+      expect(nameWords('Citrus reticulata var. chachiensis Hort.')).toEqual(['citrus', 'reticulata', 'chachiensis'])
+    })
+
+    it('should measure edit distance and give up past the maximum', () => {
+      expect(editDistance('uralensys', 'uralensis')).toBe(1)
+      expect(editDistance('glycyrhiza', 'glycyrrhiza')).toBe(1)
+      expect(editDistance('abcdef', 'uvwxyz', 2)).toBe(3)
+    })
+  })
+
+  describe('matchTaxon', () => {
+    it('should match substrings of the accepted name, synonyms and common names', () => {
+      expect(matchTaxon('uralensis', uralensis)).toMatchObject({ kind: 'name', distance: 0 })
+      expect(matchTaxon('polygonum multi', multiflora)).toMatchObject({ kind: 'synonym', matchedName: 'Polygonum multiflorum Thunb.' })
+      expect(matchTaxon('chinese licorice', uralensis)).toMatchObject({ kind: 'common' })
+    })
+
+    it('should match a misspelt genus on its own', () => {
+      expect(matchTaxon('glycyrhiza', glabra)).toMatchObject({ kind: 'genus', distance: 1 })
+    })
+
+    it('should tolerate typos in every word', () => {
+      expect(matchTaxon('glycyrhiza uralensys', uralensis)).toMatchObject({ kind: 'fuzzy', distance: 2 })
+    })
+
+    it('should match a typo in the epithet alone', () => {
+      expect(matchTaxon('uralensys', uralensis)).toMatchObject({ kind: 'fuzzy', distance: 1 })
+      expect(matchTaxon('uralensys', glabra)).toBeNull()
+      expect(matchTaxon('chachiensys', chachiensis)).toMatchObject({ kind: 'fuzzy', distance: 1 })
+    })
+
+    it('should match name parts in any order, each once', () => {
+      expect(matchTaxon('uralensys glycyrhiza', uralensis)).toMatchObject({ kind: 'fuzzy', distance: 2 })
+      expect(matchTaxon('uralensis uralensis', uralensis)).toBeNull()
+    })
+
+    it('should not tolerate typos in short words', () => {
+      expect(matchTaxon('glycyrrhiza urx', uralensis)).toBeNull()
+    })
+  })
+
+  describe('searchTaxa', () => {
+    it('should list every species of a genus', () => {
+      const { matches, suggestions } = searchTaxa('Glycyrrhiza', taxa)
+      expect(matches.map(match => match.item)).toEqual([glabra, uralensis])
+      expect(suggestions).toEqual([])
+    })
+
+    it('should suggest the accepted name for typo-only matches', () => {
+      expect(searchTaxa('uralensys', taxa).suggestions).toEqual(['Glycyrrhiza uralensis'])
+      expect(searchTaxa('glycyrhiza', taxa).suggestions).toEqual(['Glycyrrhiza'])
+    })
+
+    it('should rank exact matches before fuzzy ones', () => {
+      const { matches } = searchTaxa('licorice', taxa)
+      expect(matches.map(match => match.kind)).toEqual(['common', 'common'])
+      expect(searchTaxa('nothing like it', taxa).matches).toEqual([])
+    })
+  })
+})
@@ -4,6 +4,14 @@ import yaml from '@modyfi/vite-plugin-yaml'
 import { resolve } from 'path'
 import fs from 'fs'
 import path from 'path'
+import { ENTITY_COLLECTIONS, PROFILE_COLLECTIONS, REFERENCE_COLLECTIONS, SYSTEM_SLUGS, SITE_URL, GRAPH_ONLY_COLLECTIONS, ENTITY_FILE_PATHS } from './src/api/catalog'
+import { buildSearchIndex } from './src/api/searchIndex'
+import { buildGraphManifest, buildGraphLinks } from './src/api/graphManifest'
+import { buildStaticApi, API_BASE } from './src/api/staticApi'
+import { buildContext, contextPrefixes, serializeLinkedData, linkedDataPath, LINKED_DATA_FORMATS, DUMP_BASE, CONTEXT_BASE } from './src/api/linkedData'
+import { DATASET_SCHEMAS } from './src/api/schemaValidation'
+import { loadCollection, loadDataset, loadLinkedDataset, withDataContext, createContextLoader } from './scripts/lib/dataset.js'
+import { DEFAULT_LOCALE, splitLocalePath, localizePath } from './src/i18n/locales'
 
 // Find data-herbapedia directory - try both locations
 function getDataDir() {
@@ -12,6 +20,538 @@ function getDataDir() {
   return fs.existsSync(localDataDir) ? localDataDir : ciDataDir
 }
 
+function readJson(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'))
+  } catch {
+    return null
+  }
+}
+
+// Last modification date of a data file (YYYY-MM-DD), for sitemap lastmod
+function fileDate(filePath) {
+  try {
+    return fs.statSync(filePath).mtime.toISOString().slice(0, 10)
+  } catch {
+    return null
+  }
+}
+
+// Views link to detail pages by the last IRI segment, so routes must too
+function lastSegment(iri) {
+  return iri.split('/').pop() || ''
+}
+
+// Read every <dir>/<entry>/<file> JSON-LD document of a catalogue collection
+function readCollection(dataDir, { dir, file }) {
+  const collectionDir = path.join(dataDir, dir)
+  if (!fs.existsSync(collectionDir)) return []
+
+  return fs.readdirSync(collectionDir, { withFileTypes: true })
+    .filter(dirent => dirent.isDirectory())
+    .map(dirent => {
+      const filePath = path.join(collectionDir, dirent.name, file)
+      return { filePath, entity: readJson(filePath) }
+    })
+    .filter(({ entity }) => entity?.['@id'])
+}
+
+// Dev server: the value build() returns, built on first use and rebuilt
+// only after a file in the data directory changes
+function cacheUntilDataChanges(server, dataDir, build) {
+  const roots = [dataDir, fs.existsSync(dataDir) ? fs.realpathSync(dataDir) : dataDir]
+  let cached = null
+  server.watcher.add(dataDir)
+  server.watcher.on('all', (event, file) => {
+    if (roots.some(root => path.resolve(file).startsWith(`${root}${path.sep}`))) cached = null
+  })
+  return () => (cached ??= build())
+}
+
+// Collect parameter values for every parameterized route from the entity
+// catalogue, keyed by route pattern without locale prefix. Each entry also
+// carries the lastmod date of the data file it came from.
+function collectRouteParams(dataDir) {
+  // Seed every known pattern so an empty collection is not reported as missing
+  const result = new Map([
+    ...ENTITY_COLLECTIONS.flatMap(collection => collection.routes),
+    '/systems/:system',
+    '/systems/:system/:refType',
+    '/systems/:system/:refType/:slug'
+  ].map(pattern => [pattern, []]))
+  const add = (pattern, params) => result.get(pattern).push(params)
+
+  for (const collection of ENTITY_COLLECTIONS) {
+    for (const { filePath, entity } of readCollection(dataDir, collection)) {
+      const lastmod = fileDate(filePath)
+      const patterns = collection.routesFor ? collection.routesFor(entity) : collection.routes
+      for (const pattern of patterns) {
+        add(pattern, { slug: lastSegment(entity['@id']), lastmod })
+      }
+    }
+  }
+
+  for (const system of SYSTEM_SLUGS) {
+    add('/systems/:system', { system })
+  }
+
+  for (const { system, refType, file, container } of REFERENCE_COLLECTIONS) {
+    const lastmod = fileDate(path.join(dataDir, file))
+    add('/systems/:system/:refType', { system, refType, lastmod })
+
+    const items = readJson(path.join(dataDir, file))?.[container] || []
+    for (const item of items) {
+      if (item['@id']) {
+        add('/systems/:system/:refType/:slug', { system, refType, slug: lastSegment(item['@id']), lastmod })
+      }
+    }
+  }
+
+  return result
+}
+
+// Substitute params into a route pattern, e.g. '/formulas/:slug' -> '/formulas/xyz'
+function fillRoutePattern(pattern, params) {
+  return pattern.replace(/:(\w+)/g, (match, name) => params[name] ?? match)
+}
+
+// ============================================================================
+// Search Index
+// ============================================================================
+
+const SEARCH_INDEX_FILE = 'search-index.json'
+
+// Gather the raw documents buildSearchIndex() needs from the data directory
+function loadSearchData(dataDir) {
+  const entities = ENTITY_COLLECTIONS.flatMap(collection =>
+    readCollection(dataDir, collection).flatMap(({ entity }) =>
+      (collection.routesFor ? collection.routesFor(entity) : collection.routes)
+        .map(pattern => ({ pattern, entity }))
+    )
+  )
+
+  const profiles = Object.fromEntries(PROFILE_COLLECTIONS.map(collection => [
+    collection.system,
+    new Map(readCollection(dataDir, collection).map(({ entity }) => [lastSegment(entity['@id']), entity]))
+  ]))
+
+  const references = REFERENCE_COLLECTIONS.flatMap(({ system, refType, file, container }) =>
+    (readJson(path.join(dataDir, file))?.[container] || []).map(item => ({ system, refType, item }))
+  )
+
+  return { entities, profiles, references }
+}
+
+// Emit the prebuilt search index as a static asset (served on the fly in dev)
+function searchIndexPlugin() {
+  const dataDir = getDataDir()
+  const buildIndex = () => JSON.stringify(buildSearchIndex(loadSearchData(dataDir)))
+  let isSsrBuild = false
+
+  return {
+    name: 'search-index',
+
+    configResolved(config) {
+      isSsrBuild = !!config.build.ssr
+    },
+
+    configureServer(server) {
+      const index = cacheUntilDataChanges(server, dataDir, buildIndex)
+      server.middlewares.use((req, res, next) => {
+        if (req.url === `/${SEARCH_INDEX_FILE}`) {
+          res.setHeader('Content-Type', 'application/json')
+          return res.end(index())
+        }
+        next()
+      })
+    },
+
+    generateBundle() {
+      if (isSsrBuild) return
+      this.emitFile({ type: 'asset', fileName: SEARCH_INDEX_FILE, source: buildIndex() })
+    }
+  }
+}
+
+// ============================================================================
+// Graph Manifest
+// ============================================================================
+
+const GRAPH_MANIFEST_ID = 'virtual:herbapedia-manifest'
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+// Collection and slug of a per-entity data file (ENTITY_FILE_PATHS), given
+// by its path in the data; null for other files
+function entityFileOf(file) {
+  for (const [name, pattern] of Object.entries(ENTITY_FILE_PATHS)) {
+    const [before, after] = pattern.split('*')
+    const match = file.match(new RegExp(`^${escapeRegExp(before)}([^/]+)${escapeRegExp(after)}$`))
+    if (match) return [name, match[1]]
+  }
+  return null
+}
+
+// Serve the manifest of the lazily loaded graph (see src/api/graphManifest.ts)
+// as a virtual module, and add to every per-entity file the links it takes
+// part in (`export const links`), built from the per-entity collections of
+// the data
+function graphManifestPlugin() {
+  const dataDir = getDataDir()
+  // Modules see data files by their real path, past the data-herbapedia symlink
+  const roots = [dataDir, fs.existsSync(dataDir) ? fs.realpathSync(dataDir) : dataDir]
+  const resolvedId = `\0${GRAPH_MANIFEST_ID}`
+
+  const buildGraph = () => {
+    const dataset = Object.fromEntries(DATASET_SCHEMAS
+      .filter(collection => collection.path.includes('*'))
+      .map(collection => [
+        collection.name,
+        loadCollection(dataDir, collection).map(({ directory, entity }) => ({ slug: directory, entity }))
+      ]))
+    const links = buildGraphLinks(dataset)
+    return { manifest: buildGraphManifest(dataset, links), links }
+  }
+  let built = null
+  let graphData = () => (built ??= buildGraph())
+
+  return {
+    name: 'graph-manifest',
+
+    configureServer(server) {
+      graphData = cacheUntilDataChanges(server, dataDir, buildGraph)
+    },
+
+    resolveId(id) {
+      return id === GRAPH_MANIFEST_ID ? resolvedId : null
+    },
+
+    load(id) {
+      if (id !== resolvedId) return null
+      return `export default ${JSON.stringify(graphData().manifest)}`
+    },
+
+    transform(code, id) {
+      const root = roots.find(dir => id.startsWith(`${dir}/`))
+      const entityFile = root && entityFileOf(id.slice(root.length + 1))
+      if (!entityFile) return null
+      const links = graphData().links.get(entityFile.join('/')) || []
+      return { code: `${code}\nexport const links = ${JSON.stringify(links)}`, map: null }
+    }
+  }
+}
+
+// ============================================================================
+// Data Chunks
+// ============================================================================
+
+// Chunk of a data file the GraphBrowserAdapter loads: one per collection,
+// one for all vocabularies and one for image metadata. Files of
+// GRAPH_ONLY_COLLECTIONS (and everything outside the data) are left to
+// Rollup, which gives each its own chunk.
+function dataChunkName(dataDir, id) {
+  if (!id.startsWith(`${dataDir}/`)) return undefined
+  const file = id.slice(dataDir.length + 1)
+
+  const [collection] = entityFileOf(file) || []
+  if (collection) return GRAPH_ONLY_COLLECTIONS.includes(collection) ? undefined : `data-${collection}`
+
+  if (/^media\/images\/[^/]+\/main\.json$/.test(file)) return 'data-images'
+  if (/^(systems|schema)\/.*\.jsonld$/.test(file)) return 'data-vocabularies'
+  return undefined
+}
+
+// Group the client build's data files with dataChunkName(), so loading the
+// adapter takes a few requests rather than one per entity
+function dataChunksPlugin() {
+  // Rollup sees data files by their real path, past the data-herbapedia symlink
+  const dataDir = fs.existsSync(getDataDir()) ? fs.realpathSync(getDataDir()) : getDataDir()
+  let isSsrBuild = false
+
+  return {
+    name: 'data-chunks',
+    apply: 'build',
+
+    configResolved(config) {
+      isSsrBuild = !!config.build.ssr
+    },
+
+    outputOptions(options) {
+      if (isSsrBuild) return null
+      return { ...options, manualChunks: id => dataChunkName(dataDir, id) }
+    }
+  }
+}
+
+// ============================================================================
+// Static API
+// ============================================================================
+
+// Emit the read-only JSON API under /api/v1/ (see src/api/staticApi.ts) as
+// static assets (served from memory in dev, rebuilt when the data changes)
+function staticApiPlugin() {
+  const dataDir = getDataDir()
+  const buildApi = () => buildStaticApi(loadDataset(dataDir, DATASET_SCHEMAS))
+  let isSsrBuild = false
+
+  return {
+    name: 'static-api',
+
+    configResolved(config) {
+      isSsrBuild = !!config.build.ssr
+    },
+
+    configureServer(server) {
+      const api = cacheUntilDataChanges(server, dataDir, buildApi)
+      server.middlewares.use((req, res, next) => {
+        const url = req.url?.split('?')[0]
+        if (!url?.startsWith(`${API_BASE}/`)) return next()
+        const file = api().get(url)
+        if (file === undefined) return next()
+        res.setHeader('Content-Type', 'application/json')
+        res.end(JSON.stringify(file))
+      })
+    },
+
+    generateBundle() {
+      if (isSsrBuild) return
+      for (const [url, file] of buildApi()) {
+        this.emitFile({ type: 'asset', fileName: url.slice(1), source: JSON.stringify(file) })
+      }
+    }
+  }
+}
+
+// ============================================================================
+// Linked Data
+// ============================================================================
+
+// The entities of every detail page (a preparation with its system
+// profiles), keyed by the page's locale-independent path, each with its
+// @context resolved (see withDataContext)
+function loadLinkedDataPages(dataDir) {
+  const pages = new Map()
+  const readEntities = collection => readCollection(dataDir, collection)
+    .map(({ filePath, entity }) => withDataContext(dataDir, filePath, entity))
+
+  const profiles = PROFILE_COLLECTIONS.map(collection => ({
+    linkProperty: collection.linkProperty,
+    bySlug: new Map(readEntities(collection).map(entity => [lastSegment(entity['@id']), entity]))
+  }))
+  const profilesOf = entity => profiles.flatMap(({ linkProperty, bySlug }) =>
+    [entity[linkProperty]].flat()
+      .map(ref => ref?.['@id'] && bySlug.get(lastSegment(ref['@id'])))
+      .filter(Boolean)
+  )
+
+  for (const collection of ENTITY_COLLECTIONS) {
+    for (const entity of readEntities(collection)) {
+      const entities = [entity, ...profilesOf(entity)]
+      for (const pattern of collection.routesFor ? collection.routesFor(entity) : collection.routes) {
+        pages.set(fillRoutePattern(pattern, { slug: lastSegment(entity['@id']) }), entities)
+      }
+    }
+  }
+
+  for (const { system, refType, file, container } of REFERENCE_COLLECTIONS) {
+    const filePath = path.join(dataDir, file)
+    const document = readJson(filePath)
+    for (const item of document?.[container] || []) {
+      if (item['@id']) {
+        pages.set(
+          fillRoutePattern('/systems/:system/:refType/:slug', { system, refType, slug: lastSegment(item['@id']) }),
+          [withDataContext(dataDir, filePath, item, item['@context'] ?? document['@context'])]
+        )
+      }
+    }
+  }
+
+  return pages
+}
+
+// Every linked data file: one per detail page and format, plus the full
+// dataset dumps. Entities are read with their own @context; those without
+// one share the context generated from the whole dataset, in the namespaces
+// of the data's context documents. `contexts` is the loader of those
+// documents, which are published as well.
+function buildLinkedDataFiles(dataDir) {
+  const dataset = Object.values(loadLinkedDataset(dataDir, DATASET_SCHEMAS)).flat()
+  const contexts = createContextLoader(dataDir)
+  const context = contextPrefixes(dataset, contexts).then(prefixes => buildContext(dataset, prefixes))
+  const pages = loadLinkedDataPages(dataDir)
+  const files = new Map()
+
+  for (const { extension } of LINKED_DATA_FORMATS) {
+    files.set(`${DUMP_BASE}.${extension}`, async () => serializeLinkedData(dataset, extension, await context, contexts))
+    for (const [pagePath, entities] of pages) {
+      files.set(linkedDataPath(pagePath, extension), async () => serializeLinkedData(entities, extension, await context, contexts))
+    }
+  }
+  return { files, contexts }
+}
+
+// Emit JSON-LD, Turtle and N-Triples next to every detail page (see
+// src/api/linkedData.ts) as static assets (served from memory in dev,
+// rebuilt when the data changes)
+function linkedDataPlugin() {
+  const dataDir = getDataDir()
+  const mediaTypes = Object.fromEntries(LINKED_DATA_FORMATS.map(format => [format.extension, format.mediaType]))
+  let isSsrBuild = false
+
+  return {
+    name: 'linked-data',
+
+    configResolved(config) {
+      isSsrBuild = !!config.build.ssr
+    },
+
+    configureServer(server) {
+      // Files are serialized on first request and kept until the data changes
+      const linkedData = cacheUntilDataChanges(server, dataDir, () => ({
+        ...buildLinkedDataFiles(dataDir),
+        serialized: new Map()
+      }))
+      server.middlewares.use(async (req, res, next) => {
+        const url = decodeURIComponent(req.url?.split('?')[0] || '')
+        const extension = url.split('.').pop()
+        if (!mediaTypes[extension]) return next()
+        const { files, contexts, serialized } = linkedData()
+        try {
+          if (url.startsWith(`${CONTEXT_BASE}/`)) {
+            const context = await contexts(`${SITE_URL}${url}`).catch(() => null)
+            if (!context) return next()
+            res.setHeader('Content-Type', `${mediaTypes.jsonld}; charset=utf-8`)
+            return res.end(JSON.stringify(context.document, null, 2))
+          }
+          const serialize = files.get(url)
+          if (!serialize) return next()
+          if (!serialized.has(url)) serialized.set(url, serialize())
+          const body = await serialized.get(url)
+          res.setHeader('Content-Type', `${mediaTypes[extension]}; charset=utf-8`)
+          res.end(body)
+        } catch (error) {
+          next(error)
+        }
+      })
+    },
+
+    async generateBundle() {
+      if (isSsrBuild) return
+      const { files, contexts } = buildLinkedDataFiles(dataDir)
+      for (const [url, serialize] of files) {
+        this.emitFile({ type: 'asset', fileName: url.slice(1), source: await serialize() })
+      }
+      // Every context document the files above were expanded with
+      for (const [url, document] of contexts.documents) {
+        this.emitFile({ type: 'asset', fileName: url.slice(1), source: JSON.stringify(document, null, 2) })
+      }
+    }
+  }
+}
+
+// ============================================================================
+// Sitemap
+// ============================================================================
+
+// Sitemap protocol limit per file; larger sites get a sitemap index
+const SITEMAP_MAX_URLS = 50000
+
+function escapeXml(value) {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+function siteUrl(routePath) {
+  return escapeXml(encodeURI(`${SITE_URL}${routePath}`))
+}
+
+// One <url> per rendered page, each listing every translation of the page
+// (itself included) plus x-default, as the hreflang sitemap format requires
+function sitemapEntries(routes) {
+  const pages = new Map()
+  for (const [routePath, lastmod] of routes) {
+    const { locale, path: basePath } = splitLocalePath(routePath)
+    if (!pages.has(basePath)) pages.set(basePath, { locales: [], lastmod })
+    pages.get(basePath).locales.push(locale)
+  }
+
+  const entries = []
+  for (const [basePath, { locales, lastmod }] of pages) {
+    const alternates = locales
+      .map(locale => `<xhtml:link rel="alternate" hreflang="${locale}" href="${siteUrl(localizePath(basePath, locale))}"/>`)
+    if (locales.includes(DEFAULT_LOCALE)) {
+      alternates.push(`<xhtml:link rel="alternate" hreflang="x-default" href="${siteUrl(basePath)}"/>`)
+    }
+
+    for (const locale of locales) {
+      entries.push({
+        lastmod,
+        xml: [
+          '<url>',
+          `<loc>${siteUrl(localizePath(basePath, locale))}</loc>`,
+          lastmod ? `<lastmod>${lastmod}</lastmod>` : '',
+          ...alternates,
+          '</url>'
+        ].join('')
+      })
+    }
+  }
+  return entries
+}
+
+function urlsetXml(entries) {
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">',
+    ...entries.map(entry => entry.xml),
+    '</urlset>',
+    ''
+  ].join('\n')
+}
+
+// Newest lastmod among entries (ISO dates compare as strings)
+function latestDate(entries) {
+  return entries.reduce((latest, { lastmod }) => (lastmod && lastmod > latest ? lastmod : latest), '') || null
+}
+
+// Write sitemap.xml for the rendered routes (Map of path -> lastmod), split
+// into sitemap-N.xml files behind a sitemap index when over the URL limit
+function writeSitemap(outDir, routes) {
+  const entries = sitemapEntries(routes)
+
+  if (entries.length <= SITEMAP_MAX_URLS) {
+    fs.writeFileSync(path.join(outDir, 'sitemap.xml'), urlsetXml(entries))
+    console.log(`✓ Wrote sitemap.xml (${entries.length} URLs)`)
+    return
+  }
+
+  const sitemaps = []
+  for (let i = 0; i < entries.length; i += SITEMAP_MAX_URLS) {
+    const chunk = entries.slice(i, i + SITEMAP_MAX_URLS)
+    const fileName = `sitemap-${sitemaps.length + 1}.xml`
+    fs.writeFileSync(path.join(outDir, fileName), urlsetXml(chunk))
+    sitemaps.push({ fileName, lastmod: latestDate(chunk) })
+  }
+
+  fs.writeFileSync(path.join(outDir, 'sitemap.xml'), [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...sitemaps.map(({ fileName, lastmod }) =>
+      `<sitemap><loc>${siteUrl(`/${fileName}`)}</loc>${lastmod ? `<lastmod>${lastmod}</lastmod>` : ''}</sitemap>`
+    ),
+    '</sitemapindex>',
+    ''
+  ].join('\n'))
+  console.log(`✓ Wrote sitemap index with ${sitemaps.length} sitemaps (${entries.length} URLs)`)
+}
+
+// Routes chosen by includedRoutes (path -> lastmod), written out as the
+// sitemap once rendering has finished
+const renderedRoutes = new Map()
+
 // Plugin to serve media files from data-herbapedia in dev mode
 // and copy them in build mode
 function mediaPlugin() {
@@ -97,7 +637,12 @@ export default defineConfig({
         return null
       }
     },
-    mediaPlugin()
+    mediaPlugin(),
+    searchIndexPlugin(),
+    graphManifestPlugin(),
+    dataChunksPlugin(),
+    staticApiPlugin(),
+    linkedDataPlugin()
   ],
   base: '/',
   resolve: {
@@ -114,83 +659,45 @@ export default defineConfig({
       reduceInlineStyles: false
     },
     includedRoutes(paths, routes) {
-      // Include all static routes
-      const staticRoutes = paths.filter(p => !p.includes(':'))
-      const allRoutes = [...staticRoutes]
-
-      const dataDir = getDataDir()
-
-      // =========================================================================
-      // PREPARATION-CENTRIC ROUTES (New Architecture)
-      // =========================================================================
+      const allRoutes = new Map()
+      const routeParams = collectRouteParams(getDataDir())
+      // Redirect stubs (e.g. /en) are still rendered but kept out of the sitemap
+      const redirectPaths = new Set(routes.filter(route => route.redirect).map(route => route.path))
 
-      // Read preparation entities and generate routes
-      const preparationsDir = path.join(dataDir, 'entities/preparations')
+      for (const rawPath of paths) {
+        // Children of the unprefixed English layout come through without a leading slash
+        const routePath = rawPath.startsWith('/') ? rawPath : `/${rawPath}`
 
-      if (fs.existsSync(preparationsDir)) {
-        const prepSlugs = fs.readdirSync(preparationsDir, { withFileTypes: true })
-          .filter(dirent => dirent.isDirectory())
-          .map(dirent => dirent.name)
+        // Catch-all and redirect routes are never pre-rendered
+        if (routePath.includes('*')) continue
 
-        for (const slug of prepSlugs) {
-          // Add routes for each locale
-          allRoutes.push(`/preparations/${slug}`)
-          allRoutes.push(`/zh-Hant/preparations/${slug}`)
-          allRoutes.push(`/zh-Hans/preparations/${slug}`)
+        if (!routePath.includes(':')) {
+          allRoutes.set(routePath, null)
+          continue
         }
-      }
-
-      // =========================================================================
-      // BOTANICAL SOURCE ROUTES (Ontology Browser)
-      // =========================================================================
 
-      // Read plant species entities and generate routes
-      const plantsDir = path.join(dataDir, 'entities/botanical/species')
+        // Strip the locale prefix to look up the catalogue pattern
+        const { locale, path: pattern } = splitLocalePath(routePath)
 
-      if (fs.existsSync(plantsDir)) {
-        const plantSlugs = fs.readdirSync(plantsDir, { withFileTypes: true })
-          .filter(dirent => dirent.isDirectory())
-          .map(dirent => dirent.name)
+        const paramsList = routeParams.get(pattern)
+        if (!paramsList) {
+          console.warn(`[ssg] No catalogue entries for route ${routePath}`)
+          continue
+        }
 
-        for (const slug of plantSlugs) {
-          // Add routes for each locale (new path: /sources/botanical/:slug)
-          allRoutes.push(`/sources/botanical/${slug}`)
-          allRoutes.push(`/zh-Hant/sources/botanical/${slug}`)
-          allRoutes.push(`/zh-Hans/sources/botanical/${slug}`)
+        for (const params of paramsList) {
+          allRoutes.set(localizePath(fillRoutePattern(pattern, params), locale), params.lastmod)
         }
       }
 
-      // =========================================================================
-      // ADDITIONAL ROUTES
-      // =========================================================================
-
-      // Add locale-specific home, about, basics pages
-      allRoutes.push('/zh-Hant')
-      allRoutes.push('/zh-Hant/about')
-      allRoutes.push('/zh-Hant/basics')
-      allRoutes.push('/zh-Hans')
-      allRoutes.push('/zh-Hans/about')
-      allRoutes.push('/zh-Hans/basics')
-
-      // Add preparations index for each locale
-      allRoutes.push('/preparations')
-      allRoutes.push('/zh-Hant/preparations')
-      allRoutes.push('/zh-Hans/preparations')
-
-      // Add sources index and botanical sub-index for each locale
-      allRoutes.push('/sources')
-      allRoutes.push('/zh-Hant/sources')
-      allRoutes.push('/zh-Hans/sources')
-      allRoutes.push('/sources/botanical')
-      allRoutes.push('/zh-Hant/sources/botanical')
-      allRoutes.push('/zh-Hans/sources/botanical')
-
-      // Add systems index for each locale
-      allRoutes.push('/systems')
-      allRoutes.push('/zh-Hant/systems')
-      allRoutes.push('/zh-Hans/systems')
-
-      return allRoutes
+      renderedRoutes.clear()
+      for (const [routePath, lastmod] of allRoutes) {
+        if (!redirectPaths.has(routePath)) renderedRoutes.set(routePath, lastmod)
+      }
+      return Array.from(allRoutes.keys())
+    },
+    onFinished() {
+      writeSitemap(path.join(__dirname, 'dist'), renderedRoutes)
     }
   },
   build: {